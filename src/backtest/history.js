@@ -0,0 +1,41 @@
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Page 1m candles for one asset from startMs up to endMs into storage.
+ * Stops early, with a warning, when a page fails, comes back empty (past the last candle or a gap)
+ * or doesn't move the cursor forward, so a provider can never crash or loop the backfill.
+ * @param {{ startMs: number, endMs: number, fetchPage: (cursor: number) => Promise<object[]>,
+ *   store: (rows: object[]) => void }} options
+ * @returns {Promise<number>} candles stored
+ */
+export async function fetchCandleHistory(asset, { startMs, endMs, fetchPage, store }) {
+  let cursor = startMs
+  let stored = 0
+
+  while (cursor < endMs) {
+    let rows
+    try {
+      rows = await fetchPage(cursor)
+    } catch (error) {
+      console.warn(`[BACKTEST] ${asset}: stopping at ${new Date(cursor).toISOString()}, ${error.message}`)
+      break
+    }
+
+    if (rows.length === 0) {
+      console.warn(`[BACKTEST] ${asset}: stopping at ${new Date(cursor).toISOString()}, no candles returned`)
+      break
+    }
+
+    store(rows)
+    stored += rows.length
+
+    const next = rows[rows.length - 1].openTime + MINUTE_MS
+    if (!(next > cursor)) {
+      console.warn(`[BACKTEST] ${asset}: stopping at ${new Date(cursor).toISOString()}, provider returned no newer candles`)
+      break
+    }
+    cursor = next
+  }
+
+  return stored
+}
@@ -0,0 +1,118 @@
+import 'dotenv/config'
+import { parseArgs } from 'node:util'
+import { CONFIG } from '../config/index.js'
+import { initializeDatabase, candles } from '../database/index.js'
+import { getRecentCandles } from '../services/prices.js'
+import { getCandleParams } from '../services/agents.js'
+import { getEnabledAssets } from '../services/assets.js'
+import { runBacktest, formatReport } from './runner.js'
+import { fetchCandleHistory } from './history.js'
+import { STRATEGIES } from './strategies.js'
+
+const INTERVAL = '1m'
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+const USAGE = `Usage:
+  npm run backtest -- fetch [--days 7] [--assets BTC,ETH]
+  npm run backtest -- run [--strategy momentum|coinflip|llm] [--days 7] [--assets BTC,ETH]
+                          [--lead 5] [--entry-price 0.5] [--balance 1000] [--json]
+
+fetch backfills 1m Binance candles into the database; run replays stored candles.
+The llm strategy calls the Anthropic API once per market slot.`
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    days: { type: 'string', default: '7' },
+    assets: { type: 'string', default: getEnabledAssets().map(asset => asset.symbol).join(',') },
+    strategy: { type: 'string', default: 'momentum' },
+    lead: { type: 'string', default: '5' },
+    'entry-price': { type: 'string', default: '0.5' },
+    balance: { type: 'string', default: '1000' },
+    json: { type: 'boolean', default: false },
+  },
+})
+
+const command = positionals[0]
+const assets = values.assets.split(',').map(a => a.trim().toUpperCase()).filter(Boolean)
+const endMs = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS
+const startMs = endMs - Number(values.days) * DAY_MS
+
+async function fetchHistory() {
+  for (const asset of assets) {
+    const stored = await fetchCandleHistory(asset, {
+      startMs,
+      endMs,
+      fetchPage: cursor => getRecentCandles(asset, INTERVAL, 1000, cursor),
+      store: rows => candles.upsertMany(asset, INTERVAL, rows),
+    })
+
+    const bounds = candles.getBounds(asset, INTERVAL)
+    console.log(`[BACKTEST] ${asset}: stored ${stored} candles (${bounds.count} total)`)
+  }
+}
+
+async function run() {
+  const createDecision = STRATEGIES[values.strategy]
+  if (!createDecision) {
+    throw new Error(`Unknown strategy: ${values.strategy} (expected ${Object.keys(STRATEGIES).join(', ')})`)
+  }
+
+  const candlesByAsset = {}
+  for (const asset of assets) {
+    const rows = candles.getRange(asset, INTERVAL, startMs, endMs)
+    if (rows.length === 0) {
+      console.warn(`[BACKTEST] No stored candles for ${asset}; run "fetch" first`)
+      continue
+    }
+    candlesByAsset[asset] = rows
+  }
+
+  if (Object.keys(candlesByAsset).length === 0) {
+    throw new Error('No candle data to replay')
+  }
+
+  const { lookbackMinutes, lastReturnsCount } = getCandleParams()
+
+  const report = await runBacktest({
+    candlesByAsset,
+    decide: createDecision(),
+    startMs,
+    endMs,
+    minPct: Number(CONFIG.trading.min_position_pct),
+    maxPct: Number(CONFIG.trading.max_position_pct),
+    leadMinutes: Number(values.lead),
+    lookbackMinutes,
+    lastReturnsCount,
+    startingBalance: Number(values.balance),
+    entryPrice: Number(values['entry-price']),
+  })
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    console.log(`Strategy: ${values.strategy} · ${new Date(startMs).toISOString()} → ${new Date(endMs).toISOString()}`)
+    console.log(formatReport(report))
+  }
+}
+
+async function main() {
+  if (command !== 'fetch' && command !== 'run') {
+    console.log(USAGE)
+    process.exit(command ? 1 : 0)
+  }
+
+  initializeDatabase()
+
+  if (command === 'fetch') {
+    await fetchHistory()
+  } else {
+    await run()
+  }
+}
+
+main().catch(error => {
+  console.error('Backtest failed:', error)
+  process.exit(1)
+})
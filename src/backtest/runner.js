@@ -0,0 +1,219 @@
+import { buildTechnicalSnapshot } from '../services/ta.js'
+import { calculatePositionSize } from '../services/sizing.js'
+
+const MINUTE_MS = 60 * 1000
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
+
+function indexCandles(candles) {
+  const index = new Map()
+  for (const candle of candles || []) {
+    index.set(Number(candle.openTime), candle)
+  }
+  return index
+}
+
+function getWindow(index, endOpenTime, count) {
+  const window = []
+  for (let i = count - 1; i >= 0; i -= 1) {
+    const candle = index.get(endOpenTime - i * MINUTE_MS)
+    if (candle) window.push(candle)
+  }
+  return window
+}
+
+/**
+ * Map a 0.5-1.0 pick confidence onto the 0-1 conviction scale used for vote splits:
+ * a 50% pick is a coin flip (zero conviction), a 100% pick is unanimous
+ */
+export function confidenceToConviction(confidence) {
+  const value = Number(confidence)
+  if (!Number.isFinite(value)) return 0
+  return Math.min(1, Math.max(0, (value - 0.5) * 2))
+}
+
+function createBucket() {
+  return { picks: 0, hits: 0, pnl: 0 }
+}
+
+function finalizeBucket(bucket) {
+  return {
+    picks: bucket.picks,
+    hits: bucket.hits,
+    hitRate: bucket.picks > 0 ? bucket.hits / bucket.picks : null,
+    pnl: round(bucket.pnl),
+  }
+}
+
+/**
+ * Replay 1m candles through the TA snapshot and a decision function, one market per slot.
+ *
+ * For each market start T0 the decision is made at T0 - leadMinutes using only candles that
+ * closed before then. The pick is scored against the open of the candle durationMinutes after
+ * T0 versus the open at T0 (ties resolve UP, as on Polymarket).
+ *
+ * @param {Object} options
+ * @param {Object} options.candlesByAsset - 1m candles keyed by asset, ascending by openTime
+ * @param {Function} options.decide - async ({ now, marketStart, durationMinutes, candlesByAsset, snapshotsByAsset })
+ *   => { asset, direction, confidence } | null to abstain
+ * @param {number} options.startMs - Replay start (ms)
+ * @param {number} options.endMs - Replay end (ms)
+ * @param {number} options.minPct - Fraction of pool at zero conviction
+ * @param {number} options.maxPct - Fraction of pool at full conviction
+ */
+export async function runBacktest({
+  candlesByAsset,
+  decide,
+  startMs,
+  endMs,
+  minPct,
+  maxPct,
+  durationMinutes = 15,
+  leadMinutes = 5,
+  stepMinutes = durationMinutes,
+  lookbackMinutes = 60,
+  lastReturnsCount = 8,
+  startingBalance = 1000,
+  entryPrice = 0.5,
+}) {
+  const assets = Object.keys(candlesByAsset)
+  const indexes = {}
+  for (const asset of assets) {
+    indexes[asset] = indexCandles(candlesByAsset[asset])
+  }
+
+  const stepMs = stepMinutes * MINUTE_MS
+  const durationMs = durationMinutes * MINUTE_MS
+  const leadMs = leadMinutes * MINUTE_MS
+  const windowSize = lookbackMinutes + 1
+
+  const totals = createBucket()
+  const byAsset = {}
+  const rounds = []
+  let balance = startingBalance
+  let peakBalance = startingBalance
+  let maxDrawdownPct = 0
+  let skipped = 0
+  let abstained = 0
+
+  const firstStart = Math.ceil((startMs + windowSize * MINUTE_MS + leadMs) / stepMs) * stepMs
+
+  for (let marketStart = firstStart; marketStart + durationMs < endMs; marketStart += stepMs) {
+    const decisionTime = marketStart - leadMs
+    // Last candle fully closed before the decision
+    const lastOpenTime = Math.floor(decisionTime / MINUTE_MS) * MINUTE_MS - MINUTE_MS
+
+    const windowByAsset = {}
+    const snapshotsByAsset = {}
+    for (const asset of assets) {
+      const window = getWindow(indexes[asset], lastOpenTime, windowSize)
+      const snapshot = buildTechnicalSnapshot(window, { lookbackMinutes, lastReturnsCount })
+      if (!snapshot) continue
+      windowByAsset[asset] = window
+      snapshotsByAsset[asset] = snapshot
+    }
+
+    if (Object.keys(snapshotsByAsset).length === 0) {
+      skipped += 1
+      continue
+    }
+
+    const decision = await decide({
+      now: new Date(decisionTime),
+      marketStart: new Date(marketStart),
+      durationMinutes,
+      candlesByAsset: windowByAsset,
+      snapshotsByAsset,
+    })
+
+    if (!decision || !snapshotsByAsset[decision.asset]) {
+      abstained += 1
+      continue
+    }
+
+    const startCandle = indexes[decision.asset].get(marketStart)
+    const endCandle = indexes[decision.asset].get(marketStart + durationMs)
+    if (!startCandle || !endCandle) {
+      skipped += 1
+      continue
+    }
+
+    const outcome = endCandle.open >= startCandle.open ? 'UP' : 'DOWN'
+    const hit = decision.direction === outcome
+
+    const conviction = confidenceToConviction(decision.confidence)
+    let stake = calculatePositionSize(balance, conviction, { minPct, maxPct })
+    if (stake < 1) {
+      if (balance < 1) break
+      stake = 1
+    }
+
+    const shares = stake / entryPrice
+    const pnl = hit ? shares - stake : -stake
+    balance += pnl
+    peakBalance = Math.max(peakBalance, balance)
+    if (peakBalance > 0) {
+      maxDrawdownPct = Math.max(maxDrawdownPct, (peakBalance - balance) / peakBalance)
+    }
+
+    if (!byAsset[decision.asset]) byAsset[decision.asset] = createBucket()
+    for (const bucket of [totals, byAsset[decision.asset]]) {
+      bucket.picks += 1
+      bucket.hits += hit ? 1 : 0
+      bucket.pnl += pnl
+    }
+
+    rounds.push({
+      market_start: new Date(marketStart).toISOString(),
+      asset: decision.asset,
+      direction: decision.direction,
+      outcome,
+      hit,
+      stake: round(stake),
+      pnl: round(pnl),
+    })
+  }
+
+  const summary = finalizeBucket(totals)
+  // Standard score of the hit count against a fair coin
+  const zScore = summary.picks > 0
+    ? (summary.hits - summary.picks / 2) / Math.sqrt(summary.picks / 4)
+    : null
+
+  return {
+    ...summary,
+    zScore: zScore !== null ? round(zScore, 3) : null,
+    skipped,
+    abstained,
+    startingBalance: round(startingBalance),
+    endingBalance: round(balance),
+    maxDrawdownPct: round(maxDrawdownPct * 100, 1),
+    byAsset: Object.fromEntries(
+      Object.entries(byAsset).map(([asset, bucket]) => [asset, finalizeBucket(bucket)])
+    ),
+    rounds,
+  }
+}
+
+function formatRate(rate) {
+  return rate === null ? 'n/a' : `${(rate * 100).toFixed(1)}%`
+}
+
+export function formatReport(report) {
+  const lines = [
+    `Picks: ${report.picks} · Hits: ${report.hits} · Hit rate: ${formatRate(report.hitRate)} (z=${report.zScore ?? 'n/a'} vs coin flip)`,
+    `Skipped: ${report.skipped} · Abstained: ${report.abstained}`,
+    `Balance: $${report.startingBalance.toFixed(2)} → $${report.endingBalance.toFixed(2)} (P&L $${report.pnl.toFixed(2)}, max drawdown ${report.maxDrawdownPct}%)`,
+    ``,
+    `Per asset:`,
+  ]
+
+  for (const [asset, bucket] of Object.entries(report.byAsset)) {
+    lines.push(`  ${asset}: ${bucket.picks} picks · ${formatRate(bucket.hitRate)} · P&L $${bucket.pnl.toFixed(2)}`)
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,79 @@
+import { analyzeMarket } from '../services/agents.js'
+
+/**
+ * Rule-based stand-in for the LLM: follow the strongest 15m move when the EMA trend agrees.
+ * Confidence grows with the move's size relative to recent 1m volatility.
+ */
+export function momentumDecision({ snapshotsByAsset }) {
+  let best = null
+
+  for (const [asset, snapshot] of Object.entries(snapshotsByAsset)) {
+    const move = snapshot.returns_pct?.['15m']
+    if (move === null || move === undefined || move === 0) continue
+
+    const direction = move > 0 ? 'UP' : 'DOWN'
+    const trendAgrees = (direction === 'UP' && snapshot.ema_trend === 'bullish')
+      || (direction === 'DOWN' && snapshot.ema_trend === 'bearish')
+    if (!trendAgrees) continue
+
+    const volatility = snapshot.volatility_pct?.['15m'] || null
+    const strength = volatility ? Math.abs(move) / (volatility * Math.sqrt(15)) : Math.abs(move)
+
+    if (!best || strength > best.strength) {
+      best = { asset, direction, strength }
+    }
+  }
+
+  if (!best) return null
+
+  return {
+    asset: best.asset,
+    direction: best.direction,
+    confidence: 0.5 + Math.min(0.4, best.strength * 0.1),
+  }
+}
+
+/**
+ * Baseline: random asset and direction at 50% confidence
+ */
+export function createCoinFlipDecision(random = Math.random) {
+  return ({ snapshotsByAsset }) => {
+    const assets = Object.keys(snapshotsByAsset)
+    return {
+      asset: assets[Math.floor(random() * assets.length)],
+      direction: random() < 0.5 ? 'UP' : 'DOWN',
+      confidence: 0.5,
+    }
+  }
+}
+
+/**
+ * The live analysis prompt, replayed at the simulated time. Makes one API call per slot.
+ */
+export function createLlmDecision() {
+  return async ({ now, marketStart, durationMinutes, candlesByAsset }) => {
+    const resolutionTime = new Date(marketStart.getTime() + durationMinutes * 60 * 1000)
+    const marketsByAsset = {}
+    for (const asset of Object.keys(candlesByAsset)) {
+      marketsByAsset[asset] = { start_time: marketStart, resolution_time: resolutionTime }
+    }
+
+    try {
+      const analysis = await analyzeMarket({ marketsByAsset, candlesByAsset, now, series: { durationMinutes } })
+      return {
+        asset: analysis.asset,
+        direction: analysis.direction_bias,
+        confidence: analysis.confidence,
+      }
+    } catch (error) {
+      console.error(`[BACKTEST] LLM decision failed at ${now.toISOString()}:`, error.message)
+      return null
+    }
+  }
+}
+
+export const STRATEGIES = {
+  momentum: () => momentumDecision,
+  coinflip: () => createCoinFlipDecision(),
+  llm: () => createLlmDecision(),
+}
@@ -0,0 +1,120 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js'
+import { trades, predictions, users } from '../database/index.js'
+import { CONFIG } from '../config/index.js'
+import { getHolderRoleId } from '../services/guilds.js'
+import { getVoteEmojis } from './reactions.js'
+
+const VOTE_MODES = ['reactions', 'buttons']
+const VOTE_CHOICES = ['UP', 'DOWN', 'SWITCH']
+
+/**
+ * How new rounds collect votes. Each trade stores its own mode, so switching never affects a round in voting.
+ */
+export function getVoteMode() {
+  const mode = CONFIG.trading.vote_mode ?? 'reactions'
+  if (!VOTE_MODES.includes(mode)) {
+    throw new Error(`Invalid trading.vote_mode "${mode}", expected one of: ${VOTE_MODES.join(', ')}`)
+  }
+  return mode
+}
+
+/**
+ * UP / DOWN / change vote buttons for a proposal; the custom id carries the round, e.g. "vote:12:UP"
+ */
+export function buildVoteButtons(tradeId) {
+  const { up: UP_EMOJI, down: DOWN_EMOJI } = getVoteEmojis()
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`vote:${tradeId}:UP`)
+        .setLabel('UP')
+        .setEmoji(UP_EMOJI)
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`vote:${tradeId}:DOWN`)
+        .setLabel('DOWN')
+        .setEmoji(DOWN_EMOJI)
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(`vote:${tradeId}:SWITCH`)
+        .setLabel('Change vote')
+        .setEmoji('🔁')
+        .setStyle(ButtonStyle.Secondary),
+    ),
+  ]
+}
+
+/**
+ * @returns {{ tradeId: number, choice: 'UP'|'DOWN'|'SWITCH' }|null} null for buttons that aren't votes
+ */
+export function parseVoteButtonId(customId) {
+  const match = /^vote:(\d+):([A-Z]+)$/.exec(customId ?? '')
+  if (!match || !VOTE_CHOICES.includes(match[2])) return null
+  return { tradeId: Number(match[1]), choice: match[2] }
+}
+
+async function replyEphemeral(interaction, content) {
+  await interaction.reply({ content, ephemeral: true }).catch(error => {
+    console.error('[Vote] Failed to reply to vote button:', error.message)
+  })
+}
+
+/**
+ * Record a button vote straight into predictions, with the same holder and wallet checks as reactions.
+ * @param {Date} now time on the scheduler's clock, so clicks close with the same cutoff as the tick
+ * @returns {Promise<boolean>} false when the button is not a vote button
+ */
+export async function handleVoteButton(interaction, now) {
+  const parsed = parseVoteButtonId(interaction.customId)
+  if (!parsed) return false
+
+  const trade = trades.getById(parsed.tradeId)
+  if (!trade || trade.status !== 'voting' || now >= new Date(trade.voting_ends_at)) {
+    await replyEphemeral(interaction, `⏰ Voting for Round #${parsed.tradeId} has closed.`)
+    return true
+  }
+
+  const member = await interaction.guild?.members.fetch(interaction.user.id).catch(() => null)
+  if (!member) {
+    await replyEphemeral(interaction, 'Votes can only be cast from the server.')
+    return true
+  }
+
+  const holderRoleId = getHolderRoleId(trade.guild_id)
+  if (holderRoleId && !member.roles.cache.has(holderRoleId)) {
+    await replyEphemeral(interaction, '🔒 Only holders can vote on rounds.')
+    return true
+  }
+
+  const user = users.get(interaction.user.id)
+  if (!user || !user.wallet_address) {
+    await replyEphemeral(interaction, 'You need to register a wallet before voting. Use `/register <your-polygon-address>`')
+    return true
+  }
+
+  const existing = predictions.get(user.discord_id, trade.id)
+  let prediction = parsed.choice
+  if (prediction === 'SWITCH') {
+    if (!existing) {
+      await replyEphemeral(interaction, `You haven't voted on Round #${trade.id} yet. Pick UP or DOWN.`)
+      return true
+    }
+    prediction = existing.prediction === 'UP' ? 'DOWN' : 'UP'
+  }
+
+  if (existing?.prediction === prediction) {
+    await replyEphemeral(interaction, `You already voted **${prediction}** on Round #${trade.id}.`)
+    return true
+  }
+
+  if (user.discord_username !== interaction.user.username) {
+    users.getOrCreate(interaction.user.id, interaction.user.username)
+  }
+
+  predictions.upsert(user.discord_id, trade.id, prediction)
+
+  const changed = existing ? ` (changed from ${existing.prediction})` : ''
+  await replyEphemeral(interaction, `✅ You voted **${prediction}** on Round #${trade.id}${changed}. You can change it until voting closes.`)
+  console.log(`[Vote] ${interaction.user.username} voted ${prediction} on trade ${trade.id}${changed}`)
+  return true
+}
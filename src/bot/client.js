@@ -4,11 +4,11 @@ import {
   Events,
   Partials,
 } from 'discord.js'
-import { env, CONFIG } from '../config/index.js'
+import { env } from '../config/index.js'
 import { registerCommands, handleCommand } from './commands/index.js'
-import { handleReaction } from './reactions.js'
-import { initScheduler } from '../services/scheduler.js'
-import { retryFailedSettlements } from '../services/payouts.js'
+import { handleReaction, handleReactionsCleared } from './reactions.js'
+import { handleVoteButton } from './buttons.js'
+import { initScheduler, retryPoolSettlements, getSchedulerTime } from '../services/scheduler.js'
 
 let client = null
 
@@ -33,36 +33,20 @@ export function getClient() {
   return client
 }
 
-let tradingChannel = null
-
 function setupEventHandlers(client) {
   client.once(Events.ClientReady, async (readyClient) => {
     console.log(`Logged in as ${readyClient.user.tag}`)
     await registerCommands()
 
-    const channelId = CONFIG.discord.trading_channel_id
-
-    if (!channelId) {
-      throw new Error('Missing discord.trading_channel_id in config.yaml')
-    }
-
-    for (const guild of readyClient.guilds.cache.values()) {
-      tradingChannel = guild.channels.cache.get(channelId)
-      if (tradingChannel) break
-    }
-
-    if (!tradingChannel) {
-      throw new Error(`Trading channel not found for configured id: ${channelId}`)
-    }
-
-    await initScheduler(readyClient, channelId)
+    // Each guild's trading channel comes from the guilds table; discord.trading_channel_id seeds the first one
+    await initScheduler(readyClient)
 
     console.log('[STARTUP] Checking for incomplete settlements...')
-    await retryFailedSettlements(tradingChannel)
+    await retryPoolSettlements()
 
     setInterval(async () => {
       try {
-        await retryFailedSettlements(tradingChannel)
+        await retryPoolSettlements()
       } catch (error) {
         console.error('[PAYOUT RETRY] Error in periodic retry:', error)
       }
@@ -72,6 +56,10 @@ function setupEventHandlers(client) {
   })
 
   client.on(Events.InteractionCreate, async (interaction) => {
+    if (interaction.isButton()) {
+      await handleVoteButton(interaction, getSchedulerTime())
+      return
+    }
     if (!interaction.isChatInputCommand()) return
     await handleCommand(interaction)
   })
@@ -85,6 +73,23 @@ function setupEventHandlers(client) {
     await handleReaction(fetchedReaction, fetchedUser, 'add')
   })
 
+  client.on(Events.MessageReactionRemove, async (reaction, user) => {
+    if (user.bot) return
+
+    // A reaction removed down to zero can't be fetched, and the message id and emoji are all a removal needs
+    const fetchedUser = user.partial ? await user.fetch().catch(() => user) : user
+
+    await handleReaction(reaction, fetchedUser, 'remove')
+  })
+
+  client.on(Events.MessageReactionRemoveAll, (message) => {
+    handleReactionsCleared(message)
+  })
+
+  client.on(Events.MessageReactionRemoveEmoji, (reaction) => {
+    handleReactionsCleared(reaction.message, reaction.emoji.name)
+  })
+
 }
 
 export async function startBot() {
@@ -1,12 +1,52 @@
 import { PermissionFlagsBits } from 'discord.js'
-import { setEmergencyStop } from '../../services/scheduler.js'
+import { CONFIG } from '../../config/index.js'
+import { blackouts, guilds, jobs, trades } from '../../database/index.js'
+import { setEmergencyStop, getSchedulerTime } from '../../services/scheduler.js'
+import { getBlackouts, parseBlackoutTime } from '../../services/calendar.js'
+import {
+  getPoolGuildId,
+  getGuildScheduleEntries,
+  parseGuildSchedule,
+  isGuildAllowed,
+  isOwnerGuild,
+  getGuildAllocation,
+} from '../../services/guilds.js'
+import { describeScheduleEntry } from '../../services/schedule.js'
+import { reconcileTrade } from '../../services/reconciler.js'
+import { clearRiskPause } from '../../services/risk.js'
+import { formatDateTimeInTimezone } from '../../utils/time.js'
+
+/**
+ * Administrators, or members holding the admin role set with /guild-setup.
+ * Only guild-scoped commands accept the role; emergency stop, blackouts and jobs affect every guild
+ * and go through isOwnerAdmin instead.
+ */
+function isGuildAdmin(interaction) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) return true
+
+  const adminRoleId = interaction.guildId ? guilds.get(interaction.guildId)?.admin_role_id : null
+  if (!adminRoleId) return false
+
+  // Cached members have a role manager; uncached ones arrive as API data with a list of role ids
+  const roles = interaction.member?.roles
+  return Boolean(roles?.cache ? roles.cache.has(adminRoleId) : roles?.includes(adminRoleId))
+}
+
+// Administrators of the primary guild, the one server that controls the shared wallet
+function isOwnerAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) && isOwnerGuild(interaction.guildId)
+}
+
+async function replyOwnerOnly(interaction) {
+  await interaction.reply({
+    content: '**Access denied**\n\nOnly administrators of the server holding `discord.trading_channel_id` can use this command, since it affects every server.',
+    ephemeral: true,
+  })
+}
 
 export async function handleEmergencyStop(interaction) {
-  if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
-    await interaction.reply({
-      content: '**Access denied**\n\nOnly administrators can use this command.',
-      ephemeral: true,
-    })
+  if (!isOwnerAdmin(interaction)) {
+    await replyOwnerOnly(interaction)
     return
   }
 
@@ -25,22 +65,289 @@ export async function handleEmergencyStop(interaction) {
 }
 
 export async function handleResume(interaction) {
-  if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
-    await interaction.reply({
-      content: '**Access denied**\n\nOnly administrators can use this command.',
-      ephemeral: true,
-    })
+  if (!isOwnerAdmin(interaction)) {
+    await replyOwnerOnly(interaction)
     return
   }
 
   setEmergencyStop(false)
+  const liftedPause = clearRiskPause(getSchedulerTime())
+  if (liftedPause) {
+    console.log(`[RISK] Circuit breaker cleared by admin ${interaction.user.id} (was: ${liftedPause.reason})`)
+  }
 
   await interaction.reply({
     content: [
       `✅ **Trading Resumed**`,
       ``,
       `Bot is back online. Scheduled trades will resume.`,
+      liftedPause ? `Circuit breaker cleared (${liftedPause.reason}); daily loss and drawdown tracking restart now.` : null,
       `Use \`/propose\` to trigger a trade manually.`,
+    ].filter(line => line !== null).join('\n'),
+  })
+}
+
+function formatBlackoutRange(startsAt, endsAt) {
+  const timezone = CONFIG.scheduling.timezone
+  return `${formatDateTimeInTimezone(startsAt, timezone)} → ${formatDateTimeInTimezone(endsAt, timezone)}`
+}
+
+export async function handleBlackout(interaction) {
+  if (!isOwnerAdmin(interaction)) {
+    await replyOwnerOnly(interaction)
+    return
+  }
+
+  const subcommand = interaction.options.getSubcommand()
+
+  if (subcommand === 'add') {
+    const timezone = CONFIG.scheduling.timezone
+    const reason = interaction.options.getString('reason')
+    let startsAt
+    let endsAt
+    try {
+      startsAt = parseBlackoutTime(interaction.options.getString('start'), timezone)
+      endsAt = parseBlackoutTime(interaction.options.getString('end'), timezone)
+    } catch (error) {
+      await interaction.reply({
+        content: `**Invalid time**\n\n${error.message} (${timezone}).`,
+        ephemeral: true,
+      })
+      return
+    }
+
+    if (endsAt <= startsAt) {
+      await interaction.reply({
+        content: '**Invalid blackout**\n\nThe end must be after the start.',
+        ephemeral: true,
+      })
+      return
+    }
+
+    const blackout = blackouts.create({
+      starts_at: startsAt,
+      ends_at: endsAt,
+      reason,
+      created_by: interaction.user.id,
+    })
+
+    await interaction.reply({
+      content: [
+        `🗓️ **Blackout #${blackout.id} added**`,
+        ``,
+        `${reason}`,
+        `${formatBlackoutRange(startsAt, endsAt)} (${timezone})`,
+        `Scheduled and proposed trades are blocked during this window.`,
+      ].join('\n'),
+    })
+    return
+  }
+
+  if (subcommand === 'remove') {
+    const id = interaction.options.getInteger('id')
+    const removed = blackouts.remove(id)
+    await interaction.reply({
+      content: removed
+        ? `🗓️ **Blackout #${id} removed**`
+        : `**Not found**\n\nNo blackout #${id}. Entries from the calendar file are edited in the file itself.`,
+      ephemeral: !removed,
+    })
+    return
+  }
+
+  const upcoming = getBlackouts()
+  if (upcoming.length === 0) {
+    await interaction.reply({
+      content: '**No upcoming blackouts**\n\nUse `/blackout add` or the calendar file to add one.',
+      ephemeral: true,
+    })
+    return
+  }
+
+  const lines = upcoming.slice(0, 20).map(b => {
+    const label = b.source === 'admin' ? `#${b.id}` : 'file'
+    return `\`${label}\` ${b.reason}: ${formatBlackoutRange(b.startsAt, b.endsAt)}`
+  })
+
+  await interaction.reply({
+    content: [
+      `🗓️ **Upcoming Blackouts** (${CONFIG.scheduling.timezone})`,
+      ``,
+      ...lines,
+      upcoming.length > 20 ? `_…and ${upcoming.length - 20} more_` : null,
+    ].filter(line => line !== null).join('\n'),
+    ephemeral: true,
+  })
+}
+
+export async function handleJobs(interaction) {
+  if (!isOwnerAdmin(interaction)) {
+    await replyOwnerOnly(interaction)
+    return
+  }
+
+  if (interaction.options.getSubcommand() === 'cancel') {
+    const id = interaction.options.getInteger('id')
+    const job = jobs.getById(id)
+    const cancelled = jobs.cancel(id)
+    if (cancelled) {
+      console.log(`[JOBS] ${job.kind} job ${id} cancelled by ${interaction.user.id}`)
+    }
+    await interaction.reply({
+      content: cancelled
+        ? `🗑️ **Job #${id} cancelled** (${job.kind})`
+        : `**Cannot cancel**\n\n${job ? `Job #${id} is ${job.status}; only pending jobs can be cancelled.` : `No job #${id}.`}`,
+      ephemeral: true,
+    })
+    return
+  }
+
+  const outstanding = jobs.getOutstanding()
+  if (outstanding.length === 0) {
+    await interaction.reply({ content: '**No pending jobs**', ephemeral: true })
+    return
+  }
+
+  const timezone = CONFIG.scheduling.timezone
+  const lines = outstanding.map(job => {
+    const error = job.last_error ? ` · ${job.last_error.slice(0, 80)}` : ''
+    return `\`#${job.id}\` ${job.kind} ${job.payload} · ${job.status} · ${formatDateTimeInTimezone(new Date(job.run_at), timezone)} · ${job.attempts} failed attempt(s)${error}`
+  })
+
+  await interaction.reply({
+    content: [`⚙️ **Jobs** (${timezone})`, ``, ...lines].join('\n'),
+    ephemeral: true,
+  })
+}
+
+export async function handleReview(interaction) {
+  if (!isGuildAdmin(interaction)) {
+    await interaction.reply({
+      content: '**Access denied**\n\nOnly administrators can use this command.',
+      ephemeral: true,
+    })
+    return
+  }
+
+  const subcommand = interaction.options.getSubcommand()
+  const guildId = getPoolGuildId(interaction.guildId)
+
+  if (subcommand === 'list') {
+    const flagged = trades.getByStatus('review').filter(t => !guildId || t.guild_id === guildId)
+    await interaction.reply({
+      content: flagged.length === 0
+        ? '**No rounds awaiting review**'
+        : [
+          `⚠️ **Rounds awaiting review**`,
+          ``,
+          ...flagged.map(t => `Round #${t.id} · ${t.asset} ${t.executed_position || ''}: ${t.review_reason}`),
+          ``,
+          `Use \`/review retry\` once the CLOB is reachable, or \`/review cancel\` after confirming no position was opened.`,
+        ].join('\n'),
+      ephemeral: true,
+    })
+    return
+  }
+
+  const id = interaction.options.getInteger('id')
+  const trade = trades.getById(id)
+  if (!trade || trade.status !== 'review' || (guildId && trade.guild_id !== guildId)) {
+    await interaction.reply({
+      content: `**Not found**\n\nRound #${id} is not awaiting review.`,
+      ephemeral: true,
+    })
+    return
+  }
+
+  if (subcommand === 'cancel') {
+    trades.cancel(id, `Cancelled by admin after review (${interaction.user.username})`)
+    console.log(`[RECONCILER] Trade ${id} cancelled by admin ${interaction.user.id}`)
+    await interaction.reply({ content: `❌ **Round #${id} cancelled** after admin review.` })
+    return
+  }
+
+  await interaction.deferReply({ ephemeral: true })
+  const outcome = await reconcileTrade(trade)
+  await interaction.editReply({
+    content: `Round #${id} · ${trade.asset}: ${outcome?.detail ?? 'no change'}`,
+  })
+}
+
+function describeGuildSchedule(row) {
+  if (!row.schedule) return ['Schedule: config schedule (`scheduling.entries`)']
+  const entries = getGuildScheduleEntries(row)
+  if (entries.length === 0) return ['Schedule: no scheduled trades, `/propose` only']
+  return ['Schedule:', ...entries.map(entry => `• ${describeScheduleEntry(entry)}`)]
+}
+
+export async function handleGuildSetup(interaction) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: 'Run `/guild-setup` in the server whose pool you want to set up.', ephemeral: true })
+    return
+  }
+
+  if (!isGuildAdmin(interaction)) {
+    await interaction.reply({
+      content: '**Access denied**\n\nOnly administrators can use this command.',
+      ephemeral: true,
+    })
+    return
+  }
+
+  // Every pool trades the one wallet, so only servers the bot owner listed can run one
+  if (!isGuildAllowed(interaction.guildId)) {
+    await interaction.reply({
+      content: `**Server not allowed**\n\nThis server isn't in \`discord.allowed_guilds\`. Ask the bot owner to add guild id ${interaction.guildId} with its share of the wallet.`,
+      ephemeral: true,
+    })
+    return
+  }
+
+  const channel = interaction.options.getChannel('channel')
+  const holderRole = interaction.options.getRole('holder_role')
+  const adminRole = interaction.options.getRole('admin_role')
+  const openVoting = interaction.options.getBoolean('open_voting')
+  const scheduleText = interaction.options.getString('schedule')
+
+  const existing = guilds.get(interaction.guildId)
+  if (!channel && !existing) {
+    await interaction.reply({
+      content: '**No trading channel**\n\nPick the channel for proposals the first time you set up this server.',
+      ephemeral: true,
+    })
+    return
+  }
+
+  let schedule
+  if (scheduleText !== null) {
+    try {
+      schedule = parseGuildSchedule(scheduleText)
+    } catch (error) {
+      await interaction.reply({ content: `**Invalid schedule**\n\n${error.message}`, ephemeral: true })
+      return
+    }
+  }
+
+  const row = guilds.upsert(interaction.guildId, {
+    trading_channel_id: channel?.id,
+    holder_role_id: openVoting ? null : holderRole?.id,
+    admin_role_id: adminRole?.id,
+    schedule,
+  })
+  console.log(`[GUILDS] Guild ${interaction.guildId} ${existing ? 'updated' : 'set up'} by ${interaction.user.id}`)
+
+  await interaction.reply({
+    content: [
+      `⚙️ **Pool ${existing ? 'updated' : 'set up'}**`,
+      ``,
+      `Trading channel: <#${row.trading_channel_id}>`,
+      `Voting: ${row.holder_role_id ? `<@&${row.holder_role_id}> only` : 'anyone with a registered wallet'}`,
+      `Admin role: ${row.admin_role_id ? `<@&${row.admin_role_id}> (allow it \`/review\` under Server Settings → Integrations)` : 'administrators only'}`,
+      `Wallet share: ${(getGuildAllocation(interaction.guildId) * 100).toFixed(0)}% (set by the bot owner)`,
+      ...describeGuildSchedule(row),
+      ``,
+      `Rounds, leaderboards and payouts here only count this server's rounds, and positions are sized against this server's share. Risk limits and the emergency stop are shared with every server and run from the primary server.`,
     ].join('\n'),
+    ephemeral: true,
   })
 }
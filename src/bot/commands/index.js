@@ -3,14 +3,16 @@ import {
   REST,
   Routes,
   PermissionFlagsBits,
+  ChannelType,
 } from 'discord.js'
 import { env } from '../../config/index.js'
 
 import { handleRegister, handleUpdateAddress, handleMyAddress } from './wallet.js'
 import { handleMyStats, handleLeaderboard } from './stats.js'
-import { handlePool, handleHistory, handleAbout } from './pool.js'
+import { handlePool, handleHistory, handleRound, handleAbout } from './pool.js'
 import { handlePropose } from '../../services/scheduler.js'
-import { handleEmergencyStop, handleResume } from './admin.js'
+import { getAvailableSeries } from '../../services/series.js'
+import { handleEmergencyStop, handleResume, handleBlackout, handleJobs, handleReview, handleGuildSetup } from './admin.js'
 
 const commands = [
   new SlashCommandBuilder()
@@ -49,11 +51,29 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('history')
-    .setDescription('View recent trade history'),
+    .setDescription('View recent trade history')
+    .addBooleanOption(option =>
+      option.setName('paper')
+        .setDescription('Show paper trades instead of real ones')
+    ),
+
+  new SlashCommandBuilder()
+    .setName('round')
+    .setDescription('View the full timeline of a round, including cancelled ones')
+    .addIntegerOption(option =>
+      option.setName('id')
+        .setDescription('Round number')
+        .setRequired(true)
+    ),
 
   new SlashCommandBuilder()
     .setName('propose')
-    .setDescription('Propose a new trade (Claude analyzes market and picks direction)'),
+    .setDescription('Propose a new trade (Claude analyzes market and picks direction)')
+    .addStringOption(option =>
+      option.setName('series')
+        .setDescription('Market duration (defaults to the configured default series)')
+        .addChoices(...getAvailableSeries().map(series => ({ name: series.key, value: series.key })))
+    ),
 
   new SlashCommandBuilder()
     .setName('emergency-stop')
@@ -65,6 +85,113 @@ const commands = [
     .setDescription('Resume trading after emergency stop')
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
+  new SlashCommandBuilder()
+    .setName('blackout')
+    .setDescription('Manage trading calendar blackouts')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Block trading during a time window')
+        .addStringOption(option =>
+          option.setName('start')
+            .setDescription('Start time, YYYY-MM-DD HH:MM in the bot timezone')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('end')
+            .setDescription('End time, YYYY-MM-DD HH:MM in the bot timezone')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('reason')
+            .setDescription('Why trading is blocked (e.g. FOMC)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List upcoming blackouts')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Remove a blackout added with /blackout add')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Blackout number from /blackout list')
+            .setRequired(true)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('jobs')
+    .setDescription('Inspect deferred jobs (delayed trades, resolution and redemption retries)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List pending, running and failed jobs')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('cancel')
+        .setDescription('Cancel a pending job')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Job number from /jobs list')
+            .setRequired(true)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('review')
+    .setDescription('Resolve rounds flagged by startup recovery')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List rounds awaiting review')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('retry')
+        .setDescription('Check the CLOB again and repair the round')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Round number')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('cancel')
+        .setDescription('Cancel a round after confirming no position was opened')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Round number')
+            .setRequired(true)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('guild-setup')
+    .setDescription("Set up or change this server's trading pool")
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('Channel for proposals and results (required the first time)')
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addRoleOption(option =>
+      option.setName('holder_role')
+        .setDescription('Role required to vote and /propose')
+    )
+    .addBooleanOption(option =>
+      option.setName('open_voting')
+        .setDescription('Let anyone with a registered wallet vote, clearing the holder role')
+    )
+    .addRoleOption(option =>
+      option.setName('admin_role')
+        .setDescription('Role that can run /guild-setup and /review besides administrators')
+    )
+    .addStringOption(option =>
+      option.setName('schedule')
+        .setDescription('JSON list of schedule entries like scheduling.entries, or "default" for the config schedule')
+    ),
+
   new SlashCommandBuilder()
     .setName('about')
     .setDescription('Learn how the trading bot works'),
@@ -115,6 +242,9 @@ export async function handleCommand(interaction) {
     case 'history':
       await handleHistory(interaction)
       break
+    case 'round':
+      await handleRound(interaction)
+      break
 
     case 'propose':
       await handlePropose(interaction)
@@ -126,6 +256,18 @@ export async function handleCommand(interaction) {
     case 'resume':
       await handleResume(interaction)
       break
+    case 'blackout':
+      await handleBlackout(interaction)
+      break
+    case 'jobs':
+      await handleJobs(interaction)
+      break
+    case 'review':
+      await handleReview(interaction)
+      break
+    case 'guild-setup':
+      await handleGuildSetup(interaction)
+      break
 
     case 'about':
       await handleAbout(interaction)
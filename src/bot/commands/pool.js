@@ -1,23 +1,59 @@
-import { payouts, trades } from '../../database/index.js'
+import { payouts, trades, tradeEvents } from '../../database/index.js'
 import { CONFIG } from '../../config/index.js'
-import { checkWalletBalance, getProfitSinceLastPayout } from '../../services/payouts.js'
+import { checkWalletBalance, getProfitSinceLastPayout, getPaperBalance } from '../../services/payouts.js'
+import { describePayoutSchedule, getPayoutCadenceText } from '../../services/schedule.js'
+import { getRiskPause, formatRiskPauseReason } from '../../services/risk.js'
+import { formatExitReason } from '../../services/positions.js'
+import { formatAssetList } from '../../services/assets.js'
+import { getLiveBook, getStreamingConfig, getStreamStatus, formatStreamStatus } from '../../services/streams.js'
+import { getProviderHealth, formatProviderHealth } from '../../services/prices.js'
+import { formatSnapshotReport } from '../../services/snapshot.js'
+import { getPoolGuildId, getGuildAllocation } from '../../services/guilds.js'
+import { formatDateTimeInTimezone } from '../../utils/time.js'
+
+// What a held position would sell for now, when its book is streaming
+function formatLiveMark(trade) {
+  if (!trade.token_id || trade.status !== 'executed') return ''
+  const bestBid = parseFloat(getLiveBook(trade.token_id)?.bids[0]?.price)
+  if (!Number.isFinite(bestBid)) return ''
+  return ` · bid $${bestBid.toFixed(2)} (worth $${(bestBid * trade.shares_filled).toFixed(2)})`
+}
 
 export async function handlePool(interaction) {
   await interaction.deferReply()
 
+  // The wallet is shared by every guild; rounds, profit and payouts are this guild's own
+  const guildId = getPoolGuildId(interaction.guildId)
   const walletBalance = await checkWalletBalance()
-  const profitSincePayout = getProfitSinceLastPayout()
-  const totalPnl = trades.getTotalPnl()
-  const totalDistributed = payouts.getTotalDistributed()
+  const allocation = getGuildAllocation(guildId)
+  const profitSincePayout = getProfitSinceLastPayout(guildId)
+  const totalPnl = trades.getTotalPnl(false, guildId)
+  const totalDistributed = payouts.getTotalDistributed(guildId)
   const payoutShare = CONFIG.payouts.payout_share
   const minPayoutUsd = CONFIG.payouts.min_payout_usd
   const estPayout = Math.floor(Math.max(0, profitSincePayout) * payoutShare * 100) / 100
 
-  const activeTrade = trades.getActive()
-  const positionInfo = activeTrade
-    ? `**Current Position:** ${activeTrade.executed_position || 'Voting...'} ${activeTrade.asset}`
+  const openTrades = trades.getOpen(guildId)
+  const positionInfo = openTrades.length > 0
+    ? [
+      `**Open Rounds:**`,
+      ...openTrades.map(t => `Round #${t.id} · ${t.executed_position || 'Voting...'} ${t.asset}${t.total_cost ? ` · $${t.total_cost.toFixed(2)}` : ''}${formatLiveMark(t)}${t.is_paper ? ' (paper)' : ''}${t.status === 'review' ? ' · ⚠️ awaiting review' : ''}${t.status === 'exited' ? ' · exited early' : ''}`),
+    ].join('\n')
     : 'No active position'
 
+  const paperLines = CONFIG.paper_trading?.enabled
+    ? [``, `📝 **Paper mode on** · Paper pool $${getPaperBalance().toFixed(2)} · Paper P&L $${trades.getTotalPnl(true).toFixed(2)}`]
+    : []
+
+  const riskPause = getRiskPause(CONFIG.paper_trading?.enabled === true)
+  const riskLines = riskPause ? [``, `🛑 ${formatRiskPauseReason(riskPause)}`] : []
+
+  const feedLines = [
+    ``,
+    formatProviderHealth(getProviderHealth()),
+    getStreamingConfig().enabled ? formatStreamStatus(getStreamStatus()) : null,
+  ].filter(line => line !== null)
+
   const payoutStatus = estPayout >= minPayoutUsd
     ? `Ready for payout`
     : `${Math.max(0, (estPayout / minPayoutUsd) * 100).toFixed(0)}% to minimum`
@@ -26,13 +62,16 @@ export async function handlePool(interaction) {
     content: [
       `💰 **Pool Status**`,
       ``,
-      `**Balance:** $${walletBalance.usdc.toFixed(2)} USDC | ${walletBalance.matic.toFixed(4)} POL`,
+      `**Balance:** $${walletBalance.usdc.toFixed(2)} USDC | ${walletBalance.matic.toFixed(4)} POL${allocation < 1 ? ` · this server trades ${(allocation * 100).toFixed(0)}% of it` : ''}`,
       positionInfo,
       ``,
-      `**Payouts** (Sun 18:00 ${CONFIG.scheduling.timezone}):`,
+      `**Payouts** (${describePayoutSchedule()}):`,
       `Unpaid profit: $${profitSincePayout.toFixed(2)} → Est. payout: $${estPayout.toFixed(2)} (${payoutStatus})`,
       ``,
       `**All-time:** P&L $${totalPnl.toFixed(2)} | Distributed $${totalDistributed.toFixed(2)}`,
+      ...paperLines,
+      ...riskLines,
+      ...feedLines,
     ].join('\n'),
   })
 }
@@ -42,26 +81,29 @@ export async function handleAbout(interaction) {
     content: [
       `**DegenWizard Trading Bot**`,
       ``,
-      `This bot trades 15-minute crypto prediction markets on Polymarket.`,
+      `This bot trades short-term crypto UP/DOWN prediction markets on Polymarket.`,
       ``,
       `**How it works:**`,
-      `1. Claude AI analyzes BTC, ETH, SOL, or XRP and proposes a trade`,
-      `2. Holders vote UP or DOWN (5 min voting window)`,
+      `1. Claude AI analyzes ${formatAssetList()} and proposes a trade`,
+      `2. Holders vote UP or DOWN before the voting window closes`,
       `3. Bot executes the winning direction on Polymarket`,
-      `4. Market resolves ~15 min later based on actual price movement`,
+      `4. Market resolves at the end of its window based on actual price movement`,
       ``,
       `**Payouts:**`,
-      `Top 3 predictors by accuracy split 40% of profits weekly.`,
+      `Top 3 predictors by accuracy split 40% of profits ${getPayoutCadenceText()}.`,
     ].join('\n'),
   })
 }
 
 export async function handleHistory(interaction) {
-  const recentTrades = trades.getRecentResolved(10)
+  const paper = interaction.options.getBoolean('paper') ?? false
+  const recentTrades = trades.getRecentResolved(10, paper, getPoolGuildId(interaction.guildId))
 
   if (recentTrades.length === 0) {
     await interaction.reply({
-      content: '**No trade history yet**\n\nWait for trades to complete or use `/propose` to trigger one.',
+      content: paper
+        ? '**No paper trade history yet**\n\nEnable `paper_trading` in config to run simulated rounds.'
+        : '**No trade history yet**\n\nWait for trades to complete or use `/propose` to trigger one.',
       ephemeral: true,
     })
     return
@@ -75,15 +117,85 @@ export async function handleHistory(interaction) {
     const dateSource = trade.resolved_at || trade.executed_at
     const date = dateSource ? new Date(dateSource).toLocaleDateString() : 'Unknown'
 
-    return `${emoji} ${trade.asset} ${trade.executed_position} → ${pnlStr} (${date})`
+    return `${emoji} #${trade.id} ${trade.asset} ${trade.executed_position} → ${pnlStr} (${date})`
   })
 
   await interaction.reply({
     content: [
-      `📜 **Recent Trades**`,
+      paper ? `📝 **Recent Paper Trades**` : `📜 **Recent Trades**`,
       ``,
       ...historyLines,
     ].join('\n'),
     ephemeral: true,
   })
 }
+
+function formatUsd(value) {
+  return value >= 0 ? `+$${value.toFixed(2)}` : `-$${Math.abs(value).toFixed(2)}`
+}
+
+function describeTradeEvent({ event, data }) {
+  const d = data || {}
+  switch (event) {
+    case 'proposed':
+      return `Proposed ${d.asset}${d.series ? ` ${d.series}` : ''} at $${Number(d.current_price).toLocaleString()}${d.schedule ? ` (${d.schedule} schedule)` : ''}`
+    case 'vote_snapshot': {
+      const corrected = d.reconciled ? d.reconciled.missing + d.reconciled.stale + d.reconciled.switched : 0
+      return `Votes locked: ${d.up} UP · ${d.down} DOWN${corrected > 0 ? ` (${corrected} corrected from reactions)` : ''}`
+    }
+    case 'order_placed':
+      if (d.side === 'SELL') {
+        return `Sell placed${d.paper ? ' (simulated)' : ''}: ${Number(d.shares).toFixed(2)} shares @ min $${Number(d.limit_price).toFixed(2)}`
+      }
+      return `Order placed${d.paper ? ' (simulated)' : ''}: $${Number(d.size_usd).toFixed(2)} @ limit $${Number(d.limit_price).toFixed(2)}`
+    case 'partial_fill':
+      return `Partial fill: ${Number(d.shares_filled).toFixed(2)} shares for $${Number(d.total_cost).toFixed(2)}`
+    case 'executed':
+      return `Executed ${d.position}: ${Number(d.shares_filled).toFixed(2)} shares @ $${Number(d.avg_fill_price).toFixed(4)}${d.recovered ? ' (recovered at startup)' : ''}`
+    case 'exited':
+      return `Exited early (${formatExitReason(d.reason)}): ${Number(d.shares_sold).toFixed(2)} shares @ $${Number(d.avg_price).toFixed(4)} → ${formatUsd(Number(d.realized_pnl) || 0)}`
+    case 'exit_interrupted':
+      return `Early exit interrupted: ${d.reason}`
+    case 'flagged':
+      return `Flagged for review: ${d.reason}`
+    case 'cancelled':
+      return `Cancelled: ${d.reason}`
+    case 'resolved':
+      return `Resolved ${d.outcome} → ${formatUsd(Number(d.pnl) || 0)}`
+    case 'redeemed':
+      return d.tx_hash ? `Redeemed ([tx](https://polygonscan.com/tx/${d.tx_hash}))` : 'Redeemed (nothing to claim)'
+    default:
+      return event
+  }
+}
+
+export async function handleRound(interaction) {
+  const id = interaction.options.getInteger('id')
+  const trade = trades.getById(id)
+  const guildId = getPoolGuildId(interaction.guildId)
+
+  // Rounds from other guilds' pools stay private to them
+  if (!trade || (guildId && trade.guild_id !== guildId)) {
+    await interaction.reply({
+      content: `**Not found**\n\nNo round #${id}.`,
+      ephemeral: true,
+    })
+    return
+  }
+
+  const timezone = CONFIG.scheduling.timezone
+  const events = tradeEvents.getByTrade(id)
+  const timeline = events.length > 0
+    ? events.map(e => `\`${formatDateTimeInTimezone(new Date(e.created_at), timezone)}\` ${describeTradeEvent(e)}`)
+    : ['_No events recorded for this round_']
+
+  await interaction.reply({
+    content: [
+      `${trade.is_paper ? '📝 ' : ''}🧾 **Round #${trade.id} · ${trade.asset}** · ${trade.status}`,
+      trade.snapshot_report ? `🗳️ Snapshot: ${formatSnapshotReport(JSON.parse(trade.snapshot_report))}` : null,
+      ``,
+      ...timeline,
+    ].filter(line => line !== null).join('\n'),
+    ephemeral: true,
+  })
+}
@@ -1,4 +1,5 @@
 import { users } from '../../database/index.js'
+import { getPoolGuildId } from '../../services/guilds.js'
 
 export async function handleMyStats(interaction) {
   const user = users.get(interaction.user.id)
@@ -11,7 +12,8 @@ export async function handleMyStats(interaction) {
     return
   }
 
-  const stats = users.getStats(user.discord_id)
+  // Accuracy and earnings are per guild; streaks and reputation weight follow the user across guilds
+  const stats = users.getStats(user.discord_id, getPoolGuildId(interaction.guildId))
 
   const accuracy = stats.totalPredictions > 0
     ? ((stats.correctPredictions / stats.totalPredictions) * 100).toFixed(1)
@@ -39,7 +41,7 @@ export async function handleMyStats(interaction) {
 }
 
 export async function handleLeaderboard(interaction) {
-  const topUsers = users.getTopPredictors(10)
+  const topUsers = users.getTopPredictors(10, getPoolGuildId(interaction.guildId))
 
   if (topUsers.length === 0) {
     await interaction.reply({
@@ -1,15 +1,21 @@
 import { trades, predictions, users } from '../database/index.js'
-import { CONFIG } from '../config/index.js'
+import { getHolderRoleId } from '../services/guilds.js'
 
 const UP_EMOJI = '🟢'
 const DOWN_EMOJI = '🔴'
 
-export async function handleReaction(reaction, discordUser, _action) {
+export async function handleReaction(reaction, discordUser, action) {
   const emoji = reaction.emoji.name
   const messageId = reaction.message.id
 
   const trade = trades.getByMessageId(messageId)
-  if (!trade) return
+  // Button rounds take their votes from the buttons; reactions on them are just reactions
+  if (!trade || trade.vote_mode === 'buttons') return
+
+  if (action === 'remove') {
+    removeReactionVote(trade, reaction, discordUser)
+    return
+  }
 
   const guild = reaction.message.guild
   if (!guild) return
@@ -17,7 +23,7 @@ export async function handleReaction(reaction, discordUser, _action) {
   const member = await guild.members.fetch(discordUser.id).catch(() => null)
   if (!member) return
 
-  const holderRoleId = CONFIG.discord.holder_role_id
+  const holderRoleId = getHolderRoleId(trade.guild_id)
   if (holderRoleId && !member.roles.cache.has(holderRoleId)) {
     return
   }
@@ -55,6 +61,80 @@ export async function handleReaction(reaction, discordUser, _action) {
   }
 }
 
+function getEmojiSide(emoji) {
+  if (emoji === UP_EMOJI) return 'UP'
+  if (emoji === DOWN_EMOJI) return 'DOWN'
+  return null
+}
+
+/**
+ * A removed reaction withdraws the vote it cast, or switches it if the user still holds the other reaction.
+ * Removing the reaction handleReaction takes off after a switch leaves the newer vote alone.
+ * Eligibility isn't rechecked: a voter who lost the role or left can still take their vote back.
+ */
+function removeReactionVote(trade, reaction, discordUser) {
+  const side = getEmojiSide(reaction.emoji.name)
+  if (trade.status !== 'voting' || !side) return
+
+  const existing = predictions.get(discordUser.id, trade.id)
+  if (!existing || existing.snapshot_at || existing.prediction !== side) return
+
+  const oppositeEmoji = side === 'UP' ? DOWN_EMOJI : UP_EMOJI
+  const oppositeReaction = reaction.message.reactions.cache.find(r => r.emoji.name === oppositeEmoji)
+  if (oppositeReaction?.users.cache.has(discordUser.id)) {
+    predictions.upsert(discordUser.id, trade.id, getEmojiSide(oppositeEmoji))
+    console.log(`[Vote] ${discordUser.username} switched to ${getEmojiSide(oppositeEmoji)} on trade ${trade.id}`)
+    return
+  }
+
+  predictions.deleteLive(discordUser.id, trade.id)
+  console.log(`[Vote] ${discordUser.username} withdrew their ${side} vote on trade ${trade.id}`)
+}
+
+/**
+ * A moderator cleared reactions from a proposal: every vote from the cleared emoji (or all of them) is withdrawn
+ * @param {object} message - The proposal message
+ * @param {string|null} emoji - The emoji removed, or null when every reaction was cleared
+ */
+export function handleReactionsCleared(message, emoji = null) {
+  const trade = trades.getByMessageId(message.id)
+  if (!trade || trade.vote_mode === 'buttons' || trade.status !== 'voting') return
+
+  if (emoji === null) {
+    predictions.deleteNonSnapshotted(trade.id)
+    console.log(`[Vote] Reactions cleared on trade ${trade.id}, live votes withdrawn`)
+    return
+  }
+
+  const side = getEmojiSide(emoji)
+  if (!side) return
+  predictions.deleteLiveForSide(trade.id, side)
+  console.log(`[Vote] ${emoji} reactions cleared on trade ${trade.id}, live ${side} votes withdrawn`)
+}
+
+/**
+ * Compare recorded votes with the reactions actually on the proposal
+ * @param {Map<string, string>} recorded - user id → side from predictions
+ * @param {Map<string, string>} reacted - user id → side from eligible reactions
+ * @returns {{ missing: string[], stale: string[], switched: string[] }} user ids reacting without a recorded vote,
+ *   recorded without a reaction, and recorded on the other side
+ */
+export function compareReactionVotes(recorded, reacted) {
+  const missing = []
+  const stale = []
+  const switched = []
+
+  for (const [userId, side] of reacted) {
+    if (!recorded.has(userId)) missing.push(userId)
+    else if (recorded.get(userId) !== side) switched.push(userId)
+  }
+  for (const userId of recorded.keys()) {
+    if (!reacted.has(userId)) stale.push(userId)
+  }
+
+  return { missing, stale, switched }
+}
+
 export function getVoteEmojis() {
   return { up: UP_EMOJI, down: DOWN_EMOJI }
 }
@@ -25,11 +25,6 @@ function validateConfig(config) {
   const requiredPaths = [
     ['discord', 'trading_channel_id'],
     ['scheduling', 'timezone'],
-    ['scheduling', 'morning_trade_time'],
-    ['scheduling', 'morning_blackout_minutes'],
-    ['scheduling', 'trade_hours_start'],
-    ['scheduling', 'trade_hours_end'],
-    ['scheduling', 'interval_variance_minutes'],
     ['scheduling', 'min_gap_minutes'],
     ['trading', 'voting_window_seconds'],
     ['trading', 'min_votes'],
@@ -5,6 +5,10 @@ import { env } from '../config/index.js'
 
 let db = null
 
+// Trades that hold an asset slot: 'executing' has an order in flight, 'review' awaits an admin after startup recovery,
+// 'exiting' has an early-exit sell in flight and 'exited' sold early but still waits for the market to resolve
+const OPEN_TRADE_STATUSES = `'voting', 'executing', 'executed', 'exiting', 'exited', 'review'`
+
 function getUtcTimestamp() {
   return new Date().toISOString()
 }
@@ -16,6 +20,11 @@ function normalizeTimestamp(value) {
   return value
 }
 
+// Binds `(? = 0 OR guild_id IS ?)`: undefined matches every guild, null only rows from before guilds were configured
+function guildScope(guildId) {
+  return [guildId === undefined ? 0 : 1, guildId ?? null]
+}
+
 export function getDb() {
   if (!db) {
     const dbPath = env.DATABASE_PATH
@@ -32,6 +41,13 @@ export function getDb() {
   return db
 }
 
+function ensureColumn(database, table, column, definition) {
+  const columns = database.prepare(`PRAGMA table_info(${table})`).all()
+  if (!columns.some(c => c.name === column)) {
+    database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+  }
+}
+
 export function initializeDatabase() {
   const database = getDb()
 
@@ -45,8 +61,20 @@ export function initializeDatabase() {
       best_streak INTEGER NOT NULL DEFAULT 0
     );
 
+    CREATE TABLE IF NOT EXISTS guilds (
+      guild_id TEXT PRIMARY KEY NOT NULL,
+      trading_channel_id TEXT NOT NULL,
+      holder_role_id TEXT,
+      admin_role_id TEXT,
+      schedule TEXT,
+      is_primary INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT (STRFTIME('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TIMESTAMP
+    );
+
     CREATE TABLE IF NOT EXISTS settlements (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
       status TEXT NOT NULL DEFAULT 'pending',
       triggered_at TIMESTAMP NOT NULL DEFAULT (STRFTIME('%Y-%m-%dT%H:%M:%fZ', 'now')),
       error_message TEXT
@@ -55,12 +83,32 @@ export function initializeDatabase() {
     CREATE TABLE IF NOT EXISTS trades (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       settlement_id INTEGER REFERENCES settlements(id),
+      guild_id TEXT,
       asset TEXT NOT NULL,
       polymarket_market_id TEXT NOT NULL,
+      market_series TEXT,
+      vote_mode TEXT,
+      snapshot_report TEXT,
       proposal_message_id TEXT,
       clob_order_id TEXT,
       executed_position TEXT,
+      is_paper INTEGER NOT NULL DEFAULT 0,
+      shares_filled REAL,
+      total_cost REAL,
+      avg_fill_price REAL,
+      token_id TEXT,
+      review_reason TEXT,
+      cancel_reason TEXT,
+      cancelled_at TIMESTAMP,
+      analysis_direction TEXT,
+      analysis_confidence REAL,
+      exit_reason TEXT,
+      exit_shares REAL,
+      exit_price REAL,
+      exit_proceeds REAL,
+      exited_at TIMESTAMP,
       pnl REAL,
+      redemption_pending INTEGER NOT NULL DEFAULT 0,
       resolution_time TIMESTAMP,
       voting_ends_at TIMESTAMP NOT NULL,
       status TEXT NOT NULL DEFAULT 'voting',
@@ -78,6 +126,14 @@ export function initializeDatabase() {
       UNIQUE(user_id, trade_id)
     );
 
+    CREATE TABLE IF NOT EXISTS trade_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id INTEGER NOT NULL REFERENCES trades(id),
+      event TEXT NOT NULL,
+      data TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT (STRFTIME('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+
     CREATE TABLE IF NOT EXISTS payouts (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id TEXT NOT NULL REFERENCES users(discord_id),
@@ -92,24 +148,118 @@ export function initializeDatabase() {
       error_message TEXT
     );
 
+    CREATE TABLE IF NOT EXISTS candles (
+      asset TEXT NOT NULL,
+      interval TEXT NOT NULL,
+      open_time INTEGER NOT NULL,
+      open REAL NOT NULL,
+      high REAL NOT NULL,
+      low REAL NOT NULL,
+      close REAL NOT NULL,
+      volume REAL NOT NULL,
+      close_time INTEGER NOT NULL,
+      PRIMARY KEY (asset, interval, open_time)
+    );
+
     CREATE TABLE IF NOT EXISTS runtime_state (
       id INTEGER PRIMARY KEY CHECK (id = 1),
       emergency_stopped INTEGER NOT NULL DEFAULT 0,
-      last_morning_trade_date TEXT NOT NULL DEFAULT '1970-01-01',
-      next_hourly_trade_at TEXT NOT NULL DEFAULT '1970-01-01T00:00:00.000Z',
-      last_weekly_payout_date TEXT NOT NULL DEFAULT '1970-01-01'
+      last_weekly_payout_date TEXT NOT NULL DEFAULT '1970-01-01',
+      risk_pause_reason TEXT,
+      risk_paused_at TIMESTAMP,
+      risk_resume_at TIMESTAMP,
+      risk_resumed_at TIMESTAMP,
+      risk_peak_equity REAL,
+      risk_paper_pause_reason TEXT,
+      risk_paper_paused_at TIMESTAMP,
+      risk_paper_resume_at TIMESTAMP,
+      risk_paper_resumed_at TIMESTAMP,
+      risk_paper_peak_equity REAL
+    );
+
+    CREATE TABLE IF NOT EXISTS blackouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      starts_at TIMESTAMP NOT NULL,
+      ends_at TIMESTAMP NOT NULL,
+      reason TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT (STRFTIME('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL DEFAULT '{}',
+      run_at TIMESTAMP NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      dedupe_key TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT (STRFTIME('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS schedule_state (
+      name TEXT PRIMARY KEY,
+      cron TEXT NOT NULL,
+      next_slot_at TEXT NOT NULL,
+      next_run_at TEXT NOT NULL,
+      last_run_at TEXT
     );
+  `)
+
+  // Columns added after the initial schema; CREATE TABLE IF NOT EXISTS won't add them to existing databases
+  ensureColumn(database, 'trades', 'is_paper', 'INTEGER NOT NULL DEFAULT 0')
+  ensureColumn(database, 'trades', 'shares_filled', 'REAL')
+  ensureColumn(database, 'trades', 'total_cost', 'REAL')
+  ensureColumn(database, 'trades', 'avg_fill_price', 'REAL')
+  ensureColumn(database, 'trades', 'token_id', 'TEXT')
+  ensureColumn(database, 'trades', 'review_reason', 'TEXT')
+  ensureColumn(database, 'trades', 'cancel_reason', 'TEXT')
+  ensureColumn(database, 'trades', 'cancelled_at', 'TIMESTAMP')
+  ensureColumn(database, 'trades', 'analysis_direction', 'TEXT')
+  ensureColumn(database, 'trades', 'analysis_confidence', 'REAL')
+  ensureColumn(database, 'trades', 'market_series', 'TEXT')
+  ensureColumn(database, 'trades', 'exit_reason', 'TEXT')
+  ensureColumn(database, 'trades', 'exit_shares', 'REAL')
+  ensureColumn(database, 'trades', 'exit_price', 'REAL')
+  ensureColumn(database, 'trades', 'exit_proceeds', 'REAL')
+  ensureColumn(database, 'trades', 'exited_at', 'TIMESTAMP')
+  ensureColumn(database, 'trades', 'vote_mode', 'TEXT')
+  ensureColumn(database, 'trades', 'snapshot_report', 'TEXT')
+  ensureColumn(database, 'trades', 'guild_id', 'TEXT')
+  ensureColumn(database, 'trades', 'redemption_pending', 'INTEGER NOT NULL DEFAULT 0')
+  ensureColumn(database, 'settlements', 'guild_id', 'TEXT')
+  ensureColumn(database, 'guilds', 'is_primary', 'INTEGER NOT NULL DEFAULT 0')
+  ensureColumn(database, 'runtime_state', 'risk_pause_reason', 'TEXT')
+  ensureColumn(database, 'runtime_state', 'risk_paused_at', 'TIMESTAMP')
+  ensureColumn(database, 'runtime_state', 'risk_resume_at', 'TIMESTAMP')
+  ensureColumn(database, 'runtime_state', 'risk_resumed_at', 'TIMESTAMP')
+  ensureColumn(database, 'runtime_state', 'risk_peak_equity', 'REAL')
+  ensureColumn(database, 'runtime_state', 'risk_paper_peak_equity', 'REAL')
+  ensureColumn(database, 'runtime_state', 'risk_paper_pause_reason', 'TEXT')
+  ensureColumn(database, 'runtime_state', 'risk_paper_paused_at', 'TIMESTAMP')
+  ensureColumn(database, 'runtime_state', 'risk_paper_resume_at', 'TIMESTAMP')
+  ensureColumn(database, 'runtime_state', 'risk_paper_resumed_at', 'TIMESTAMP')
 
+  database.exec(`
     CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
     CREATE INDEX IF NOT EXISTS idx_trades_settlement_id ON trades(settlement_id);
     CREATE INDEX IF NOT EXISTS idx_trades_resolved_at ON trades(resolved_at);
     CREATE INDEX IF NOT EXISTS idx_trades_clob_order_id ON trades(clob_order_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_is_paper ON trades(is_paper);
+    CREATE INDEX IF NOT EXISTS idx_trades_guild_id ON trades(guild_id);
+    CREATE INDEX IF NOT EXISTS idx_trade_events_trade_id ON trade_events(trade_id);
+    CREATE INDEX IF NOT EXISTS idx_trade_events_event ON trade_events(event);
     CREATE INDEX IF NOT EXISTS idx_predictions_user_id ON predictions(user_id);
     CREATE INDEX IF NOT EXISTS idx_predictions_trade_id ON predictions(trade_id);
     CREATE INDEX IF NOT EXISTS idx_payouts_user_id ON payouts(user_id);
     CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status);
     CREATE INDEX IF NOT EXISTS idx_payouts_settlement_id ON payouts(settlement_id);
     CREATE INDEX IF NOT EXISTS idx_settlements_status ON settlements(status);
+    CREATE INDEX IF NOT EXISTS idx_blackouts_ends_at ON blackouts(ends_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_key_active ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running');
     CREATE UNIQUE INDEX IF NOT EXISTS idx_users_wallet_address_ci ON users(LOWER(wallet_address)) WHERE wallet_address IS NOT NULL;
 
     INSERT OR IGNORE INTO runtime_state (id, emergency_stopped) VALUES (1, 0);
@@ -170,20 +320,26 @@ export const users = {
       .run(current, best, discordId)
   },
 
-  getStats(discordId) {
+  /**
+   * Prediction and payout totals, for one guild's rounds or across every guild when guildId is undefined
+   */
+  getStats(discordId, guildId) {
     const predStats = getDb().prepare(`
       SELECT
         COUNT(*) as total_predictions,
-        COUNT(CASE WHEN was_correct = 1 THEN 1 END) as correct_predictions
-      FROM predictions
-      WHERE user_id = ? AND snapshot_at IS NOT NULL
-    `).get(discordId)
+        COUNT(CASE WHEN p.was_correct = 1 THEN 1 END) as correct_predictions
+      FROM predictions p
+      JOIN trades t ON t.id = p.trade_id
+      WHERE p.user_id = ? AND p.snapshot_at IS NOT NULL AND t.is_paper = 0 AND t.status != 'cancelled'
+        AND (? = 0 OR t.guild_id IS ?)
+    `).get(discordId, ...guildScope(guildId))
 
     const earnedStats = getDb().prepare(`
-      SELECT COALESCE(SUM(amount), 0) as total_earned
-      FROM payouts
-      WHERE user_id = ? AND status = 'sent'
-    `).get(discordId)
+      SELECT COALESCE(SUM(p.amount), 0) as total_earned
+      FROM payouts p
+      LEFT JOIN settlements s ON s.id = p.settlement_id
+      WHERE p.user_id = ? AND p.status = 'sent' AND (? = 0 OR s.guild_id IS ?)
+    `).get(discordId, ...guildScope(guildId))
 
     return {
       totalPredictions: predStats?.total_predictions || 0,
@@ -192,14 +348,17 @@ export const users = {
     }
   },
 
-  getTopPredictors(limit = 10) {
+  // Leaderboard for one guild's rounds, or across every guild when guildId is undefined
+  getTopPredictors(limit = 10, guildId) {
     const stmt = getDb().prepare(`
       SELECT u.*,
              COUNT(CASE WHEN p.was_correct = 1 THEN 1 END) as correct_predictions,
              COUNT(*) as total_predictions
       FROM users u
       JOIN predictions p ON u.discord_id = p.user_id
-      WHERE p.snapshot_at IS NOT NULL
+      JOIN trades t ON t.id = p.trade_id
+      WHERE p.snapshot_at IS NOT NULL AND t.is_paper = 0 AND t.status != 'cancelled'
+        AND (? = 0 OR t.guild_id IS ?)
       GROUP BY u.discord_id
       HAVING total_predictions > 0
       ORDER BY
@@ -207,7 +366,7 @@ export const users = {
         total_predictions DESC
       LIMIT ?
     `)
-    return stmt.all(limit)
+    return stmt.all(...guildScope(guildId), limit)
   },
 
   getTopPredictorsForTrades(tradeIds, limit = 3) {
@@ -236,28 +395,43 @@ export const users = {
 
 export const trades = {
   /**
-   * Atomically check for active trade and create new one if none exists.
+   * Atomically check for an active trade on the same asset and the open-round limit,
+   * then create the new trade if both allow it.
    * Prevents race condition where two trades could be created simultaneously.
-   * @returns {object|null} The created trade, or null if an active trade already exists
+   * Both checks, and the unfinished-settlement check, only look at the trade's own guild.
+   * @param {string|null} [params.guild_id] - Guild running the round; null for a single-channel setup
+   * @param {number} [params.max_open_rounds=1] - Maximum open trades (voting through executed) at once
+   * @returns {object|null} The created trade, or null if the asset is busy or the limit is reached
    */
   createIfNoActive(params) {
     const db = getDb()
     const transaction = db.transaction(() => {
-      const active = db.prepare(`
+      // The asset lock spans every guild: all pools trade one wallet, and Polymarket
+      // reports a market's position for the wallet as a whole
+      const activeForAsset = db.prepare(`
         SELECT id FROM trades
-        WHERE status IN ('voting', 'executed')
+        WHERE status IN (${OPEN_TRADE_STATUSES}) AND asset = ?
         LIMIT 1
-      `).get()
+      `).get(params.asset)
 
-      if (active) {
+      if (activeForAsset) {
+        return null
+      }
+
+      const { count: openCount } = db.prepare(`
+        SELECT COUNT(*) as count FROM trades
+        WHERE status IN (${OPEN_TRADE_STATUSES}) AND guild_id IS ?
+      `).get(params.guild_id ?? null)
+
+      if (openCount >= (params.max_open_rounds ?? 1)) {
         return null
       }
 
       const incompleteSettlement = db.prepare(`
         SELECT id FROM settlements
-        WHERE status != 'completed'
+        WHERE status != 'completed' AND guild_id IS ?
         LIMIT 1
-      `).get()
+      `).get(params.guild_id ?? null)
 
       if (incompleteSettlement) {
         return null
@@ -265,38 +439,78 @@ export const trades = {
 
       return db.prepare(`
         INSERT INTO trades (
-          asset, polymarket_market_id, resolution_time, voting_ends_at
+          guild_id, asset, polymarket_market_id, market_series, vote_mode, resolution_time, voting_ends_at, is_paper,
+          analysis_direction, analysis_confidence
         )
-        VALUES (?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         RETURNING *
       `).get(
+        params.guild_id ?? null,
         params.asset,
         params.polymarket_market_id || null,
+        params.market_series || null,
+        params.vote_mode || null,
         normalizeTimestamp(params.resolution_time),
-        normalizeTimestamp(params.voting_ends_at)
+        normalizeTimestamp(params.voting_ends_at),
+        params.is_paper ? 1 : 0,
+        params.analysis_direction || null,
+        params.analysis_confidence ?? null
       )
     })
 
     return transaction()
   },
 
-  getActive() {
+  // Open trades in one guild, or in every guild when guildId is undefined
+  getOpen(guildId) {
     const stmt = getDb().prepare(`
       SELECT * FROM trades
-      WHERE status IN ('voting', 'executed')
-      LIMIT 1
+      WHERE status IN (${OPEN_TRADE_STATUSES}) AND (? = 0 OR guild_id IS ?)
+      ORDER BY id ASC
     `)
-    return stmt.get()
+    return stmt.all(...guildScope(guildId))
+  },
+
+  /**
+   * Cost of positions that haven't resolved yet, in one guild or in every guild when guildId is undefined.
+   * A position mid-sell still counts in full; after an early exit only the shares still held count.
+   */
+  getOpenExposure(paper = false, guildId) {
+    const result = getDb().prepare(`
+      SELECT COALESCE(SUM(
+        CASE WHEN status = 'exited'
+          THEN total_cost * MAX(0, shares_filled - COALESCE(exit_shares, 0)) / NULLIF(shares_filled, 0)
+          ELSE total_cost
+        END
+      ), 0) as total
+      FROM trades
+      WHERE status IN ('executed', 'exiting', 'exited') AND is_paper = ? AND (? = 0 OR guild_id IS ?)
+    `).get(paper ? 1 : 0, ...guildScope(guildId))
+    return result?.total || 0
   },
 
-  getLastResolved() {
+  /**
+   * Realized P&L of early exits on positions that haven't resolved yet; resolution folds it into pnl
+   */
+  getUnresolvedExitPnl(paper = false, guildId) {
+    const result = getDb().prepare(`
+      SELECT COALESCE(SUM(
+        COALESCE(exit_proceeds, 0) - total_cost * COALESCE(exit_shares, 0) / NULLIF(shares_filled, 0)
+      ), 0) as total
+      FROM trades
+      WHERE status = 'exited' AND is_paper = ? AND (? = 0 OR guild_id IS ?)
+    `).get(paper ? 1 : 0, ...guildScope(guildId))
+    return result?.total || 0
+  },
+
+  getLastResolved(guildId) {
     const stmt = getDb().prepare(`
       SELECT * FROM trades
-      WHERE status = 'resolved'
+      WHERE status = 'resolved' AND (? = 0 OR guild_id IS ?)
       ORDER BY resolved_at DESC
       LIMIT 1
     `)
-    return stmt.get()
+    return stmt.get(...guildScope(guildId))
   },
 
   getById(id) {
@@ -314,6 +528,14 @@ export const trades = {
       .run(messageId, id)
   },
 
+  /**
+   * Who the close-time reaction snapshot counted and skipped, stored as JSON
+   */
+  updateSnapshotReport(id, report) {
+    getDb().prepare('UPDATE trades SET snapshot_report = ? WHERE id = ?')
+      .run(JSON.stringify(report), id)
+  },
+
   updateStatus(id, status) {
     getDb().prepare('UPDATE trades SET status = ? WHERE id = ?')
       .run(status, id)
@@ -327,19 +549,79 @@ export const trades = {
     `).all()
   },
 
+  /**
+   * Claim a voting trade for execution before the order is sent
+   * @returns {boolean} false if the trade already left 'voting'
+   */
+  markExecuting(id, position, tokenId) {
+    const result = getDb().prepare(`
+      UPDATE trades SET status = 'executing', executed_position = ?, token_id = ?
+      WHERE id = ? AND status = 'voting'
+    `).run(position, tokenId, id)
+    return result.changes > 0
+  },
+
+  // Claims an executed position for an early-exit sell; false if another tick already has it
+  markExiting(id) {
+    const result = getDb().prepare(`
+      UPDATE trades SET status = 'exiting' WHERE id = ? AND status = 'executed'
+    `).run(id)
+    return result.changes > 0
+  },
+
+  // The sell did not go through, so the position is held again
+  revertExiting(id) {
+    getDb().prepare(`
+      UPDATE trades SET status = 'executed' WHERE id = ? AND status = 'exiting'
+    `).run(id)
+  },
+
+  recordExit(id, { reason, shares, price, proceeds }) {
+    getDb().prepare(`
+      UPDATE trades SET
+        status = 'exited',
+        exit_reason = ?,
+        exit_shares = ?,
+        exit_price = ?,
+        exit_proceeds = ?,
+        exited_at = ?
+      WHERE id = ? AND status = 'exiting'
+    `).run(reason, shares, price, proceeds, getUtcTimestamp(), id)
+  },
+
+  flagForReview(id, reason) {
+    getDb().prepare(`
+      UPDATE trades SET status = 'review', review_reason = ? WHERE id = ?
+    `).run(reason, id)
+  },
+
+  getByStatus(status) {
+    return getDb().prepare('SELECT * FROM trades WHERE status = ? ORDER BY id ASC').all(status)
+  },
+
   updateOrderId(id, orderId) {
     getDb().prepare('UPDATE trades SET clob_order_id = ? WHERE id = ?')
       .run(orderId, id)
   },
 
-  execute(id, position) {
+  execute(id, position, fill = {}) {
     getDb().prepare(`
       UPDATE trades SET
         executed_position = ?,
+        shares_filled = ?,
+        total_cost = ?,
+        avg_fill_price = ?,
         status = 'executed',
         executed_at = ?
       WHERE id = ?
-    `).run(position, getUtcTimestamp(), id)
+    `).run(
+      position,
+      fill.sharesFilled ?? null,
+      fill.totalCost ?? null,
+      fill.avgFillPrice ?? null,
+      getUtcTimestamp(),
+      id
+    )
   },
 
   resolve(id, pnl) {
@@ -352,14 +634,22 @@ export const trades = {
     `).run(pnl, getUtcTimestamp(), id)
   },
 
-  getRecentResolved(limit = 20) {
+  /**
+   * Flag a round whose winnings are still on chain. Its profit stays out of payouts until
+   * the redeem job succeeds and clears the flag.
+   */
+  setRedemptionPending(id, pending) {
+    getDb().prepare('UPDATE trades SET redemption_pending = ? WHERE id = ?').run(pending ? 1 : 0, id)
+  },
+
+  getRecentResolved(limit = 20, paper = false, guildId) {
     const stmt = getDb().prepare(`
       SELECT * FROM trades
-      WHERE status = 'resolved'
+      WHERE status = 'resolved' AND is_paper = ? AND (? = 0 OR guild_id IS ?)
       ORDER BY resolved_at DESC
       LIMIT ?
     `)
-    return stmt.all(limit)
+    return stmt.all(paper ? 1 : 0, ...guildScope(guildId), limit)
   },
 
   getAllExecuted() {
@@ -371,41 +661,80 @@ export const trades = {
     return stmt.all()
   },
 
-  getReadyForResolution() {
+  getReadyForResolution(now = new Date()) {
     const stmt = getDb().prepare(`
       SELECT * FROM trades
-      WHERE status = 'executed'
+      WHERE status IN ('executed', 'exited')
         AND resolution_time IS NOT NULL
-        AND datetime(resolution_time) <= datetime('now')
+        AND datetime(resolution_time) <= datetime(?)
       ORDER BY resolution_time ASC
     `)
-    return stmt.all()
+    return stmt.all(normalizeTimestamp(now))
   },
 
-  getUnsettledPnl() {
+  // Unredeemed winnings aren't in the wallet yet, so those rounds wait for a later payout
+  getUnsettledPnl(guildId) {
     const result = getDb().prepare(`
       SELECT COALESCE(SUM(pnl), 0) as total
       FROM trades
-      WHERE status = 'resolved' AND settlement_id IS NULL
-    `).get()
+      WHERE status = 'resolved' AND settlement_id IS NULL AND is_paper = 0
+        AND (redemption_pending = 0 OR pnl <= 0) AND (? = 0 OR guild_id IS ?)
+    `).get(...guildScope(guildId))
     return result?.total || 0
   },
 
-  getTotalPnl() {
+  getTotalPnl(paper = false, guildId) {
     const result = getDb().prepare(`
       SELECT COALESCE(SUM(pnl), 0) as total
       FROM trades
-      WHERE status = 'resolved'
-    `).get()
+      WHERE status = 'resolved' AND is_paper = ? AND (? = 0 OR guild_id IS ?)
+    `).get(paper ? 1 : 0, ...guildScope(guildId))
+    return result?.total || 0
+  },
+
+  /**
+   * Cost of positions opened at or after since, optionally for one asset
+   */
+  getExecutedNotionalSince(since, paper = false, asset = null) {
+    const result = getDb().prepare(`
+      SELECT COALESCE(SUM(total_cost), 0) as total
+      FROM trades
+      WHERE executed_at >= ? AND is_paper = ? AND (? IS NULL OR asset = ?)
+    `).get(normalizeTimestamp(since), paper ? 1 : 0, asset, asset)
     return result?.total || 0
   },
 
-  getUnsettledTrades() {
+  /**
+   * Realized P&L of rounds resolved at or after since
+   */
+  getRealizedPnlSince(since, paper = false) {
+    const result = getDb().prepare(`
+      SELECT COALESCE(SUM(pnl), 0) as total
+      FROM trades
+      WHERE status = 'resolved' AND is_paper = ? AND resolved_at >= ?
+    `).get(paper ? 1 : 0, normalizeTimestamp(since))
+    return result?.total || 0
+  },
+
+  getUnsettledTrades(guildId) {
     return getDb().prepare(`
       SELECT * FROM trades
-      WHERE status = 'resolved' AND settlement_id IS NULL
+      WHERE status = 'resolved' AND settlement_id IS NULL AND is_paper = 0
+        AND (redemption_pending = 0 OR pnl <= 0) AND (? = 0 OR guild_id IS ?)
       ORDER BY resolved_at ASC
-    `).all()
+    `).all(...guildScope(guildId))
+  },
+
+  /**
+   * Hand trades and settlements from before guilds were configured to the guild that ran them
+   * @returns {number} trades reassigned
+   */
+  assignUnscopedToGuild(guildId) {
+    const db = getDb()
+    return db.transaction(() => {
+      db.prepare('UPDATE settlements SET guild_id = ? WHERE guild_id IS NULL').run(guildId)
+      return db.prepare('UPDATE trades SET guild_id = ? WHERE guild_id IS NULL').run(guildId).changes
+    })()
   },
 
   linkToSettlement(tradeIds, settlementId) {
@@ -417,11 +746,22 @@ export const trades = {
     `).run(settlementId, ...tradeIds)
   },
 
-  deleteTrade(id) {
+  /**
+   * Cancel an open trade, keeping the row and its votes for the timeline.
+   * Records the 'cancelled' event in the same transaction.
+   * @returns {boolean} false if the trade was not open
+   */
+  cancel(id, reason) {
     const db = getDb()
-    db.transaction(() => {
-      db.prepare('DELETE FROM predictions WHERE trade_id = ?').run(id)
-      db.prepare('DELETE FROM trades WHERE id = ?').run(id)
+    return db.transaction(() => {
+      const result = db.prepare(`
+        UPDATE trades SET status = 'cancelled', cancel_reason = ?, cancelled_at = ?
+        WHERE id = ? AND status IN (${OPEN_TRADE_STATUSES})
+      `).run(reason, getUtcTimestamp(), id)
+      if (result.changes === 0) return false
+
+      tradeEvents.record(id, 'cancelled', { reason })
+      return true
     })()
   },
 }
@@ -450,6 +790,17 @@ export const predictions = {
     return stmt.get(userId, tradeId, prediction, snapshotAt)
   },
 
+  get(userId, tradeId) {
+    return getDb().prepare('SELECT * FROM predictions WHERE user_id = ? AND trade_id = ?').get(userId, tradeId)
+  },
+
+  /**
+   * Lock in every vote cast so far. Button votes are written here as they happen, so they need no reaction snapshot.
+   */
+  snapshotAll(tradeId, snapshotAt) {
+    getDb().prepare('UPDATE predictions SET snapshot_at = ? WHERE trade_id = ? AND snapshot_at IS NULL').run(snapshotAt, tradeId)
+  },
+
   getVoteCounts(tradeId) {
     const result = getDb().prepare(`
       SELECT
@@ -461,6 +812,51 @@ export const predictions = {
     return { up: result?.up || 0, down: result?.down || 0 }
   },
 
+  /**
+   * Snapshotted votes with the voter's current reputation weight
+   */
+  getSnapshottedWithWeights(tradeId) {
+    return getDb().prepare(`
+      SELECT p.user_id, p.prediction, u.reputation_weight
+      FROM predictions p
+      JOIN users u ON u.discord_id = p.user_id
+      WHERE p.trade_id = ? AND p.snapshot_at IS NOT NULL
+    `).all(tradeId)
+  },
+
+  /**
+   * Every vote on a round so far, snapshotted or not, with the voter's current reputation weight
+   */
+  getAllWithWeights(tradeId) {
+    return getDb().prepare(`
+      SELECT p.user_id, p.prediction, u.reputation_weight
+      FROM predictions p
+      JOIN users u ON u.discord_id = p.user_id
+      WHERE p.trade_id = ?
+    `).all(tradeId)
+  },
+
+  /**
+   * Correct and total predictions over a user's most recent resolved real rounds
+   */
+  getRecentAccuracy(userId, rounds) {
+    const result = getDb().prepare(`
+      SELECT
+        COUNT(CASE WHEN was_correct = 1 THEN 1 END) as correct,
+        COUNT(*) as total
+      FROM (
+        SELECT p.was_correct
+        FROM predictions p
+        JOIN trades t ON t.id = p.trade_id
+        WHERE p.user_id = ? AND p.snapshot_at IS NOT NULL AND p.was_correct IS NOT NULL
+          AND t.status = 'resolved' AND t.is_paper = 0
+        ORDER BY t.resolved_at DESC
+        LIMIT ?
+      )
+    `).get(userId, rounds)
+    return { correct: result?.correct || 0, total: result?.total || 0 }
+  },
+
   getSnapshottedByTrade(tradeId) {
     const stmt = getDb().prepare('SELECT * FROM predictions WHERE trade_id = ? AND snapshot_at IS NOT NULL')
     return stmt.all(tradeId)
@@ -473,6 +869,18 @@ export const predictions = {
     `).run(correctPosition, tradeId)
   },
 
+  getByTrade(tradeId) {
+    return getDb().prepare('SELECT * FROM predictions WHERE trade_id = ?').all(tradeId)
+  },
+
+  deleteLive(userId, tradeId) {
+    getDb().prepare('DELETE FROM predictions WHERE user_id = ? AND trade_id = ? AND snapshot_at IS NULL').run(userId, tradeId)
+  },
+
+  deleteLiveForSide(tradeId, prediction) {
+    getDb().prepare('DELETE FROM predictions WHERE trade_id = ? AND prediction = ? AND snapshot_at IS NULL').run(tradeId, prediction)
+  },
+
   deleteNonSnapshotted(tradeId) {
     getDb().prepare('DELETE FROM predictions WHERE trade_id = ? AND snapshot_at IS NULL').run(tradeId)
   },
@@ -532,24 +940,25 @@ export const payouts = {
     `).get(getUtcTimestamp(), errorMessage, id)
   },
 
-  getTotalDistributed() {
+  getTotalDistributed(guildId) {
     const result = getDb().prepare(`
-      SELECT COALESCE(SUM(amount), 0) as total
-      FROM payouts
-      WHERE status = 'sent'
-    `).get()
+      SELECT COALESCE(SUM(p.amount), 0) as total
+      FROM payouts p
+      LEFT JOIN settlements s ON s.id = p.settlement_id
+      WHERE p.status = 'sent' AND (? = 0 OR s.guild_id IS ?)
+    `).get(...guildScope(guildId))
     return result?.total || 0
   },
 }
 
 export const settlements = {
-  create() {
+  create(guildId = null) {
     const stmt = getDb().prepare(`
-      INSERT INTO settlements (status, triggered_at)
-      VALUES ('pending', ?)
+      INSERT INTO settlements (guild_id, status, triggered_at)
+      VALUES (?, 'pending', ?)
       RETURNING *
     `)
-    return stmt.get(getUtcTimestamp())
+    return stmt.get(guildId, getUtcTimestamp())
   },
 
   getById(id) {
@@ -564,9 +973,67 @@ export const settlements = {
     `).run(status, errorMessage, id)
   },
 
-  getIncomplete() {
-    const stmt = getDb().prepare("SELECT * FROM settlements WHERE status != 'completed' ORDER BY triggered_at ASC")
-    return stmt.all()
+  // Unfinished settlements in one guild, or in every guild when guildId is undefined
+  getIncomplete(guildId) {
+    const stmt = getDb().prepare(`
+      SELECT * FROM settlements
+      WHERE status != 'completed' AND (? = 0 OR guild_id IS ?)
+      ORDER BY triggered_at ASC
+    `)
+    return stmt.all(...guildScope(guildId))
+  },
+}
+
+// Per-guild pool settings managed with /guild-setup; schedule holds scheduling.entries-style JSON
+export const guilds = {
+  get(guildId) {
+    return getDb().prepare('SELECT * FROM guilds WHERE guild_id = ?').get(guildId)
+  },
+
+  getAll() {
+    return getDb().prepare('SELECT * FROM guilds ORDER BY created_at ASC, guild_id ASC').all()
+  },
+
+  getByChannel(channelId) {
+    return getDb().prepare('SELECT * FROM guilds WHERE trading_channel_id = ?').get(channelId)
+  },
+
+  /**
+   * Create or update a guild's settings. Omitted fields keep their stored value;
+   * pass null to clear a role or go back to the config schedule.
+   */
+  upsert(guildId, { trading_channel_id, holder_role_id, admin_role_id, schedule }) {
+    const existing = this.get(guildId)
+    const row = {
+      trading_channel_id: trading_channel_id ?? existing?.trading_channel_id,
+      holder_role_id: holder_role_id !== undefined ? holder_role_id : existing?.holder_role_id ?? null,
+      admin_role_id: admin_role_id !== undefined ? admin_role_id : existing?.admin_role_id ?? null,
+      schedule: schedule !== undefined ? schedule : existing?.schedule ?? null,
+    }
+    if (!row.trading_channel_id) {
+      throw new Error(`Guild ${guildId} needs a trading channel`)
+    }
+
+    return getDb().prepare(`
+      INSERT INTO guilds (guild_id, trading_channel_id, holder_role_id, admin_role_id, schedule)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(guild_id) DO UPDATE SET
+        trading_channel_id = excluded.trading_channel_id,
+        holder_role_id = excluded.holder_role_id,
+        admin_role_id = excluded.admin_role_id,
+        schedule = excluded.schedule,
+        updated_at = ?
+      RETURNING *
+    `).get(guildId, row.trading_channel_id, row.holder_role_id, row.admin_role_id, row.schedule, getUtcTimestamp())
+  },
+
+  // The guild seeded from discord.trading_channel_id, which owns the wallet-wide controls
+  getPrimary() {
+    return getDb().prepare('SELECT * FROM guilds WHERE is_primary = 1').get()
+  },
+
+  setPrimary(guildId) {
+    getDb().prepare('UPDATE guilds SET is_primary = (guild_id = ?)').run(guildId)
   },
 }
 
@@ -588,21 +1055,252 @@ export const runtimeState = {
     return getDb().prepare('SELECT * FROM runtime_state WHERE id = 1').get()
   },
 
-  setLastMorningTradeDate(dateStr) {
+  // Per-entry state for scheduling.entries, one row per guild and entry (runtime_state is a single row).
+  // cron is stored so a config change replans the entry; last_run_at keeps that replan from repeating a run.
+  getScheduleEntryState(name) {
+    return getDb().prepare('SELECT * FROM schedule_state WHERE name = ?').get(name)
+  },
+
+  setScheduleEntryNextRun(name, cron, slotAt, runAt) {
     getDb().prepare(`
-      UPDATE runtime_state SET last_morning_trade_date = ? WHERE id = 1
-    `).run(dateStr)
+      INSERT INTO schedule_state (name, cron, next_slot_at, next_run_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        cron = excluded.cron,
+        next_slot_at = excluded.next_slot_at,
+        next_run_at = excluded.next_run_at
+    `).run(name, cron, slotAt, runAt)
   },
 
-  setNextHourlyTradeAt(timestamp) {
+  setScheduleEntryLastRun(name, ranAt) {
     getDb().prepare(`
-      UPDATE runtime_state SET next_hourly_trade_at = ? WHERE id = 1
-    `).run(timestamp)
+      UPDATE schedule_state SET last_run_at = ? WHERE name = ?
+    `).run(ranAt, name)
   },
 
-  setLastWeeklyPayoutDate(dateStr) {
+  // Column name predates configurable cadences; holds the date of the last payout slot run
+  setLastPayoutDate(dateStr) {
     getDb().prepare(`
       UPDATE runtime_state SET last_weekly_payout_date = ? WHERE id = 1
     `).run(dateStr)
   },
+
+  // Paper and live trading each pause, resume and track their peak in their own risk_paper_* / risk_* columns
+  getRiskState() {
+    return getDb().prepare(`
+      SELECT risk_pause_reason, risk_paused_at, risk_resume_at, risk_resumed_at, risk_peak_equity,
+        risk_paper_pause_reason, risk_paper_paused_at, risk_paper_resume_at, risk_paper_resumed_at,
+        risk_paper_peak_equity
+      FROM runtime_state WHERE id = 1
+    `).get()
+  },
+
+  // resumeAt is null when only an admin can lift the pause
+  setRiskPause(paper, reason, pausedAt, resumeAt) {
+    const prefix = paper ? 'risk_paper_' : 'risk_'
+    getDb().prepare(`
+      UPDATE runtime_state SET ${prefix}pause_reason = ?, ${prefix}paused_at = ?, ${prefix}resume_at = ? WHERE id = 1
+    `).run(reason, normalizeTimestamp(pausedAt), normalizeTimestamp(resumeAt))
+  },
+
+  // Losses before resumedAt no longer count toward the daily limit, and the drawdown peak restarts
+  clearRiskPause(paper, resumedAt, resetPeak = false) {
+    const prefix = paper ? 'risk_paper_' : 'risk_'
+    getDb().prepare(`
+      UPDATE runtime_state SET
+        ${prefix}pause_reason = NULL,
+        ${prefix}paused_at = NULL,
+        ${prefix}resume_at = NULL,
+        ${prefix}resumed_at = ?,
+        ${prefix}peak_equity = CASE WHEN ? THEN NULL ELSE ${prefix}peak_equity END
+      WHERE id = 1
+    `).run(normalizeTimestamp(resumedAt), resetPeak ? 1 : 0)
+  },
+
+  setRiskPeakEquity(paper, equity) {
+    const column = paper ? 'risk_paper_peak_equity' : 'risk_peak_equity'
+    getDb().prepare(`UPDATE runtime_state SET ${column} = ? WHERE id = 1`).run(equity)
+  },
+}
+
+/**
+ * Append-only lifecycle log per trade: proposed, vote_snapshot, order_placed, partial_fill,
+ * executed, cancelled, flagged, resolved, redeemed. data is a JSON object.
+ */
+export const tradeEvents = {
+  record(tradeId, event, data = null) {
+    getDb().prepare(`
+      INSERT INTO trade_events (trade_id, event, data, created_at)
+      VALUES (?, ?, ?, ?)
+    `).run(tradeId, event, data ? JSON.stringify(data) : null, getUtcTimestamp())
+  },
+
+  // Oldest first, with data parsed
+  getByTrade(tradeId) {
+    const rows = getDb().prepare(`
+      SELECT * FROM trade_events WHERE trade_id = ? ORDER BY id ASC
+    `).all(tradeId)
+    return rows.map(row => ({ ...row, data: row.data ? JSON.parse(row.data) : null }))
+  },
+
+  // Newest first across all trades, optionally one event type
+  getRecent({ event = null, limit = 50 } = {}) {
+    const rows = getDb().prepare(`
+      SELECT * FROM trade_events
+      WHERE (? IS NULL OR event = ?)
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(event, event, limit)
+    return rows.map(row => ({ ...row, data: row.data ? JSON.parse(row.data) : null }))
+  },
+}
+
+// Admin-managed trading calendar blackouts (file-based ones live in services/calendar.js)
+export const blackouts = {
+  create({ starts_at, ends_at, reason, created_by = null }) {
+    const stmt = getDb().prepare(`
+      INSERT INTO blackouts (starts_at, ends_at, reason, created_by)
+      VALUES (?, ?, ?, ?)
+      RETURNING *
+    `)
+    return stmt.get(normalizeTimestamp(starts_at), normalizeTimestamp(ends_at), reason, created_by)
+  },
+
+  // Blackouts that haven't ended yet, soonest first
+  getUpcoming(now = new Date()) {
+    const stmt = getDb().prepare(`
+      SELECT * FROM blackouts
+      WHERE ends_at > ?
+      ORDER BY starts_at ASC
+    `)
+    return stmt.all(normalizeTimestamp(now))
+  },
+
+  remove(id) {
+    const result = getDb().prepare('DELETE FROM blackouts WHERE id = ?').run(id)
+    return result.changes > 0
+  },
+}
+
+// Deferred work drained by the scheduler tick (see services/jobs.js)
+// Status flow: pending -> running -> done | pending (retry) | failed; pending -> cancelled
+export const jobs = {
+  // Returns undefined when a pending or running job already has the same dedupe_key
+  enqueue({ kind, payload = {}, run_at, dedupe_key = null }) {
+    const stmt = getDb().prepare(`
+      INSERT OR IGNORE INTO jobs (kind, payload, run_at, dedupe_key)
+      VALUES (?, ?, ?, ?)
+      RETURNING *
+    `)
+    return stmt.get(kind, JSON.stringify(payload), normalizeTimestamp(run_at), dedupe_key)
+  },
+
+  // Atomically marks due jobs as running so overlapping ticks never run one twice
+  claimDue(now, limit = 10) {
+    const stmt = getDb().prepare(`
+      UPDATE jobs SET status = 'running', updated_at = ?
+      WHERE id IN (
+        SELECT id FROM jobs
+        WHERE status = 'pending' AND run_at <= ?
+        ORDER BY run_at ASC, id ASC
+        LIMIT ?
+      )
+      RETURNING *
+    `)
+    const nowIso = normalizeTimestamp(now)
+    return stmt.all(nowIso, nowIso, limit).sort((a, b) => a.run_at.localeCompare(b.run_at) || a.id - b.id)
+  },
+
+  complete(id) {
+    getDb().prepare(`
+      UPDATE jobs SET status = 'done', updated_at = ? WHERE id = ?
+    `).run(getUtcTimestamp(), id)
+  },
+
+  // Reschedule without counting an attempt (e.g. market not resolved yet)
+  reschedule(id, runAt) {
+    getDb().prepare(`
+      UPDATE jobs SET status = 'pending', run_at = ?, updated_at = ? WHERE id = ?
+    `).run(normalizeTimestamp(runAt), getUtcTimestamp(), id)
+  },
+
+  recordFailure(id, error, retryAt = null) {
+    getDb().prepare(`
+      UPDATE jobs
+      SET status = ?, run_at = COALESCE(?, run_at), attempts = attempts + 1, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(retryAt ? 'pending' : 'failed', normalizeTimestamp(retryAt), error, getUtcTimestamp(), id)
+  },
+
+  cancel(id) {
+    const result = getDb().prepare(`
+      UPDATE jobs SET status = 'cancelled', updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(getUtcTimestamp(), id)
+    return result.changes > 0
+  },
+
+  // Jobs left running by a process that died mid-job
+  requeueRunning() {
+    const result = getDb().prepare(`
+      UPDATE jobs SET status = 'pending', updated_at = ? WHERE status = 'running'
+    `).run(getUtcTimestamp())
+    return result.changes
+  },
+
+  getById(id) {
+    return getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(id)
+  },
+
+  // Pending and running jobs plus recent failures, for the admin list
+  getOutstanding(limit = 25) {
+    const stmt = getDb().prepare(`
+      SELECT * FROM jobs
+      WHERE status IN ('pending', 'running', 'failed')
+      ORDER BY CASE status WHEN 'failed' THEN 1 ELSE 0 END, run_at ASC
+      LIMIT ?
+    `)
+    return stmt.all(limit)
+  },
+}
+
+// Price candles recorded from live rounds or backfilled for backtesting
+export const candles = {
+  upsertMany(asset, interval, rows) {
+    if (!rows?.length) return
+    const db = getDb()
+    const stmt = db.prepare(`
+      INSERT INTO candles (asset, interval, open_time, open, high, low, close, volume, close_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(asset, interval, open_time) DO UPDATE SET
+        open = excluded.open,
+        high = excluded.high,
+        low = excluded.low,
+        close = excluded.close,
+        volume = excluded.volume,
+        close_time = excluded.close_time
+    `)
+    db.transaction(() => {
+      for (const row of rows) {
+        stmt.run(asset, interval, row.openTime, row.open, row.high, row.low, row.close, row.volume, row.closeTime)
+      }
+    })()
+  },
+
+  getRange(asset, interval, fromMs, toMs) {
+    return getDb().prepare(`
+      SELECT open_time as openTime, open, high, low, close, volume, close_time as closeTime
+      FROM candles
+      WHERE asset = ? AND interval = ? AND open_time >= ? AND open_time <= ?
+      ORDER BY open_time ASC
+    `).all(asset, interval, fromMs, toMs)
+  },
+
+  getBounds(asset, interval) {
+    return getDb().prepare(`
+      SELECT MIN(open_time) as first, MAX(open_time) as last, COUNT(*) as count
+      FROM candles
+      WHERE asset = ? AND interval = ?
+    `).get(asset, interval)
+  },
 }
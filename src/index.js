@@ -2,6 +2,7 @@ import 'dotenv/config'
 import { startBot } from './bot/client.js'
 import { initializeDatabase } from './database/index.js'
 import { CONFIG } from './config/index.js'
+import { stopScheduler } from './services/scheduler.js'
 
 async function main() {
   console.log('🧙 DegenWizard starting up...')
@@ -10,7 +11,16 @@ async function main() {
 
   initializeDatabase()
 
-  await startBot()
+  const client = await startBot()
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      console.log(`🧙 DegenWizard shutting down (${signal})...`)
+      stopScheduler()
+      await client.destroy()
+      process.exit(0)
+    })
+  }
 
   console.log('🧙 DegenWizard is ready!')
 }
@@ -1,6 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk'
 import { env, CONFIG } from '../config/index.js'
 import { buildTechnicalSnapshot } from './ta.js'
+import { formatSeriesDuration } from './series.js'
+import { getAsset, getEnabledAssets } from './assets.js'
 
 let anthropicClient = null
 
@@ -16,9 +18,10 @@ function getClient() {
 /**
  * Get candle fetch parameters from config
  * Used by startTrade to fetch candles in parallel with markets
+ * @param {object|null} [series] - Market series whose lookback overrides agents.ta.lookback_minutes
  */
-export function getCandleParams() {
-  const lookbackMinutes = Number(CONFIG.agents.ta.lookback_minutes)
+export function getCandleParams(series = null) {
+  const lookbackMinutes = series?.lookbackMinutes ?? Number(CONFIG.agents.ta.lookback_minutes)
   const candleInterval = CONFIG.agents.ta.candle_interval
   const lastReturnsCount = Number(CONFIG.agents.ta.last_returns_count)
   const candleLimit = lookbackMinutes + 1
@@ -29,13 +32,22 @@ export function getCandleParams() {
  * Analyze market conditions for trade proposal
  * @param {Object} options
  * @param {Object} options.marketsByAsset - Market data keyed by asset
- * @param {Object} options.candlesByAsset - Pre-fetched candles keyed by asset (BTC, ETH, SOL, XRP)
+ * @param {Object} options.candlesByAsset - Pre-fetched candles keyed by asset symbol
+ * @param {Date} [options.now] - Analysis time; the backtest runner passes the replayed time
+ * @param {string[]} [options.assets] - Assets to choose from (those without an open round); defaults to every enabled asset
+ * @param {object} [options.series] - Market series being traded; defaults to 15-minute markets
  */
-export async function analyzeMarket({ marketsByAsset, candlesByAsset }) {
+export async function analyzeMarket({
+  marketsByAsset,
+  candlesByAsset,
+  now = new Date(),
+  assets = getEnabledAssets().map(asset => asset.symbol),
+  series = { durationMinutes: 15 },
+}) {
   const client = getClient()
 
-  const assets = ['BTC', 'ETH', 'SOL', 'XRP']
-  const { lookbackMinutes, lastReturnsCount, candleInterval } = getCandleParams()
+  const { lookbackMinutes, lastReturnsCount, candleInterval } = getCandleParams(series)
+  const duration = formatSeriesDuration(series)
 
   const priceData = {}
   const taData = {}
@@ -58,8 +70,6 @@ export async function analyzeMarket({ marketsByAsset, candlesByAsset }) {
     priceData[asset] = snapshot.price
   }
 
-  const now = new Date()
-
   const marketTiming = {}
   for (const asset of assets) {
     const market = marketsByAsset[asset]
@@ -83,16 +93,16 @@ export async function analyzeMarket({ marketsByAsset, candlesByAsset }) {
     }
   }
 
-  const prompt = `You are a crypto market analyst for a trading bot. Analyze the current market conditions for a 15-minute price prediction.
+  const prompt = `You are a crypto market analyst for a trading bot. Analyze the current market conditions for a ${duration} price prediction.
 
-We are betting on simple 15-minute UP/DOWN markets that start at ~50/50 odds, so focus on short-horizon price action and technical signals (not market odds).
+We are betting on simple UP/DOWN markets that resolve ${duration} after they start, at ~50/50 odds, so focus on price action and technical signals over that horizon (not market odds).
 
 Market definition:
 - Let T0 be the market start time (not "now"). Let P0 be the spot price at T0.
-- Let P15 be the spot price at T0 + 15 minutes.
-- "UP" means P15 > P0, "DOWN" means P15 < P0.
+- Let P1 be the spot price at T0 + ${duration}.
+- "UP" means P1 > P0, "DOWN" means P1 < P0.
 - We enter before T0, so the start price can differ from the current price.
-- If the market starts in N minutes, you're effectively forecasting ~N+15 minutes from now.
+- If the market starts in N minutes, you're effectively forecasting N minutes plus ${duration} from now.
 
 Current time (UTC): ${now.toISOString()}
 
@@ -100,10 +110,7 @@ Upcoming market start times (UTC):
 ${JSON.stringify(marketTiming, null, 2)}
 
 Current prices (USD):
-- BTC: $${priceData.BTC.toLocaleString()}
-- ETH: $${priceData.ETH.toLocaleString()}
-- SOL: $${priceData.SOL.toLocaleString()}
-- XRP: $${priceData.XRP.toLocaleString()}
+${assets.map(asset => `- ${asset} (${getAsset(asset)?.name ?? asset}): $${priceData[asset].toLocaleString()}`).join('\n')}
 
 Technical snapshot (computed from Binance ${candleInterval} candles, last ${lookbackMinutes} minutes):
 ${JSON.stringify(taData, null, 2)}
@@ -111,11 +118,11 @@ ${JSON.stringify(taData, null, 2)}
 Consider:
 1. Which asset has the clearest short-term momentum signal?
 2. RSI (overbought/oversold) and EMA trend (ema9 vs ema21)
-3. Volatility and volume spike risk for the next 15 minutes
+3. Volatility and volume spike risk for the next ${duration}
 
 Provide your analysis in this exact JSON format (no markdown, just JSON):
 {
-  "asset": "BTC" or "ETH" or "SOL" or "XRP",
+  "asset": ${assets.map(asset => `"${asset}"`).join(' or ')},
   "direction": "UP" or "DOWN",
   "confidence": 0.0 to 1.0,
   "reasoning": "2-3 sentences explaining your analysis",
@@ -138,6 +145,9 @@ Be concise.`
   }
 
   const analysis = JSON.parse(content.text)
+  if (!assets.includes(analysis.asset)) {
+    throw new Error(`Analysis picked unavailable asset: ${analysis.asset}`)
+  }
 
   return {
     asset: analysis.asset,
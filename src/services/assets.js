@@ -0,0 +1,70 @@
+import { CONFIG } from '../config/index.js'
+
+// The assets traded before config.yaml had an assets block
+const LEGACY_ASSETS = {
+  BTC: { name: 'Bitcoin', price_symbol: 'BTCUSDT', series_ids: { '15m': 10192 } },
+  ETH: { name: 'Ethereum', price_symbol: 'ETHUSDT', series_ids: { '15m': 10191 } },
+  SOL: { name: 'Solana', price_symbol: 'SOLUSDT', series_ids: { '15m': 10423 } },
+  XRP: { name: 'XRP', price_symbol: 'XRPUSDT', series_ids: { '15m': 10422 } },
+}
+
+function normalizeAsset(rawSymbol, raw) {
+  const symbol = String(rawSymbol).toUpperCase()
+  if (!/^[A-Z0-9]+$/.test(symbol)) {
+    throw new Error(`Invalid asset symbol "${rawSymbol}" in assets`)
+  }
+
+  const priceSymbol = raw?.price_symbol ? String(raw.price_symbol).toUpperCase() : null
+  if (!priceSymbol) {
+    throw new Error(`assets.${symbol}.price_symbol is required`)
+  }
+
+  const priceSymbols = {}
+  for (const [provider, providerSymbol] of Object.entries(raw.price_symbols ?? {})) {
+    priceSymbols[provider] = String(providerSymbol)
+  }
+
+  return {
+    symbol,
+    name: raw.name ? String(raw.name) : symbol,
+    priceSymbol,
+    // Per-provider overrides; providers derive the rest from the symbol
+    priceSymbols: { binance: priceSymbol, ...priceSymbols },
+    seriesIds: { ...(raw.series_ids ?? {}) },
+    enabled: raw.enabled !== false,
+  }
+}
+
+/**
+ * Every asset in config, including disabled ones (open rounds on a disabled asset still need prices)
+ * @returns {{ symbol: string, name: string, priceSymbol: string, priceSymbols: object, seriesIds: object, enabled: boolean }[]}
+ */
+export function getAssetRegistry() {
+  const assets = Object.entries(CONFIG.assets ?? LEGACY_ASSETS).map(([symbol, raw]) => normalizeAsset(symbol, raw))
+
+  if (!assets.some(asset => asset.enabled)) {
+    throw new Error('assets must have at least one enabled asset')
+  }
+
+  return assets
+}
+
+/**
+ * Assets new rounds can trade
+ */
+export function getEnabledAssets() {
+  return getAssetRegistry().filter(asset => asset.enabled)
+}
+
+export function getAsset(symbol) {
+  return getAssetRegistry().find(asset => asset.symbol === symbol) || null
+}
+
+/**
+ * "BTC, ETH, SOL, or XRP" for messages and the analysis prompt
+ */
+export function formatAssetList(assets = getEnabledAssets()) {
+  const symbols = assets.map(asset => asset.symbol)
+  if (symbols.length <= 2) return symbols.join(' or ')
+  return `${symbols.slice(0, -1).join(', ')}, or ${symbols[symbols.length - 1]}`
+}
@@ -0,0 +1,228 @@
+import { readFileSync, statSync, existsSync } from 'fs'
+import { join, dirname, extname, isAbsolute } from 'path'
+import { fileURLToPath } from 'url'
+import { parse } from 'yaml'
+import { CONFIG } from '../config/index.js'
+import { blackouts } from '../database/index.js'
+import { zonedTimeToUtc } from '../utils/time.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+let fileCache = { path: null, mtimeMs: null, entries: [] }
+
+// Rejects dates Date.UTC would roll over, like 2026-13-40 or 2026-02-30
+function isCalendarDate({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+function startOfDay({ year, month, day }, timezone, offsetDays = 0) {
+  return zonedTimeToUtc({ year, month, day: day + offsetDays }, timezone)
+}
+
+/**
+ * Parse a blackout boundary: "YYYY-MM-DD HH:MM" or "YYYY-MM-DD" in the given timezone,
+ * or an ISO 8601 timestamp with an explicit offset
+ */
+export function parseBlackoutTime(value, timezone) {
+  const text = String(value ?? '').trim()
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(text)
+  if (match) {
+    const [year, month, day, hour = 0, minute = 0] = match.slice(1).filter(Boolean).map(Number)
+    if (isCalendarDate({ year, month, day }) && hour <= 23 && minute <= 59) {
+      return zonedTimeToUtc({ year, month, day, hour, minute }, timezone)
+    }
+  }
+
+  const isoDate = /^(\d{4})-(\d{2})-(\d{2})T/.exec(text)
+  if (isoDate && /(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const [year, month, day] = isoDate.slice(1).map(Number)
+    const date = new Date(text)
+    if (isCalendarDate({ year, month, day }) && !Number.isNaN(date.getTime())) return date
+  }
+
+  throw new Error(`Invalid time "${value}", expected YYYY-MM-DD HH:MM`)
+}
+
+function toBlackout(reason, startsAt, endsAt) {
+  if (!(endsAt > startsAt)) {
+    throw new Error(`Blackout "${reason}" ends before it starts`)
+  }
+  return { reason, startsAt, endsAt }
+}
+
+/**
+ * Blackouts from a YAML calendar:
+ *   blackouts:
+ *     - reason: FOMC
+ *       start: "2026-10-28 12:30"
+ *       end: "2026-10-28 15:00"
+ *     - reason: Thanksgiving
+ *       date: "2026-11-26"   # whole day
+ */
+export function parseCalendarYaml(text, timezone) {
+  const entries = parse(text)?.blackouts ?? []
+
+  return entries.map((entry, i) => {
+    const reason = entry.reason || `Blackout ${i + 1}`
+
+    if (entry.date) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(entry.date))
+      if (!match) throw new Error(`Invalid date "${entry.date}" for blackout "${reason}"`)
+      const day = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }
+      if (!isCalendarDate(day)) throw new Error(`Invalid date "${entry.date}" for blackout "${reason}"`)
+      return toBlackout(reason, startOfDay(day, timezone), startOfDay(day, timezone, 1))
+    }
+
+    return toBlackout(reason, parseBlackoutTime(entry.start, timezone), parseBlackoutTime(entry.end, timezone))
+  })
+}
+
+function parseIcsTime(value, params, timezone) {
+  const tzid = params.find(param => param.startsWith('TZID='))?.slice(5)
+
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value)
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number)
+    if (!isCalendarDate({ year, month, day })) throw new Error(`Invalid ICS time: ${value}`)
+    return { allDay: true, date: zonedTimeToUtc({ year, month, day }, tzid || timezone), day: { year, month, day } }
+  }
+
+  const dateTime = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value)
+  if (!dateTime) throw new Error(`Invalid ICS time: ${value}`)
+
+  const [year, month, day, hour, minute] = dateTime.slice(1, 6).map(Number)
+  if (!isCalendarDate({ year, month, day }) || hour > 23 || minute > 59) throw new Error(`Invalid ICS time: ${value}`)
+  if (dateTime[7] === 'Z') {
+    return { allDay: false, date: new Date(Date.UTC(year, month - 1, day, hour, minute)) }
+  }
+  // TZID times use their own zone; floating times use the bot's
+  return { allDay: false, date: zonedTimeToUtc({ year, month, day, hour, minute }, tzid || timezone) }
+}
+
+function unescapeIcsText(text) {
+  return text.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1')
+}
+
+/**
+ * Blackouts from VEVENTs in an iCalendar file (SUMMARY, DTSTART, DTEND).
+ * Recurrence rules aren't expanded; each event covers only its own DTSTART..DTEND.
+ */
+export function parseIcs(text, timezone) {
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+  const result = []
+  let event = null
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {}
+      continue
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event.start) {
+        const reason = event.reason || 'Calendar event'
+        // All-day events without DTEND last one day
+        const end = event.end?.date
+          ?? (event.start.allDay ? startOfDay(event.start.day, timezone, 1) : null)
+        if (end) {
+          result.push(toBlackout(reason, event.start.date, end))
+        } else {
+          console.warn(`[CALENDAR] Ignoring "${reason}": no DTEND`)
+        }
+      }
+      event = null
+      continue
+    }
+
+    if (!event) continue
+
+    const separator = line.indexOf(':')
+    if (separator === -1) continue
+    const [name, ...params] = line.slice(0, separator).split(';')
+    const value = line.slice(separator + 1)
+
+    if (name === 'SUMMARY') event.reason = unescapeIcsText(value)
+    if (name === 'DTSTART') event.start = parseIcsTime(value, params, timezone)
+    if (name === 'DTEND') event.end = parseIcsTime(value, params, timezone)
+  }
+
+  return result
+}
+
+function getCalendarPath() {
+  const file = CONFIG.calendar?.file
+  if (!file) return null
+  return isAbsolute(file) ? file : join(__dirname, '../..', file)
+}
+
+// Reloads when the file changes; a broken edit keeps the last good calendar
+function getFileBlackouts() {
+  const path = getCalendarPath()
+  if (!path || !existsSync(path)) return []
+
+  const { mtimeMs } = statSync(path)
+  if (fileCache.path === path && fileCache.mtimeMs === mtimeMs) {
+    return fileCache.entries
+  }
+
+  let entries = fileCache.path === path ? fileCache.entries : []
+  try {
+    const text = readFileSync(path, 'utf-8')
+    const timezone = CONFIG.scheduling.timezone
+    entries = extname(path).toLowerCase() === '.ics'
+      ? parseIcs(text, timezone)
+      : parseCalendarYaml(text, timezone)
+    console.log(`[CALENDAR] Loaded ${entries.length} blackout(s) from ${path}`)
+  } catch (error) {
+    console.error(`[CALENDAR] Failed to load ${path}:`, error.message)
+  }
+
+  fileCache = { path, mtimeMs, entries }
+  return entries
+}
+
+/**
+ * Blackouts from the calendar file and from /blackout that haven't ended, soonest first
+ * @returns {Array<{ id?: number, source: 'file'|'admin', reason: string, startsAt: Date, endsAt: Date }>}
+ */
+export function getBlackouts(now = new Date()) {
+  const fromFile = getFileBlackouts()
+    .filter(b => b.endsAt > now)
+    .map(b => ({ ...b, source: 'file' }))
+
+  const fromAdmins = blackouts.getUpcoming(now).map(row => ({
+    id: row.id,
+    source: 'admin',
+    reason: row.reason,
+    startsAt: new Date(row.starts_at),
+    endsAt: new Date(row.ends_at),
+  }))
+
+  return [...fromFile, ...fromAdmins].sort((a, b) => a.startsAt - b.startsAt)
+}
+
+/**
+ * The blackout covering `now`, with the time trading resumes after it
+ * and any blackouts that overlap or directly follow it
+ * @returns {{ reason: string, resumesAt: Date } | null}
+ */
+export function findActiveBlackout(list, now) {
+  const active = list.filter(b => b.startsAt <= now && now < b.endsAt)
+  if (active.length === 0) return null
+
+  let resumesAt = new Date(Math.max(...active.map(b => b.endsAt.getTime())))
+  const sorted = [...list].sort((a, b) => a.startsAt - b.startsAt)
+  for (const blackout of sorted) {
+    if (blackout.startsAt <= resumesAt && blackout.endsAt > resumesAt) {
+      resumesAt = blackout.endsAt
+    }
+  }
+
+  return { reason: active[0].reason, resumesAt }
+}
+
+export function getActiveBlackout(now = new Date()) {
+  return findActiveBlackout(getBlackouts(now), now)
+}
@@ -0,0 +1,97 @@
+import { CONFIG } from '../config/index.js'
+import { trades } from '../database/index.js'
+import { getLocalMidnight } from '../utils/time.js'
+
+export function getMaxOpenRounds() {
+  return Number(CONFIG.trading.max_open_rounds) || 1
+}
+
+/**
+ * Cap a position so combined open positions stay within max_exposure_pct of the pool.
+ * Pool equity counts open position cost, since that USDC has already left the wallet.
+ * @param {number} sizeUsd - Proposed position size
+ * @param {number} cashBalance - Pool balance available for new positions
+ * @param {boolean} paper - Measure against paper positions instead of real ones
+ * @param {string|null} [guildId] - Count only this guild's positions; every guild's when omitted
+ * @returns {{ size: number, capped: boolean, openExposure: number, maxExposure: number }}
+ */
+export function applyExposureCap(sizeUsd, cashBalance, paper = false, guildId) {
+  const maxExposurePct = Number(CONFIG.trading.max_exposure_pct) || 1
+  const openExposure = trades.getOpenExposure(paper, guildId)
+  const maxExposure = (cashBalance + openExposure) * maxExposurePct
+  const room = Math.max(0, maxExposure - openExposure)
+
+  if (sizeUsd <= room) {
+    return { size: sizeUsd, capped: false, openExposure, maxExposure }
+  }
+
+  return { size: room, capped: true, openExposure, maxExposure }
+}
+
+const NOTIONAL_LIMIT_KEYS = ['max_trade_usd', 'max_asset_daily_usd', 'max_daily_notional_usd']
+
+/**
+ * Dollar limits from trading.limits; a missing limit is not enforced
+ * @returns {{ maxTradeUsd: number|null, maxAssetDailyUsd: number|null, maxDailyNotionalUsd: number|null }}
+ */
+export function getNotionalLimits() {
+  const limits = CONFIG.trading.limits ?? {}
+  const values = {}
+  for (const key of NOTIONAL_LIMIT_KEYS) {
+    const value = limits[key] == null ? null : Number(limits[key])
+    if (value !== null && !(value > 0)) {
+      throw new Error(`trading.limits.${key} must be a positive number`)
+    }
+    values[key] = value
+  }
+
+  return {
+    maxTradeUsd: values.max_trade_usd,
+    maxAssetDailyUsd: values.max_asset_daily_usd,
+    maxDailyNotionalUsd: values.max_daily_notional_usd,
+  }
+}
+
+/**
+ * Scale a position down to fit the per-trade, per-asset daily and total daily dollar limits.
+ * Days start at midnight in scheduling.timezone; spend is the cost of positions opened since then.
+ * @param {number} sizeUsd - Proposed position size
+ * @param {{ asset: string, paper: boolean, now: Date }} context
+ * @returns {{ size: number, capped: boolean, reason: string|null }} reason names the tightest limit
+ */
+export function applyNotionalLimits(sizeUsd, { asset, paper, now }) {
+  const limits = getNotionalLimits()
+  const since = getLocalMidnight(now, CONFIG.scheduling.timezone)
+  const checks = []
+
+  if (limits.maxTradeUsd !== null) {
+    checks.push({ room: limits.maxTradeUsd, reason: `$${limits.maxTradeUsd.toFixed(2)} per-trade limit` })
+  }
+
+  if (limits.maxAssetDailyUsd !== null) {
+    const used = trades.getExecutedNotionalSince(since, paper, asset)
+    checks.push({
+      room: limits.maxAssetDailyUsd - used,
+      reason: `${asset} daily limit ($${used.toFixed(2)} of $${limits.maxAssetDailyUsd.toFixed(2)} used today)`,
+    })
+  }
+
+  if (limits.maxDailyNotionalUsd !== null) {
+    const used = trades.getExecutedNotionalSince(since, paper)
+    checks.push({
+      room: limits.maxDailyNotionalUsd - used,
+      reason: `daily notional limit ($${used.toFixed(2)} of $${limits.maxDailyNotionalUsd.toFixed(2)} used today)`,
+    })
+  }
+
+  let size = sizeUsd
+  let reason = null
+  for (const check of checks) {
+    if (check.room < size) {
+      size = Math.max(0, check.room)
+      reason = check.reason
+    }
+  }
+
+  return { size, capped: reason !== null, reason }
+}
@@ -0,0 +1,90 @@
+import { CONFIG } from '../config/index.js'
+
+/**
+ * Pre-trade guards from trading.guards; a missing guard is not enforced.
+ * max_entry_price is either one price for both sides or { up, down }.
+ * @returns {{ maxEntryPrice: { UP: number|null, DOWN: number|null }, maxSpread: number|null,
+ *   minDepthUsd: number|null, minLiquidityUsd: number|null }}
+ */
+export function getGuardConfig() {
+  const guards = CONFIG.trading.guards ?? {}
+
+  const readNumber = (value, key, { max = Infinity } = {}) => {
+    if (value == null) return null
+    const number = Number(value)
+    if (!(number > 0 && number <= max)) {
+      throw new Error(`trading.guards.${key} must be a positive number${max < Infinity ? ` up to ${max}` : ''}`)
+    }
+    return number
+  }
+
+  const entry = guards.max_entry_price
+  const maxEntryPrice = entry !== null && typeof entry === 'object'
+    ? {
+      UP: readNumber(entry.up, 'max_entry_price.up', { max: 1 }),
+      DOWN: readNumber(entry.down, 'max_entry_price.down', { max: 1 }),
+    }
+    : {
+      UP: readNumber(entry, 'max_entry_price', { max: 1 }),
+      DOWN: readNumber(entry, 'max_entry_price', { max: 1 }),
+    }
+
+  return {
+    maxEntryPrice,
+    maxSpread: readNumber(guards.max_spread, 'max_spread', { max: 1 }),
+    minDepthUsd: readNumber(guards.min_depth_usd, 'min_depth_usd'),
+    minLiquidityUsd: readNumber(guards.min_liquidity_usd, 'min_liquidity_usd'),
+  }
+}
+
+/**
+ * Size-independent checks on the market and the book for the voted side
+ * @param {{ market: object, position: 'UP'|'DOWN', book: object }} context - book from getOrderbookSummary
+ * @returns {string|null} why the round should not trade, or null if it passes
+ */
+export function checkEntryGuards({ market, position, book }, config = getGuardConfig()) {
+  if (config.minLiquidityUsd !== null && !(market.liquidity >= config.minLiquidityUsd)) {
+    return `market liquidity $${(market.liquidity || 0).toFixed(0)} is below the $${config.minLiquidityUsd.toFixed(0)} minimum`
+  }
+
+  if (book.bestAsk === null) {
+    return `no asks in the ${position} orderbook`
+  }
+
+  const maxEntryPrice = config.maxEntryPrice[position]
+  if (maxEntryPrice !== null && book.bestAsk > maxEntryPrice) {
+    return `${position} best ask $${book.bestAsk.toFixed(2)} is above the $${maxEntryPrice.toFixed(2)} entry limit`
+  }
+
+  if (config.maxSpread !== null) {
+    if (book.spread === null) {
+      return `no bids in the ${position} orderbook to measure the spread`
+    }
+    // Prices are on a 0.01 tick, so compare in cents to avoid float noise
+    if (Math.round(book.spread * 100) > Math.round(config.maxSpread * 100)) {
+      return `${position} spread $${book.spread.toFixed(2)} is wider than the $${config.maxSpread.toFixed(2)} maximum`
+    }
+  }
+
+  if (config.minDepthUsd !== null && book.depthUsd < config.minDepthUsd) {
+    return `only $${book.depthUsd.toFixed(2)} of asks within the $${book.limitPrice.toFixed(2)} limit price (need $${config.minDepthUsd.toFixed(2)})`
+  }
+
+  return null
+}
+
+/**
+ * Shrink a position to the ask depth available up to the limit price so it can fill in full
+ * @returns {{ size: number, resized: boolean, reason: string|null }}
+ */
+export function fitToDepth(sizeUsd, book) {
+  if (sizeUsd <= book.depthUsd) {
+    return { size: sizeUsd, resized: false, reason: null }
+  }
+
+  return {
+    size: book.depthUsd,
+    resized: true,
+    reason: `ask depth within the $${book.limitPrice.toFixed(2)} limit price ($${book.depthUsd.toFixed(2)})`,
+  }
+}
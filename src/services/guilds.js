@@ -0,0 +1,156 @@
+import { CONFIG } from '../config/index.js'
+import { guilds, trades } from '../database/index.js'
+import { getScheduleEntries, parseScheduleEntries } from './schedule.js'
+
+// Parsed guild schedules keyed by their stored JSON, so ticks don't re-validate unchanged entries
+const parsedSchedules = new Map()
+
+/**
+ * Guild whose pool a command or event belongs to. Until a guild is set up every round runs
+ * in one unscoped pool (null), as with a single configured trading channel.
+ */
+export function getPoolGuildId(guildId) {
+  return guilds.getAll().length > 0 ? guildId ?? null : null
+}
+
+/**
+ * Servers listed in discord.allowed_guilds with their share of the wallet
+ * @returns {Map<string, number>} guild id to allocation_pct
+ */
+export function getAllowedGuilds() {
+  const entries = CONFIG.discord.allowed_guilds ?? []
+  if (!Array.isArray(entries)) {
+    throw new Error('discord.allowed_guilds must be a list of { id, allocation_pct } entries')
+  }
+
+  const allowed = new Map()
+  for (const entry of entries) {
+    const id = entry?.id == null ? '' : String(entry.id)
+    if (!id) throw new Error('discord.allowed_guilds entries need an id')
+    if (allowed.has(id)) throw new Error(`Duplicate guild in discord.allowed_guilds: ${id}`)
+
+    const allocation = Number(entry.allocation_pct)
+    if (!(allocation > 0 && allocation <= 1)) {
+      throw new Error(`discord.allowed_guilds ${id} allocation_pct must be between 0 and 1`)
+    }
+    allowed.set(id, allocation)
+  }
+
+  const total = [...allowed.values()].reduce((sum, allocation) => sum + allocation, 0)
+  if (total > 1 + 1e-9) {
+    throw new Error('discord.allowed_guilds allocation_pct values must add up to at most 1')
+  }
+  return allowed
+}
+
+/**
+ * Whether a server may run a pool on the wallet: the guild seeded from discord.trading_channel_id,
+ * or one listed in discord.allowed_guilds
+ */
+export function isGuildAllowed(guildId) {
+  return guilds.getPrimary()?.guild_id === guildId || getAllowedGuilds().has(guildId)
+}
+
+/**
+ * Whether a server may use the wallet-wide controls (emergency stop, resume, blackouts, jobs):
+ * the primary guild, or any server while no guild is set up
+ */
+export function isOwnerGuild(guildId) {
+  const primary = guilds.getPrimary()
+  return primary ? primary.guild_id === guildId : guilds.getAll().length === 0
+}
+
+/**
+ * Share of the wallet a guild's rounds size against. Listed guilds get their allocation_pct,
+ * the primary guild whatever the list leaves, and the unscoped pool the whole wallet.
+ */
+export function getGuildAllocation(guildId) {
+  if (!guildId) return 1
+
+  const allowed = getAllowedGuilds()
+  if (allowed.has(guildId)) return allowed.get(guildId)
+  if (guilds.getPrimary()?.guild_id !== guildId) return 0
+
+  const listed = [...allowed.values()].reduce((sum, allocation) => sum + allocation, 0)
+  return Math.max(0, 1 - listed)
+}
+
+/**
+ * Role required to vote and /propose in a guild's pool, or null when anyone can.
+ * The unscoped pool uses discord.holder_role_id.
+ */
+export function getHolderRoleId(guildId) {
+  const row = guildId ? guilds.get(guildId) : null
+  return row ? row.holder_role_id : CONFIG.discord.holder_role_id ?? null
+}
+
+/**
+ * Trade schedule for a guild: its own entries from /guild-setup, or scheduling.entries from config
+ */
+export function getGuildScheduleEntries(row) {
+  if (!row?.schedule) return getScheduleEntries()
+
+  let entries = parsedSchedules.get(row.schedule)
+  if (!entries) {
+    entries = parseScheduleEntries(JSON.parse(row.schedule))
+    parsedSchedules.set(row.schedule, entries)
+  }
+  return entries
+}
+
+/**
+ * Validate a schedule typed into /guild-setup: a JSON list in the scheduling.entries format,
+ * or "default" to follow the config schedule.
+ * @returns {string|null} JSON to store, or null for the config schedule
+ */
+export function parseGuildSchedule(text) {
+  if (text.trim().toLowerCase() === 'default') return null
+
+  let raw
+  try {
+    raw = JSON.parse(text)
+  } catch {
+    throw new Error('Schedule must be a JSON list of entries, e.g. [{"name": "morning", "time": "09:30"}]')
+  }
+
+  parseScheduleEntries(raw)
+  return JSON.stringify(raw)
+}
+
+/**
+ * Carry a single-channel config over to the guilds table: the guild holding discord.trading_channel_id
+ * gets a row with the configured holder role and becomes the primary guild, and rounds from before
+ * guilds existed move to it.
+ * Rows already in the database are left as they are, so /guild-setup changes survive restarts.
+ * @returns {object|null} the guild row, or null when no channel is configured
+ */
+export function seedConfiguredGuild(client) {
+  const channelId = CONFIG.discord.trading_channel_id
+  if (!channelId) return null
+
+  const channel = client.channels.cache.get(channelId)
+  if (!channel?.guildId) {
+    if (guilds.getAll().length === 0) {
+      throw new Error(`Trading channel not found for configured id: ${channelId}`)
+    }
+    console.warn(`[GUILDS] Configured trading channel ${channelId} not found, using guilds from the database`)
+    return null
+  }
+
+  let row = guilds.get(channel.guildId)
+  if (!row) {
+    row = guilds.upsert(channel.guildId, {
+      trading_channel_id: channelId,
+      holder_role_id: CONFIG.discord.holder_role_id ?? null,
+    })
+    console.log(`[GUILDS] Set up guild ${channel.guildId} from discord.trading_channel_id`)
+  }
+
+  guilds.setPrimary(channel.guildId)
+
+  const assigned = trades.assignUnscopedToGuild(channel.guildId)
+  if (assigned > 0) {
+    console.log(`[GUILDS] Assigned ${assigned} earlier rounds to guild ${channel.guildId}`)
+  }
+  return row
+}
@@ -0,0 +1,71 @@
+import { jobs } from '../database/index.js'
+
+const BASE_RETRY_DELAY_MS = 30 * 1000
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000
+
+const handlers = new Map()
+
+/**
+ * Register the function that runs jobs of a kind.
+ * The handler receives the parsed payload and may return { retryAt } to run again later
+ * without counting a failure; throwing retries with exponential backoff up to maxAttempts.
+ */
+export function registerJobHandler(kind, handler, { maxAttempts = 5 } = {}) {
+  handlers.set(kind, { handler, maxAttempts })
+}
+
+/**
+ * Queue a job. With a dedupeKey, a second enqueue while the first is pending or running is a no-op.
+ * @returns {object|undefined} the job row, or undefined if deduplicated
+ */
+export function enqueueJob(kind, payload, { runAt, dedupeKey = null }) {
+  const job = jobs.enqueue({ kind, payload, run_at: runAt, dedupe_key: dedupeKey })
+  if (job) {
+    console.log(`[JOBS] Queued ${kind} job ${job.id} for ${job.run_at}`)
+  }
+  return job
+}
+
+export function getRetryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS)
+}
+
+/**
+ * Run every job due at `now`. Called from the scheduler tick.
+ */
+export async function drainJobs(now) {
+  for (const job of jobs.claimDue(now)) {
+    const registration = handlers.get(job.kind)
+    if (!registration) {
+      jobs.recordFailure(job.id, `No handler for job kind ${job.kind}`)
+      console.error(`[JOBS] No handler for ${job.kind} job ${job.id}`)
+      continue
+    }
+
+    try {
+      const result = await registration.handler(JSON.parse(job.payload), job)
+      if (result?.retryAt) {
+        jobs.reschedule(job.id, result.retryAt)
+      } else {
+        jobs.complete(job.id)
+      }
+    } catch (error) {
+      const attempts = job.attempts + 1
+      if (attempts >= registration.maxAttempts) {
+        jobs.recordFailure(job.id, error.message)
+        console.error(`[JOBS] ${job.kind} job ${job.id} failed after ${attempts} attempt(s):`, error.message)
+      } else {
+        const retryAt = new Date(now.getTime() + getRetryDelayMs(attempts))
+        jobs.recordFailure(job.id, error.message, retryAt)
+        console.error(`[JOBS] ${job.kind} job ${job.id} failed (attempt ${attempts}), retrying at ${retryAt.toISOString()}:`, error.message)
+      }
+    }
+  }
+}
+
+export function requeueInterruptedJobs() {
+  const count = jobs.requeueRunning()
+  if (count > 0) {
+    console.log(`[JOBS] Requeued ${count} job(s) interrupted by a restart`)
+  }
+}
@@ -155,16 +155,22 @@ function deserializeTxRequest(txRequestJson) {
   return txRequest
 }
 
-export function getProfitSinceLastPayout() {
-  return trades.getUnsettledPnl()
+// Unpaid profit for one guild's pool, or across every guild when guildId is undefined
+export function getProfitSinceLastPayout(guildId) {
+  return trades.getUnsettledPnl(guildId)
 }
 
 function floorToCents(amount) {
   return Math.floor(amount * 100) / 100
 }
 
-export async function runWeeklyPayouts(channel) {
-  const profitSinceLastPayout = getProfitSinceLastPayout()
+/**
+ * Pay the top predictors of a guild's unsettled rounds. The payout comes from the shared wallet
+ * but only that guild's profit and predictors count toward it.
+ * @param {string|null} [guildId] - Guild whose pool pays out; undefined settles every guild's rounds together
+ */
+export async function runScheduledPayouts(channel, guildId) {
+  const profitSinceLastPayout = getProfitSinceLastPayout(guildId)
 
   if (profitSinceLastPayout <= 0) {
     return
@@ -178,11 +184,11 @@ export async function runWeeklyPayouts(channel) {
     return
   }
 
-  console.log(`[PAYOUT] Weekly payout triggered: unpaid profit $${profitSinceLastPayout.toFixed(2)}, payout $${totalPayout.toFixed(2)}`)
+  console.log(`[PAYOUT] Scheduled payout triggered: unpaid profit $${profitSinceLastPayout.toFixed(2)}, payout $${totalPayout.toFixed(2)}`)
 
   const db = getDb()
   const settlementResult = db.transaction(() => {
-    const currentProfit = trades.getUnsettledPnl()
+    const currentProfit = trades.getUnsettledPnl(guildId)
     if (currentProfit <= 0) {
       return null
     }
@@ -192,7 +198,7 @@ export async function runWeeklyPayouts(channel) {
       return null
     }
 
-    const unsettledTrades = trades.getUnsettledTrades()
+    const unsettledTrades = trades.getUnsettledTrades(guildId)
     if (unsettledTrades.length === 0) {
       return null
     }
@@ -208,7 +214,7 @@ export async function runWeeklyPayouts(channel) {
       return null
     }
 
-    const settlement = settlements.create()
+    const settlement = settlements.create(guildId ?? null)
     settlements.updateStatus(settlement.id, 'distributing')
 
     trades.linkToSettlement(tradeIds, settlement.id)
@@ -225,12 +231,12 @@ export async function runWeeklyPayouts(channel) {
   })()
 
   if (!settlementResult) {
-    console.log('[PAYOUT] Weekly settlement not created (insufficient profit, no unsettled trades, or no eligible winners)')
+    console.log('[PAYOUT] Settlement not created (insufficient profit, no unsettled trades, or no eligible winners)')
     return
   }
 
   const { settlement, tradeCount, totalPayout: actualPayout, profit } = settlementResult
-  console.log(`[PAYOUT] Created weekly settlement ${settlement.id}, linked ${tradeCount} trades, payout $${actualPayout.toFixed(2)} from $${profit.toFixed(2)} profit`)
+  console.log(`[PAYOUT] Created settlement ${settlement.id}, linked ${tradeCount} trades, payout $${actualPayout.toFixed(2)} from $${profit.toFixed(2)} profit`)
 
   await executeSettlementPayouts(settlement.id, channel)
 }
@@ -390,8 +396,9 @@ async function executeSettlementPayouts(settlementId, channel) {
   }
 }
 
-export async function retryFailedSettlements(channel) {
-  const incompleteSettlements = settlements.getIncomplete()
+// Retry a guild's unfinished settlements, or every guild's when guildId is undefined
+export async function retryFailedSettlements(channel, guildId) {
+  const incompleteSettlements = settlements.getIncomplete(guildId)
 
   for (const settlement of incompleteSettlements) {
     const settlementPayouts = payouts.getBySettlement(settlement.id)
@@ -625,3 +632,13 @@ export async function getPoolBalance() {
   const { usdc } = await checkWalletBalance()
   return usdc
 }
+
+/**
+ * Get the simulated pool balance used for paper trades
+ * Starting balance plus all resolved paper P&L and the P&L of early exits still awaiting resolution,
+ * less the cost of open paper positions, just as a real buy takes USDC out of the wallet; never touches the chain
+ */
+export function getPaperBalance() {
+  const startingBalance = Number(CONFIG.paper_trading?.starting_balance_usd) || 0
+  return startingBalance + trades.getTotalPnl(true) + trades.getUnresolvedExitPnl(true) - trades.getOpenExposure(true)
+}
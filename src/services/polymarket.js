@@ -1,6 +1,8 @@
 import { ClobClient, Side, OrderType } from '@polymarket/clob-client'
 import { ethers } from 'ethers'
 import { env } from '../config/index.js'
+import { tradeEvents } from '../database/index.js'
+import { getLiveBook } from './streams.js'
 import { checkGasBalance } from '../utils/gas.js'
 import { fetchWithRetry } from '../utils/fetch.js'
 
@@ -26,10 +28,22 @@ const CTF_ABI = [
   'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets) external',
   'function balanceOf(address account, uint256 id) view returns (uint256)',
   'function getPositionId(address collateralToken, bytes32 collectionId) view returns (uint256)',
+  'function isApprovedForAll(address account, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)',
 ]
 
 const MIN_ALLOWANCE = ethers.utils.parseUnits('1000', 6)
 
+// Event logging must never fail an order or a redemption that already happened on chain
+function recordTradeEvent(tradeId, event, data) {
+  if (tradeId == null) return
+  try {
+    tradeEvents.record(tradeId, event, data)
+  } catch (error) {
+    console.error(`[POLYMARKET] Failed to record ${event} event for trade ${tradeId}:`, error.message)
+  }
+}
+
 let cachedProvider = null
 let cachedWallet = null
 
@@ -89,6 +103,34 @@ async function ensureAllowance() {
   return true
 }
 
+// Selling outcome tokens needs the exchanges approved to move them
+async function ensureTokenApproval() {
+  const wallet = getWallet()
+  const provider = getProvider()
+  const ctf = new ethers.Contract(CTF_CONTRACT, CTF_ABI, wallet)
+  const operators = [CTF_EXCHANGE, NEG_RISK_CTF_EXCHANGE, NEG_RISK_ADAPTER]
+
+  for (const operator of operators) {
+    if (await ctf.isApprovedForAll(wallet.address, operator)) continue
+
+    console.log(`[POLYMARKET] Approving outcome tokens for ${operator}`)
+    try {
+      const gasPrice = await provider.getGasPrice()
+      const boostedGasPrice = gasPrice.mul(120).div(100)
+      const tx = await ctf.setApprovalForAll(operator, true, {
+        gasLimit: 100000,
+        gasPrice: boostedGasPrice,
+      })
+      const receipt = await tx.wait(1)
+      console.log(`[POLYMARKET] Token approval set for ${operator} (block ${receipt.blockNumber})`)
+    } catch (error) {
+      console.error(`[POLYMARKET] Failed to approve outcome tokens for ${operator}:`, error.message)
+      return false
+    }
+  }
+  return true
+}
+
 function getWalletAddress() {
   return getWallet().address
 }
@@ -132,7 +174,10 @@ async function getTokenBalances(tokenIds) {
   return balances
 }
 
-export async function redeemWinnings(conditionId, tokenIds) {
+/**
+ * @param {{ tradeId?: number }} [options] - records a 'redeemed' event on the trade's timeline
+ */
+export async function redeemWinnings(conditionId, tokenIds, options = {}) {
   console.log(`[POLYMARKET] Redeeming position for conditionId: ${conditionId}`)
 
   const [upBalance, downBalance] = await getTokenBalances(tokenIds)
@@ -145,6 +190,7 @@ export async function redeemWinnings(conditionId, tokenIds) {
 
   if (indexSets.length === 0) {
     console.log(`[POLYMARKET] No tokens to redeem`)
+    recordTradeEvent(options.tradeId, 'redeemed', { tx_hash: null, condition_id: conditionId })
     return { txHash: null, blockNumber: null }
   }
 
@@ -169,27 +215,43 @@ export async function redeemWinnings(conditionId, tokenIds) {
 
   const receipt = await tx.wait(1)
   console.log(`[POLYMARKET] Redeem confirmed in block ${receipt.blockNumber}, gas used: ${receipt.gasUsed.toString()}`)
+  recordTradeEvent(options.tradeId, 'redeemed', {
+    tx_hash: tx.hash,
+    block_number: receipt.blockNumber,
+    condition_id: conditionId,
+  })
 
   return { txHash: tx.hash, blockNumber: receipt.blockNumber }
 }
 
-// Series IDs for 15M crypto markets
-const SERIES_IDS = {
-  BTC: 10192,
-  ETH: 10191,
-  SOL: 10423,
-  XRP: 10422,
+/**
+ * When a market window opens. 15-minute slugs end in the start timestamp; other series
+ * carry eventStartTime, and the window's end minus its duration covers the rest.
+ */
+function getMarketStartTime(slug, market, endDate, series) {
+  const startMatch = slug.match(/-(\d{10})$/)
+  if (startMatch) return parseInt(startMatch[1]) * 1000
+
+  const eventStart = Date.parse(market.eventStartTime)
+  if (Number.isFinite(eventStart)) return eventStart
+
+  return endDate.getTime() - series.durationMinutes * 60 * 1000
 }
 
-export async function find15MinuteMarkets() {
+/**
+ * Upcoming up/down markets for a series from getMarketSeries, soonest first
+ */
+export async function findUpDownMarkets(series) {
   try {
     const results = await Promise.all(
-      Object.entries(SERIES_IDS).map(async ([asset, seriesId]) => {
+      Object.entries(series.seriesIds).map(async ([asset, seriesId]) => {
         const response = await fetchWithRetry(
           `${GAMMA_API}/events?series_id=${seriesId}&closed=false&limit=10`,
           { headers: { 'Accept': 'application/json' } }
         )
-        return response.ok ? await response.json() : []
+        const events = response.ok ? await response.json() : []
+        // Each series belongs to one asset, so events are tagged by the series they came from
+        return events.map(event => ({ asset, event }))
       })
     )
     const allEvents = results.flat()
@@ -197,26 +259,21 @@ export async function find15MinuteMarkets() {
     const now = Date.now()
     const cryptoMarkets = []
 
-    for (const event of allEvents) {
+    for (const { asset, event } of allEvents) {
       const slug = event.slug?.toLowerCase() || ''
 
-      const asset = detectAsset(slug)
-      if (!asset) continue
-
       const market = event.markets?.[0]
       if (!market) continue
 
-      const startMatch = slug.match(/-(\d{10})$/)
-      const startTime = startMatch ? parseInt(startMatch[1]) * 1000 : 0
+      const endDate = new Date(market.endDate || event.endDate)
+      if (!(endDate.getTime() >= now)) continue
 
+      const startTime = getMarketStartTime(slug, market, endDate, series)
       if (startTime < now) continue
 
-      const maxStartTime = now + 20 * 60 * 1000
+      const maxStartTime = now + series.horizonMinutes * 60 * 1000
       if (startTime > maxStartTime) continue
 
-      const endDate = new Date(market.endDate || event.endDate)
-      if (endDate.getTime() < now) continue
-
       // clobTokenIds and outcomePrices are JSON strings in the API response
       let tokenIds
       try {
@@ -247,6 +304,7 @@ export async function find15MinuteMarkets() {
         slug: event.slug,
         question: market.question || event.title,
         asset,
+        series: series.key,
         yes_price: yesPriceVal,
         no_price: noPriceVal,
         volume: market.volumeNum || parseFloat(market.volume) || 0,
@@ -260,7 +318,7 @@ export async function find15MinuteMarkets() {
 
     cryptoMarkets.sort((a, b) => a.start_time - b.start_time)
 
-    console.log(`[POLYMARKET] Found ${cryptoMarkets.length} active 15M crypto markets`)
+    console.log(`[POLYMARKET] Found ${cryptoMarkets.length} active ${series.key} crypto markets`)
     return cryptoMarkets
 
   } catch (error) {
@@ -269,32 +327,162 @@ export async function find15MinuteMarkets() {
   }
 }
 
-export async function get15MinuteMarket(asset) {
-  const markets = await find15MinuteMarkets()
+export async function getUpDownMarket(asset, series) {
+  const markets = await findUpDownMarkets(series)
   return markets.find(m => m.asset === asset) || null
 }
 
+/**
+ * The CLOB book for a token with levels sorted best-first (asks ascending, bids descending)
+ * regardless of API ordering. Streamed books are used when live; REST otherwise.
+ * Throws when the book can't be fetched, so an outage is never mistaken for an empty book.
+ */
 async function getOrderbook(tokenId) {
-  try {
-    const response = await fetchWithRetry(
-      `${CLOB_API}/book?token_id=${tokenId}`,
-      { headers: { 'Accept': 'application/json' } }
-    )
+  const liveBook = getLiveBook(tokenId)
+  if (liveBook) return liveBook
 
-    if (!response.ok) {
-      throw new Error(`CLOB orderbook error: ${response.status}`)
-    }
+  const response = await fetchWithRetry(
+    `${CLOB_API}/book?token_id=${tokenId}`,
+    { headers: { 'Accept': 'application/json' } }
+  )
 
-    return await response.json()
-  } catch (error) {
-    console.error('[POLYMARKET] Error fetching orderbook:', error)
-    return { bids: [], asks: [] }
+  if (!response.ok) {
+    throw new Error(`CLOB orderbook error: ${response.status}`)
+  }
+
+  const book = await response.json()
+  return {
+    ...book,
+    asks: [...(book.asks || [])].sort((a, b) => parseFloat(a.price) - parseFloat(b.price)),
+    bids: [...(book.bids || [])].sort((a, b) => parseFloat(b.price) - parseFloat(a.price)),
+  }
+}
+
+/**
+ * Top of book and buy-side depth for an outcome token. Prices are null when that side is empty;
+ * depthUsd is the ask size up to the limit price executeTrade would use. Throws when the book is unreachable.
+ * @returns {Promise<{ bestBid: number|null, bestAsk: number|null, spread: number|null,
+ *   limitPrice: number|null, depthUsd: number }>}
+ */
+export async function getOrderbookSummary(tokenId) {
+  const orderbook = await getOrderbook(tokenId)
+  const bestBid = parseFloat(orderbook.bids[0]?.price)
+  const bestAsk = parseFloat(orderbook.asks[0]?.price)
+  const hasBid = Number.isFinite(bestBid) && bestBid > 0
+  const hasAsk = Number.isFinite(bestAsk) && bestAsk > 0
+
+  if (!hasAsk) {
+    return { bestBid: hasBid ? bestBid : null, bestAsk: null, spread: null, limitPrice: null, depthUsd: 0 }
+  }
+
+  const limitPrice = getLimitPrice(bestAsk)
+  let depthUsd = 0
+  for (const level of orderbook.asks) {
+    const price = parseFloat(level.price)
+    const size = parseFloat(level.size)
+    if (!Number.isFinite(price) || !Number.isFinite(size) || price > limitPrice) break
+    depthUsd += price * size
+  }
+
+  return {
+    bestBid: hasBid ? bestBid : null,
+    bestAsk,
+    spread: hasBid ? bestAsk - bestBid : null,
+    limitPrice,
+    depthUsd,
   }
 }
 
 const MIN_ORDER_SIZE_USD = 1
 
-export async function executeTrade(market, position, sizeUsd) {
+// Limit price 1% above best ask, rounded to the 0.01 tick size
+function getLimitPrice(bestAsk) {
+  const rawPrice = Math.min(0.99, bestAsk * 1.01)
+  return Math.round(rawPrice * 100) / 100
+}
+
+/**
+ * Simulate a buy for paper trading by walking the live orderbook up to the
+ * same limit price executeTrade would use. No orders are placed.
+ * @param {{ tradeId?: number }} [options] - records order events on the trade's timeline
+ */
+export async function simulateTrade(market, position, sizeUsd, options = {}) {
+  console.log(`[POLYMARKET] Simulating ${position} paper trade on ${market.asset} for $${sizeUsd}`)
+
+  if (sizeUsd < MIN_ORDER_SIZE_USD) {
+    return { success: false, reason: `Order size below minimum ($${MIN_ORDER_SIZE_USD})` }
+  }
+
+  const tokenId = position === 'UP'
+    ? market.tokenIds.yes
+    : market.tokenIds.no
+
+  const orderbook = await getOrderbook(tokenId)
+  const bestAsk = parseFloat(orderbook.asks[0]?.price)
+  if (!Number.isFinite(bestAsk) || bestAsk <= 0) {
+    return { success: false, reason: 'No asks in orderbook' }
+  }
+
+  const limitPrice = getLimitPrice(bestAsk)
+  let remainingUsd = sizeUsd
+  let sharesFilled = 0
+  let totalCost = 0
+
+  for (const level of orderbook.asks) {
+    const price = parseFloat(level.price)
+    const size = parseFloat(level.size)
+    if (!Number.isFinite(price) || !Number.isFinite(size) || price > limitPrice) break
+
+    const shares = Math.min(size, remainingUsd / price)
+    sharesFilled += shares
+    totalCost += shares * price
+    remainingUsd -= shares * price
+
+    if (remainingUsd < 0.01) break
+  }
+
+  if (sharesFilled <= 0) {
+    return { success: false, reason: 'No liquidity within limit price' }
+  }
+
+  const avgFillPrice = totalCost / sharesFilled
+  const partial = remainingUsd >= 0.01
+
+  console.log(`[POLYMARKET] Paper order ${partial ? 'partially filled' : 'filled'}: ${sharesFilled.toFixed(2)} shares @ avg $${avgFillPrice.toFixed(4)}`)
+
+  const orderID = `paper-${Date.now()}`
+  recordTradeEvent(options.tradeId, 'order_placed', {
+    order_id: orderID,
+    token_id: tokenId,
+    limit_price: limitPrice,
+    size_usd: sizeUsd,
+    paper: true,
+  })
+  if (partial) {
+    recordTradeEvent(options.tradeId, 'partial_fill', {
+      order_id: orderID,
+      shares_filled: sharesFilled,
+      total_cost: totalCost,
+      unfilled_usd: remainingUsd,
+    })
+  }
+
+  return {
+    success: true,
+    orderID,
+    sharesFilled,
+    avgFillPrice,
+    totalCost,
+    partial,
+  }
+}
+
+/**
+ * @param {{ onOrderPlaced?: (orderId: string) => void, tradeId?: number }} [options] - onOrderPlaced is called as soon
+ *   as the CLOB accepts the order, so the id is recorded even if the process dies while waiting for the fill;
+ *   tradeId records order events on the trade's timeline
+ */
+export async function executeTrade(market, position, sizeUsd, options = {}) {
   console.log(`[POLYMARKET] Executing ${position} trade on ${market.asset} for $${sizeUsd}`)
 
   if (sizeUsd < MIN_ORDER_SIZE_USD) {
@@ -330,9 +518,7 @@ export async function executeTrade(market, position, sizeUsd) {
     }
 
     // Place order with price above best ask to ensure fill (FOK would be better but use GTC with aggressive price)
-    // Round to tick size (0.01) to avoid precision errors
-    const rawPrice = Math.min(0.99, bestAsk * 1.01) // 1% slippage tolerance
-    const limitPrice = Math.round(rawPrice * 100) / 100
+    const limitPrice = getLimitPrice(bestAsk)
     const order = await client.createAndPostOrder({
       tokenID: tokenId,
       price: limitPrice,
@@ -351,6 +537,19 @@ export async function executeTrade(market, position, sizeUsd) {
     const orderID = order.orderID
 
     console.log(`[POLYMARKET] Order placed: ${orderID}`)
+    recordTradeEvent(options.tradeId, 'order_placed', {
+      order_id: orderID,
+      token_id: tokenId,
+      limit_price: limitPrice,
+      shares: requestedShares,
+      size_usd: sizeUsd,
+    })
+
+    try {
+      options.onOrderPlaced?.(orderID)
+    } catch (callbackError) {
+      console.error(`[POLYMARKET] Failed to record order ${orderID}:`, callbackError.message)
+    }
 
     const fillData = await waitForOrderFill(client, orderID, tokenId, 30000)
 
@@ -368,6 +567,12 @@ export async function executeTrade(market, position, sizeUsd) {
     }
 
     if (fillData.partial) {
+      recordTradeEvent(options.tradeId, 'partial_fill', {
+        order_id: orderID,
+        shares_filled: fillData.sharesFilled,
+        requested_shares: requestedShares,
+        total_cost: fillData.totalCost,
+      })
       try {
         await client.cancelOrder({ orderID })
         console.log(`[POLYMARKET] Cancelled remaining size for partially filled order ${orderID}`)
@@ -396,6 +601,132 @@ export async function executeTrade(market, position, sizeUsd) {
   }
 }
 
+// Floor for an early-exit sell: 1% under the best bid, rounded down to the 0.01 tick
+export function getExitLimitPrice(bestBid) {
+  return Math.max(0.01, Math.floor(bestBid * 0.99 * 100) / 100)
+}
+
+/**
+ * Simulate an early-exit sell for a paper position by walking the live bids down to minPrice.
+ * No orders are placed.
+ * @param {{ tradeId?: number }} [options] - records order events on the trade's timeline
+ */
+export async function simulateSell(tokenId, shares, minPrice, options = {}) {
+  console.log(`[POLYMARKET] Simulating paper sell of ${shares.toFixed(2)} shares at >= $${minPrice}`)
+
+  const orderbook = await getOrderbook(tokenId)
+  let remainingShares = shares
+  let proceeds = 0
+
+  for (const level of orderbook.bids) {
+    const price = parseFloat(level.price)
+    const size = parseFloat(level.size)
+    if (!Number.isFinite(price) || !Number.isFinite(size) || price < minPrice) break
+
+    const sold = Math.min(size, remainingShares)
+    proceeds += sold * price
+    remainingShares -= sold
+
+    if (remainingShares < 0.01) break
+  }
+
+  const sharesSold = shares - Math.max(0, remainingShares)
+  if (sharesSold <= 0) {
+    return { success: false, reason: 'No bids within limit price' }
+  }
+
+  const orderID = `paper-exit-${Date.now()}`
+  recordTradeEvent(options.tradeId, 'order_placed', {
+    order_id: orderID,
+    side: 'SELL',
+    token_id: tokenId,
+    limit_price: minPrice,
+    shares,
+    paper: true,
+  })
+
+  return {
+    success: true,
+    orderID,
+    sharesSold,
+    avgPrice: proceeds / sharesSold,
+    proceeds,
+    partial: remainingShares >= 0.01,
+  }
+}
+
+/**
+ * Sell a held position on the CLOB at no less than minPrice. Any unfilled remainder is cancelled
+ * and stays held to resolution.
+ * @param {{ tradeId?: number }} [options] - records order events on the trade's timeline
+ */
+export async function sellPosition(tokenId, shares, minPrice, options = {}) {
+  console.log(`[POLYMARKET] Selling ${shares.toFixed(2)} shares of ${tokenId} at >= $${minPrice}`)
+
+  if (!await checkGasBalance()) {
+    return { success: false, reason: 'Insufficient MATIC for gas' }
+  }
+
+  if (!await ensureTokenApproval()) {
+    return { success: false, reason: 'Failed to approve outcome tokens' }
+  }
+
+  try {
+    const client = await createClobClient()
+    const order = await client.createAndPostOrder({
+      tokenID: tokenId,
+      price: minPrice,
+      side: Side.SELL,
+      size: shares,
+    }, {
+      tickSize: '0.01',
+      negRisk: false,
+    }, OrderType.GTC)
+
+    if (!order?.orderID) {
+      return { success: false, reason: 'Sell order creation failed' }
+    }
+
+    const orderID = order.orderID
+    console.log(`[POLYMARKET] Sell order placed: ${orderID}`)
+    recordTradeEvent(options.tradeId, 'order_placed', {
+      order_id: orderID,
+      side: 'SELL',
+      token_id: tokenId,
+      limit_price: minPrice,
+      shares,
+    })
+
+    const fillData = await waitForOrderFill(client, orderID, tokenId, 30000)
+
+    if (!fillData.filled || fillData.partial) {
+      try {
+        await client.cancelOrder({ orderID })
+      } catch (cancelErr) {
+        console.error(`[POLYMARKET] Failed to cancel sell order ${orderID}:`, cancelErr)
+      }
+    }
+
+    if (!fillData.filled) {
+      return { success: false, reason: 'Sell order did not fill within timeout' }
+    }
+
+    console.log(`[POLYMARKET] Sell ${fillData.partial ? 'partially filled' : 'filled'}: ${fillData.sharesFilled} shares @ avg $${fillData.avgPrice.toFixed(4)}`)
+
+    return {
+      success: true,
+      orderID,
+      sharesSold: fillData.sharesFilled,
+      avgPrice: fillData.avgPrice,
+      proceeds: fillData.totalCost,
+      partial: fillData.partial,
+    }
+  } catch (error) {
+    console.error('[POLYMARKET] Sell failed:', error)
+    return { success: false, reason: error.message }
+  }
+}
+
 function isTradeForOrder(trade, orderId) {
   if (trade.taker_order_id === orderId) return true
   if (Array.isArray(trade.maker_orders)) {
@@ -504,75 +835,86 @@ async function waitForOrderFill(client, orderId, tokenId, timeoutMs = 30000) {
   return { filled: false }
 }
 
-const BINANCE_SYMBOLS = {
-  BTC: 'BTCUSDT',
-  ETH: 'ETHUSDT',
-  SOL: 'SOLUSDT',
-  XRP: 'XRPUSDT',
-}
-
-export async function getCurrentPrice(asset) {
-  const symbol = BINANCE_SYMBOLS[asset]
-  if (!symbol) {
-    console.error('[POLYMARKET] Unknown asset for price:', asset)
-    return 0
-  }
-
-  try {
-    const response = await fetchWithRetry(
-      `https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`,
-      { headers: { 'Accept': 'application/json' } }
-    )
+/**
+ * Current state of an order we placed, including fills. Throws if the CLOB can't be queried.
+ * @returns {Promise<{ found: boolean, live?: boolean, sharesFilled?: number, avgFillPrice?: number, totalCost?: number, partial?: boolean }>}
+ */
+export async function getOrderStatus(orderId, tokenId) {
+  const client = await createClobClient()
+  const order = await client.getOrder(orderId)
+  if (!order?.id) return { found: false }
 
-    if (!response.ok) {
-      throw new Error(`Binance API error: ${response.status}`)
-    }
+  const sizeMatched = parseFloat(order.size_matched || '0')
+  const originalSize = parseFloat(order.original_size || '0')
+  const live = order.status === 'LIVE'
 
-    const data = await response.json()
-    return parseFloat(data.price) || 0
-  } catch (error) {
-    console.error('[POLYMARKET] Error fetching price:', error)
-    return 0
+  if (sizeMatched <= 0) {
+    return { found: true, live, sharesFilled: 0, avgFillPrice: 0, totalCost: 0, partial: false }
   }
-}
 
-export async function getRecentCandles(asset, interval = '1m', limit = 60) {
-  const symbol = BINANCE_SYMBOLS[asset]
-  if (!symbol) {
-    console.error('[BINANCE] Unknown asset for candles:', asset)
-    return []
+  const fillData = await getOrderFillData(client, tokenId, orderId, sizeMatched, parseFloat(order.price) || 0)
+  return {
+    found: true,
+    live,
+    sharesFilled: fillData.sharesFilled,
+    avgFillPrice: fillData.avgPrice,
+    totalCost: fillData.totalCost,
+    partial: originalSize > 0 ? sizeMatched < originalSize : false,
   }
+}
 
-  const safeLimit = Math.max(1, Math.min(1000, Number(limit) || 60))
-
-  try {
-    const response = await fetchWithRetry(
-      `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${safeLimit}`,
-      { headers: { 'Accept': 'application/json' } }
-    )
-
-    if (!response.ok) {
-      throw new Error(`Binance klines error: ${response.status}`)
+/**
+ * Our buy fills on a token since a time, grouped under the first order that has any.
+ * Finds fills for an order whose id was never recorded. Throws if the CLOB can't be queried.
+ * @returns {Promise<{ orderId: string, sharesFilled: number, avgFillPrice: number, totalCost: number } | null>}
+ */
+export async function findRecentFill(tokenId, since) {
+  const client = await createClobClient()
+  const walletAddress = getWalletAddress().toLowerCase()
+  const trades = await client.getTrades({ asset_id: tokenId, after: Math.floor(since.getTime() / 1000) }, true)
+
+  const fillsByOrder = new Map()
+  for (const trade of trades) {
+    const fills = trade.trader_side === 'MAKER'
+      ? (trade.maker_orders || [])
+        .filter(order => order.maker_address?.toLowerCase() === walletAddress && order.side === 'BUY')
+        .map(order => ({ orderId: order.order_id, shares: parseFloat(order.matched_amount), price: parseFloat(order.price) }))
+      : trade.side === 'BUY'
+        ? [{ orderId: trade.taker_order_id, shares: parseFloat(trade.size), price: parseFloat(trade.price) }]
+        : []
+
+    for (const fill of fills) {
+      if (!Number.isFinite(fill.shares) || !Number.isFinite(fill.price)) continue
+      const totals = fillsByOrder.get(fill.orderId) || { sharesFilled: 0, totalCost: 0 }
+      totals.sharesFilled += fill.shares
+      totals.totalCost += fill.shares * fill.price
+      fillsByOrder.set(fill.orderId, totals)
     }
+  }
 
-    const data = await response.json()
-    if (!Array.isArray(data)) {
-      return []
+  for (const [orderId, totals] of fillsByOrder) {
+    if (totals.sharesFilled > 0) {
+      return { orderId, ...totals, avgFillPrice: totals.totalCost / totals.sharesFilled }
     }
+  }
+  return null
+}
 
-    return data.map(row => ({
-      openTime: Number(row[0]),
-      open: parseFloat(row[1]) || 0,
-      high: parseFloat(row[2]) || 0,
-      low: parseFloat(row[3]) || 0,
-      close: parseFloat(row[4]) || 0,
-      volume: parseFloat(row[5]) || 0,
-      closeTime: Number(row[6]),
-    }))
-  } catch (error) {
-    console.error('[BINANCE] Error fetching candles:', error)
-    return []
+/**
+ * Cancel the given orders where they are still resting. Orders are cancelled by id, since other
+ * guilds' rounds may have their own orders open on the same wallet.
+ * @returns {Promise<number>} number of orders cancelled
+ */
+export async function cancelOrders(orderIds) {
+  if (orderIds.length === 0) return 0
+
+  const client = await createClobClient()
+  const result = await client.cancelOrders(orderIds)
+  const cancelled = result?.canceled ?? []
+  for (const orderId of cancelled) {
+    console.log(`[POLYMARKET] Cancelled open order ${orderId}`)
   }
+  return cancelled.length
 }
 
 /**
@@ -617,12 +959,3 @@ export async function getMarketResolution(marketOrId) {
     throw error
   }
 }
-
-function detectAsset(text) {
-  const lower = text.toLowerCase()
-  if (lower.includes('btc') || lower.includes('bitcoin')) return 'BTC'
-  if (lower.includes('eth') || lower.includes('ethereum')) return 'ETH'
-  if (lower.includes('sol') || lower.includes('solana')) return 'SOL'
-  if (lower.includes('xrp')) return 'XRP'
-  return null
-}
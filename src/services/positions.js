@@ -0,0 +1,54 @@
+import { CONFIG } from '../config/index.js'
+
+/**
+ * Early-exit thresholds from trading.exits, as moves of the held token's bid relative to the entry price
+ * @returns {{ enabled: boolean, takeProfitPct: number|null, stopLossPct: number|null }}
+ */
+export function getExitConfig() {
+  const exits = CONFIG.trading.exits ?? {}
+
+  const readPct = (value, key, max) => {
+    if (value == null) return null
+    const number = Number(value)
+    if (!(number > 0 && number <= max)) {
+      throw new Error(`trading.exits.${key} must be greater than 0 and at most ${max}`)
+    }
+    return number
+  }
+
+  return {
+    enabled: exits.enabled === true,
+    takeProfitPct: readPct(exits.take_profit_pct, 'take_profit_pct', 10),
+    stopLossPct: readPct(exits.stop_loss_pct, 'stop_loss_pct', 1),
+  }
+}
+
+// Slack for float noise, so a bid exactly on a threshold counts as crossing it
+const EPSILON = 1e-9
+
+/**
+ * Decide whether a held position should be sold now
+ * @param {object} trade - Executed trade with avg_fill_price
+ * @param {number|null} bestBid - Current best bid for the held token
+ * @returns {{ reason: 'take_profit'|'stop_loss', threshold: number }|null}
+ */
+export function getExitSignal(trade, bestBid, config = getExitConfig()) {
+  const entry = Number(trade.avg_fill_price)
+  if (!config.enabled || bestBid === null || !(entry > 0)) return null
+
+  if (config.takeProfitPct !== null) {
+    const threshold = entry * (1 + config.takeProfitPct)
+    if (bestBid >= threshold - EPSILON) return { reason: 'take_profit', threshold }
+  }
+
+  if (config.stopLossPct !== null) {
+    const threshold = entry * (1 - config.stopLossPct)
+    if (bestBid <= threshold + EPSILON) return { reason: 'stop_loss', threshold }
+  }
+
+  return null
+}
+
+export function formatExitReason(reason) {
+  return reason === 'take_profit' ? 'take profit' : 'stop loss'
+}
@@ -0,0 +1,433 @@
+import { readFileSync } from 'fs'
+import { CONFIG } from '../config/index.js'
+import { fetchWithRetry } from '../utils/fetch.js'
+import { getAsset } from './assets.js'
+import { getLiveCandles, getLivePrice } from './streams.js'
+
+const DEFAULT_PROVIDERS = ['binance', 'coinbase', 'kraken']
+const DEFAULT_FAILURE_THRESHOLD = 3
+const DEFAULT_COOLDOWN_SECONDS = 300
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+}
+
+const providers = new Map()
+const health = new Map()
+
+/**
+ * Register a price source. A provider implements:
+ *   getPrice(symbol) -> spot price in USD
+ *   getCandles(symbol, { interval, limit, startTime }) -> candles oldest first
+ *   defaultSymbol(asset) -> the provider's symbol for a registry asset without assets.<X>.price_symbols.<name>
+ * Both fetches throw on failure so the next provider can take over.
+ */
+export function registerPriceProvider(name, provider) {
+  providers.set(name, provider)
+}
+
+/**
+ * Price settings from the prices block
+ * @returns {{ providers: string[], maxDivergencePct: number|null, failureThreshold: number, cooldownSeconds: number }}
+ */
+export function getPriceConfig() {
+  const prices = CONFIG.prices ?? {}
+
+  const names = prices.providers ?? DEFAULT_PROVIDERS
+  if (!Array.isArray(names) || names.length === 0) {
+    throw new Error('prices.providers must list at least one provider')
+  }
+  const unknown = names.filter(name => !providers.has(name))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown price provider "${unknown[0]}" in prices.providers (expected ${[...providers.keys()].join(', ')})`)
+  }
+
+  const readNumber = (value, key, fallback) => {
+    if (value == null) return fallback
+    const number = Number(value)
+    if (!(number > 0)) {
+      throw new Error(`prices.${key} must be a positive number`)
+    }
+    return number
+  }
+
+  return {
+    providers: names,
+    maxDivergencePct: readNumber(prices.max_divergence_pct, 'max_divergence_pct', null),
+    failureThreshold: readNumber(prices.failure_threshold, 'failure_threshold', DEFAULT_FAILURE_THRESHOLD),
+    cooldownSeconds: readNumber(prices.cooldown_seconds, 'cooldown_seconds', DEFAULT_COOLDOWN_SECONDS),
+  }
+}
+
+function recordSuccess(name, now = Date.now()) {
+  const state = health.get(name)
+  if (state?.benchedUntil) {
+    console.log(`[PRICES] ${name} recovered`)
+  }
+  health.set(name, { failures: 0, lastError: null, lastFailureAt: state?.lastFailureAt ?? null, lastSuccessAt: now, benchedUntil: null })
+}
+
+function recordFailure(name, error, config, now = Date.now()) {
+  const state = health.get(name) ?? { failures: 0, lastSuccessAt: null, benchedUntil: null }
+  const failures = state.failures + 1
+  let benchedUntil = state.benchedUntil
+
+  if (failures >= config.failureThreshold && !(benchedUntil > now)) {
+    benchedUntil = now + config.cooldownSeconds * 1000
+    console.error(`[PRICES] ${name} benched for ${config.cooldownSeconds}s after ${failures} consecutive failures: ${error.message}`)
+  }
+
+  health.set(name, { ...state, failures, lastError: error.message, lastFailureAt: now, benchedUntil })
+}
+
+/**
+ * Health of each configured provider, in the order they are tried
+ * @returns {{ name: string, healthy: boolean, failures: number, lastError: string|null, benchedUntil: number|null }[]}
+ */
+export function getProviderHealth(now = Date.now()) {
+  return getProviderOrder(getPriceConfig(), now).map(name => {
+    const state = health.get(name)
+    return {
+      name,
+      healthy: !(state?.benchedUntil > now),
+      failures: state?.failures ?? 0,
+      lastError: state?.lastError ?? null,
+      benchedUntil: state?.benchedUntil > now ? state.benchedUntil : null,
+    }
+  })
+}
+
+/**
+ * Provider health as one /pool line, in the order they are tried
+ */
+export function formatProviderHealth(providers, now = Date.now()) {
+  const parts = providers.map(({ name, failures, lastError, benchedUntil }) => {
+    if (benchedUntil) return `${name} benched ${Math.ceil((benchedUntil - now) / 60000)}m (${lastError})`
+    if (failures > 0) return `${name} ${failures} failed (${lastError})`
+    return `${name} ok`
+  })
+  return `📈 **Price feeds:** ${parts.join(' · ')}`
+}
+
+// Healthy providers in config order; benched ones still get a turn as a last resort
+function getProviderOrder(config, now = Date.now()) {
+  const benched = name => health.get(name)?.benchedUntil > now
+  return [
+    ...config.providers.filter(name => !benched(name)),
+    ...config.providers.filter(name => benched(name)),
+  ]
+}
+
+function resolveSymbol(asset, name) {
+  return asset.priceSymbols[name] ?? providers.get(name).defaultSymbol(asset)
+}
+
+function requireAsset(symbol) {
+  const asset = getAsset(symbol)
+  if (!asset) {
+    throw new Error(`Unknown asset ${symbol}`)
+  }
+  return asset
+}
+
+async function withFailover(description, call) {
+  const config = getPriceConfig()
+  const errors = []
+
+  for (const name of getProviderOrder(config)) {
+    try {
+      const result = await call(providers.get(name), name)
+      recordSuccess(name)
+      return result
+    } catch (error) {
+      recordFailure(name, error, config)
+      errors.push(`${name}: ${error.message}`)
+    }
+  }
+
+  throw new Error(`${description} unavailable from every price provider (${errors.join('; ')})`)
+}
+
+/**
+ * Spot price in USD: the live stream when it is fresh, otherwise the first provider that answers
+ * @throws when every provider fails
+ */
+export async function getCurrentPrice(symbol) {
+  const asset = requireAsset(symbol)
+  const livePrice = getLivePrice(symbol)
+  if (livePrice > 0) return livePrice
+
+  return withFailover(`${symbol} price`, async (provider, name) => {
+    const price = await provider.getPrice(resolveSymbol(asset, name))
+    if (!(price > 0)) {
+      throw new Error(`invalid price ${price}`)
+    }
+    return price
+  })
+}
+
+/**
+ * Candles oldest first, most recent by default or forward from startTime when given.
+ * Recent 1m candles come from the stream buffer when it is fresh unless live is false.
+ * @throws when every provider fails or returns none
+ */
+export async function getRecentCandles(symbol, interval = '1m', limit = 60, startTime = null, { live = true } = {}) {
+  const asset = requireAsset(symbol)
+  const safeLimit = Math.max(1, Math.min(1000, Number(limit) || 60))
+
+  if (live && interval === '1m' && !startTime) {
+    const liveCandles = getLiveCandles(symbol, safeLimit)
+    if (liveCandles) return liveCandles
+  }
+
+  return withFailover(`${symbol} ${interval} candles`, async (provider, name) => {
+    const candles = await provider.getCandles(resolveSymbol(asset, name), {
+      interval,
+      limit: safeLimit,
+      startTime: startTime ? Number(startTime) : null,
+    })
+    if (!Array.isArray(candles) || candles.length === 0) {
+      throw new Error('no candles returned')
+    }
+    return candles
+  })
+}
+
+/**
+ * Ask every healthy provider for the spot price and compare them.
+ * Fewer than two answers can't disagree, so they pass.
+ * @returns {Promise<{ consistent: boolean, prices: object, divergencePct: number|null, reason: string|null }>}
+ */
+export async function checkPriceConsistency(symbol, config = getPriceConfig()) {
+  if (config.maxDivergencePct === null) {
+    return { consistent: true, prices: {}, divergencePct: null, reason: null }
+  }
+
+  const asset = requireAsset(symbol)
+  const now = Date.now()
+  const names = config.providers.filter(name => !(health.get(name)?.benchedUntil > now))
+  const prices = {}
+
+  await Promise.all(names.map(async name => {
+    try {
+      const price = await providers.get(name).getPrice(resolveSymbol(asset, name))
+      if (!(price > 0)) throw new Error(`invalid price ${price}`)
+      prices[name] = price
+      recordSuccess(name)
+    } catch (error) {
+      recordFailure(name, error, config)
+    }
+  }))
+
+  const values = Object.values(prices)
+  if (values.length < 2) {
+    return { consistent: true, prices, divergencePct: null, reason: null }
+  }
+
+  const divergencePct = (Math.max(...values) - Math.min(...values)) / Math.min(...values)
+  if (divergencePct <= config.maxDivergencePct) {
+    return { consistent: true, prices, divergencePct, reason: null }
+  }
+
+  const quotes = config.providers
+    .filter(name => name in prices)
+    .map(name => `${name} $${prices[name].toLocaleString(undefined, { maximumFractionDigits: 4 })}`)
+    .join(' · ')
+  return {
+    consistent: false,
+    prices,
+    divergencePct,
+    reason: `${symbol} price sources disagree by ${(divergencePct * 100).toFixed(2)}% (${quotes})`,
+  }
+}
+
+async function fetchJson(url, label) {
+  const response = await fetchWithRetry(url, { headers: { 'Accept': 'application/json' } })
+  if (!response.ok) {
+    throw new Error(`${label} error: ${response.status}`)
+  }
+  return response.json()
+}
+
+function getIntervalMs(interval) {
+  const ms = INTERVAL_MS[interval]
+  if (!ms) {
+    throw new Error(`Unsupported candle interval ${interval}`)
+  }
+  return ms
+}
+
+registerPriceProvider('binance', {
+  defaultSymbol: asset => asset.priceSymbol,
+
+  async getPrice(symbol) {
+    const data = await fetchJson(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`, 'Binance API')
+    return parseFloat(data.price)
+  },
+
+  async getCandles(symbol, { interval, limit, startTime }) {
+    const startParam = startTime ? `&startTime=${startTime}` : ''
+    const data = await fetchJson(
+      `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}${startParam}`,
+      'Binance klines'
+    )
+    if (!Array.isArray(data)) return []
+
+    return data.map(row => ({
+      openTime: Number(row[0]),
+      open: parseFloat(row[1]) || 0,
+      high: parseFloat(row[2]) || 0,
+      low: parseFloat(row[3]) || 0,
+      close: parseFloat(row[4]) || 0,
+      volume: parseFloat(row[5]) || 0,
+      closeTime: Number(row[6]),
+    }))
+  },
+})
+
+// Coinbase serves at most 300 candles per request, newest first
+const COINBASE_MAX_CANDLES = 300
+const COINBASE_GRANULARITY = { '1m': 60, '5m': 300, '15m': 900, '1h': 3600, '1d': 86400 }
+
+registerPriceProvider('coinbase', {
+  defaultSymbol: asset => `${asset.symbol}-USD`,
+
+  async getPrice(symbol) {
+    const data = await fetchJson(`https://api.exchange.coinbase.com/products/${symbol}/ticker`, 'Coinbase API')
+    return parseFloat(data.price)
+  },
+
+  async getCandles(symbol, { interval, limit, startTime }) {
+    const granularity = COINBASE_GRANULARITY[interval]
+    if (!granularity) {
+      throw new Error(`Coinbase has no ${interval} candles`)
+    }
+
+    const stepMs = granularity * 1000
+    const start = startTime
+      ? Math.floor(startTime / stepMs) * stepMs
+      : (Math.floor(Date.now() / stepMs) - limit + 1) * stepMs
+    const end = start + limit * stepMs
+
+    const byOpenTime = new Map()
+    for (let chunkStart = start; chunkStart < end; chunkStart += COINBASE_MAX_CANDLES * stepMs) {
+      const chunkEnd = Math.min(end, chunkStart + COINBASE_MAX_CANDLES * stepMs) - stepMs
+      const data = await fetchJson(
+        `https://api.exchange.coinbase.com/products/${symbol}/candles?granularity=${granularity}` +
+          `&start=${new Date(chunkStart).toISOString()}&end=${new Date(chunkEnd).toISOString()}`,
+        'Coinbase candles'
+      )
+      if (!Array.isArray(data)) continue
+
+      for (const row of data) {
+        const openTime = Number(row[0]) * 1000
+        byOpenTime.set(openTime, {
+          openTime,
+          open: parseFloat(row[3]) || 0,
+          high: parseFloat(row[2]) || 0,
+          low: parseFloat(row[1]) || 0,
+          close: parseFloat(row[4]) || 0,
+          volume: parseFloat(row[5]) || 0,
+          closeTime: openTime + stepMs - 1,
+        })
+      }
+    }
+
+    return [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime).slice(-limit)
+  },
+})
+
+// Kraken returns up to 720 candles and names Bitcoin XBT
+const KRAKEN_MAX_CANDLES = 720
+
+registerPriceProvider('kraken', {
+  defaultSymbol: asset => `${asset.symbol === 'BTC' ? 'XBT' : asset.symbol}USD`,
+
+  async getPrice(symbol) {
+    const data = await fetchJson(`https://api.kraken.com/0/public/Ticker?pair=${symbol}`, 'Kraken API')
+    if (data.error?.length > 0) {
+      throw new Error(`Kraken API error: ${data.error.join(', ')}`)
+    }
+    const ticker = Object.values(data.result ?? {})[0]
+    return parseFloat(ticker?.c?.[0])
+  },
+
+  async getCandles(symbol, { interval, limit, startTime }) {
+    const stepMs = getIntervalMs(interval)
+    // Older history isn't served at all: an earlier since returns the latest candles, which would
+    // silently skip a backfill past the gap, so fail over instead
+    if (startTime && startTime < Date.now() - KRAKEN_MAX_CANDLES * stepMs) {
+      throw new Error(`Kraken only serves the last ${KRAKEN_MAX_CANDLES} ${interval} candles`)
+    }
+    const sinceParam = startTime ? `&since=${Math.floor(startTime / 1000) - 1}` : ''
+    const data = await fetchJson(
+      `https://api.kraken.com/0/public/OHLC?pair=${symbol}&interval=${stepMs / 60000}${sinceParam}`,
+      'Kraken OHLC'
+    )
+    if (data.error?.length > 0) {
+      throw new Error(`Kraken OHLC error: ${data.error.join(', ')}`)
+    }
+
+    const rows = Object.entries(data.result ?? {}).find(([key]) => key !== 'last')?.[1] ?? []
+    const candles = rows.map(row => {
+      const openTime = Number(row[0]) * 1000
+      return {
+        openTime,
+        open: parseFloat(row[1]) || 0,
+        high: parseFloat(row[2]) || 0,
+        low: parseFloat(row[3]) || 0,
+        close: parseFloat(row[4]) || 0,
+        volume: parseFloat(row[6]) || 0,
+        closeTime: openTime + stepMs - 1,
+      }
+    })
+
+    return startTime
+      ? candles.filter(candle => candle.openTime >= startTime).slice(0, limit)
+      : candles.slice(-limit)
+  },
+})
+
+// Local prices for development and tests: prices.fixture_file, or data set with setPriceFixture.
+// Shape: { "BTC": { "price": 65000, "candles": [{ openTime, open, high, low, close, volume, closeTime }] } }
+let fixtureData = null
+
+export function setPriceFixture(data) {
+  fixtureData = data
+}
+
+function getFixture(symbol) {
+  if (!fixtureData) {
+    const file = CONFIG.prices?.fixture_file
+    if (!file) {
+      throw new Error('prices.fixture_file is not set')
+    }
+    fixtureData = JSON.parse(readFileSync(file, 'utf-8'))
+  }
+
+  const entry = fixtureData[symbol]
+  if (!entry) {
+    throw new Error(`no fixture data for ${symbol}`)
+  }
+  return entry
+}
+
+registerPriceProvider('fixture', {
+  defaultSymbol: asset => asset.symbol,
+
+  async getPrice(symbol) {
+    return Number(getFixture(symbol).price)
+  },
+
+  async getCandles(symbol, { limit, startTime }) {
+    const candles = getFixture(symbol).candles ?? []
+    return startTime
+      ? candles.filter(candle => candle.openTime >= startTime).slice(0, limit)
+      : candles.slice(-limit)
+  },
+})
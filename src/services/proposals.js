@@ -0,0 +1,149 @@
+import { CONFIG } from '../config/index.js'
+import { getSizingConfig, sizePosition } from './sizing.js'
+import { applyExposureCap, applyNotionalLimits } from './exposure.js'
+import { fitToDepth } from './guards.js'
+import { getVoteEmojis } from '../bot/reactions.js'
+
+// Discord allows about five edits per channel every five seconds, shared by every open round
+const MIN_REFRESH_SECONDS = 5
+
+const STATUS_COLORS = {
+  voting: 0x3498db,
+  executed: 0x2ecc71,
+  cancelled: 0x95a5a6,
+}
+
+/**
+ * Live proposal updates from trading.proposal_updates
+ * @returns {{ enabled: boolean, refreshMs: number }}
+ */
+export function getProposalUpdateConfig() {
+  const updates = CONFIG.trading.proposal_updates ?? {}
+  const refreshSeconds = updates.refresh_seconds == null ? 15 : Number(updates.refresh_seconds)
+  if (!(refreshSeconds >= MIN_REFRESH_SECONDS)) {
+    throw new Error(`trading.proposal_updates.refresh_seconds must be a number of at least ${MIN_REFRESH_SECONDS}`)
+  }
+
+  return {
+    enabled: updates.enabled !== false,
+    refreshMs: refreshSeconds * 1000,
+  }
+}
+
+/**
+ * The side the tally currently favors, or null with no votes or an even split
+ */
+export function getLeadingSide(tally) {
+  if (tally.total === 0 || Math.abs(tally.upWeight - tally.downWeight) < 1e-9) return null
+  return tally.upWeight > tally.downWeight ? 'UP' : 'DOWN'
+}
+
+/**
+ * The position closing the vote now would take, following the same sizing, caps and $1 minimum.
+ * Entry guards are only checked when voting closes.
+ * @param {{ trade: object, tally: object, balance: number|null, book: object|null, now: Date }} context
+ *   balance is the pool cash available for the round; book is the leading side's getOrderbookSummary
+ * @returns {{ position: 'UP'|'DOWN'|null, size: number|null, reason: string|null }}
+ *   size is null when it can't be projected yet, and 0 when the round would be cancelled
+ */
+export function projectPositionSize({ trade, tally, balance, book, now }) {
+  const position = getLeadingSide(tally)
+  if (!position) {
+    return { position, size: null, reason: tally.total === 0 ? 'waiting for votes' : 'tied, a coin flip would pick the side' }
+  }
+  if (!(balance > 0)) {
+    return { position, size: null, reason: 'pool balance unavailable' }
+  }
+
+  const sizingConfig = getSizingConfig()
+  const price = book?.bestAsk ?? null
+  if (sizingConfig.strategy === 'kelly' && price === null) {
+    return { position, size: null, reason: `waiting for the ${position} order book` }
+  }
+
+  const sizing = sizePosition({
+    balance,
+    conviction: tally.conviction,
+    voteShare: position === 'UP' ? tally.upShare : tally.downShare,
+    confidence: trade.analysis_confidence,
+    aligned: trade.analysis_direction === position,
+    price,
+  }, sizingConfig)
+  if (sizing.size <= 0) {
+    return { position, size: 0, reason: 'no edge at this price' }
+  }
+
+  const paper = Boolean(trade.is_paper)
+  const exposure = applyExposureCap(sizing.size, balance, paper, trade.guild_id ?? null)
+  if (exposure.capped && exposure.size < 1) {
+    return { position, size: 0, reason: 'open positions already use the exposure cap' }
+  }
+  let size = exposure.size
+  if (size < 1) {
+    if (balance < 1) return { position, size: 0, reason: 'pool balance below the $1 minimum' }
+    size = 1
+  }
+
+  const limits = applyNotionalLimits(size, { asset: trade.asset, paper, now })
+  if (limits.size < 1) {
+    return { position, size: 0, reason: limits.reason }
+  }
+  size = limits.size
+
+  const depth = book ? fitToDepth(size, book) : { size, resized: false, reason: null }
+  if (depth.size < 1) {
+    return { position, size: 0, reason: `${depth.reason} is below the $1 minimum` }
+  }
+
+  return { position, size: depth.size, reason: depth.resized ? `fitted to the ${depth.reason}` : limits.reason }
+}
+
+/**
+ * Status embed shown under a proposal: the running tally and countdown while voting is open,
+ * then how the round closed
+ * @param {{ trade: object, tally: object, timeLeft?: string, projection?: object|null }} context
+ *   trade.status other than 'voting' renders the closed state
+ */
+export function formatProposalStatus({ trade, tally, timeLeft = null, projection = null }) {
+  const { up: UP_EMOJI, down: DOWN_EMOJI } = getVoteEmojis()
+  const minVotes = Number(CONFIG.trading.min_votes)
+  const upPercent = tally.total > 0 ? Math.round((tally.up / tally.total) * 100) : 0
+  const weightedUpPercent = Math.round(tally.upShare * 100)
+  const voting = trade.status === 'voting'
+
+  const lines = [
+    `${UP_EMOJI} UP: ${tally.up} (${upPercent}%) · ${DOWN_EMOJI} DOWN: ${tally.down} (${tally.total > 0 ? 100 - upPercent : 0}%)`,
+    tally.weighted ? `⚖️ Reputation-weighted: UP ${weightedUpPercent}% · DOWN ${100 - weightedUpPercent}%` : null,
+  ]
+
+  if (voting) {
+    const missing = minVotes - tally.total
+    lines.push(
+      missing > 0 ? `🗳️ ${missing} more vote${missing !== 1 ? 's' : ''} needed to execute` : null,
+      `⏰ Voting closes in ${timeLeft}`,
+      formatProjection(projection),
+    )
+  } else if (trade.status === 'cancelled') {
+    lines.push(`🔒 Voting closed · ❌ ${trade.cancel_reason || 'Cancelled'}`)
+  } else if (trade.total_cost != null) {
+    lines.push(`🔒 Voting closed · 🎯 ${trade.executed_position} for $${Number(trade.total_cost).toFixed(2)}`)
+  } else {
+    lines.push('🔒 Voting closed')
+  }
+
+  const color = voting ? STATUS_COLORS.voting
+    : trade.status === 'cancelled' ? STATUS_COLORS.cancelled : STATUS_COLORS.executed
+
+  const embed = { color, description: lines.filter(line => line !== null).join('\n') }
+  if (voting) {
+    embed.footer = { text: `Live tally · updates every ${getProposalUpdateConfig().refreshMs / 1000}s` }
+  }
+  return embed
+}
+
+function formatProjection(projection) {
+  if (!projection) return null
+  if (projection.size === null) return `💵 Projected position: — (${projection.reason})`
+  if (projection.size === 0) return `💵 Projected position: none, ${projection.reason}`
+  return `💵 Projected position: $${projection.size.toFixed(2)} on ${projection.position}${projection.reason ? ` (${projection.reason})` : ''}`
+}
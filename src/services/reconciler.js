@@ -0,0 +1,149 @@
+import { trades, tradeEvents } from '../database/index.js'
+import { getOrderStatus, findRecentFill, cancelOrders } from './polymarket.js'
+
+// A voting round that closed longer ago than this is too late to execute
+const STALE_VOTING_GRACE_MS = 2 * 60 * 1000
+
+// Orders this trade placed on the given side, from its recorded order id and order_placed events
+function getTradeOrderIds(trade, side) {
+  const orderIds = new Set(side === 'BUY' && trade.clob_order_id ? [trade.clob_order_id] : [])
+  for (const { event, data } of tradeEvents.getByTrade(trade.id)) {
+    if (event === 'order_placed' && data?.order_id && (data.side ?? 'BUY') === side) {
+      orderIds.add(data.order_id)
+    }
+  }
+  return [...orderIds]
+}
+
+function roundLabel(trade) {
+  return `Round #${trade.id} · ${trade.asset}`
+}
+
+function markExecuted(trade, fill, orderId) {
+  trades.execute(trade.id, trade.executed_position, fill)
+  trades.updateOrderId(trade.id, orderId)
+  tradeEvents.record(trade.id, 'executed', {
+    position: trade.executed_position,
+    order_id: orderId,
+    shares_filled: fill.sharesFilled,
+    avg_fill_price: fill.avgFillPrice,
+    total_cost: fill.totalCost,
+    recovered: true,
+  })
+  return {
+    trade,
+    action: 'executed',
+    detail: `recovered ${trade.executed_position} fill, ${fill.sharesFilled.toFixed(2)} shares @ $${fill.avgFillPrice.toFixed(4)}`,
+  }
+}
+
+function cancel(trade, reason) {
+  trades.cancel(trade.id, `Interrupted at startup: ${reason}`)
+  return { trade, action: 'cancelled', detail: `cancelled, ${reason}` }
+}
+
+function hold(trade, reason) {
+  trades.revertExiting(trade.id)
+  tradeEvents.record(trade.id, 'exit_interrupted', { reason })
+  return { trade, action: 'held', detail: `${reason}, holding to resolution` }
+}
+
+function flag(trade, reason) {
+  trades.flagForReview(trade.id, reason)
+  tradeEvents.record(trade.id, 'flagged', { reason })
+  return { trade, action: 'flagged', detail: `flagged for admin review: ${reason}` }
+}
+
+async function reconcileExecution(trade) {
+  // Simulated fills have no side effects, so nothing needs recovering
+  if (trade.is_paper) return cancel(trade, 'simulated fill was interrupted')
+
+  if (!trade.token_id) return flag(trade, 'no outcome token recorded for the interrupted order')
+
+  if (trade.clob_order_id) {
+    const order = await getOrderStatus(trade.clob_order_id, trade.token_id)
+    if (order.found) {
+      if (order.live) await cancelOrders([trade.clob_order_id])
+      return order.sharesFilled > 0
+        ? markExecuted(trade, order, trade.clob_order_id)
+        : cancel(trade, 'the order never filled')
+    }
+  }
+
+  // The order id was never recorded: look for our fills since voting closed
+  const since = new Date(new Date(trade.voting_ends_at).getTime() - 60 * 1000)
+  const fill = await findRecentFill(trade.token_id, since)
+  const orderIds = getTradeOrderIds(trade, 'BUY')
+  if (fill && !orderIds.includes(fill.orderId)) orderIds.push(fill.orderId)
+  const cancelledOrders = await cancelOrders(orderIds)
+
+  if (fill) return markExecuted(trade, fill, fill.orderId)
+  return cancel(trade, cancelledOrders > 0 ? 'the unfilled order was cancelled' : 'no order reached the CLOB')
+}
+
+/**
+ * Bring one open trade in line with the CLOB
+ * @returns {Promise<{ trade: object, action: 'executed'|'cancelled'|'held'|'flagged', detail: string } | null>}
+ *   null when the trade needs no repair
+ */
+export async function reconcileTrade(trade, now = new Date()) {
+  if (trade.status === 'voting') {
+    const closedForMs = now - new Date(trade.voting_ends_at)
+    return closedForMs > STALE_VOTING_GRACE_MS
+      ? cancel(trade, 'the voting window expired while the bot was offline')
+      : null
+  }
+
+  if (trade.status === 'executing' || trade.status === 'review') {
+    try {
+      return await reconcileExecution(trade)
+    } catch (error) {
+      return flag(trade, `could not query the CLOB (${error.message})`)
+    }
+  }
+
+  // An early-exit sell never recorded its fill. Pull any resting sell so the full position is held again.
+  if (trade.status === 'exiting') {
+    if (trade.is_paper) return hold(trade, 'simulated sell was interrupted')
+    try {
+      await cancelOrders(getTradeOrderIds(trade, 'SELL'))
+    } catch (error) {
+      // Admin review only handles interrupted buys, so hold and surface the failure instead
+      return hold(trade, `early-exit sell was interrupted and could not be cancelled (${error.message})`)
+    }
+    return hold(trade, 'early-exit sell was interrupted')
+  }
+
+  return null
+}
+
+/**
+ * Repair every round a crash or restart left mid-lifecycle. Runs at startup, before the scheduler ticks.
+ * Executed rounds are left alone; resolution picks them up.
+ */
+export async function reconcileOpenTrades(now = new Date()) {
+  const outcomes = []
+
+  for (const trade of trades.getOpen()) {
+    const outcome = await reconcileTrade(trade, now)
+    if (outcome) {
+      console.log(`[RECONCILER] Trade ${trade.id} (${trade.status}): ${outcome.detail}`)
+      outcomes.push(outcome)
+    }
+  }
+
+  if (outcomes.length === 0) {
+    console.log('[RECONCILER] All open rounds consistent')
+  }
+
+  return outcomes
+}
+
+export function formatRecoveryReport(outcomes) {
+  const icons = { executed: '✅', cancelled: '❌', held: '↩️', flagged: '⚠️' }
+  return [
+    `🔧 **Startup recovery**`,
+    ``,
+    ...outcomes.map(({ trade, action, detail }) => `${icons[action]} ${roundLabel(trade)}: ${detail}`),
+  ].join('\n')
+}
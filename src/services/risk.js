@@ -0,0 +1,146 @@
+import { CONFIG } from '../config/index.js'
+import { trades, runtimeState } from '../database/index.js'
+import { getLocalMidnight, formatDateTimeInTimezone } from '../utils/time.js'
+
+const RESUME_MODES = ['next_day', 'manual']
+
+/**
+ * Circuit breaker limits from the optional `risk` config block; a missing limit is not enforced
+ * @returns {{ maxDailyLossUsd: number|null, maxDrawdownPct: number|null, resume: string }}
+ */
+export function getRiskConfig() {
+  const risk = CONFIG.risk ?? {}
+
+  const maxDailyLossUsd = risk.max_daily_loss_usd == null ? null : Number(risk.max_daily_loss_usd)
+  if (maxDailyLossUsd !== null && !(maxDailyLossUsd > 0)) {
+    throw new Error('risk.max_daily_loss_usd must be a positive number')
+  }
+
+  const maxDrawdownPct = risk.max_drawdown_pct == null ? null : Number(risk.max_drawdown_pct)
+  if (maxDrawdownPct !== null && !(maxDrawdownPct > 0 && maxDrawdownPct < 1)) {
+    throw new Error('risk.max_drawdown_pct must be between 0 and 1')
+  }
+
+  const resume = risk.resume ?? 'next_day'
+  if (!RESUME_MODES.includes(resume)) {
+    throw new Error(`Invalid risk.resume "${resume}", expected one of: ${RESUME_MODES.join(', ')}`)
+  }
+
+  return { maxDailyLossUsd, maxDrawdownPct, resume }
+}
+
+// Paper and live trading keep separate breaker state, so a paper loss never halts live rounds
+function riskColumn(paper, name) {
+  return `${paper ? 'risk_paper_' : 'risk_'}${name}`
+}
+
+/**
+ * Active circuit breaker pause for live or paper trading, or null
+ * @returns {{ reason: string, pausedAt: Date, resumesAt: Date|null, paper: boolean }|null}
+ */
+export function getRiskPause(paper = false) {
+  const state = runtimeState.getRiskState()
+  if (!state?.[riskColumn(paper, 'pause_reason')]) return null
+  const resumeAt = state[riskColumn(paper, 'resume_at')]
+  return {
+    reason: state[riskColumn(paper, 'pause_reason')],
+    pausedAt: new Date(state[riskColumn(paper, 'paused_at')]),
+    resumesAt: resumeAt ? new Date(resumeAt) : null,
+    paper,
+  }
+}
+
+/**
+ * Realized P&L today in the scheduling timezone, counted from the mode's last manual resume if that was later
+ */
+export function getDailyRealizedPnl(now, paper = false) {
+  const state = runtimeState.getRiskState()
+  const midnight = getLocalMidnight(now, CONFIG.scheduling.timezone)
+  const resumedAt = state?.[riskColumn(paper, 'resumed_at')] ? new Date(state[riskColumn(paper, 'resumed_at')]) : null
+  const since = resumedAt && resumedAt > midnight ? resumedAt : midnight
+  return trades.getRealizedPnlSince(since, paper)
+}
+
+/**
+ * Update the equity peak and trip the breaker when a limit is exceeded.
+ * Equity is measured by the caller so a failed balance lookup can be skipped rather than read as a loss.
+ * @param {Date} now
+ * @param {{ paper: boolean, equity: number|null }} measurement
+ * @returns {{ reason: string, resumesAt: Date|null, dailyPnl: number, drawdownPct: number|null }|null}
+ *   the new pause, or null if nothing tripped (or trading is already paused)
+ */
+export function evaluateRisk(now, { paper, equity }) {
+  const config = getRiskConfig()
+  const state = runtimeState.getRiskState()
+
+  let drawdownPct = null
+  if (Number.isFinite(equity) && equity > 0) {
+    const storedPeak = state?.[riskColumn(paper, 'peak_equity')]
+    const peak = Math.max(storedPeak ?? equity, equity)
+    if (peak !== storedPeak) runtimeState.setRiskPeakEquity(paper, peak)
+    drawdownPct = (peak - equity) / peak
+  }
+
+  if (state?.[riskColumn(paper, 'pause_reason')]) return null
+
+  const dailyPnl = getDailyRealizedPnl(now, paper)
+  const label = paper ? 'Paper ' : ''
+
+  let reason = null
+  if (config.maxDailyLossUsd !== null && -dailyPnl >= config.maxDailyLossUsd) {
+    reason = `${label}daily loss $${(-dailyPnl).toFixed(2)} reached the $${config.maxDailyLossUsd.toFixed(2)} limit`
+  } else if (config.maxDrawdownPct !== null && drawdownPct !== null && drawdownPct >= config.maxDrawdownPct) {
+    reason = `${label}pool drawdown ${(drawdownPct * 100).toFixed(1)}% reached the ${(config.maxDrawdownPct * 100).toFixed(0)}% limit`
+  }
+
+  if (!reason) return null
+
+  const resumesAt = config.resume === 'next_day' ? getLocalMidnight(now, CONFIG.scheduling.timezone, 1) : null
+  runtimeState.setRiskPause(paper, reason, now, resumesAt)
+  return { reason, resumesAt, dailyPnl, drawdownPct }
+}
+
+/**
+ * Lift a next_day pause, live or paper, once its resume time passes
+ * @returns {object|null} the pause that was lifted
+ */
+export function checkRiskResume(now) {
+  for (const paper of [false, true]) {
+    const pause = getRiskPause(paper)
+    if (!pause?.resumesAt || pause.resumesAt > now) continue
+    runtimeState.clearRiskPause(paper, pause.resumesAt)
+    return pause
+  }
+  return null
+}
+
+/**
+ * Admin override: lift the live and paper pauses and restart both drawdown peaks from current equity
+ * @returns {object|null} the pause that was lifted, live first
+ */
+export function clearRiskPause(now) {
+  const pause = getRiskPause(false) ?? getRiskPause(true)
+  runtimeState.clearRiskPause(false, now, true)
+  runtimeState.clearRiskPause(true, now, true)
+  return pause
+}
+
+export function formatRiskPauseReason(pause) {
+  const resume = pause.resumesAt
+    ? `Trading resumes at ${formatDateTimeInTimezone(pause.resumesAt, CONFIG.scheduling.timezone)}.`
+    : 'An admin must use /resume to restart trading.'
+  return `Circuit breaker: ${pause.reason}. ${resume}`
+}
+
+export function formatRiskAlert(trip) {
+  return [
+    `🛑 **Circuit breaker tripped**`,
+    ``,
+    `${trip.reason[0].toUpperCase()}${trip.reason.slice(1)}.`,
+    `Today's realized P&L: ${trip.dailyPnl >= 0 ? '+' : '-'}$${Math.abs(trip.dailyPnl).toFixed(2)}${trip.drawdownPct !== null ? ` · Drawdown from peak: ${(trip.drawdownPct * 100).toFixed(1)}%` : ''}`,
+    ``,
+    trip.resumesAt
+      ? `New rounds are paused until ${formatDateTimeInTimezone(trip.resumesAt, CONFIG.scheduling.timezone)}. Open rounds still resolve.`
+      : `New rounds are paused until an admin uses \`/resume\`. Open rounds still resolve.`,
+  ].join('\n')
+}
@@ -0,0 +1,314 @@
+import { CONFIG } from '../config/index.js'
+import { parseCron, getNextCronTime } from '../utils/cron.js'
+import { formatTimeInTimezone, getZonedParts, zonedTimeToUtc } from '../utils/time.js'
+import { getMarketSeries } from './series.js'
+import { getAsset } from './assets.js'
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const DEFAULT_MISFIRE_GRACE_MINUTES = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const PAYOUT_CADENCES = ['weekly', 'biweekly', 'monthly']
+const DEFAULT_PAYOUT_SCHEDULE = { cadence: 'weekly', weekday: 'sun', time: '18:00' }
+
+let cachedEntries = null
+let cachedPayoutSchedule = null
+
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time))
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${time}", expected HH:MM`)
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) }
+}
+
+function timeToCron(time, days) {
+  const { hour, minute } = parseTime(time)
+
+  let dayField = '*'
+  if (days !== undefined) {
+    const list = Array.isArray(days) ? days : [days]
+    const invalid = list.filter(day => !DAY_NAMES.includes(String(day).toLowerCase().slice(0, 3)))
+    if (list.length === 0 || invalid.length > 0) {
+      throw new Error(`Invalid days: ${JSON.stringify(days)}`)
+    }
+    dayField = list.map(day => String(day).toLowerCase().slice(0, 3)).join(',')
+  }
+
+  return `${minute} ${hour} * * ${dayField}`
+}
+
+function normalizeEntry(raw, index) {
+  const name = raw?.name ? String(raw.name) : null
+  if (!name) {
+    throw new Error(`scheduling.entries[${index}] is missing a name`)
+  }
+
+  if (!raw.cron && !raw.time) {
+    throw new Error(`Schedule entry "${name}" needs either cron or time`)
+  }
+
+  let cron
+  try {
+    cron = parseCron(raw.cron || timeToCron(raw.time, raw.days))
+  } catch (error) {
+    throw new Error(`Schedule entry "${name}": ${error.message}`)
+  }
+
+  if (!getNextCronTime(cron, new Date(), CONFIG.scheduling.timezone)) {
+    throw new Error(`Schedule entry "${name}" never runs: ${cron.expression}`)
+  }
+
+  const assets = raw.assets ? raw.assets.map(asset => String(asset).toUpperCase()) : null
+  const unknown = (assets ?? []).filter(asset => !getAsset(asset))
+  if (unknown.length > 0) {
+    throw new Error(`Schedule entry "${name}": unknown asset ${unknown.join(', ')}`)
+  }
+
+  let series = null
+  if (raw.series !== undefined) {
+    try {
+      series = getMarketSeries(String(raw.series)).key
+    } catch (error) {
+      throw new Error(`Schedule entry "${name}": ${error.message}`)
+    }
+  }
+
+  return {
+    name,
+    cron,
+    varianceMinutes: Number(raw.variance_minutes) || 0,
+    blackoutMinutes: Number(raw.blackout_minutes) || 0,
+    assets,
+    series,
+  }
+}
+
+// Configs written before scheduling.entries existed: one morning trade plus hourly trades
+function getLegacyEntries(scheduling) {
+  const entries = []
+  let morningHour = null
+
+  if (scheduling.morning_trade_time) {
+    morningHour = Number(scheduling.morning_trade_time.split(':')[0])
+    entries.push({
+      name: 'morning',
+      time: scheduling.morning_trade_time,
+      blackout_minutes: scheduling.morning_blackout_minutes,
+    })
+  }
+
+  if (scheduling.trade_hours_start !== undefined && scheduling.trade_hours_end !== undefined) {
+    const hours = []
+    for (let hour = scheduling.trade_hours_start; hour < scheduling.trade_hours_end; hour++) {
+      if (hour !== morningHour) hours.push(hour)
+    }
+    if (hours.length > 0) {
+      entries.push({
+        name: 'hourly',
+        cron: `0 ${hours.join(',')} * * *`,
+        variance_minutes: scheduling.interval_variance_minutes,
+      })
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Parse and validate raw entries in the scheduling.entries format, throwing on the first invalid one.
+ * Guilds with their own schedule store it in this format too.
+ */
+export function parseScheduleEntries(rawEntries) {
+  if (!Array.isArray(rawEntries)) {
+    throw new Error('Schedule entries must be a list')
+  }
+
+  const entries = rawEntries.map(normalizeEntry)
+
+  const names = new Set()
+  for (const entry of entries) {
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate schedule entry name: ${entry.name}`)
+    }
+    names.add(entry.name)
+  }
+
+  return entries
+}
+
+/**
+ * Scheduled trade entries from config, parsed and validated.
+ * Throws on the first invalid entry so a bad config fails at startup.
+ */
+export function getScheduleEntries() {
+  if (cachedEntries) return cachedEntries
+
+  const scheduling = CONFIG.scheduling
+  cachedEntries = parseScheduleEntries(scheduling.entries ?? getLegacyEntries(scheduling))
+  return cachedEntries
+}
+
+export function getMisfireGraceMs() {
+  return (CONFIG.scheduling.misfire_grace_minutes ?? DEFAULT_MISFIRE_GRACE_MINUTES) * 60 * 1000
+}
+
+/**
+ * Pick the next run for an entry: the next cron slot after `after`, shifted by random variance.
+ * @returns {{ slotAt: Date, runAt: Date }}
+ */
+export function planScheduleRun(entry, after, random = Math.random) {
+  const slotAt = getNextCronTime(entry.cron, after, CONFIG.scheduling.timezone)
+  const variance = entry.varianceMinutes * 60 * 1000
+  const randomOffset = Math.floor(random() * variance * 2) - variance
+  const runAt = new Date(slotAt.getTime() + randomOffset)
+
+  if (runAt <= after) {
+    runAt.setTime(after.getTime() + 60000) // 1 minute from now
+  }
+
+  return { slotAt, runAt }
+}
+
+export function describeScheduleEntry(entry) {
+  const parts = [`${entry.name}: ${entry.cron.expression} ${CONFIG.scheduling.timezone}`]
+  if (entry.varianceMinutes) parts.push(`±${entry.varianceMinutes}m`)
+  if (entry.blackoutMinutes) parts.push(`${entry.blackoutMinutes}m /propose blackout`)
+  if (entry.assets) parts.push(`assets ${entry.assets.join('/')}`)
+  if (entry.series) parts.push(`${entry.series} markets`)
+  return parts.join(', ')
+}
+
+export function formatScheduleTime(date) {
+  return formatTimeInTimezone(date, CONFIG.scheduling.timezone)
+}
+
+// Calendar dates are { year, month, day }; arithmetic goes through UTC midnight so DST never shifts the day
+function toDayNumber({ year, month, day }) {
+  return Date.UTC(year, month - 1, day) / DAY_MS
+}
+
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS)
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Payout cadence from payouts.schedule, defaulting to Sundays 18:00.
+ * biweekly needs an anchor_date on the payout weekday to pick which weeks pay out.
+ */
+export function getPayoutSchedule() {
+  // Parsed once per payouts.schedule object, so a replaced config section is picked up
+  if (cachedPayoutSchedule?.source === CONFIG.payouts.schedule) return cachedPayoutSchedule.schedule
+
+  const raw = { ...DEFAULT_PAYOUT_SCHEDULE, ...CONFIG.payouts.schedule }
+  if (!PAYOUT_CADENCES.includes(raw.cadence)) {
+    throw new Error(`payouts.schedule.cadence must be one of ${PAYOUT_CADENCES.join(', ')}`)
+  }
+
+  const { hour, minute } = parseTime(raw.time)
+  const weekday = DAY_NAMES.indexOf(String(raw.weekday).toLowerCase().slice(0, 3))
+  if (weekday === -1) {
+    throw new Error(`Invalid payouts.schedule.weekday: ${raw.weekday}`)
+  }
+
+  const schedule = { cadence: raw.cadence, weekday, hour, minute, dayOfMonth: null, anchorDay: null }
+
+  if (raw.cadence === 'monthly') {
+    const dayOfMonth = Number(raw.day_of_month ?? 1)
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      throw new Error(`Invalid payouts.schedule.day_of_month: ${raw.day_of_month}`)
+    }
+    schedule.dayOfMonth = dayOfMonth
+  }
+
+  if (raw.cadence === 'biweekly') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(raw.anchor_date ?? ''))
+    if (!match) {
+      throw new Error('payouts.schedule.anchor_date (YYYY-MM-DD) is required for biweekly payouts')
+    }
+    schedule.anchorDay = toDayNumber({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) })
+    if (new Date(schedule.anchorDay * DAY_MS).getUTCDay() !== weekday) {
+      throw new Error(`payouts.schedule.anchor_date ${raw.anchor_date} is not a ${DAY_NAMES[weekday]}`)
+    }
+  }
+
+  cachedPayoutSchedule = { source: CONFIG.payouts.schedule, schedule }
+  return schedule
+}
+
+function isPayoutDay(schedule, date) {
+  if (schedule.cadence === 'monthly') {
+    // Day 31 pays out on the last day of shorter months
+    const daysInMonth = new Date(Date.UTC(date.year, date.month, 0)).getUTCDate()
+    return date.day === Math.min(schedule.dayOfMonth, daysInMonth)
+  }
+
+  const dayNumber = toDayNumber(date)
+  if (new Date(dayNumber * DAY_MS).getUTCDay() !== schedule.weekday) return false
+  if (schedule.cadence === 'biweekly') {
+    return ((dayNumber - schedule.anchorDay) % 14 + 14) % 14 === 0
+  }
+  return true
+}
+
+function getPayoutTime(schedule, date) {
+  return zonedTimeToUtc({ ...date, hour: schedule.hour, minute: schedule.minute }, CONFIG.scheduling.timezone)
+}
+
+/**
+ * Date (YYYY-MM-DD, payout timezone) of the most recent payout slot at or before `now`.
+ * The scheduler persists this so a restart runs a missed period once and never repeats one.
+ */
+export function getLatestPayoutDate(now) {
+  const schedule = getPayoutSchedule()
+  const today = toDayNumber(getZonedParts(now, CONFIG.scheduling.timezone))
+
+  for (let back = 0; back <= 62; back++) {
+    const date = fromDayNumber(today - back)
+    if (isPayoutDay(schedule, date) && getPayoutTime(schedule, date) <= now) {
+      return formatDate(date)
+    }
+  }
+
+  return null
+}
+
+export function getNextPayoutAt(now) {
+  const schedule = getPayoutSchedule()
+  const today = toDayNumber(getZonedParts(now, CONFIG.scheduling.timezone))
+
+  for (let ahead = 0; ahead <= 62; ahead++) {
+    const date = fromDayNumber(today + ahead)
+    if (!isPayoutDay(schedule, date)) continue
+    const payoutAt = getPayoutTime(schedule, date)
+    if (payoutAt > now) return payoutAt
+  }
+
+  return null
+}
+
+// e.g. "Sun 18:00 America/Chicago" or "day 1 of each month 18:00 America/Chicago"
+export function describePayoutSchedule() {
+  const schedule = getPayoutSchedule()
+  const weekday = DAY_NAMES[schedule.weekday]
+  const time = `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`
+  const when = {
+    weekly: `${weekday.charAt(0).toUpperCase()}${weekday.slice(1)}`,
+    biweekly: `every other ${weekday.charAt(0).toUpperCase()}${weekday.slice(1)}`,
+    monthly: `day ${schedule.dayOfMonth} of each month`,
+  }[schedule.cadence]
+  return `${when} ${time} ${CONFIG.scheduling.timezone}`
+}
+
+export function getPayoutCadenceText() {
+  return {
+    weekly: 'weekly',
+    biweekly: 'every two weeks',
+    monthly: 'monthly',
+  }[getPayoutSchedule().cadence]
+}
@@ -5,23 +5,162 @@ import {
   users,
   settlements,
   runtimeState,
+  candles,
+  tradeEvents,
+  payouts,
+  guilds,
   getDb,
 } from '../database/index.js'
 import { analyzeMarket, getCandleParams } from './agents.js'
 import {
   executeTrade,
   getMarketResolution,
-  find15MinuteMarkets,
-  get15MinuteMarket,
-  getCurrentPrice,
+  findUpDownMarkets,
+  getUpDownMarket,
   getPositionPnl,
   redeemWinnings,
-  getRecentCandles,
+  simulateTrade,
+  getOrderbookSummary,
+  simulateSell,
+  sellPosition,
+  getExitLimitPrice,
 } from './polymarket.js'
-import { runWeeklyPayouts, getPoolBalance, getProfitSinceLastPayout } from './payouts.js'
+import { runScheduledPayouts, retryFailedSettlements, getPoolBalance, getPaperBalance, getProfitSinceLastPayout } from './payouts.js'
+import { getSizingConfig, sizePosition, describeSizing } from './sizing.js'
+import { getMaxOpenRounds, applyExposureCap, applyNotionalLimits, getNotionalLimits } from './exposure.js'
+import { tallyVotes, getTallyMode } from './tally.js'
+import { getGuardConfig, checkEntryGuards, fitToDepth } from './guards.js'
+import { getExitConfig, getExitSignal, formatExitReason } from './positions.js'
+import { getMarketSeries, getAvailableSeries, getRoundSeries, formatSeriesDuration } from './series.js'
+import { getEnabledAssets } from './assets.js'
+import { getRecentCandles, getPriceConfig, checkPriceConsistency } from './prices.js'
+import { getStreamingConfig, startMarketStreams, stopMarketStreams, setWatchedTokens } from './streams.js'
+import { getProposalUpdateConfig, getLeadingSide, projectPositionSize, formatProposalStatus } from './proposals.js'
+import {
+  getRiskConfig,
+  getRiskPause,
+  evaluateRisk,
+  checkRiskResume,
+  formatRiskPauseReason,
+  formatRiskAlert,
+} from './risk.js'
+import {
+  getScheduleEntries,
+  getMisfireGraceMs,
+  planScheduleRun,
+  describeScheduleEntry,
+  formatScheduleTime,
+  getLatestPayoutDate,
+  getNextPayoutAt,
+  describePayoutSchedule,
+} from './schedule.js'
+import { getActiveBlackout } from './calendar.js'
+import { reconcileOpenTrades, formatRecoveryReport } from './reconciler.js'
+import { snapshotPredictionsFromReactions } from './snapshot.js'
+import {
+  getPoolGuildId,
+  getHolderRoleId,
+  getGuildScheduleEntries,
+  seedConfiguredGuild,
+  getAllowedGuilds,
+  isGuildAllowed,
+  getGuildAllocation,
+} from './guilds.js'
+import { registerJobHandler, enqueueJob, drainJobs, requeueInterruptedJobs } from './jobs.js'
+import { formatDateTimeInTimezone } from '../utils/time.js'
+import { systemClock } from '../utils/clock.js'
 import { getVoteEmojis } from '../bot/reactions.js'
+import { getVoteMode, buildVoteButtons } from '../bot/buttons.js'
 
 let tickInterval = null
+// Outcome tokens of markets still in voting, so their books stream before execution
+const proposalTokens = new Map()
+// Proposal messages with a live status: { message, balance, lastEditAt, editing }
+const proposalMessages = new Map()
+// Channel of the unscoped pool, used until a guild is set up
+let tradingChannel = null
+// Finds each guild's trading channel
+let discordClient = null
+
+let clock = systemClock
+let random = Math.random
+let actions = {
+  startTrade: (...args) => startTrade(...args),
+  runPayouts: (channel, guildId) => runScheduledPayouts(channel, guildId),
+}
+
+/**
+ * Replace the scheduler's time source, RNG, trading channel, Discord client or side-effecting actions.
+ * Tests use this to drive tick() over simulated weeks; omitted options keep their current value.
+ * @param {{ clock?: object, random?: () => number, channel?: object, client?: object,
+ *   actions?: { startTrade?: Function, runPayouts?: Function } }} options
+ */
+export function configureScheduler(options = {}) {
+  if (options.clock) clock = options.clock
+  if (options.random) random = options.random
+  if (options.channel !== undefined) tradingChannel = options.channel
+  if (options.client !== undefined) discordClient = options.client
+  if (options.actions) actions = { ...actions, ...options.actions }
+}
+
+/**
+ * Current time on the scheduler's clock, so commands agree with ticks when tests simulate time
+ */
+export function getSchedulerTime() {
+  return clock.now()
+}
+
+/**
+ * Trading channel for a guild's pool, or the unscoped pool's channel for null
+ */
+function getPoolChannel(guildId) {
+  if (!guildId) return tradingChannel
+  const row = guilds.get(guildId)
+  return row ? discordClient?.channels.cache.get(row.trading_channel_id) ?? null : null
+}
+
+/**
+ * Every guild whose trading channel is reachable, or the unscoped pool while no guild is set up.
+ * The wallet, exposure and risk limits and emergency stop are shared; rounds, schedules and payouts are not.
+ * @returns {{ guildId: string|null, channel: object, entries: object[] }[]}
+ */
+function getPools() {
+  const rows = guilds.getAll()
+  if (rows.length === 0) {
+    return tradingChannel ? [{ guildId: null, channel: tradingChannel, entries: getScheduleEntries() }] : []
+  }
+
+  const pools = []
+  for (const row of rows) {
+    // A server dropped from discord.allowed_guilds keeps its history but stops trading
+    if (!isGuildAllowed(row.guild_id)) continue
+    const channel = discordClient?.channels.cache.get(row.trading_channel_id)
+    if (!channel) continue
+
+    let entries = []
+    try {
+      entries = getGuildScheduleEntries(row)
+    } catch (error) {
+      console.error(`[SCHEDULER] Guild ${row.guild_id} schedule is invalid, no scheduled trades: ${error.message}`)
+    }
+    pools.push({ guildId: row.guild_id, channel, entries })
+  }
+  return pools
+}
+
+// Schedule state and delayed-trade dedupe keys; the unscoped pool keeps the bare entry name
+function scheduleStateKey(guildId, name) {
+  return guildId ? `${guildId}:${name}` : name
+}
+
+// Notices about the shared wallet, like the circuit breaker, go to every pool
+async function broadcast(content) {
+  for (const { channel } of getPools()) {
+    await channel.send(content).catch(error => {
+      console.error(`[SCHEDULER] Failed to post to channel ${channel.id}:`, error.message)
+    })
+  }
+}
 
 function formatDuration(seconds) {
   const mins = Math.floor(seconds / 60)
@@ -32,16 +171,14 @@ function formatDuration(seconds) {
 }
 
 async function cancelVotingTrade(tradeId, channel, reason) {
-  trades.deleteTrade(tradeId)
+  trades.cancel(tradeId, reason)
   if (channel) {
-    await channel.send(`❌ Trade cancelled: ${reason}`).catch(() => {})
+    await channel.send(`❌ Round #${tradeId} cancelled: ${reason}`).catch(() => {})
   }
   console.error(`[SCHEDULER] Trade ${tradeId} cancelled: ${reason}`)
 }
 
 
-let tradingChannel = null
-
 export function isEmergencyStopped() {
   return runtimeState.getEmergencyStopped()
 }
@@ -52,28 +189,83 @@ export function setEmergencyStop(stopped) {
 }
 
 /**
- * Check if a new trade can be started
+ * Whether new rounds are created as paper trades.
+ * Each trade stores its own mode, so toggling this never affects rounds in flight.
+ */
+export function isPaperTrading() {
+  return CONFIG.paper_trading?.enabled === true
+}
+
+function paperTag(trade) {
+  return trade.is_paper ? '📝 [PAPER] ' : ''
+}
+
+// Identifies which round a message belongs to when several are open at once
+function roundLabel(trade) {
+  return `Round #${trade.id} · ${trade.asset}`
+}
+
+// Assets without an open round in any guild, since every pool trades the same wallet
+function getAvailableAssets() {
+  const busyAssets = new Set(trades.getOpen().map(t => t.asset))
+  return getEnabledAssets()
+    .map(asset => asset.symbol)
+    .filter(asset => !busyAssets.has(asset))
+}
+
+/**
+ * Check if a new trade can be started in a guild's pool
  * @param {boolean} isUserProposal - Whether this is from /propose command
- * @returns {{ allowed: boolean, reason?: string, waitMs?: number }}
+ * @param {string|null} [guildId] - Guild running the round; null for the unscoped pool
+ * @returns {{ allowed: boolean, reason?: string, waitMs?: number, resumesAt?: Date }}
  */
-export function canStartTrade(isUserProposal = false) {
-  const now = new Date()
+export function canStartTrade(isUserProposal = false, guildId = null) {
+  const now = clock.now()
+
+  if (guildId && !isGuildAllowed(guildId)) {
+    return { allowed: false, reason: 'This server is not allowed to run a pool.' }
+  }
 
   if (isEmergencyStopped()) {
     return { allowed: false, reason: 'Bot is in emergency stop mode.' }
   }
 
-  const activeTrade = trades.getActive()
-  if (activeTrade) {
-    return { allowed: false, reason: 'A trade is already in progress.' }
+  const riskPause = getRiskPause(isPaperTrading())
+  if (riskPause) {
+    return { allowed: false, reason: formatRiskPauseReason(riskPause) }
+  }
+
+  const openTrades = trades.getOpen(guildId)
+  const maxOpenRounds = getMaxOpenRounds()
+  if (openTrades.length >= maxOpenRounds) {
+    return {
+      allowed: false,
+      reason: maxOpenRounds === 1
+        ? 'A trade is already in progress.'
+        : `Maximum of ${maxOpenRounds} open rounds reached.`,
+    }
+  }
+
+  if (getAvailableAssets().length === 0) {
+    return { allowed: false, reason: 'Every asset already has an open round.' }
   }
 
-  const incompleteSettlements = settlements.getIncomplete()
+  const incompleteSettlements = settlements.getIncomplete(guildId)
   if (incompleteSettlements.length > 0) {
     return { allowed: false, reason: 'Payout settlement in progress. Trading will resume after payouts complete.' }
   }
 
-  const lastTrade = trades.getLastResolved()
+  const blackout = getActiveBlackout(now)
+  if (blackout) {
+    const resumesAt = formatDateTimeInTimezone(blackout.resumesAt, CONFIG.scheduling.timezone)
+    return {
+      allowed: false,
+      reason: `Trading calendar blackout: ${blackout.reason}. Trading resumes at ${resumesAt}.`,
+      resumesAt: blackout.resumesAt,
+    }
+  }
+
+  const lastTrade = trades.getLastResolved(guildId)
   if (lastTrade?.resolved_at) {
     const gapMs = now - new Date(lastTrade.resolved_at)
     const minGapMs = CONFIG.scheduling.min_gap_minutes * 60 * 1000
@@ -89,11 +281,11 @@ export function canStartTrade(isUserProposal = false) {
   }
 
   if (isUserProposal) {
-    const blackoutCheck = isInMorningBlackout(now)
+    const blackoutCheck = getScheduleBlackout(now, guildId)
     if (blackoutCheck.inBlackout) {
       return {
         allowed: false,
-        reason: `Morning trade blackout. /propose available again at ${blackoutCheck.availableAt}.`,
+        reason: `${blackoutCheck.label} trade blackout. /propose available again at ${blackoutCheck.availableAt}.`,
       }
     }
   }
@@ -101,80 +293,182 @@ export function canStartTrade(isUserProposal = false) {
   return { allowed: true }
 }
 
-function getTimeInTimezone(date, timezone) {
-  const options = { timeZone: timezone, hour: 'numeric', minute: 'numeric', hour12: false }
-  const timeStr = date.toLocaleString('en-US', options)
-  const [hour, minute] = timeStr.split(':').map(Number)
-  return { hour, minute }
-}
+/**
+ * Whether /propose is blocked because a scheduled trade with a blackout window is about to run
+ * @returns {{ inBlackout: boolean, label?: string, availableAt?: string }}
+ */
+function getScheduleBlackout(now, guildId) {
+  let entries = []
+  try {
+    entries = getGuildScheduleEntries(guildId ? guilds.get(guildId) : null)
+  } catch {
+    // An invalid guild schedule runs no trades, so it has no blackouts either
+  }
 
-function isInMorningBlackout(now) {
-  const [targetHour, targetMinute] = CONFIG.scheduling.morning_trade_time.split(':').map(Number)
-  const blackoutMinutes = CONFIG.scheduling.morning_blackout_minutes
-  const timezone = CONFIG.scheduling.timezone
+  for (const entry of entries) {
+    if (!entry.blackoutMinutes) continue
 
-  const { hour: currentHour, minute: currentMinute } = getTimeInTimezone(now, timezone)
-  const currentTotalMinutes = currentHour * 60 + currentMinute
-  const targetTotalMinutes = targetHour * 60 + targetMinute
-  const blackoutStartMinutes = targetTotalMinutes - blackoutMinutes
+    const state = runtimeState.getScheduleEntryState(scheduleStateKey(guildId, entry.name))
+    if (!state || state.cron !== entry.cron.expression) continue
 
-  if (currentTotalMinutes >= blackoutStartMinutes && currentTotalMinutes < targetTotalMinutes) {
-    const availableAt = `${targetHour % 12 || 12}:${targetMinute.toString().padStart(2, '0')} ${targetHour >= 12 ? 'PM' : 'AM'}`
-    return {
-      inBlackout: true,
-      availableAt,
+    const runAt = new Date(state.next_run_at)
+    const blackoutStart = new Date(runAt.getTime() - entry.blackoutMinutes * 60 * 1000)
+
+    if (now >= blackoutStart && now < runAt) {
+      return {
+        inBlackout: true,
+        label: entry.name.charAt(0).toUpperCase() + entry.name.slice(1),
+        availableAt: formatScheduleTime(runAt),
+      }
     }
   }
 
   return { inBlackout: false }
 }
 
-function isWithinTradingHours(now) {
-  const { hour } = getTimeInTimezone(now, CONFIG.scheduling.timezone)
-  return hour >= CONFIG.scheduling.trade_hours_start && hour < CONFIG.scheduling.trade_hours_end
-}
-
-export async function initScheduler(client, channelId) {
+export async function initScheduler(client) {
   if (runtimeState.getEmergencyStopped()) {
     console.log('[SCHEDULER] Emergency stop state restored from database')
   }
 
-  if (!channelId) {
-    throw new Error('Missing discord.trading_channel_id in config.yaml')
+  discordClient = client
+  seedConfiguredGuild(client)
+
+  // Parse schedules and trading settings up front so a bad config fails at startup
+  getScheduleEntries()
+  getAllowedGuilds()
+  const nextPayoutAt = getNextPayoutAt(clock.now())
+  const tallyMode = getTallyMode()
+  const voteMode = getVoteMode()
+  const sizingConfig = getSizingConfig()
+  const riskConfig = getRiskConfig()
+  getNotionalLimits()
+  getGuardConfig()
+  const exitConfig = getExitConfig()
+  const defaultSeries = getMarketSeries()
+  const priceConfig = getPriceConfig()
+  const streamingConfig = getStreamingConfig()
+  const proposalUpdates = getProposalUpdateConfig()
+
+  requeueInterruptedJobs()
+
+  // Repair rounds a crash left mid-lifecycle before anything acts on them
+  const recovered = await reconcileOpenTrades(clock.now())
+  const recoveredByGuild = new Map()
+  for (const outcome of recovered) {
+    const guildId = outcome.trade.guild_id ?? null
+    recoveredByGuild.set(guildId, [...(recoveredByGuild.get(guildId) ?? []), outcome])
   }
-
-  for (const guild of client.guilds.cache.values()) {
-    tradingChannel = guild.channels.cache.get(channelId)
-    if (tradingChannel) break
+  for (const [guildId, outcomes] of recoveredByGuild) {
+    await getPoolChannel(guildId)?.send(formatRecoveryReport(outcomes)).catch(error => {
+      console.error('[SCHEDULER] Failed to post recovery report:', error.message)
+    })
   }
 
-  if (!tradingChannel) {
-    throw new Error(`Trading channel not found for configured id: ${channelId}`)
+  if (streamingConfig.enabled) {
+    startMarketStreams({
+      seedCandles: (asset, limit) => getRecentCandles(asset, '1m', limit, null, { live: false }),
+    })
+    syncWatchedTokens()
   }
 
   const tickIntervalMs = CONFIG.scheduling.tick_interval_seconds * 1000
-  tickInterval = setInterval(() => tick(), tickIntervalMs)
+  tickInterval = clock.setInterval(() => tick(), tickIntervalMs)
   tick()
 
   console.log(`[SCHEDULER] Tick-based scheduler initialized (${CONFIG.scheduling.tick_interval_seconds}s interval)`)
-  console.log(`[SCHEDULER] Morning trade: ${CONFIG.scheduling.morning_trade_time} ${CONFIG.scheduling.timezone}`)
-  console.log(`[SCHEDULER] Hourly trades: ${CONFIG.scheduling.trade_hours_start}:00-${CONFIG.scheduling.trade_hours_end}:00 ${CONFIG.scheduling.timezone}`)
-  console.log(`[SCHEDULER] Weekly payouts: Sundays 18:00 ${CONFIG.scheduling.timezone}`)
+  const pools = getPools()
+  if (pools.length === 0) {
+    console.warn('[SCHEDULER] No trading channel found. Run /guild-setup in a server to start its pool')
+  }
+  for (const pool of pools) {
+    console.log(`[SCHEDULER] Pool in #${pool.channel.name ?? pool.channel.id}${pool.guildId ? ` (guild ${pool.guildId})` : ''}`)
+    for (const entry of pool.entries) {
+      console.log(`[SCHEDULER]   Scheduled trade ${describeScheduleEntry(entry)}`)
+    }
+  }
+  console.log(`[SCHEDULER] Payouts: ${describePayoutSchedule()} (next ${nextPayoutAt?.toISOString() ?? 'none'})`)
+  console.log(`[SCHEDULER] Assets: ${getEnabledAssets().map(asset => asset.symbol).join(', ')}`)
+  console.log(`[PRICES] Providers: ${priceConfig.providers.join(' → ')} · divergence limit: ${priceConfig.maxDivergencePct ?? 'off'}`)
+  console.log(`[STREAMS] Streaming ${streamingConfig.enabled ? 'on, REST as fallback' : 'off, REST only'}`)
+  console.log(`[SCHEDULER] Live proposal updates: ${proposalUpdates.enabled ? `every ${proposalUpdates.refreshMs / 1000}s` : 'off'}`)
+  console.log(`[SCHEDULER] Market series: ${getAvailableSeries().map(series => series.key).join(', ')} (default ${defaultSeries.key})`)
+  console.log(`[SCHEDULER] Voting by ${voteMode} · tally mode: ${tallyMode} · sizing strategy: ${sizingConfig.strategy}`)
+  if (exitConfig.enabled) {
+    console.log(`[POSITIONS] Early exits on: take profit ${exitConfig.takeProfitPct ?? 'off'} · stop loss ${exitConfig.stopLossPct ?? 'off'}`)
+  }
+  console.log(`[RISK] Daily loss limit: ${riskConfig.maxDailyLossUsd ?? 'off'} · drawdown limit: ${riskConfig.maxDrawdownPct ?? 'off'} · resume: ${riskConfig.resume}`)
+  const riskPause = getRiskPause(isPaperTrading())
+  if (riskPause) {
+    console.log(`[RISK] ${formatRiskPauseReason(riskPause)}`)
+  }
+}
+
+/**
+ * Stop ticking and close the market streams, so shutdown doesn't leave sockets reconnecting
+ */
+export function stopScheduler() {
+  clearInterval(tickInterval)
+  tickInterval = null
+  stopMarketStreams()
+  console.log('[SCHEDULER] Stopped')
 }
 
-async function tick() {
+export async function tick() {
   if (isEmergencyStopped()) return
 
-  const now = new Date()
+  const now = clock.now()
+  syncWatchedTokens()
+  await checkRiskResumeFromTick(now)
   await checkVotingWindows(now)
-  await checkMorningTrade(now)
-  await checkHourlyTrade(now)
-  await checkWeeklyPayout(now)
-  await checkPendingResolutions()
+  refreshProposals(now)
+  await checkExits(now)
+  await checkScheduledTrades(now)
+  await checkScheduledPayout(now)
+  checkPendingResolutions(now)
+  await processJobs(now)
 }
 
-function getDateInTimezone(date, timezone) {
-  return date.toLocaleDateString('en-CA', { timeZone: timezone }) // YYYY-MM-DD format
+async function checkRiskResumeFromTick(now) {
+  const lifted = checkRiskResume(now)
+  if (!lifted) return
+
+  console.log(`[RISK] ${lifted.paper ? 'Paper circuit' : 'Circuit'} breaker reset at day boundary (was: ${lifted.reason})`)
+  await broadcast(lifted.paper
+    ? '✅ **Paper circuit breaker reset** · New day, paper trading resumes.'
+    : '✅ **Circuit breaker reset** · New day, trading resumes.')
+}
+
+/**
+ * Re-check the circuit breaker after a round resolves. The P&L is already booked,
+ * so a failure here is logged rather than retried with the resolution.
+ * The breaker halts every pool, so every pool hears about it.
+ */
+async function checkRiskLimits(trade) {
+  try {
+    // Distributed payouts count toward equity so paying out profit doesn't read as a drawdown.
+    // checkWalletBalance reports 0 when the RPC fails, which would look like a total loss.
+    let equity = null
+    if (trade.is_paper) {
+      equity = getPaperBalance() + trades.getOpenExposure(true)
+    } else {
+      const balance = await getPoolBalance()
+      if (balance > 0) equity = balance + trades.getOpenExposure(false) + payouts.getTotalDistributed()
+    }
+
+    const trip = evaluateRisk(clock.now(), { paper: Boolean(trade.is_paper), equity })
+    if (!trip) return
+
+    console.log(`[RISK] Circuit breaker tripped after trade ${trade.id}: ${trip.reason}`)
+    await broadcast(formatRiskAlert(trip))
+  } catch (error) {
+    console.error(`[RISK] Failed to evaluate risk limits after trade ${trade.id}:`, error.message)
+  }
+}
+
+async function processJobs(now) {
+  if (getPools().length === 0) return
+  await drainJobs(now)
 }
 
 async function checkVotingWindows(now) {
@@ -189,160 +483,408 @@ async function checkVotingWindows(now) {
   }
 }
 
-async function checkMorningTrade(now) {
-  const [targetHour, targetMinute] = CONFIG.scheduling.morning_trade_time.split(':').map(Number)
-  const timezone = CONFIG.scheduling.timezone
+async function checkScheduledTrades(now) {
+  for (const pool of getPools()) {
+    for (const entry of pool.entries) {
+      const key = scheduleStateKey(pool.guildId, entry.name)
+      const state = runtimeState.getScheduleEntryState(key)
 
-  const { hour: currentHour, minute: currentMinute } = getTimeInTimezone(now, timezone)
-  const todayDate = getDateInTimezone(now, timezone)
+      // First run, or the entry's schedule changed in config
+      if (!state || state.cron !== entry.cron.expression) {
+        scheduleNextRun(key, entry, getReplanStart(state, entry, now))
+        continue
+      }
 
-  const state = runtimeState.getScheduleState()
-  if (state.last_morning_trade_date === todayDate) return
+      const runAt = new Date(state.next_run_at)
+      if (now < runAt) continue
 
-  const currentTotalMinutes = currentHour * 60 + currentMinute
-  const targetTotalMinutes = targetHour * 60 + targetMinute
+      const graceMs = getMisfireGraceMs()
+      if (now - runAt > graceMs) {
+        // Catch up to the latest slot still within grace instead of replaying every missed one
+        console.log(`[SCHEDULER] Skipping missed ${key} trade due at ${runAt.toISOString()}`)
+        scheduleNextRun(key, entry, new Date(now.getTime() - graceMs))
+        continue
+      }
+
+      // Plan the next run before trading so a failed trade never fires twice
+      const slotAt = new Date(state.next_slot_at)
+      scheduleNextRun(key, entry, slotAt > now ? slotAt : now)
 
-  if (currentTotalMinutes >= targetTotalMinutes) {
-    runtimeState.setLastMorningTradeDate(todayDate)
-    await handleScheduledTrade('morning')
+      runtimeState.setScheduleEntryLastRun(key, now.toISOString())
+      await handleScheduledTrade(pool, entry)
+    }
   }
 }
 
-async function checkHourlyTrade(now) {
-  const timezone = CONFIG.scheduling.timezone
-  const { hour: currentHour } = getTimeInTimezone(now, timezone)
-  const [morningHour] = CONFIG.scheduling.morning_trade_time.split(':').map(Number)
+/**
+ * Where a replanned entry looks for its next slot. A new entry starts from now; an entry whose schedule
+ * changed catches up on a slot missed within the misfire grace, like any late run, but never on one
+ * it already ran for (a run serves the slot up to its variance away from last_run_at).
+ */
+function getReplanStart(state, entry, now) {
+  if (!state?.last_run_at) return now
+  const lastSlotEnd = new Date(state.last_run_at).getTime() + entry.varianceMinutes * 60 * 1000
+  return new Date(Math.max(now.getTime() - getMisfireGraceMs(), lastSlotEnd))
+}
+
+function scheduleNextRun(key, entry, after) {
+  const { slotAt, runAt } = planScheduleRun(entry, after, random)
+  runtimeState.setScheduleEntryNextRun(key, entry.cron.expression, slotAt.toISOString(), runAt.toISOString())
+  console.log(`[SCHEDULER] Next ${key} trade scheduled at ${runAt.toISOString()}`)
+}
 
-  if (currentHour === morningHour) return
-  if (!isWithinTradingHours(now)) return
+// Default last_weekly_payout_date for a database that has never run a payout
+const NEVER_PAID_DATE = '1970-01-01'
+
+async function checkScheduledPayout(now) {
+  const latestPayoutDate = getLatestPayoutDate(now)
+  if (!latestPayoutDate) return
 
   const state = runtimeState.getScheduleState()
-  const nextTradeTime = new Date(
-    state.next_hourly_trade_at
-  )
+  if (state.last_weekly_payout_date >= latestPayoutDate) return
 
-  if (nextTradeTime.getTime() === 0) {
-    scheduleNextHourlyTrade(now)
+  // A fresh database starts counting from the current period instead of paying out immediately
+  if (state.last_weekly_payout_date === NEVER_PAID_DATE) {
+    runtimeState.setLastPayoutDate(latestPayoutDate)
+    console.log(`[SCHEDULER] Payout schedule started, first payout at ${getNextPayoutAt(now)?.toISOString()}`)
     return
   }
 
-  if (now >= nextTradeTime) {
-    scheduleNextHourlyTrade(now)
-    await handleScheduledTrade('hourly')
-  }
+  runtimeState.setLastPayoutDate(latestPayoutDate)
+  await handleScheduledPayout(latestPayoutDate)
 }
 
-function scheduleNextHourlyTrade(now) {
-  const timezone = CONFIG.scheduling.timezone
-  const { minute: currentMinute } = getTimeInTimezone(now, timezone)
+// Each pool pays its own top predictors from its own rounds' profit
+async function handleScheduledPayout(payoutDate) {
+  const pools = getPools()
+  if (pools.length === 0) {
+    console.error('[SCHEDULER] No trading channel available for scheduled payout')
+    return
+  }
 
-  // Calculate ms until next hour boundary in configured timezone
-  // Duration is timezone-independent: if it's XX:42:15, we need 17m45s until XX+1:00:00
-  const secondsIntoMinute = now.getSeconds() * 1000 + now.getMilliseconds()
-  const msUntilNextHour = (60 - currentMinute) * 60 * 1000 - secondsIntoMinute
-  const nextHour = new Date(now.getTime() + msUntilNextHour)
+  if (isEmergencyStopped()) {
+    console.log('[SCHEDULER] Skipping scheduled payout: emergency stop active')
+    return
+  }
 
-  const variance = CONFIG.scheduling.interval_variance_minutes * 60 * 1000
-  const randomOffset = Math.floor(Math.random() * variance * 2) - variance
-  const scheduledTime = new Date(nextHour.getTime() + randomOffset)
+  for (const pool of pools) {
+    const label = pool.guildId ? ` for guild ${pool.guildId}` : ''
+    const incompleteSettlements = settlements.getIncomplete(pool.guildId)
+    if (incompleteSettlements.length > 0) {
+      console.log(`[SCHEDULER] Skipping scheduled payout${label}: settlement already in progress`)
+      continue
+    }
 
-  if (scheduledTime <= now) {
-    scheduledTime.setTime(now.getTime() + 60000) // 1 minute from now
+    console.log(`[SCHEDULER] Running payout check${label} for ${payoutDate}`)
+    try {
+      await actions.runPayouts(pool.channel, pool.guildId)
+    } catch (error) {
+      console.error(`[SCHEDULER] Scheduled payout error${label}:`, error)
+    }
   }
-
-  runtimeState.setNextHourlyTradeAt(scheduledTime.toISOString())
-  console.log(`[SCHEDULER] Next hourly trade scheduled at ${scheduledTime.toISOString()}`)
 }
 
-async function checkWeeklyPayout(now) {
-  const timezone = CONFIG.scheduling.timezone
-  const { hour: currentHour } = getTimeInTimezone(now, timezone)
+/**
+ * Retry unfinished settlements, posting each pool's results in its own channel
+ */
+export async function retryPoolSettlements() {
+  for (const pool of getPools()) {
+    await retryFailedSettlements(pool.channel, pool.guildId)
+  }
+}
 
-  const dayOptions = { timeZone: timezone, weekday: 'short' }
-  const dayOfWeek = now.toLocaleDateString('en-US', dayOptions)
+// Stream books for markets being voted on and for held positions
+function syncWatchedTokens() {
+  const tokenIds = []
+  const votingIds = new Set()
+  for (const trade of trades.getOpen()) {
+    if (trade.status === 'voting') {
+      votingIds.add(trade.id)
+      tokenIds.push(...(proposalTokens.get(trade.id) ?? []))
+    } else if (trade.token_id) {
+      tokenIds.push(trade.token_id)
+    }
+  }
 
-  if (dayOfWeek !== 'Sun') return
-  if (currentHour < 18) return
+  for (const tradeId of proposalTokens.keys()) {
+    if (!votingIds.has(tradeId)) proposalTokens.delete(tradeId)
+  }
 
-  const todayDate = getDateInTimezone(now, timezone)
-  const state = runtimeState.getScheduleState()
-  if (state.last_weekly_payout_date === todayDate) return
+  if (getStreamingConfig().enabled) setWatchedTokens(tokenIds)
+}
 
-  runtimeState.setLastWeeklyPayoutDate(todayDate)
-  await handleWeeklyPayout()
+/**
+ * Pool cash a round in voting could use: the guild's allocation of wallet equity less its own open positions,
+ * never more than the wallet holds
+ */
+async function getAvailableBalance(trade) {
+  const paper = Boolean(trade.is_paper)
+  const cash = paper ? getPaperBalance() : await getPoolBalance()
+  const equity = cash + trades.getOpenExposure(paper)
+  const guildId = trade.guild_id ?? null
+  return Math.min(cash, equity * getGuildAllocation(guildId) - trades.getOpenExposure(paper, guildId))
 }
 
-async function handleWeeklyPayout() {
-  if (!tradingChannel) {
-    console.error('[SCHEDULER] No trading channel available for weekly payout')
-    return
+/**
+ * Running tally, countdown and projected position for a round still in voting.
+ * The balance is read once per round so refreshes don't keep hitting the RPC.
+ */
+async function buildProposalStatus(trade, entry, now) {
+  const tally = tallyVotes(trade.id, { live: true })
+  const secondsLeft = Math.max(0, Math.ceil((new Date(trade.voting_ends_at).getTime() - now.getTime()) / 1000))
+
+  let projection = null
+  try {
+    const position = getLeadingSide(tally)
+    const tokenIds = proposalTokens.get(trade.id)
+    let book = null
+    if (position) {
+      entry.balance ??= await getAvailableBalance(trade)
+      if (tokenIds) book = await getOrderbookSummary(position === 'UP' ? tokenIds[0] : tokenIds[1])
+    }
+    projection = projectPositionSize({ trade, tally, balance: entry.balance, book, now })
+  } catch (error) {
+    console.error(`[SCHEDULER] Failed to project position for trade ${trade.id}:`, error.message)
   }
 
-  if (isEmergencyStopped()) {
-    console.log('[SCHEDULER] Skipping weekly payout: emergency stop active')
-    return
+  return formatProposalStatus({ trade, tally, timeLeft: formatDuration(secondsLeft), projection })
+}
+
+/**
+ * Edit each open proposal's status at most once per refresh interval. Edits run in the background
+ * and never stack: while one is in flight (discord.js holds it on a 429) the round is skipped.
+ */
+function refreshProposals(now) {
+  const { enabled, refreshMs } = getProposalUpdateConfig()
+  if (!enabled) return
+
+  const votingTrades = trades.getVotingTrades()
+  const votingIds = new Set(votingTrades.map(trade => trade.id))
+  for (const tradeId of proposalMessages.keys()) {
+    if (!votingIds.has(tradeId)) proposalMessages.delete(tradeId)
   }
 
-  const incompleteSettlements = settlements.getIncomplete()
-  if (incompleteSettlements.length > 0) {
-    console.log('[SCHEDULER] Skipping weekly payout: settlement already in progress')
-    return
+  for (const trade of votingTrades) {
+    const channel = getPoolChannel(trade.guild_id)
+    if (!trade.proposal_message_id || !channel) continue
+
+    let entry = proposalMessages.get(trade.id)
+    if (!entry) {
+      entry = { message: null, balance: null, lastEditAt: 0, editing: null }
+      proposalMessages.set(trade.id, entry)
+    }
+    if (entry.editing || now.getTime() - entry.lastEditAt < refreshMs) continue
+
+    entry.lastEditAt = now.getTime()
+    entry.editing = updateProposalMessage(trade, entry, channel, now).finally(() => {
+      entry.editing = null
+    })
   }
+}
 
-  console.log('[SCHEDULER] Running weekly payout check')
+async function updateProposalMessage(trade, entry, channel, now) {
   try {
-    await runWeeklyPayouts(tradingChannel)
+    entry.message ??= await channel.messages.fetch(trade.proposal_message_id)
+    const status = await buildProposalStatus(trade, entry, now)
+    // Voting may have closed while the status was being built
+    if (trades.getById(trade.id)?.status !== 'voting') return
+    await entry.message.edit({ embeds: [status] })
   } catch (error) {
-    console.error('[SCHEDULER] Weekly payout error:', error)
+    console.error(`[SCHEDULER] Failed to update proposal for trade ${trade.id}:`, error.message)
   }
 }
 
-// Track trades currently being resolved to avoid duplicate resolution attempts
-const resolvingTrades = new Set()
+// Replace the live status with how the round closed and take down the vote buttons
+async function finalizeProposal(tradeId, proposalMessage) {
+  const entry = proposalMessages.get(tradeId)
+  proposalMessages.delete(tradeId)
 
-async function checkPendingResolutions() {
-  if (!tradingChannel) return
-  if (isEmergencyStopped()) return
+  // A late live edit would overwrite the closed state
+  await entry?.editing
 
-  const readyTrades = trades.getReadyForResolution()
+  const trade = trades.getById(tradeId)
+  if (!trade || trade.status === 'voting') return
+
+  const edit = {}
+  if (getProposalUpdateConfig().enabled) {
+    edit.embeds = [formatProposalStatus({ trade, tally: tallyVotes(tradeId) })]
+  }
+  if (trade.vote_mode === 'buttons') {
+    edit.components = []
+  }
+  if (Object.keys(edit).length === 0) return
+
+  try {
+    await proposalMessage.edit(edit)
+  } catch (error) {
+    console.error(`[SCHEDULER] Failed to mark proposal closed for trade ${tradeId}:`, error.message)
+  }
+}
 
-  for (const trade of readyTrades) {
-    if (resolvingTrades.has(trade.id)) continue
+// Watch held positions for take-profit and stop-loss until their market closes
+export async function checkExits(now) {
+  const config = getExitConfig()
+  if (!config.enabled) return
 
-    resolvingTrades.add(trade.id)
-    console.log(`[RESOLUTION] Trade ${trade.id} (${trade.asset}) is ready for resolution`)
+  for (const trade of trades.getByStatus('executed')) {
+    const channel = getPoolChannel(trade.guild_id)
+    if (!channel || !trade.token_id || new Date(trade.resolution_time) <= now) continue
 
-    resolveRound(trade.id, tradingChannel)
-      .catch(err => console.error(`[RESOLUTION] Error resolving trade ${trade.id}:`, err))
-      .finally(() => resolvingTrades.delete(trade.id))
+    try {
+      const book = await getOrderbookSummary(trade.token_id)
+      const signal = getExitSignal(trade, book.bestBid, config)
+      if (signal) {
+        await exitPosition(trade, signal, book.bestBid, channel)
+      }
+    } catch (error) {
+      console.error(`[POSITIONS] Failed to check exit for trade ${trade.id}:`, error.message)
+    }
   }
 }
 
-async function handleScheduledTrade(type) {
-  if (!tradingChannel) {
-    console.error('[SCHEDULER] No trading channel available')
+async function exitPosition(trade, signal, bestBid, channel) {
+  if (!trades.markExiting(trade.id)) return
+
+  const label = formatExitReason(signal.reason)
+  const minPrice = getExitLimitPrice(bestBid)
+  console.log(`[POSITIONS] Trade ${trade.id} ${label}: bid $${bestBid.toFixed(2)} crossed $${signal.threshold.toFixed(4)}`)
+
+  let result
+  try {
+    result = trade.is_paper
+      ? await simulateSell(trade.token_id, trade.shares_filled, minPrice, { tradeId: trade.id })
+      : await sellPosition(trade.token_id, trade.shares_filled, minPrice, { tradeId: trade.id })
+  } catch (error) {
+    result = { success: false, reason: error.message }
+  }
+
+  if (!result.success) {
+    trades.revertExiting(trade.id)
+    console.error(`[POSITIONS] Trade ${trade.id} ${label} sell failed, still holding: ${result.reason}`)
     return
   }
 
-  const check = canStartTrade(false)
+  // Realized on the shares sold; any remainder is still held to resolution
+  const costBasis = trade.total_cost * (result.sharesSold / trade.shares_filled)
+  const realizedPnl = result.proceeds - costBasis
+  const heldShares = trade.shares_filled - result.sharesSold
+
+  trades.recordExit(trade.id, {
+    reason: signal.reason,
+    shares: result.sharesSold,
+    price: result.avgPrice,
+    proceeds: result.proceeds,
+  })
+  tradeEvents.record(trade.id, 'exited', {
+    reason: signal.reason,
+    order_id: result.orderID,
+    shares_sold: result.sharesSold,
+    avg_price: result.avgPrice,
+    proceeds: result.proceeds,
+    realized_pnl: realizedPnl,
+    held_shares: heldShares,
+  })
+
+  const pnlText = realizedPnl >= 0 ? `+$${realizedPnl.toFixed(2)}` : `-$${Math.abs(realizedPnl).toFixed(2)}`
+  await channel.send({
+    content: [
+      `${paperTag(trade)}${signal.reason === 'take_profit' ? '💸' : '🛡️'} **${roundLabel(trade)} ${label}**`,
+      ``,
+      `Sold ${result.sharesSold.toFixed(2)} shares @ $${result.avgPrice.toFixed(4)} (entry $${Number(trade.avg_fill_price).toFixed(4)})`,
+      `Realized P&L: ${pnlText}`,
+      result.partial ? `${heldShares.toFixed(2)} shares still held to resolution` : null,
+    ].filter(line => line !== null).join('\n'),
+  }).catch(error => {
+    console.error(`[POSITIONS] Failed to post exit for trade ${trade.id}:`, error.message)
+  })
+}
+
+// Queue a resolution job for every executed trade past its resolution time.
+// The dedupe key keeps one job per trade however many ticks see it.
+function checkPendingResolutions(now) {
+  if (getPools().length === 0) return
+  if (isEmergencyStopped()) return
+
+  for (const trade of trades.getReadyForResolution(now)) {
+    const job = enqueueJob('resolve_trade', { tradeId: trade.id }, {
+      runAt: now,
+      dedupeKey: `resolve_trade:${trade.id}`,
+    })
+    if (job) {
+      console.log(`[RESOLUTION] Trade ${trade.id} (${trade.asset}) is ready for resolution`)
+    }
+  }
+}
+
+async function handleScheduledTrade(pool, entry) {
+  const waitMs = await tryScheduledTrade(pool, entry)
+  if (!waitMs) return
+
+  enqueueJob('scheduled_trade', { name: entry.name, guildId: pool.guildId }, {
+    runAt: new Date(clock.now().getTime() + waitMs),
+    dedupeKey: `scheduled_trade:${scheduleStateKey(pool.guildId, entry.name)}`,
+  })
+}
+
+/**
+ * Start a scheduled trade in a pool if allowed
+ * @returns {Promise<number|undefined>} ms to wait when gap enforcement delays the trade
+ */
+async function tryScheduledTrade(pool, entry) {
+  const check = canStartTrade(false, pool.guildId)
 
   if (!check.allowed && check.waitMs) {
-    console.log(`[SCHEDULER] Delaying ${type} trade by ${Math.ceil(check.waitMs / 60000)} min due to gap enforcement`)
-    setTimeout(() => handleScheduledTrade(type), check.waitMs)
-    return
+    console.log(`[SCHEDULER] Delaying ${entry.name} trade by ${Math.ceil(check.waitMs / 60000)} min due to gap enforcement`)
+    return check.waitMs
   }
 
   if (!check.allowed) {
-    console.log(`[SCHEDULER] Skipping ${type} trade: ${check.reason}`)
+    console.log(`[SCHEDULER] Skipping ${entry.name} trade: ${check.reason}`)
     return
   }
 
-  console.log(`[SCHEDULER] Starting ${type} trade`)
-  await startTrade(tradingChannel, 'cron')
+  console.log(`[SCHEDULER] Starting ${entry.name} trade`)
+  await actions.startTrade(pool.channel, 'cron', {
+    assets: entry.assets,
+    scheduleName: entry.name,
+    series: entry.series,
+    guildId: pool.guildId,
+  })
 }
 
+registerJobHandler('scheduled_trade', async ({ name, guildId = null }) => {
+  const pool = getPools().find(p => p.guildId === guildId)
+  const entry = pool?.entries.find(e => e.name === name)
+  if (!entry) {
+    console.log(`[SCHEDULER] Dropping delayed ${scheduleStateKey(guildId, name)} trade: entry no longer configured`)
+    return
+  }
+
+  const waitMs = await tryScheduledTrade(pool, entry)
+  if (waitMs) {
+    return { retryAt: new Date(clock.now().getTime() + waitMs) }
+  }
+}, { maxAttempts: 1 })
+
+// Unresolved markets are polled every tick; errors back off but never give up on a held position
+registerJobHandler('resolve_trade', async ({ tradeId }) => {
+  const channel = getPoolChannel(trades.getById(tradeId)?.guild_id)
+  const done = channel ? await resolveRound(tradeId, channel) : false
+  if (!done) {
+    return { retryAt: new Date(clock.now().getTime() + CONFIG.scheduling.tick_interval_seconds * 1000) }
+  }
+}, { maxAttempts: Infinity })
+
+// Redemption keeps retrying with backoff; until it lands the round's profit is held out of payouts
+registerJobHandler('redeem', async ({ tradeId, conditionId, tokenIds }) => {
+  await redeemWinnings(conditionId, tokenIds, { tradeId })
+  trades.setRedemptionPending(tradeId, false)
+  console.log(`[RESOLUTION] Redeemed winnings for trade ${tradeId}`)
+}, { maxAttempts: Infinity })
+
 export async function handlePropose(interaction) {
-  const holderRoleId = CONFIG.discord.holder_role_id
+  const guildId = getPoolGuildId(interaction.guildId)
+  const holderRoleId = getHolderRoleId(guildId)
   if (holderRoleId) {
     const member = await interaction.guild?.members.fetch(interaction.user.id)
     if (!member?.roles.cache.has(holderRoleId)) {
@@ -354,7 +896,7 @@ export async function handlePropose(interaction) {
     }
   }
 
-  const check = canStartTrade(true)
+  const check = canStartTrade(true, guildId)
   if (!check.allowed) {
     await interaction.reply({
       content: `**Cannot start trade**\n\n${check.reason}`,
@@ -363,14 +905,13 @@ export async function handlePropose(interaction) {
     return
   }
 
-  const channelId = CONFIG.discord.trading_channel_id
-  if (!channelId) {
-    throw new Error('Missing discord.trading_channel_id in config.yaml')
-  }
-
-  const channel = interaction.guild?.channels.cache.get(channelId)
+  const channel = getPoolChannel(guildId)
   if (!channel) {
-    throw new Error(`Trading channel not found for configured id: ${channelId}`)
+    await interaction.reply({
+      content: '**No trading channel**\n\nThis server has no pool set up yet. An admin can run `/guild-setup`.',
+      ephemeral: true,
+    })
+    return
   }
 
   await interaction.reply({
@@ -379,7 +920,7 @@ export async function handlePropose(interaction) {
   })
 
   try {
-    await startTrade(channel, `user:${interaction.user.id}`)
+    await startTrade(channel, `user:${interaction.user.id}`, { series: interaction.options.getString('series'), guildId })
   } catch (error) {
     console.error('Failed to start trade:', error)
     await interaction.followUp({
@@ -389,136 +930,213 @@ export async function handlePropose(interaction) {
   }
 }
 
-export async function startTrade(channel, triggeredBy) {
+/**
+ * @param {string} triggeredBy - 'cron' or 'user:<discord id>'
+ * @param {{ assets?: string[]|null, scheduleName?: string, series?: string|null, guildId?: string|null }} [options]
+ *   restrict the round to these assets; series picks the market duration (default markets.default_series);
+ *   guildId is the pool the round belongs to (null for the unscoped pool)
+ */
+export async function startTrade(channel, triggeredBy, options = {}) {
+  const guildId = options.guildId ?? null
+
   if (isEmergencyStopped()) {
     await channel.send('⛔ Trade cancelled - emergency stop activated.')
     return
   }
 
-  const incompleteSettlements = settlements.getIncomplete()
+  const incompleteSettlements = settlements.getIncomplete(guildId)
   if (incompleteSettlements.length > 0) {
     await channel.send('⏳ Trade delayed - payout settlement in progress.')
     return
   }
 
   // Early check to avoid duplicate market fetches from concurrent calls
-  const activeTrade = trades.getActive()
-  if (activeTrade) {
-    console.log(`[SCHEDULER] Trade already active (${activeTrade.id}), skipping`)
+  const openTrades = trades.getOpen(guildId)
+  if (openTrades.length >= getMaxOpenRounds()) {
+    console.log(`[SCHEDULER] ${openTrades.length} rounds already open, skipping`)
+    return
+  }
+
+  const assets = getAvailableAssets()
+    .filter(asset => !options.assets || options.assets.includes(asset))
+  if (assets.length === 0) {
+    console.log(options.assets
+      ? `[SCHEDULER] No available asset among ${options.assets.join('/')}, skipping`
+      : '[SCHEDULER] Every asset already has an open round, skipping')
     return
   }
 
-  const assets = ['BTC', 'ETH', 'SOL', 'XRP']
-  const { candleInterval, candleLimit } = getCandleParams()
+  const series = getMarketSeries(options.series ?? null)
+  const { candleInterval, candleLimit } = getCandleParams(series)
 
   // Fetch markets and candles in parallel for speed
   const [allMarkets, ...candleResults] = await Promise.all([
-    find15MinuteMarkets(),
-    ...assets.map(asset => getRecentCandles(asset, candleInterval, candleLimit)),
+    findUpDownMarkets(series),
+    ...assets.map(asset => getRecentCandles(asset, candleInterval, candleLimit).catch(error => {
+      console.error(`[PRICES] ${error.message}`)
+      return null
+    })),
   ])
 
+  // An asset without price data can't be analyzed, so the round picks among the rest
+  const pricedAssets = assets.filter((asset, i) => candleResults[i])
+  if (pricedAssets.length === 0) {
+    await channel.send('❌ Price data unavailable from every provider. Trade cancelled.')
+    return
+  }
+
   const marketsByAsset = {}
-  for (const asset of assets) {
+  for (const asset of pricedAssets) {
     marketsByAsset[asset] = allMarkets.find(m => m.asset === asset) || null
   }
 
   const candlesByAsset = {}
   for (let i = 0; i < assets.length; i++) {
-    candlesByAsset[assets[i]] = candleResults[i]
+    if (candleResults[i]) candlesByAsset[assets[i]] = candleResults[i]
+  }
+
+  // Keep fetched candles so the backtest runner can replay them later
+  try {
+    for (const asset of pricedAssets) {
+      candles.upsertMany(asset, candleInterval, candlesByAsset[asset])
+    }
+  } catch (error) {
+    console.error('[SCHEDULER] Failed to store candles:', error.message)
   }
 
   let analysis
   try {
-    analysis = await analyzeMarket({ marketsByAsset, candlesByAsset })
+    analysis = await analyzeMarket({ marketsByAsset, candlesByAsset, assets: pricedAssets, series })
   } catch (error) {
     console.error('Market analysis failed:', error)
     await channel.send('❌ Market analysis failed. Trade cancelled.')
     return
   }
 
-  let market = marketsByAsset[analysis.asset] || await get15MinuteMarket(analysis.asset)
+  let market = marketsByAsset[analysis.asset] || await getUpDownMarket(analysis.asset, series)
   if (!market) {
-    await channel.send(`❌ No active 15M market found for ${analysis.asset}. Trying another asset...`)
-    for (const fallbackAsset of ['BTC', 'ETH', 'SOL', 'XRP']) {
+    await channel.send(`❌ No active ${series.key} market found for ${analysis.asset}. Trying another asset...`)
+    for (const fallbackAsset of pricedAssets) {
       if (fallbackAsset !== analysis.asset) {
-        const fallbackMarket = marketsByAsset[fallbackAsset] || await get15MinuteMarket(fallbackAsset)
+        const fallbackMarket = marketsByAsset[fallbackAsset] || await getUpDownMarket(fallbackAsset, series)
         if (fallbackMarket) {
           analysis.asset = fallbackAsset
-          analysis.current_price = await getCurrentPrice(fallbackAsset)
+          analysis.current_price = candlesByAsset[fallbackAsset].at(-1).close
+          // The model's call was for a different asset, so it can't inform sizing
+          analysis.direction_bias = null
+          analysis.confidence = null
           market = fallbackMarket
           break
         }
       }
     }
     if (!market) {
-      await channel.send('❌ No active 15M crypto markets available. Try again later.')
+      await channel.send(`❌ No active ${series.key} crypto markets available. Try again later.`)
       return
     }
   }
 
-  const votingEndsAt = new Date(Date.now() + CONFIG.trading.voting_window_seconds * 1000).toISOString()
+  const votingEndsAt = new Date(clock.now().getTime() + series.votingWindowSeconds * 1000).toISOString()
   const trade = trades.createIfNoActive({
+    guild_id: guildId,
     asset: analysis.asset,
     polymarket_market_id: market.id,
+    market_series: series.key,
+    vote_mode: getVoteMode(),
     resolution_time: market.resolution_time.toISOString(),
     voting_ends_at: votingEndsAt,
+    is_paper: isPaperTrading(),
+    analysis_direction: analysis.direction_bias,
+    analysis_confidence: analysis.confidence,
+    max_open_rounds: getMaxOpenRounds(),
   })
 
   if (!trade) {
-    const pendingSettlements = settlements.getIncomplete()
+    const pendingSettlements = settlements.getIncomplete(guildId)
     if (pendingSettlements.length > 0) {
       await channel.send('⚠️ Trade skipped - payout settlement in progress.')
     } else {
-      await channel.send('⚠️ Another trade started. This proposal was skipped.')
+      await channel.send(`⚠️ Another ${analysis.asset} round started or the open-round limit was reached. This proposal was skipped.`)
     }
     return
   }
 
+  proposalTokens.set(trade.id, [market.tokenIds.yes, market.tokenIds.no])
+  syncWatchedTokens()
+
+  tradeEvents.record(trade.id, 'proposed', {
+    triggered_by: triggeredBy,
+    schedule: options.scheduleName || null,
+    asset: analysis.asset,
+    current_price: analysis.current_price,
+    direction_bias: analysis.direction_bias,
+    confidence: analysis.confidence,
+    market_id: market.id,
+    market_slug: market.slug,
+    series: series.key,
+    voting_ends_at: votingEndsAt,
+  })
+
   const { up: UP_EMOJI, down: DOWN_EMOJI } = getVoteEmojis()
+  const proposalUpdates = getProposalUpdateConfig()
+  const proposalEntry = { message: null, balance: null, lastEditAt: clock.now().getTime(), editing: null }
+  const proposalStatus = proposalUpdates.enabled ? await buildProposalStatus(trade, proposalEntry, clock.now()) : null
 
   const triggerText = triggeredBy === 'cron'
-    ? 'Scheduled trade'
+    ? `Scheduled ${options.scheduleName ? `${options.scheduleName} ` : ''}trade`
     : `Proposed by <@${triggeredBy.replace('user:', '')}>`
 
   let proposalMessage = null
   try {
     proposalMessage = await channel.send({
       content: [
-        `⚡ **${analysis.asset} 15-Minute Prediction**`,
+        `${paperTag(trade)}⚡ **${roundLabel(trade)} · ${series.key} Prediction**`,
+        trade.is_paper ? `_Paper trade: simulated fill, no real funds at risk_` : null,
         ``,
         `📊 **Quick Analysis:**`,
         analysis.reasoning,
         ``,
         `Current price: $${analysis.current_price.toLocaleString()}`,
-        `Question: Will ${analysis.asset} be **UP** or **DOWN** in 15 minutes?`,
+        `Question: Will ${analysis.asset} be **UP** or **DOWN** in ${formatSeriesDuration(series)}?`,
         ``,
-        `⏰ Voting closes in ${formatDuration(CONFIG.trading.voting_window_seconds)}`,
-        `React: ${UP_EMOJI} UP | ${DOWN_EMOJI} DOWN`,
+        proposalStatus ? null : `⏰ Voting closes in ${formatDuration(series.votingWindowSeconds)}`,
+        trade.vote_mode === 'buttons'
+          ? `Vote with the buttons below: ${UP_EMOJI} UP | ${DOWN_EMOJI} DOWN`
+          : `React: ${UP_EMOJI} UP | ${DOWN_EMOJI} DOWN`,
         ``,
         `Minimum ${CONFIG.trading.min_votes} votes to execute`,
         `[View on Polymarket](https://polymarket.com/event/${market.slug})`,
         ``,
         `_${triggerText}_`,
-      ].join('\n'),
+      ].filter(line => line !== null).join('\n'),
+      embeds: proposalStatus ? [proposalStatus] : [],
+      components: trade.vote_mode === 'buttons' ? buildVoteButtons(trade.id) : [],
     })
   } catch (error) {
     console.error(`[SCHEDULER] Failed to post proposal for trade ${trade.id}:`, error.message)
-    trades.deleteTrade(trade.id)
+    trades.cancel(trade.id, 'Proposal message could not be posted')
     return
   }
 
   trades.updateMessageId(trade.id, proposalMessage.id)
-
-  try {
-    await proposalMessage.react(UP_EMOJI)
-  } catch (error) {
-    console.error(`[SCHEDULER] Failed to add UP reaction for trade ${trade.id}:`, error.message)
+  if (proposalStatus) {
+    proposalEntry.message = proposalMessage
+    proposalMessages.set(trade.id, proposalEntry)
   }
 
-  try {
-    await proposalMessage.react(DOWN_EMOJI)
-  } catch (error) {
-    console.error(`[SCHEDULER] Failed to add DOWN reaction for trade ${trade.id}:`, error.message)
+  // Button rounds vote through the message components instead
+  if (trade.vote_mode !== 'buttons') {
+    try {
+      await proposalMessage.react(UP_EMOJI)
+    } catch (error) {
+      console.error(`[SCHEDULER] Failed to add UP reaction for trade ${trade.id}:`, error.message)
+    }
+
+    try {
+      await proposalMessage.react(DOWN_EMOJI)
+    } catch (error) {
+      console.error(`[SCHEDULER] Failed to add DOWN reaction for trade ${trade.id}:`, error.message)
+    }
   }
 
   // Voting window is handled by the tick loop via voting_ends_at
@@ -526,8 +1144,9 @@ export async function startTrade(channel, triggeredBy) {
 }
 
 async function closeVotingFromTick(trade) {
-  if (!tradingChannel) {
-    console.error('[SCHEDULER] No trading channel available for voting close')
+  const channel = getPoolChannel(trade.guild_id)
+  if (!channel) {
+    console.error(`[SCHEDULER] No trading channel available for voting close of trade ${trade.id}`)
     return
   }
 
@@ -535,29 +1154,32 @@ async function closeVotingFromTick(trade) {
 
   if (trade.proposal_message_id) {
     try {
-      proposalMessage = await tradingChannel.messages.fetch(trade.proposal_message_id)
+      proposalMessage = await channel.messages.fetch(trade.proposal_message_id)
     } catch (error) {
       console.error(`[SCHEDULER] Failed to fetch proposal message ${trade.proposal_message_id}:`, error.message)
     }  
   }
 
   if (!proposalMessage) {
-    await cancelVotingTrade(trade.id, tradingChannel, 'Proposal message unavailable')
+    await cancelVotingTrade(trade.id, channel, 'Proposal message unavailable')
     return
   }
 
   let market = null
   try {
-    market = await get15MinuteMarket(trade.asset)
+    // Rounds from before market series were recorded use the default series
+    market = await getUpDownMarket(trade.asset, getRoundSeries(trade.market_series))
   } catch (error) {
     console.error(`[SCHEDULER] Failed to fetch market for ${trade.asset}:`, error.message)
   }
   if (!market) {
-    await cancelVotingTrade(trade.id, tradingChannel, 'No active market')
+    await cancelVotingTrade(trade.id, channel, 'No active market')
+    await finalizeProposal(trade.id, proposalMessage)
     return
   }
 
-  await closeVoting(trade.id, proposalMessage, tradingChannel, market)
+  await closeVoting(trade.id, proposalMessage, channel, market)
+  await finalizeProposal(trade.id, proposalMessage)
 }
 
 async function closeVoting(tradeId, proposalMessage, channel, market) {
@@ -565,19 +1187,45 @@ async function closeVoting(tradeId, proposalMessage, channel, market) {
   if (!trade || trade.status !== 'voting') return
 
   const { up: UP_EMOJI, down: DOWN_EMOJI } = getVoteEmojis()
-  const snapshotTime = new Date().toISOString()
-  await snapshotPredictionsFromReactions(tradeId, proposalMessage, UP_EMOJI, DOWN_EMOJI, snapshotTime)
+  const snapshotTime = clock.now().toISOString()
+  let snapshot = null
+  if (trade.vote_mode === 'buttons') {
+    // Button votes were checked and recorded as they came in, so the DB is already the vote record
+    predictions.snapshotAll(tradeId, snapshotTime)
+  } else {
+    snapshot = await snapshotPredictionsFromReactions(tradeId, proposalMessage, {
+      upEmoji: UP_EMOJI,
+      downEmoji: DOWN_EMOJI,
+      snapshotAt: snapshotTime,
+    })
+    trades.updateSnapshotReport(tradeId, snapshot.report)
+  }
 
-  const voteCounts = predictions.getVoteCounts(tradeId)
-  const upVotes = voteCounts.up
-  const downVotes = voteCounts.down
-  const totalVotes = upVotes + downVotes
+  const tally = tallyVotes(tradeId)
+  const upVotes = tally.up
+  const downVotes = tally.down
+  const totalVotes = tally.total
+  tradeEvents.record(tradeId, 'vote_snapshot', {
+    up: upVotes,
+    down: downVotes,
+    total: totalVotes,
+    tally_mode: tally.mode,
+    up_weight: tally.upWeight,
+    down_weight: tally.downWeight,
+    snapshot_at: snapshotTime,
+    report: snapshot?.report ?? null,
+    reconciled: snapshot && {
+      missing: snapshot.discrepancies.missing.length,
+      stale: snapshot.discrepancies.stale.length,
+      switched: snapshot.discrepancies.switched.length,
+    },
+  })
 
   if (totalVotes < CONFIG.trading.min_votes) {
-    trades.deleteTrade(tradeId)
+    trades.cancel(tradeId, `Not enough votes (${totalVotes} of ${CONFIG.trading.min_votes})`)
     await channel.send({
       content: [
-        `⏰ **Voting closed**`,
+        `⏰ **${roundLabel(trade)} voting closed**`,
         ``,
         `${UP_EMOJI} UP: ${upVotes} | ${DOWN_EMOJI} DOWN: ${downVotes}`,
         ``,
@@ -587,51 +1235,146 @@ async function closeVoting(tradeId, proposalMessage, channel, market) {
     return
   }
 
-  const isTie = upVotes === downVotes
-  const position = upVotes > downVotes ? 'UP'
-    : upVotes < downVotes ? 'DOWN'
-    : Math.random() > 0.5 ? 'UP' : 'DOWN'
+  // Direction follows the tally weights, which are plain vote counts unless reputation tallying is on
+  const isTie = Math.abs(tally.upWeight - tally.downWeight) < 1e-9
+  const position = isTie ? (random() > 0.5 ? 'UP' : 'DOWN')
+    : tally.upWeight > tally.downWeight ? 'UP' : 'DOWN'
   const upPercent = Math.round((upVotes / totalVotes) * 100)
   const downPercent = 100 - upPercent
+  const weightedUpPercent = Math.round(tally.upShare * 100)
 
-  const poolBalance = await getPoolBalance()
+  const poolBalance = await getAvailableBalance(trade)
   if (poolBalance <= 0) {
-    trades.deleteTrade(tradeId)
-    await channel.send('❌ No USDC balance in wallet. Trade cancelled.')
+    trades.cancel(tradeId, trade.is_paper ? 'Paper pool balance exhausted' : 'No USDC balance available to this pool')
+    await channel.send(trade.is_paper
+      ? `❌ ${roundLabel(trade)} cancelled: paper pool balance exhausted.`
+      : `❌ ${roundLabel(trade)} cancelled: no USDC balance available to this pool.`)
+    return
+  }
+
+  if (!market) {
+    trades.cancel(tradeId, 'No active market')
+    await channel.send(`❌ ${roundLabel(trade)} cancelled: no active market.`)
+    return
+  }
+
+  // Refuse to trade on a price feed the other sources don't back up
+  const priceCheck = await checkPriceConsistency(trade.asset)
+  if (!priceCheck.consistent) {
+    trades.cancel(tradeId, `Price check: ${priceCheck.reason}`)
+    await channel.send(`❌ ${roundLabel(trade)} cancelled: ${priceCheck.reason}.`)
+    return
+  }
+
+  const tokenId = position === 'UP' ? market.tokenIds.yes : market.tokenIds.no
+  let book
+  try {
+    book = await getOrderbookSummary(tokenId)
+  } catch (error) {
+    // An unreachable book says nothing about liquidity, so it gets its own reason rather than a guard's
+    console.error(`[SCHEDULER] Failed to fetch ${position} orderbook for trade ${tradeId}:`, error.message)
+    trades.cancel(tradeId, `Orderbook unavailable: ${error.message}`)
+    await channel.send(`❌ ${roundLabel(trade)} cancelled: the ${position} orderbook could not be fetched from Polymarket.`)
+    return
+  }
+  const guardFailure = checkEntryGuards({ market, position, book })
+  if (guardFailure) {
+    trades.cancel(tradeId, `Price guard: ${guardFailure}`)
+    await channel.send(`❌ ${roundLabel(trade)} cancelled: ${guardFailure}.`)
     return
   }
 
-  const conviction = Math.abs(upPercent - downPercent) / 100
-  const minPct = Number(CONFIG.trading.min_position_pct) || 0.05
-  const maxPct = Number(CONFIG.trading.max_position_pct) || 0.10
-  const minSize = poolBalance * minPct
-  const maxSize = poolBalance * maxPct
-  let positionSize = minSize + (maxSize - minSize) * conviction
+  const conviction = tally.conviction
+  const sizing = sizePosition({
+    balance: poolBalance,
+    conviction,
+    voteShare: position === 'UP' ? tally.upShare : tally.downShare,
+    confidence: trade.analysis_confidence,
+    aligned: trade.analysis_direction === position,
+    price: book.bestAsk,
+  })
+
+  if (sizing.size <= 0) {
+    trades.cancel(tradeId, `No edge: ${describeSizing(sizing)}`)
+    await channel.send(`❌ ${roundLabel(trade)} cancelled: no edge at this price (${describeSizing(sizing)}).`)
+    return
+  }
+  let positionSize = sizing.size
+
+  const exposure = applyExposureCap(positionSize, poolBalance, trade.is_paper, trade.guild_id ?? null)
+  if (exposure.capped) {
+    console.log(`[SCHEDULER] Trade ${tradeId} capped from $${positionSize.toFixed(2)} to $${exposure.size.toFixed(2)} by exposure limit`)
+    positionSize = exposure.size
+    if (positionSize < 1) {
+      trades.cancel(tradeId, 'Open positions already use the exposure cap')
+      await channel.send(`❌ ${roundLabel(trade)} cancelled: open positions already use the exposure cap ($${exposure.openExposure.toFixed(2)} of $${exposure.maxExposure.toFixed(2)}).`)
+      return
+    }
+  }
 
   // Ensure minimum $1 bet
   if (positionSize < 1) {
     if (poolBalance >= 1) {
       positionSize = 1
     } else {
-      trades.deleteTrade(tradeId)
-      await channel.send('❌ Pool balance too low for minimum $1 bet. Trade cancelled.')
+      trades.cancel(tradeId, 'Pool balance too low for minimum $1 bet')
+      await channel.send(`❌ ${roundLabel(trade)} cancelled: pool balance too low for minimum $1 bet.`)
       return
     }
   }
 
-  if (!market) {
-    trades.deleteTrade(tradeId)
-    await channel.send('❌ No active market. Trade cancelled.')
+  const limits = applyNotionalLimits(positionSize, { asset: trade.asset, paper: Boolean(trade.is_paper), now: clock.now() })
+  if (limits.capped) {
+    console.log(`[SCHEDULER] Trade ${tradeId} scaled from $${positionSize.toFixed(2)} to $${limits.size.toFixed(2)} by ${limits.reason}`)
+    positionSize = limits.size
+    if (positionSize < 1) {
+      trades.cancel(tradeId, `Dollar limit reached: ${limits.reason}`)
+      await channel.send(`❌ ${roundLabel(trade)} cancelled: ${limits.reason} leaves less than the $1 minimum.`)
+      return
+    }
+  }
+
+  const depth = fitToDepth(positionSize, book)
+  if (depth.resized) {
+    console.log(`[SCHEDULER] Trade ${tradeId} resized from $${positionSize.toFixed(2)} to $${depth.size.toFixed(2)} to fit the ${depth.reason}`)
+    positionSize = depth.size
+    if (positionSize < 1) {
+      trades.cancel(tradeId, `Price guard: ${depth.reason} is below the $1 minimum`)
+      await channel.send(`❌ ${roundLabel(trade)} cancelled: ${depth.reason} is below the $1 minimum.`)
+      return
+    }
+  }
+
+  // Recorded before the order goes out so the startup reconciler can find a round interrupted mid-execution
+  if (!trades.markExecuting(tradeId, position, tokenId)) {
+    console.log(`[SCHEDULER] Trade ${tradeId} is already being executed`)
     return
   }
 
   try {
-    const result = await executeTrade(market, position, positionSize)
+    const result = trade.is_paper
+      ? await simulateTrade(market, position, positionSize, { tradeId })
+      : await executeTrade(market, position, positionSize, {
+        tradeId,
+        onOrderPlaced: orderId => trades.updateOrderId(tradeId, orderId),
+      })
     if (!result.success) {
       throw new Error(result.reason || 'Trade execution failed')
     }
 
-    trades.execute(tradeId, position)
+    trades.execute(tradeId, position, result)
+    tradeEvents.record(tradeId, 'executed', {
+      position,
+      order_id: result.orderID,
+      shares_filled: result.sharesFilled,
+      avg_fill_price: result.avgFillPrice,
+      total_cost: result.totalCost,
+      partial: Boolean(result.partial),
+      sizing: { strategy: sizing.strategy, ...sizing.inputs, capped_by: sizing.cappedBy },
+      limited_by: limits.reason,
+      depth_limited: depth.resized,
+      book: { best_bid: book.bestBid, best_ask: book.bestAsk, depth_usd: book.depthUsd },
+    })
 
     trades.updateOrderId(tradeId, result.orderID)
 
@@ -641,119 +1384,113 @@ async function closeVoting(tradeId, proposalMessage, channel, market) {
 
     // Calculate minutes until resolution for display
     const resolutionTime = market.resolution_time.getTime()
-    const resolutionMinutes = Math.ceil((resolutionTime - Date.now()) / 60000)
+    const resolutionMinutes = Math.ceil((resolutionTime - clock.now().getTime()) / 60000)
 
     await channel.send({
       content: [
-        `🎯 **${trade.asset} ${direction} LOCKED**`,
+        `${paperTag(trade)}🎯 **${roundLabel(trade)} ${direction} LOCKED**`,
         ``,
         `${UP_EMOJI} UP: ${upVotes} (${upPercent}%) · ${DOWN_EMOJI} DOWN: ${downVotes} (${downPercent}%)`,
+        tally.weighted ? `⚖️ Reputation-weighted: UP ${weightedUpPercent}% · DOWN ${100 - weightedUpPercent}%` : '',
         isTie ? `🎲 Tie! Coin flip chose ${position}.` : '',
         ``,
         `💵 $${result.totalCost.toFixed(2)} → ${result.sharesFilled.toFixed(2)} shares @ $${result.avgFillPrice.toFixed(4)}`,
-        `📊 ${convictionLabel} conviction · ${sizePct}% of pool`,
+        `📊 ${convictionLabel} conviction · ${sizePct}% of ${trade.is_paper ? 'paper pool' : 'pool'}`,
+        `📐 ${describeSizing(sizing)}`,
+        exposure.capped ? `⚖️ Size capped by exposure limit ($${exposure.openExposure.toFixed(2)} already open)` : '',
+        limits.capped ? `🧱 Size scaled down by ${limits.reason}` : '',
+        depth.resized ? `📉 Size fitted to the ${depth.reason}` : '',
         ``,
         `⏰ Resolves in ~${resolutionMinutes} min`,
         ``,
-        `🔗 [View DeWiz on Polymarket](https://polymarket.com/@DeWiz)`,
+        trade.is_paper ? '' : `🔗 [View DeWiz on Polymarket](https://polymarket.com/@DeWiz)`,
       ].filter(Boolean).join('\n'),
     })
 
   } catch (error) {
     console.error('Trade execution failed:', error)
-    trades.deleteTrade(tradeId)
-    await channel.send(`❌ Trade execution failed: ${error.message || 'Unknown error'}`)
+    trades.cancel(tradeId, `Execution failed: ${error.message || 'Unknown error'}`)
+    await channel.send(`❌ ${roundLabel(trade)} execution failed: ${error.message || 'Unknown error'}`)
   }
 }
 
-async function getEligibleSnapshotUser(discordUser, guild, holderRoleId) {
-  if (discordUser.bot) return null
-  if (!guild) return null
-
-  if (holderRoleId) {
-    let member = guild.members.cache.get(discordUser.id)
-    if (!member) {
-      member = await guild.members.fetch(discordUser.id).catch(() => null)
-    }
-    if (!member?.roles.cache.has(holderRoleId)) {
-      return null
-    }
-  }
+/**
+ * Resolve an executed round once its market settles. Errors propagate so the job queue retries.
+ * @returns {Promise<boolean>} false while the market is not resolved yet
+ */
+export async function resolveRound(tradeId, channel) {
+  const trade = trades.getById(tradeId)
+  if (!trade || !['executed', 'exited'].includes(trade.status)) return true
 
-  const user = users.get(discordUser.id)
-  if (!user?.wallet_address) return null
+  const resolution = await getMarketResolution(trade.polymarket_market_id)
 
-  if (user.discord_username !== discordUser.username) {
-    return users.getOrCreate(discordUser.id, discordUser.username)
+  if (!resolution.resolved) {
+    console.log(`[RESOLUTION] Trade ${tradeId} market not yet resolved`)
+    return false
   }
 
-  return user
-}
+  const correctPosition = resolution.outcome
+  let pnl
+  let pnlPercent
 
-async function snapshotPredictionsFromReactions(tradeId, message, upEmoji, downEmoji, snapshotAt) {
-  const holderRoleId = CONFIG.discord.holder_role_id
-  const guild = message.guild
-  const upReaction = message.reactions.cache.find(r => r.emoji.name === upEmoji)
-  const downReaction = message.reactions.cache.find(r => r.emoji.name === downEmoji)
+  const heldShares = (Number(trade.shares_filled) || 0) - (Number(trade.exit_shares) || 0)
 
-  if (upReaction) {
-    const upUsers = await upReaction.users.fetch()
-    for (const discordUser of upUsers.values()) {
-      const user = await getEligibleSnapshotUser(discordUser, guild, holderRoleId)
-      if (!user) continue
-      predictions.upsertWithSnapshot(user.discord_id, tradeId, 'UP', snapshotAt)
-    }
-  }
-
-  if (downReaction) {
-    const downUsers = await downReaction.users.fetch()
-    for (const discordUser of downUsers.values()) {
-      const user = await getEligibleSnapshotUser(discordUser, guild, holderRoleId)
-      if (!user) continue
-      predictions.upsertWithSnapshot(user.discord_id, tradeId, 'DOWN', snapshotAt)
-    }
+  // A position sold early can drop out of the data API, so its P&L comes from the recorded fills
+  if (trade.is_paper || trade.status === 'exited') {
+    ({ pnl, pnlPercent } = calculateFillPnl(trade, correctPosition))
+  } else {
+    ({ pnl, pnlPercent } = await getPositionPnl(resolution.conditionId))
   }
 
-  predictions.deleteNonSnapshotted(tradeId)
-
-  console.log(`[SNAPSHOT] Snapshotted predictions for trade ${tradeId} at ${snapshotAt}`)
-}
-
-export async function resolveRound(tradeId, channel) {
-  const trade = trades.getById(tradeId)
-  if (!trade || trade.status !== 'executed') return
-
-  try {
-    const resolution = await getMarketResolution(trade.polymarket_market_id)
-
-    if (!resolution.resolved) {
-      console.log(`[RESOLUTION] Trade ${tradeId} market not yet resolved`)
-      return
-    }
-
-    const { pnl, pnlPercent } = await getPositionPnl(resolution.conditionId)
-
+  let redemptionPending = false
+  if (!trade.is_paper && heldShares >= 0.01) {
+    // P&L is already known, so a failed redemption is retried by the job queue without holding up the round
     try {
-      await redeemWinnings(resolution.conditionId, resolution.tokenIds)
+      await redeemWinnings(resolution.conditionId, resolution.tokenIds, { tradeId })
     } catch (redeemError) {
-      console.error(`[RESOLUTION] Redemption failed for trade ${tradeId}:`, redeemError.message)
-      return
+      console.error(`[RESOLUTION] Redemption failed for trade ${tradeId}, queued for retry:`, redeemError.message)
+      redemptionPending = true
+      trades.setRedemptionPending(tradeId, true)
+      enqueueJob('redeem', {
+        tradeId,
+        conditionId: resolution.conditionId,
+        tokenIds: resolution.tokenIds,
+      }, {
+        runAt: new Date(clock.now().getTime() + 60 * 1000),
+        dedupeKey: `redeem:${tradeId}`,
+      })
     }
+  }
 
-    const correctPosition = resolution.outcome
-    const summary = applyResolutionUpdates(tradeId, correctPosition, pnl)
-    await finishRound(channel, trade, correctPosition, pnl, pnlPercent, summary)
-
-  } catch (error) {
-    console.error(`[RESOLUTION] Error resolving trade ${tradeId}:`, error.message)
+  const summary = applyResolutionUpdates(trade, correctPosition, pnl)
+  await finishRound(channel, trade, correctPosition, pnl, pnlPercent, summary)
+  if (redemptionPending && pnl > 0) {
+    await channel.send(`⚠️ ${roundLabel(trade)}: redeeming the winnings failed and is being retried. This round's profit is left out of payouts until it lands (see \`/jobs\`).`)
   }
+  await checkRiskLimits(trade)
+  return true
+}
+
+/**
+ * P&L from the recorded fills: winning shares pay $1 each, losing shares pay nothing,
+ * and shares sold on an early exit pay their sale proceeds
+ */
+function calculateFillPnl(trade, correctPosition) {
+  const cost = Number(trade.total_cost) || 0
+  const shares = (Number(trade.shares_filled) || 0) - (Number(trade.exit_shares) || 0)
+  const payout = (Number(trade.exit_proceeds) || 0) + (trade.executed_position === correctPosition ? shares : 0)
+  const pnl = payout - cost
+  const pnlPercent = cost > 0 ? (pnl / cost) * 100 : 0
+  return { pnl, pnlPercent }
 }
 
-function applyResolutionUpdates(tradeId, correctPosition, pnl) {
+function applyResolutionUpdates(trade, correctPosition, pnl) {
   const db = getDb()
+  const tradeId = trade.id
 
   const transaction = db.transaction(() => {
     trades.resolve(tradeId, pnl)
+    tradeEvents.record(tradeId, 'resolved', { outcome: correctPosition, pnl })
     predictions.markCorrectness(tradeId, correctPosition)
 
     const tradePredictions = predictions.getSnapshottedByTrade(tradeId)
@@ -765,6 +1502,12 @@ function applyResolutionUpdates(tradeId, correctPosition, pnl) {
 
       const wasCorrect = pred.prediction === correctPosition
 
+      // Paper rounds record correctness but never move streaks or reputation
+      if (trade.is_paper) {
+        if (wasCorrect) correctPredictors.push(user.discord_id)
+        continue
+      }
+
       if (wasCorrect) {
         const newStreak = user.current_streak + 1
         const newBest = Math.max(user.best_streak, newStreak)
@@ -802,18 +1545,26 @@ async function finishRound(channel, trade, correctPosition, pnl, pnlPercent, sum
   const { correctPredictors, streakUpdates } = summary
 
   const isWin = pnl > 0
-  const currentBalance = await getPoolBalance()
-  const profitSincePayout = await getProfitSinceLastPayout()
+  const currentBalance = trade.is_paper ? getPaperBalance() : await getPoolBalance()
+  const profitSincePayout = getProfitSinceLastPayout(trade.guild_id)
 
   const profitProgress = Math.max(0, profitSincePayout)
+  const poolLine = trade.is_paper
+    ? `📝 Paper pool: $${currentBalance.toFixed(2)}`
+    : null
+  const exitLine = trade.exit_reason
+    ? `💸 Exited early on ${formatExitReason(trade.exit_reason)}: sold ${Number(trade.exit_shares).toFixed(2)} shares @ $${Number(trade.exit_price).toFixed(4)}`
+    : null
 
   if (isWin) {
     const winLines = [
-      `🚀 **WE'RE SO BACK**`,
+      `${paperTag(trade)}🚀 **WE'RE SO BACK**`,
       ``,
-      `${trade.asset} went **${correctPosition}** · +$${pnl.toFixed(2)} (+${pnlPercent.toFixed(0)}%) 💰`,
+      `${roundLabel(trade)} went **${correctPosition}** · +$${pnl.toFixed(2)} (+${pnlPercent.toFixed(0)}%) 💰`,
     ]
 
+    if (exitLine) winLines.push(exitLine)
+
     if (correctPredictors.length > 0) {
       winLines.push(``, `✅ ${correctPredictors.slice(0, 8).map(id => `<@${id}>`).join(', ')}`)
     }
@@ -824,29 +1575,33 @@ async function finishRound(channel, trade, correctPosition, pnl, pnlPercent, sum
 
     winLines.push(
       ``,
-      `💰 Pool: $${currentBalance.toFixed(2)} · $${profitProgress.toFixed(2)} toward next payout`,
-      ``,
-      `🔗 [DeWiz on Polymarket](https://polymarket.com/@DeWiz)`
+      poolLine || `💰 Pool: $${currentBalance.toFixed(2)} · $${profitProgress.toFixed(2)} toward next payout`,
     )
+    if (!trade.is_paper) {
+      winLines.push(``, `🔗 [DeWiz on Polymarket](https://polymarket.com/@DeWiz)`)
+    }
 
     await channel.send({ content: winLines.join('\n') })
   } else {
     const lossLines = [
-      `📉 **Down bad**`,
+      `${paperTag(trade)}📉 **Down bad**`,
       ``,
-      `${trade.asset} went **${correctPosition}** · we were ${trade.executed_position === 'UP' ? 'long' : 'short'} · -$${Math.abs(pnl).toFixed(2)}`,
+      `${roundLabel(trade)} went **${correctPosition}** · we were ${trade.executed_position === 'UP' ? 'long' : 'short'} · -$${Math.abs(pnl).toFixed(2)}`,
     ]
 
+    if (exitLine) lossLines.push(exitLine)
+
     if (correctPredictors.length > 0) {
       lossLines.push(``, `🎯 ${correctPredictors.slice(0, 5).map(id => `<@${id}>`).join(', ')} counter-called it`)
     }
 
     lossLines.push(
       ``,
-      `💰 Pool: $${currentBalance.toFixed(2)}`,
-      ``,
-      `🔗 [DeWiz on Polymarket](https://polymarket.com/@DeWiz)`
+      poolLine || `💰 Pool: $${currentBalance.toFixed(2)}`,
     )
+    if (!trade.is_paper) {
+      lossLines.push(``, `🔗 [DeWiz on Polymarket](https://polymarket.com/@DeWiz)`)
+    }
 
     await channel.send({ content: lossLines.join('\n') })
   }
@@ -0,0 +1,103 @@
+import { CONFIG } from '../config/index.js'
+import { getAssetRegistry, getEnabledAssets } from './assets.js'
+
+// Binance serves at most 1000 candles per request and the lookback needs one extra
+const MAX_LOOKBACK_MINUTES = 999
+
+function getRawSeries() {
+  return CONFIG.markets?.series ?? { '15m': { duration_minutes: 15 } }
+}
+
+function normalizeSeries(key, raw, assets) {
+  const readNumber = (value, field, fallback, { max = Infinity } = {}) => {
+    if (value == null) return fallback
+    const number = Number(value)
+    if (!(number > 0 && number <= max)) {
+      throw new Error(`markets.series.${key}.${field} must be a positive number${max < Infinity ? ` up to ${max}` : ''}`)
+    }
+    return number
+  }
+
+  const durationMinutes = readNumber(raw?.duration_minutes, 'duration_minutes', null)
+  if (durationMinutes === null) {
+    throw new Error(`markets.series.${key}.duration_minutes is required`)
+  }
+
+  // Gamma series IDs live on each asset, keyed by series
+  const seriesIds = {}
+  for (const asset of assets) {
+    if (asset.seriesIds[key] != null) seriesIds[asset.symbol] = asset.seriesIds[key]
+  }
+
+  return {
+    key,
+    durationMinutes,
+    // Only markets starting within this long are entered, so a round never waits on a distant window
+    horizonMinutes: readNumber(raw.horizon_minutes, 'horizon_minutes', durationMinutes + 5),
+    votingWindowSeconds: readNumber(raw.voting_window_seconds, 'voting_window_seconds', Number(CONFIG.trading.voting_window_seconds)),
+    lookbackMinutes: readNumber(raw.lookback_minutes, 'lookback_minutes', Number(CONFIG.agents.ta.lookback_minutes), { max: MAX_LOOKBACK_MINUTES }),
+    seriesIds,
+  }
+}
+
+/**
+ * Every market series in markets.series, including ones no enabled asset has a series ID for
+ * @returns {object[]} { key, durationMinutes, horizonMinutes, votingWindowSeconds, lookbackMinutes, seriesIds }
+ *   where seriesIds maps each enabled asset to its Gamma series ID
+ */
+export function getMarketSeriesList() {
+  const assets = getEnabledAssets()
+  return Object.entries(getRawSeries()).map(([key, raw]) => normalizeSeries(key, raw, assets))
+}
+
+/**
+ * Series that at least one enabled asset has a Gamma series ID for
+ */
+export function getAvailableSeries() {
+  return getMarketSeriesList().filter(series => Object.keys(series.seriesIds).length > 0)
+}
+
+/**
+ * Look up a tradable series; with no key, markets.default_series (or the only series)
+ */
+export function getMarketSeries(key = null) {
+  const list = getMarketSeriesList()
+  const wanted = key ?? CONFIG.markets?.default_series ?? list[0]?.key
+  const series = list.find(s => s.key === wanted)
+
+  if (!series) {
+    throw new Error(`Unknown market series "${wanted}" (configured: ${list.map(s => s.key).join(', ')})`)
+  }
+  if (Object.keys(series.seriesIds).length === 0) {
+    throw new Error(`Market series "${wanted}" has no enabled asset with series_ids.${wanted} configured`)
+  }
+
+  return series
+}
+
+/**
+ * Series an open round was started on, with Gamma series IDs from every configured asset.
+ * Disabling an asset only stops new rounds, so a round already voting on it still finds its market.
+ * With no key, the default series (rounds from before market series were recorded).
+ */
+export function getRoundSeries(key = null) {
+  const wanted = key ?? getMarketSeries().key
+  const raw = getRawSeries()[wanted]
+  if (!raw) {
+    throw new Error(`Unknown market series "${wanted}" (configured: ${Object.keys(getRawSeries()).join(', ')})`)
+  }
+  return normalizeSeries(wanted, raw, getAssetRegistry())
+}
+
+/**
+ * Human duration of one market window, e.g. "15 minutes", "1 hour", "1 day"
+ */
+export function formatSeriesDuration(series) {
+  const minutes = series.durationMinutes
+  const [amount, unit] = minutes % 1440 === 0
+    ? [minutes / 1440, 'day']
+    : minutes % 60 === 0
+      ? [minutes / 60, 'hour']
+      : [minutes, 'minute']
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`
+}
@@ -0,0 +1,150 @@
+import { CONFIG } from '../config/index.js'
+
+const SIZING_STRATEGIES = ['linear', 'kelly', 'fixed']
+
+/**
+ * Linear position sizing: interpolate between min and max percent of the pool by conviction
+ * Shared by live rounds and the backtest runner so both size identically
+ * @param {number} balance - Pool balance in USD
+ * @param {number} conviction - 0 (even split) to 1 (unanimous)
+ * @param {Object} options
+ * @param {number} options.minPct - Fraction of pool at zero conviction
+ * @param {number} options.maxPct - Fraction of pool at full conviction
+ */
+export function calculatePositionSize(balance, conviction, { minPct, maxPct }) {
+  const clamped = Math.min(1, Math.max(0, Number(conviction) || 0))
+  const minSize = balance * minPct
+  const maxSize = balance * maxPct
+  return minSize + (maxSize - minSize) * clamped
+}
+
+/**
+ * Blend the vote share behind the chosen side with the model's confidence in it.
+ * confidence is the analysis' probability for its own direction, so it is flipped
+ * when the vote went the other way.
+ * @param {Object} inputs
+ * @param {number} inputs.voteShare - Share of the (weighted) vote behind the position, 0-1
+ * @param {number|null} inputs.confidence - analysis.confidence, or null if unknown
+ * @param {boolean} inputs.aligned - Position matches the analysis direction
+ * @param {number} inputs.voteWeight - Blend weight of the vote, 0-1
+ */
+export function estimateWinProbability({ voteShare, confidence, aligned, voteWeight }) {
+  const confidenceValue = Number(confidence)
+  if (confidence == null || !Number.isFinite(confidenceValue)) return voteShare
+
+  const modelProbability = aligned ? confidenceValue : 1 - confidenceValue
+  const weight = Math.min(1, Math.max(0, voteWeight))
+  return weight * voteShare + (1 - weight) * modelProbability
+}
+
+/**
+ * Fractional Kelly for a binary share bought at price and paying $1 on a win.
+ * Full Kelly is (p - price) / (1 - price) of the bankroll; no edge sizes to zero.
+ */
+export function calculateKellySize(balance, winProbability, price, { fraction }) {
+  if (!(price > 0 && price < 1)) return 0
+  const kelly = (winProbability - price) / (1 - price)
+  return Math.max(0, balance * kelly * fraction)
+}
+
+export function getSizingConfig() {
+  const sizing = CONFIG.trading.sizing ?? {}
+  const strategy = sizing.strategy ?? 'linear'
+  if (!SIZING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid trading.sizing.strategy "${strategy}", expected one of: ${SIZING_STRATEGIES.join(', ')}`)
+  }
+
+  const fixedUsd = Number(sizing.fixed_usd)
+  if (strategy === 'fixed' && !(fixedUsd > 0)) {
+    throw new Error('trading.sizing.fixed_usd must be a positive number for the fixed strategy')
+  }
+
+  const maxPositionUsd = sizing.max_position_usd == null ? null : Number(sizing.max_position_usd)
+  if (maxPositionUsd !== null && !(maxPositionUsd > 0)) {
+    throw new Error('trading.sizing.max_position_usd must be a positive number')
+  }
+
+  return {
+    strategy,
+    minPct: Number(CONFIG.trading.min_position_pct) || 0.05,
+    maxPct: Number(CONFIG.trading.max_position_pct) || 0.10,
+    kellyFraction: Number(sizing.kelly_fraction ?? 0.25),
+    voteWeight: Number(sizing.vote_weight ?? 0.5),
+    fixedUsd,
+    maxPositionUsd,
+  }
+}
+
+/**
+ * Size a round with the configured strategy, then apply the hard caps:
+ * max_position_pct of the pool and max_position_usd for every strategy.
+ * Dollar limits are applied afterwards by applyNotionalLimits.
+ * @param {Object} inputs
+ * @param {number} inputs.balance - Pool balance available for the round
+ * @param {number} inputs.conviction - Vote conviction, 0-1
+ * @param {number} inputs.voteShare - Share of the vote behind the position, 0-1
+ * @param {number|null} inputs.confidence - analysis.confidence stored on the trade
+ * @param {boolean} inputs.aligned - Position matches the analysis direction
+ * @param {number|null} inputs.price - Best ask for the outcome token (kelly only)
+ * @param {Object} [config] - From getSizingConfig()
+ * @returns {{ strategy: string, size: number, rawSize: number, cappedBy: string|null, inputs: Object }}
+ */
+export function sizePosition(inputs, config = getSizingConfig()) {
+  const { balance, conviction } = inputs
+  let rawSize
+  let details
+
+  if (config.strategy === 'fixed') {
+    rawSize = config.fixedUsd
+    details = { fixedUsd: config.fixedUsd }
+  } else if (config.strategy === 'kelly') {
+    const winProbability = estimateWinProbability({ ...inputs, voteWeight: config.voteWeight })
+    rawSize = calculateKellySize(balance, winProbability, inputs.price, { fraction: config.kellyFraction })
+    details = {
+      winProbability,
+      price: inputs.price,
+      confidence: inputs.confidence,
+      voteShare: inputs.voteShare,
+      kellyFraction: config.kellyFraction,
+    }
+  } else {
+    rawSize = calculatePositionSize(balance, conviction, config)
+    details = { conviction, minPct: config.minPct, maxPct: config.maxPct }
+  }
+
+  let size = rawSize
+  let cappedBy = null
+
+  const pctCap = balance * config.maxPct
+  if (size > pctCap) {
+    size = pctCap
+    cappedBy = 'max_position_pct'
+  }
+  if (config.maxPositionUsd !== null && size > config.maxPositionUsd) {
+    size = config.maxPositionUsd
+    cappedBy = 'max_position_usd'
+  }
+
+  return { strategy: config.strategy, size, rawSize, cappedBy, inputs: details }
+}
+
+/**
+ * One-line summary of a sizing result for the LOCKED message
+ */
+export function describeSizing(result) {
+  const { inputs } = result
+  let text
+  if (result.strategy === 'kelly') {
+    const confidence = inputs.confidence == null ? 'n/a' : `${Math.round(inputs.confidence * 100)}%`
+    text = `Kelly ×${inputs.kellyFraction}: win ${(inputs.winProbability * 100).toFixed(0)}% (votes ${(inputs.voteShare * 100).toFixed(0)}%, model ${confidence}) vs ask $${inputs.price.toFixed(2)} → $${result.rawSize.toFixed(2)}`
+  } else if (result.strategy === 'fixed') {
+    text = `Fixed $${inputs.fixedUsd.toFixed(2)}`
+  } else {
+    text = `Linear ${(inputs.minPct * 100).toFixed(0)}-${(inputs.maxPct * 100).toFixed(0)}% at ${(inputs.conviction * 100).toFixed(0)}% conviction → $${result.rawSize.toFixed(2)}`
+  }
+
+  if (result.cappedBy) {
+    text += `, capped to $${result.size.toFixed(2)} by ${result.cappedBy}`
+  }
+  return text
+}
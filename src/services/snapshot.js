@@ -0,0 +1,170 @@
+import { trades, predictions, users } from '../database/index.js'
+import { compareReactionVotes } from '../bot/reactions.js'
+import { getHolderRoleId } from './guilds.js'
+
+// Discord returns at most 100 reaction users per request and takes at most 100 user ids per member request
+const PAGE_SIZE = 100
+// Discord's error code for a user who isn't in the guild
+const UNKNOWN_MEMBER = 10007
+
+/**
+ * Every user on a reaction, paging past the 100-user limit of a single request
+ * @returns {Promise<Map<string, object>>} user id → user
+ */
+export async function fetchAllReactionUsers(reaction) {
+  const all = new Map()
+  let after
+
+  while (true) {
+    const page = await reaction.users.fetch({ limit: PAGE_SIZE, after })
+    for (const [id, user] of page) {
+      all.set(id, user)
+    }
+    if (page.size < PAGE_SIZE) break
+
+    // Pages are ordered by user id, so the next one starts after the highest id seen
+    after = [...page.keys()].reduce((max, id) => (BigInt(id) > BigInt(max) ? id : max))
+  }
+
+  return all
+}
+
+/**
+ * Guild members for the given users, from the cache where possible and in batches of 100 otherwise.
+ * A batch that fails is retried once, then fetched one user at a time so a single bad request
+ * doesn't take the whole batch down. Users who left the guild are absent from both results.
+ * @returns {Promise<{ members: Map<string, object>, failed: Set<string> }>}
+ *   members: user id → member; failed: users whose membership couldn't be checked
+ */
+export async function fetchMembers(guild, userIds) {
+  const members = new Map()
+  const failed = new Set()
+  const missing = []
+  for (const userId of userIds) {
+    const cached = guild.members.cache.get(userId)
+    if (cached) {
+      members.set(userId, cached)
+    } else {
+      missing.push(userId)
+    }
+  }
+
+  for (let i = 0; i < missing.length; i += PAGE_SIZE) {
+    const batch = missing.slice(i, i + PAGE_SIZE)
+    const fetched = await fetchMemberBatch(guild, batch)
+    if (fetched) {
+      for (const [userId, member] of fetched) {
+        members.set(userId, member)
+      }
+      continue
+    }
+
+    for (const userId of batch) {
+      try {
+        members.set(userId, await guild.members.fetch(userId))
+      } catch (error) {
+        if (error.code === UNKNOWN_MEMBER) continue
+        console.error(`[SNAPSHOT] Failed to fetch member ${userId}:`, error.message)
+        failed.add(userId)
+      }
+    }
+  }
+
+  return { members, failed }
+}
+
+async function fetchMemberBatch(guild, batch) {
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      return await guild.members.fetch({ user: batch })
+    } catch (error) {
+      console.error(`[SNAPSHOT] Failed to fetch ${batch.length} members (attempt ${attempt}):`, error.message)
+    }
+  }
+  return null
+}
+
+/**
+ * Lock in votes from the reactions on the proposal, which are authoritative over the live rows
+ * the reaction events kept. Differences mean events were missed, so they are logged.
+ * @returns {Promise<{ report: { reactors: number, counted: number, no_wallet: number, non_holder: number, fetch_failed: number },
+ *   discrepancies: { missing: string[], stale: string[], switched: string[] } }>}
+ *   report counts each reacting user once; bots are left out. Users whose membership couldn't be
+ *   fetched are left out as fetch_failed rather than counted as non-holders.
+ */
+export async function snapshotPredictionsFromReactions(tradeId, message, { upEmoji, downEmoji, snapshotAt }) {
+  const holderRoleId = getHolderRoleId(trades.getById(tradeId)?.guild_id)
+  const guild = message.guild
+
+  // Someone holding both reactions counts as DOWN
+  const sides = new Map()
+  const discordUsers = new Map()
+  for (const [emoji, side] of [[upEmoji, 'UP'], [downEmoji, 'DOWN']]) {
+    const reaction = message.reactions.cache.find(r => r.emoji.name === emoji)
+    if (!reaction) continue
+
+    for (const [userId, discordUser] of await fetchAllReactionUsers(reaction)) {
+      if (discordUser.bot) continue
+      sides.set(userId, side)
+      discordUsers.set(userId, discordUser)
+    }
+  }
+
+  const { members, failed } = guild && holderRoleId
+    ? await fetchMembers(guild, [...sides.keys()])
+    : { members: new Map(), failed: new Set() }
+  const report = { reactors: sides.size, counted: 0, no_wallet: 0, non_holder: 0, fetch_failed: 0 }
+  const reacted = new Map()
+
+  for (const [userId, side] of sides) {
+    if (failed.has(userId)) {
+      report.fetch_failed++
+      continue
+    }
+
+    if (!guild || (holderRoleId && !members.get(userId)?.roles.cache.has(holderRoleId))) {
+      report.non_holder++
+      continue
+    }
+
+    const user = users.get(userId)
+    if (!user?.wallet_address) {
+      report.no_wallet++
+      continue
+    }
+
+    const { username } = discordUsers.get(userId)
+    if (user.discord_username !== username) {
+      users.getOrCreate(userId, username)
+    }
+
+    report.counted++
+    reacted.set(userId, side)
+  }
+
+  const recorded = new Map(predictions.getByTrade(tradeId).map(p => [p.user_id, p.prediction]))
+  const discrepancies = compareReactionVotes(recorded, reacted)
+  const { missing, stale, switched } = discrepancies
+  if (missing.length + stale.length + switched.length > 0) {
+    console.warn(`[SNAPSHOT] Trade ${tradeId} votes differed from reactions: ${missing.length} missing, ${stale.length} without a reaction, ${switched.length} switched`)
+    for (const userId of [...missing, ...switched]) {
+      console.warn(`[SNAPSHOT]   ${userId}: recorded ${recorded.get(userId) ?? 'nothing'}, reacted ${reacted.get(userId)}`)
+    }
+    for (const userId of stale) {
+      console.warn(`[SNAPSHOT]   ${userId}: recorded ${recorded.get(userId)}, no eligible reaction`)
+    }
+  }
+
+  for (const [userId, side] of reacted) {
+    predictions.upsertWithSnapshot(userId, tradeId, side, snapshotAt)
+  }
+  predictions.deleteNonSnapshotted(tradeId)
+
+  console.log(`[SNAPSHOT] Snapshotted predictions for trade ${tradeId} at ${snapshotAt}: ${report.counted} of ${report.reactors} reactors counted (${report.no_wallet} without a wallet, ${report.non_holder} not holders, ${report.fetch_failed} not checked)`)
+  return { report, discrepancies }
+}
+
+export function formatSnapshotReport(report) {
+  const failed = report.fetch_failed ? ` · ${report.fetch_failed} not checked (member fetch failed)` : ''
+  return `${report.counted} of ${report.reactors} counted · ${report.no_wallet} without a wallet · ${report.non_holder} not holders${failed}`
+}
@@ -0,0 +1,412 @@
+import { WebSocket } from 'undici'
+import { CONFIG } from '../config/index.js'
+import { getProxyDispatcher } from '../utils/fetch.js'
+import { getEnabledAssets } from './assets.js'
+
+const BINANCE_STREAM_URL = 'wss://stream.binance.com:9443/stream'
+const CLOB_MARKET_URL = 'wss://ws-subscriptions-clob.polymarket.com/ws/market'
+
+const BASE_BACKOFF_MS = 1000
+// The CLOB drops market-channel connections that don't ping every ~10 seconds
+const CLOB_PING_INTERVAL_MS = 10 * 1000
+
+// 1m candles per asset symbol: { candles, seeded, updatedAt }
+const candleBuffers = new Map()
+// Live books per outcome token: { bids: Map<price, size>, asks: Map<price, size> }
+const books = new Map()
+
+let binanceSocket = null
+let marketSocket = null
+let watchedTokens = new Set()
+let marketLastMessageAt = null
+let seedCandles = null
+
+/**
+ * Streaming settings from the streaming block
+ * @returns {{ enabled: boolean, candleBuffer: number, staleMs: number, maxBackoffMs: number }}
+ */
+export function getStreamingConfig() {
+  const streaming = CONFIG.streaming ?? {}
+
+  const readNumber = (value, key, fallback, { max = Infinity } = {}) => {
+    if (value == null) return fallback
+    const number = Number(value)
+    if (!(number > 0 && number <= max)) {
+      throw new Error(`streaming.${key} must be a positive number${max < Infinity ? ` up to ${max}` : ''}`)
+    }
+    return number
+  }
+
+  return {
+    enabled: streaming.enabled === true,
+    // Binance serves at most 1000 candles per REST request, which is what seeds the buffer
+    candleBuffer: readNumber(streaming.candle_buffer, 'candle_buffer', 1000, { max: 1000 }),
+    staleMs: readNumber(streaming.stale_seconds, 'stale_seconds', 30) * 1000,
+    maxBackoffMs: readNumber(streaming.max_backoff_seconds, 'max_backoff_seconds', 60) * 1000,
+  }
+}
+
+/**
+ * A WebSocket that reconnects with exponential backoff and is torn down when it goes quiet.
+ * getUrl returns null when there is nothing to subscribe to, which leaves the socket closed.
+ */
+function createReconnectingSocket({ name, getUrl, onOpen, onMessage, onClose, ping = null }) {
+  let socket = null
+  let attempts = 0
+  let stopped = true
+  let reconnectTimer = null
+  let pingTimer = null
+  let watchdogTimer = null
+  let lastMessageAt = null
+
+  function clearTimers() {
+    clearInterval(pingTimer)
+    clearInterval(watchdogTimer)
+    pingTimer = null
+    watchdogTimer = null
+  }
+
+  function connect() {
+    reconnectTimer = null
+    const url = getUrl()
+    if (stopped || !url) return
+
+    const dispatcher = getProxyDispatcher()
+    const current = new WebSocket(url, dispatcher ? { dispatcher } : undefined)
+    socket = current
+
+    current.addEventListener('open', () => {
+      attempts = 0
+      lastMessageAt = Date.now()
+      console.log(`[STREAMS] ${name} connected`)
+
+      if (ping) {
+        pingTimer = setInterval(() => current.send(ping.message), ping.intervalMs)
+      }
+      const { staleMs } = getStreamingConfig()
+      watchdogTimer = setInterval(() => {
+        if (Date.now() - lastMessageAt > staleMs) {
+          console.error(`[STREAMS] ${name} silent for ${Math.round(staleMs / 1000)}s, reconnecting`)
+          current.close()
+        }
+      }, Math.min(staleMs, 10 * 1000))
+
+      onOpen?.(current)
+    })
+
+    current.addEventListener('message', event => {
+      lastMessageAt = Date.now()
+      try {
+        onMessage(event.data)
+      } catch (error) {
+        console.error(`[STREAMS] ${name} message failed:`, error.message)
+      }
+    })
+
+    // Errors are always followed by close, which handles the reconnect
+    current.addEventListener('error', event => {
+      console.error(`[STREAMS] ${name} error:`, event.error?.message ?? event.message ?? 'connection failed')
+    })
+
+    current.addEventListener('close', () => {
+      if (socket !== current) return
+      clearTimers()
+      socket = null
+      onClose?.()
+      if (stopped) return
+
+      const { maxBackoffMs } = getStreamingConfig()
+      const delay = Math.min(BASE_BACKOFF_MS * 2 ** attempts, maxBackoffMs)
+      attempts += 1
+      console.log(`[STREAMS] ${name} disconnected, reconnecting in ${Math.round(delay / 1000)}s`)
+      reconnectTimer = setTimeout(connect, delay)
+    })
+  }
+
+  return {
+    start() {
+      if (!stopped) return
+      stopped = false
+      connect()
+    },
+
+    stop() {
+      stopped = true
+      clearTimeout(reconnectTimer)
+      reconnectTimer = null
+      clearTimers()
+      const current = socket
+      socket = null
+      current?.close()
+      onClose?.()
+    },
+
+    // Reconnect now with a fresh URL, e.g. after the subscription set changed
+    restart() {
+      if (stopped) return
+      clearTimeout(reconnectTimer)
+      attempts = 0
+      const current = socket
+      socket = null
+      clearTimers()
+      current?.close()
+      onClose?.()
+      connect()
+    },
+
+    isOpen() {
+      return socket?.readyState === WebSocket.OPEN
+    },
+  }
+}
+
+function getBinanceSymbols() {
+  return getEnabledAssets().map(asset => ({ asset: asset.symbol, stream: asset.priceSymbols.binance.toLowerCase() }))
+}
+
+function getBinanceUrl() {
+  const streams = getBinanceSymbols().map(({ stream }) => `${stream}@kline_1m`)
+  return streams.length > 0 ? `${BINANCE_STREAM_URL}?streams=${streams.join('/')}` : null
+}
+
+function getMarketUrl() {
+  return watchedTokens.size > 0 ? CLOB_MARKET_URL : null
+}
+
+function getBuffer(asset) {
+  let buffer = candleBuffers.get(asset)
+  if (!buffer) {
+    buffer = { candles: [], seeded: false, updatedAt: null }
+    candleBuffers.set(asset, buffer)
+  }
+  return buffer
+}
+
+// Merge candles into a buffer by open time, keeping the newest version of each and the last `capacity`
+function mergeCandles(buffer, incoming, capacity) {
+  // Stream updates touch the open candle or start the next one, which needs no re-sort
+  const last = buffer.candles.at(-1)
+  if (incoming.length === 1 && last && incoming[0].openTime >= last.openTime) {
+    if (incoming[0].openTime === last.openTime) {
+      buffer.candles[buffer.candles.length - 1] = incoming[0]
+    } else {
+      buffer.candles.push(incoming[0])
+      if (buffer.candles.length > capacity) buffer.candles.shift()
+    }
+    return
+  }
+
+  const byOpenTime = new Map(buffer.candles.map(candle => [candle.openTime, candle]))
+  for (const candle of incoming) {
+    byOpenTime.set(candle.openTime, candle)
+  }
+  buffer.candles = [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime).slice(-capacity)
+}
+
+async function seedBuffers() {
+  if (!seedCandles) return
+  const { candleBuffer } = getStreamingConfig()
+
+  for (const { asset } of getBinanceSymbols()) {
+    try {
+      const candles = await seedCandles(asset, candleBuffer)
+      const buffer = getBuffer(asset)
+      mergeCandles(buffer, candles, candleBuffer)
+      buffer.seeded = true
+    } catch (error) {
+      console.error(`[STREAMS] Failed to seed ${asset} candles, REST stays in use:`, error.message)
+    }
+  }
+}
+
+/**
+ * Apply one message from the Binance combined kline stream; exported so tests can replay a feed
+ */
+export function handleBinanceMessage(raw) {
+  const message = typeof raw === 'string' ? JSON.parse(raw) : raw
+  const kline = message.data?.k
+  if (message.data?.e !== 'kline' || !kline) return
+
+  const match = getBinanceSymbols().find(({ stream }) => stream === String(message.data.s ?? kline.s).toLowerCase())
+  if (!match) return
+
+  const buffer = getBuffer(match.asset)
+  mergeCandles(buffer, [{
+    openTime: Number(kline.t),
+    open: parseFloat(kline.o) || 0,
+    high: parseFloat(kline.h) || 0,
+    low: parseFloat(kline.l) || 0,
+    close: parseFloat(kline.c) || 0,
+    volume: parseFloat(kline.v) || 0,
+    closeTime: Number(kline.T),
+  }], getStreamingConfig().candleBuffer)
+  buffer.updatedAt = Date.now()
+}
+
+function applyBookSide(side, price, size) {
+  if (parseFloat(size) > 0) {
+    side.set(String(price), String(size))
+  } else {
+    side.delete(String(price))
+  }
+}
+
+/**
+ * Apply one message from the CLOB market channel; exported so tests can replay a feed.
+ * Messages are a book snapshot per token, then price_change deltas (one level per change, size 0 removes it).
+ */
+export function handleMarketMessage(raw) {
+  marketLastMessageAt = Date.now()
+  if (raw === 'PONG') return
+
+  const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw
+  for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+    if (message.event_type === 'book') {
+      if (!watchedTokens.has(message.asset_id)) continue
+      const book = { bids: new Map(), asks: new Map() }
+      for (const level of message.bids ?? []) applyBookSide(book.bids, level.price, level.size)
+      for (const level of message.asks ?? []) applyBookSide(book.asks, level.price, level.size)
+      books.set(message.asset_id, book)
+      continue
+    }
+
+    if (message.event_type === 'price_change') {
+      // Newer messages batch changes across tokens; older ones carry one token's changes
+      const changes = message.price_changes ?? (message.changes ?? []).map(change => ({ ...change, asset_id: message.asset_id }))
+      for (const change of changes) {
+        const book = books.get(change.asset_id)
+        if (!book) continue
+        applyBookSide(change.side === 'BUY' ? book.bids : book.asks, change.price, change.size)
+      }
+    }
+  }
+}
+
+/**
+ * The last `limit` 1m candles from the stream, or null when the buffer is stale, unseeded or too short
+ */
+export function getLiveCandles(asset, limit) {
+  const buffer = candleBuffers.get(asset)
+  if (!buffer?.seeded || !(Date.now() - buffer.updatedAt < getStreamingConfig().staleMs)) return null
+  if (buffer.candles.length < limit) return null
+  return buffer.candles.slice(-limit).map(candle => ({ ...candle }))
+}
+
+/**
+ * Latest streamed trade price (the live 1m close), or null when the stream is stale
+ */
+export function getLivePrice(asset) {
+  const buffer = candleBuffers.get(asset)
+  if (!buffer?.updatedAt || !(Date.now() - buffer.updatedAt < getStreamingConfig().staleMs)) return null
+  return buffer.candles.at(-1)?.close ?? null
+}
+
+/**
+ * Live CLOB book for a watched token, levels sorted best-first like the REST book,
+ * or null until a snapshot arrives or when the channel has gone quiet
+ */
+export function getLiveBook(tokenId) {
+  const book = books.get(tokenId)
+  if (!book || !(Date.now() - marketLastMessageAt < getStreamingConfig().staleMs)) return null
+
+  const levels = side => [...side.entries()].map(([price, size]) => ({ price, size }))
+  return {
+    asset_id: tokenId,
+    bids: levels(book.bids).sort((a, b) => parseFloat(b.price) - parseFloat(a.price)),
+    asks: levels(book.asks).sort((a, b) => parseFloat(a.price) - parseFloat(b.price)),
+  }
+}
+
+/**
+ * Subscribe the market channel to exactly these outcome tokens. The channel reconnects
+ * only when the set changes; tokens dropped from it lose their live book.
+ */
+export function setWatchedTokens(tokenIds) {
+  const next = new Set(tokenIds.filter(Boolean))
+  if (next.size === watchedTokens.size && [...next].every(id => watchedTokens.has(id))) return
+
+  watchedTokens = next
+  for (const tokenId of books.keys()) {
+    if (!next.has(tokenId)) books.delete(tokenId)
+  }
+
+  // With no tokens left the reconnect finds no URL and leaves the channel closed
+  marketSocket?.restart()
+}
+
+/**
+ * Open the Binance kline stream and the CLOB market channel
+ * @param {{ seedCandles: (asset: string, limit: number) => Promise<object[]> }} options
+ *   REST fetch that fills each candle buffer on every (re)connect, so gaps from a drop are backfilled
+ */
+export function startMarketStreams(options) {
+  seedCandles = options.seedCandles
+
+  binanceSocket ??= createReconnectingSocket({
+    name: 'Binance klines',
+    getUrl: getBinanceUrl,
+    onOpen: () => {
+      seedBuffers()
+    },
+    onMessage: handleBinanceMessage,
+    onClose: () => {
+      for (const buffer of candleBuffers.values()) buffer.seeded = false
+    },
+  })
+
+  marketSocket ??= createReconnectingSocket({
+    name: 'CLOB market channel',
+    getUrl: getMarketUrl,
+    onOpen: socket => {
+      socket.send(JSON.stringify({ type: 'market', assets_ids: [...watchedTokens] }))
+    },
+    onMessage: handleMarketMessage,
+    onClose: () => {
+      books.clear()
+      marketLastMessageAt = null
+    },
+    ping: { message: 'PING', intervalMs: CLOB_PING_INTERVAL_MS },
+  })
+
+  binanceSocket.start()
+  marketSocket.start()
+}
+
+export function stopMarketStreams() {
+  binanceSocket?.stop()
+  marketSocket?.stop()
+}
+
+/**
+ * Per-stream state for status displays
+ */
+export function getStreamStatus() {
+  const { staleMs } = getStreamingConfig()
+  const now = Date.now()
+  return {
+    binance: {
+      open: binanceSocket?.isOpen() ?? false,
+      liveAssets: [...candleBuffers.entries()]
+        .filter(([, buffer]) => buffer.seeded && now - buffer.updatedAt < staleMs)
+        .map(([asset]) => asset),
+    },
+    market: {
+      open: marketSocket?.isOpen() ?? false,
+      watchedTokens: watchedTokens.size,
+      liveBooks: [...books.keys()].length,
+    },
+  }
+}
+
+/**
+ * One-line stream state for /pool
+ */
+export function formatStreamStatus(status) {
+  const binance = status.binance.open
+    ? `up (${status.binance.liveAssets.length > 0 ? status.binance.liveAssets.join(', ') : 'no live candles'})`
+    : 'down, using REST'
+  const market = status.market.open
+    ? `up (${status.market.liveBooks} of ${status.market.watchedTokens} books live)`
+    : status.market.watchedTokens > 0 ? 'down, using REST' : 'idle'
+  return `📡 **Streams:** Binance ${binance} · CLOB ${market}`
+}
@@ -0,0 +1,81 @@
+import { CONFIG } from '../config/index.js'
+import { predictions } from '../database/index.js'
+
+const TALLY_MODES = ['count', 'reputation']
+
+export function getTallyMode() {
+  const mode = CONFIG.trading.tally_mode ?? 'count'
+  if (!TALLY_MODES.includes(mode)) {
+    throw new Error(`Invalid trading.tally_mode "${mode}", expected one of: ${TALLY_MODES.join(', ')}`)
+  }
+  return mode
+}
+
+/**
+ * Accuracy multiplier over the voter's last N resolved rounds, smoothed toward 0.5
+ * so a new voter or a single miss doesn't zero out their vote
+ */
+function getAccuracyFactor(userId, rounds) {
+  if (!rounds) return 1
+  const { correct, total } = predictions.getRecentAccuracy(userId, rounds)
+  return (correct + 1) / (total + 2)
+}
+
+/**
+ * Tally snapshotted votes for a round.
+ * In count mode every vote weighs 1; in reputation mode each vote weighs the voter's
+ * reputation_weight, times their recent accuracy when trading.tally_recent_rounds is set.
+ * With live, votes cast so far count too, for the running tally while voting is open.
+ * @returns {{ mode: string, weighted: boolean, up: number, down: number, total: number,
+ *   upWeight: number, downWeight: number, upShare: number, downShare: number, conviction: number }}
+ *   up/down/total are raw vote counts; shares and conviction come from the weights
+ */
+export function tallyVotes(tradeId, { live = false } = {}) {
+  const mode = getTallyMode()
+  const rounds = Math.max(0, Math.floor(Number(CONFIG.trading.tally_recent_rounds) || 0))
+  const votes = live ? predictions.getAllWithWeights(tradeId) : predictions.getSnapshottedWithWeights(tradeId)
+
+  let up = 0
+  let down = 0
+  let upWeight = 0
+  let downWeight = 0
+
+  for (const vote of votes) {
+    const weight = mode === 'reputation'
+      ? (Number(vote.reputation_weight) || 0) * getAccuracyFactor(vote.user_id, rounds)
+      : 1
+
+    if (vote.prediction === 'UP') {
+      up++
+      upWeight += weight
+    } else if (vote.prediction === 'DOWN') {
+      down++
+      downWeight += weight
+    }
+  }
+
+  // All-zero weights would make the split undefined, so fall back to one vote each
+  let weighted = mode === 'reputation'
+  if (upWeight + downWeight <= 0) {
+    upWeight = up
+    downWeight = down
+    weighted = false
+  }
+
+  const totalWeight = upWeight + downWeight
+  const upShare = totalWeight > 0 ? upWeight / totalWeight : 0.5
+  const downShare = 1 - upShare
+
+  return {
+    mode,
+    weighted,
+    up,
+    down,
+    total: up + down,
+    upWeight,
+    downWeight,
+    upShare,
+    downShare,
+    conviction: Math.abs(upShare - downShare),
+  }
+}
@@ -0,0 +1,7 @@
+/**
+ * Time source and timers behind one interface, so schedulers can run on a simulated clock in tests
+ */
+export const systemClock = {
+  now: () => new Date(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+}
@@ -0,0 +1,128 @@
+import { getZonedParts } from './time.js'
+
+const MINUTE_MS = 60 * 1000
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+]
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase()
+  const nameIndex = field.names ? field.names.indexOf(lower) : -1
+  const number = nameIndex >= 0 ? nameIndex + field.offset : Number(lower)
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value: ${value}`)
+  }
+  return number
+}
+
+function parseField(source, field) {
+  const values = new Set()
+
+  for (const part of source.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new Error(`Invalid ${field.name} step: ${part}`)
+    }
+
+    let start
+    let end
+    if (range === '*') {
+      start = field.min
+      end = field.max
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-')
+      start = parseValue(from, field)
+      end = parseValue(to, field)
+    } else {
+      start = parseValue(range, field)
+      end = stepText === undefined ? start : field.max
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range: ${part}`)
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports *, lists, ranges, steps and month/weekday names; 0 and 7 are both Sunday.
+ */
+export function parseCron(expression) {
+  const sources = String(expression || '').trim().split(/\s+/)
+  if (sources.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`)
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = sources.map((source, i) => parseField(source, FIELDS[i]))
+  if (daysOfWeek.has(7)) daysOfWeek.add(0)
+
+  return {
+    expression: sources.join(' '),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Classic cron: when both day fields are restricted, either may match
+    domRestricted: sources[2] !== '*',
+    dowRestricted: sources[4] !== '*',
+  }
+}
+
+function matchesDay(cron, parts) {
+  if (!cron.months.has(parts.month)) return false
+  const domMatch = cron.daysOfMonth.has(parts.day)
+  const dowMatch = cron.daysOfWeek.has(parts.weekday)
+  if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch
+  if (cron.domRestricted) return domMatch
+  if (cron.dowRestricted) return dowMatch
+  return true
+}
+
+function localKey(parts) {
+  const pad = value => String(value).padStart(2, '0')
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`
+}
+
+/**
+ * Next instant strictly after `after` whose wall-clock time in `timezone` matches the cron.
+ * Wall-clock times must move forward, so a time repeated by a DST fall-back fires once,
+ * and a time skipped by spring-forward doesn't fire that day.
+ * @returns {Date|null} null if nothing matches within maxDays
+ */
+export function getNextCronTime(cron, after, timezone, maxDays = 400) {
+  const afterKey = localKey(getZonedParts(after, timezone))
+  let candidate = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS
+  const limit = after.getTime() + maxDays * 24 * 60 * MINUTE_MS
+
+  while (candidate <= limit) {
+    const parts = getZonedParts(new Date(candidate), timezone)
+
+    if (!matchesDay(cron, parts) || !cron.hours.has(parts.hour)) {
+      // Jump to the next wall-clock hour
+      candidate += (60 - parts.minute) * MINUTE_MS
+      continue
+    }
+
+    if (cron.minutes.has(parts.minute) && localKey(parts) > afterKey) {
+      return new Date(candidate)
+    }
+
+    candidate += MINUTE_MS
+  }
+
+  return null
+}
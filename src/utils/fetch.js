@@ -31,3 +31,10 @@ export async function fetchWithRetry(url, options = {}, maxRetries = 3) {
   }
   throw lastError
 }
+
+/**
+ * The PROXY_URL agent for clients other than fetch (WebSockets), or null without a proxy
+ */
+export function getProxyDispatcher() {
+  return proxyAgent
+}
@@ -0,0 +1,87 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const formatters = new Map()
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    })
+    formatters.set(timezone, formatter)
+  }
+  return formatter
+}
+
+/**
+ * Wall-clock fields of an instant in the given timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ *   month is 1-12, weekday is 0 (Sunday) to 6
+ */
+export function getZonedParts(date, timezone) {
+  const parts = {}
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    parts[part.type] = part.value
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  }
+}
+
+/**
+ * Convert a wall-clock time in the given timezone to the matching instant.
+ * Nonexistent times (DST spring-forward gap) land after the gap.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const target = Date.UTC(year, month - 1, day, hour, minute)
+  let guess = target
+
+  // Two passes settle the offset, including on the day it changes
+  for (let i = 0; i < 2; i += 1) {
+    const parts = getZonedParts(new Date(guess), timezone)
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)
+    guess += target - asUtc
+  }
+
+  return new Date(guess)
+}
+
+/**
+ * Midnight in the given timezone on the day containing date, shifted by whole days
+ */
+export function getLocalMidnight(date, timezone, dayOffset = 0) {
+  const { year, month, day } = getZonedParts(date, timezone)
+  return zonedTimeToUtc({ year, month, day: day + dayOffset }, timezone)
+}
+
+export function formatTimeOfDay(hour, minute) {
+  return `${hour % 12 || 12}:${minute.toString().padStart(2, '0')} ${hour >= 12 ? 'PM' : 'AM'}`
+}
+
+export function formatTimeInTimezone(date, timezone) {
+  const { hour, minute } = getZonedParts(date, timezone)
+  return formatTimeOfDay(hour, minute)
+}
+
+// e.g. "Oct 28, 3:00 PM"
+export function formatDateTimeInTimezone(date, timezone) {
+  return date.toLocaleString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
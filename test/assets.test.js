@@ -0,0 +1,50 @@
+import test, { afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const { getAssetRegistry, getEnabledAssets, getAsset, formatAssetList } = await import('../src/services/assets.js')
+
+const originalAssets = CONFIG.assets
+
+afterEach(() => {
+  CONFIG.assets = originalAssets
+})
+
+test('assets read from config with defaults for name and enabled', () => {
+  CONFIG.assets = {
+    btc: { name: 'Bitcoin', price_symbol: 'btcusdt', series_ids: { '15m': 10192 } },
+    DOGE: { price_symbol: 'DOGEUSDT' },
+    XRP: { price_symbol: 'XRPUSDT', enabled: false },
+  }
+
+  assert.deepEqual(getAssetRegistry()[0], {
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    priceSymbol: 'BTCUSDT',
+    priceSymbols: { binance: 'BTCUSDT' },
+    seriesIds: { '15m': 10192 },
+    enabled: true,
+  })
+  assert.equal(getAsset('DOGE').name, 'DOGE')
+  assert.deepEqual(getEnabledAssets().map(asset => asset.symbol), ['BTC', 'DOGE'])
+  // Disabled assets stay known so open rounds on them can still be priced
+  assert.equal(getAsset('XRP').priceSymbol, 'XRPUSDT')
+  assert.equal(getAsset('ADA'), null)
+})
+
+test('invalid registries fail with the offending asset', () => {
+  CONFIG.assets = { BTC: { name: 'Bitcoin' } }
+  assert.throws(() => getAssetRegistry(), /assets.BTC.price_symbol is required/)
+
+  CONFIG.assets = { BTC: { price_symbol: 'BTCUSDT', enabled: false } }
+  assert.throws(() => getAssetRegistry(), /at least one enabled asset/)
+})
+
+test('asset lists read naturally in messages', () => {
+  CONFIG.assets = undefined
+  assert.equal(formatAssetList(), 'BTC, ETH, SOL, or XRP')
+  assert.equal(formatAssetList([{ symbol: 'BTC' }, { symbol: 'ETH' }]), 'BTC or ETH')
+})
@@ -0,0 +1,141 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { runBacktest, confidenceToConviction } from '../src/backtest/runner.js'
+import { momentumDecision } from '../src/backtest/strategies.js'
+import { fetchCandleHistory } from '../src/backtest/history.js'
+
+const MINUTE_MS = 60 * 1000
+const START_MS = Date.UTC(2026, 0, 5, 0, 0, 0)
+
+function buildCandles(count, priceAt) {
+  const candles = []
+  for (let i = 0; i < count; i += 1) {
+    const open = priceAt(i)
+    const close = priceAt(i + 1)
+    candles.push({
+      openTime: START_MS + i * MINUTE_MS,
+      open,
+      high: Math.max(open, close),
+      low: Math.min(open, close),
+      close,
+      volume: 10,
+      closeTime: START_MS + (i + 1) * MINUTE_MS - 1,
+    })
+  }
+  return candles
+}
+
+const baseOptions = {
+  startMs: START_MS,
+  endMs: START_MS + 6 * 60 * MINUTE_MS,
+  minPct: 0.2,
+  maxPct: 0.4,
+  startingBalance: 1000,
+}
+
+test('backtest', async (t) => {
+  await t.test('momentum picks in a steady uptrend all hit', async () => {
+    const candlesByAsset = { BTC: buildCandles(360, i => 100 + i * 0.05 + (i % 2) * 0.01) }
+
+    const report = await runBacktest({ ...baseOptions, candlesByAsset, decide: momentumDecision })
+
+    assert.ok(report.picks > 0)
+    assert.equal(report.hits, report.picks)
+    assert.equal(report.hitRate, 1)
+    assert.ok(report.endingBalance > report.startingBalance)
+    assert.deepEqual(Object.keys(report.byAsset), ['BTC'])
+    assert.equal(report.byAsset.BTC.picks, report.picks)
+  })
+
+  await t.test('decisions only see candles closed before the decision time', async () => {
+    const candlesByAsset = {
+      BTC: buildCandles(360, i => 100 + i * 0.05),
+      ETH: buildCandles(360, i => 50 - i * 0.01),
+    }
+
+    let calls = 0
+    const report = await runBacktest({
+      ...baseOptions,
+      candlesByAsset,
+      leadMinutes: 5,
+      decide: ({ now, marketStart, candlesByAsset: windows }) => {
+        calls += 1
+        assert.equal(marketStart.getTime() - now.getTime(), 5 * MINUTE_MS)
+        for (const window of Object.values(windows)) {
+          assert.ok(window[window.length - 1].closeTime < now.getTime())
+        }
+        return { asset: 'ETH', direction: 'DOWN', confidence: 0.5 }
+      },
+    })
+
+    assert.equal(calls, report.picks)
+    assert.equal(report.hitRate, 1)
+    assert.equal(report.byAsset.ETH.picks, report.picks)
+  })
+
+  await t.test('losing picks size by confidence and abstentions are counted', async () => {
+    const candlesByAsset = { BTC: buildCandles(360, i => 100 + i * 0.05) }
+
+    let first = true
+    const report = await runBacktest({
+      ...baseOptions,
+      candlesByAsset,
+      decide: () => {
+        if (first) {
+          first = false
+          return { asset: 'BTC', direction: 'DOWN', confidence: 1 }
+        }
+        return null
+      },
+    })
+
+    assert.equal(report.picks, 1)
+    assert.equal(report.hits, 0)
+    assert.ok(report.abstained > 0)
+    // Full confidence sizes at max_position_pct of the pool
+    assert.equal(report.pnl, -400)
+    assert.equal(report.endingBalance, 600)
+  })
+
+  await t.test('confidence maps onto vote conviction', () => {
+    assert.equal(confidenceToConviction(0.5), 0)
+    assert.equal(confidenceToConviction(0.75), 0.5)
+    assert.equal(confidenceToConviction(1), 1)
+    assert.equal(confidenceToConviction(0.2), 0)
+  })
+})
+
+test('history backfill stops on an empty page or a cursor that does not advance', async () => {
+  const page = buildCandles(3, i => 100 + i)
+  const end = START_MS + 60 * MINUTE_MS
+
+  // A full page, then nothing: past the last candle or a gap
+  const cursors = []
+  const stored = []
+  const count = await fetchCandleHistory('BTC', {
+    startMs: START_MS,
+    endMs: end,
+    fetchPage: async cursor => {
+      cursors.push(cursor)
+      return cursors.length === 1 ? page : []
+    },
+    store: rows => stored.push(...rows),
+  })
+  assert.equal(count, 3)
+  assert.equal(stored.length, 3)
+  assert.deepEqual(cursors, [START_MS, START_MS + 3 * MINUTE_MS])
+
+  // A provider that keeps answering with the same older page
+  let calls = 0
+  const repeated = await fetchCandleHistory('BTC', {
+    startMs: START_MS + 10 * MINUTE_MS,
+    endMs: end,
+    fetchPage: async () => {
+      calls += 1
+      return page
+    },
+    store: () => {},
+  })
+  assert.equal(calls, 1)
+  assert.equal(repeated, 3)
+})
@@ -0,0 +1,122 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupTestDatabase, createTrade } from './helpers.js'
+
+const { predictions, users } = await setupTestDatabase('buttons')
+const { CONFIG } = await import('../src/config/index.js')
+const { getVoteMode, buildVoteButtons, parseVoteButtonId, handleVoteButton } = await import('../src/bot/buttons.js')
+
+const HOLDER_ROLE = 'holder-role'
+const originalHolderRole = CONFIG.discord.holder_role_id
+const originalVoteMode = CONFIG.trading.vote_mode
+
+after(() => {
+  CONFIG.discord.holder_role_id = originalHolderRole
+  CONFIG.trading.vote_mode = originalVoteMode
+})
+
+beforeEach(() => {
+  CONFIG.discord.holder_role_id = HOLDER_ROLE
+})
+
+// Clicks land a minute before the round's default 15:02 close
+const NOW = new Date('2026-01-05T15:01:00.000Z')
+
+function createButtonTrade() {
+  return createTrade({ vote_mode: 'buttons' })
+}
+
+function registerVoter(userId) {
+  users.getOrCreate(userId, userId)
+  users.updateWalletAddress(userId, `0x${userId.padStart(40, '0')}`)
+}
+
+function click(customId, userId, roles = [HOLDER_ROLE]) {
+  const replies = []
+  const interaction = {
+    customId,
+    user: { id: userId, username: userId },
+    guild: {
+      members: {
+        fetch: async () => ({ roles: { cache: new Map(roles.map(role => [role, {}])) } }),
+      },
+    },
+    reply: async payload => {
+      replies.push(payload)
+    },
+  }
+  return { interaction, replies }
+}
+
+test('vote buttons carry the round and choice in their custom ids', () => {
+  const [row] = buildVoteButtons(12)
+  const ids = row.components.map(button => button.data.custom_id)
+  assert.deepEqual(ids, ['vote:12:UP', 'vote:12:DOWN', 'vote:12:SWITCH'])
+  assert.deepEqual(ids.map(parseVoteButtonId), [
+    { tradeId: 12, choice: 'UP' },
+    { tradeId: 12, choice: 'DOWN' },
+    { tradeId: 12, choice: 'SWITCH' },
+  ])
+  assert.equal(parseVoteButtonId('vote:12:SIDEWAYS'), null)
+  assert.equal(parseVoteButtonId('other:12'), null)
+})
+
+test('a button vote is recorded directly and can be changed', async () => {
+  const trade = createButtonTrade()
+  registerVoter('alice')
+
+  const first = click(`vote:${trade.id}:UP`, 'alice')
+  assert.equal(await handleVoteButton(first.interaction, NOW), true)
+  assert.equal(predictions.get('alice', trade.id).prediction, 'UP')
+  assert.equal(first.replies[0].ephemeral, true)
+  assert.match(first.replies[0].content, /You voted \*\*UP\*\*/)
+
+  const again = click(`vote:${trade.id}:UP`, 'alice')
+  await handleVoteButton(again.interaction, NOW)
+  assert.match(again.replies[0].content, /already voted \*\*UP\*\*/)
+
+  const flip = click(`vote:${trade.id}:SWITCH`, 'alice')
+  await handleVoteButton(flip.interaction, NOW)
+  assert.equal(predictions.get('alice', trade.id).prediction, 'DOWN')
+  assert.match(flip.replies[0].content, /changed from UP/)
+
+  predictions.snapshotAll(trade.id, trade.voting_ends_at)
+  assert.equal(predictions.getSnapshottedByTrade(trade.id).length, 1)
+})
+
+test('ineligible or late clicks are turned away without a vote', async () => {
+  const trade = createButtonTrade()
+  registerVoter('bob')
+  users.getOrCreate('carol', 'carol')
+
+  const noRole = click(`vote:${trade.id}:DOWN`, 'bob', [])
+  await handleVoteButton(noRole.interaction, NOW)
+  assert.match(noRole.replies[0].content, /Only holders can vote/)
+
+  const noWallet = click(`vote:${trade.id}:DOWN`, 'carol')
+  await handleVoteButton(noWallet.interaction, NOW)
+  assert.match(noWallet.replies[0].content, /register a wallet/)
+
+  const noVote = click(`vote:${trade.id}:SWITCH`, 'bob')
+  await handleVoteButton(noVote.interaction, NOW)
+  assert.match(noVote.replies[0].content, /haven't voted/)
+
+  const late = click(`vote:${trade.id}:UP`, 'bob')
+  await handleVoteButton(late.interaction, new Date(trade.voting_ends_at))
+  assert.match(late.replies[0].content, /has closed/)
+
+  assert.equal(predictions.get('bob', trade.id), undefined)
+  assert.equal(predictions.get('carol', trade.id), undefined)
+})
+
+test('other buttons are left to their own handlers', async () => {
+  assert.equal(await handleVoteButton(click('page:2', 'alice').interaction, NOW), false)
+})
+
+test('vote mode defaults to reactions and rejects unknown modes', () => {
+  CONFIG.trading.vote_mode = undefined
+  assert.equal(getVoteMode(), 'reactions')
+  CONFIG.trading.vote_mode = 'emoji'
+  assert.throws(() => getVoteMode(), /Invalid trading.vote_mode "emoji"/)
+  CONFIG.trading.vote_mode = originalVoteMode
+})
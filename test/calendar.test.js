@@ -0,0 +1,92 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCalendarYaml, parseIcs, findActiveBlackout, parseBlackoutTime } from '../src/services/calendar.js'
+
+const TIMEZONE = 'America/Chicago'
+
+test('parseBlackoutTime reads local times and explicit offsets', () => {
+  assert.equal(parseBlackoutTime('2026-10-28 12:30', TIMEZONE).toISOString(), '2026-10-28T17:30:00.000Z')
+  assert.equal(parseBlackoutTime('2026-12-01', TIMEZONE).toISOString(), '2026-12-01T06:00:00.000Z')
+  assert.equal(parseBlackoutTime('2026-10-28T18:30:00Z', TIMEZONE).toISOString(), '2026-10-28T18:30:00.000Z')
+  assert.throws(() => parseBlackoutTime('next tuesday', TIMEZONE), /Invalid time/)
+})
+
+test('parseBlackoutTime rejects dates and times that do not exist', () => {
+  for (const text of ['2026-13-40', '2026-00-10', '2026-02-30 09:00', '2026-10-28 24:00', '2026-10-28 12:60', '2026-02-30T09:00:00Z']) {
+    assert.throws(() => parseBlackoutTime(text, TIMEZONE), /Invalid time/, text)
+  }
+  assert.equal(parseBlackoutTime('2028-02-29', TIMEZONE).toISOString(), '2028-02-29T06:00:00.000Z')
+  assert.throws(
+    () => parseCalendarYaml('blackouts:\n  - reason: Typo\n    date: "2026-11-31"', TIMEZONE),
+    /Invalid date "2026-11-31" for blackout "Typo"/,
+  )
+  assert.throws(
+    () => parseIcs(['BEGIN:VEVENT', 'SUMMARY:Typo', 'DTSTART:20261340T120000Z', 'END:VEVENT'].join('\r\n'), TIMEZONE),
+    /Invalid ICS time: 20261340T120000Z/,
+  )
+})
+
+test('parseCalendarYaml supports time windows and whole days', () => {
+  const blackouts = parseCalendarYaml([
+    'blackouts:',
+    '  - reason: FOMC',
+    '    start: "2026-10-28 12:30"',
+    '    end: "2026-10-28 15:00"',
+    '  - reason: Thanksgiving',
+    '    date: "2026-11-26"',
+  ].join('\n'), TIMEZONE)
+
+  assert.deepEqual(blackouts.map(b => [b.reason, b.startsAt.toISOString(), b.endsAt.toISOString()]), [
+    ['FOMC', '2026-10-28T17:30:00.000Z', '2026-10-28T20:00:00.000Z'],
+    ['Thanksgiving', '2026-11-26T06:00:00.000Z', '2026-11-27T06:00:00.000Z'],
+  ])
+})
+
+test('parseCalendarYaml rejects windows that end before they start', () => {
+  const text = 'blackouts:\n  - reason: Bad\n    start: "2026-10-28 15:00"\n    end: "2026-10-28 12:00"\n'
+  assert.throws(() => parseCalendarYaml(text, TIMEZONE), /ends before it starts/)
+})
+
+test('parseIcs reads UTC, TZID and all-day events', () => {
+  const blackouts = parseIcs([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:CPI release\\, October',
+    'DTSTART:20261014T123000Z',
+    'DTEND:20261014T140000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:FOMC',
+    'DTSTART;TZID=America/New_York:20261028T140000',
+    'DTEND;TZID=America/New_York:20261028T',
+    ' 160000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Christmas',
+    'DTSTART;VALUE=DATE:20261225',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'), TIMEZONE)
+
+  assert.deepEqual(blackouts.map(b => [b.reason, b.startsAt.toISOString(), b.endsAt.toISOString()]), [
+    ['CPI release, October', '2026-10-14T12:30:00.000Z', '2026-10-14T14:00:00.000Z'],
+    ['FOMC', '2026-10-28T18:00:00.000Z', '2026-10-28T20:00:00.000Z'],
+    ['Christmas', '2026-12-25T06:00:00.000Z', '2026-12-26T06:00:00.000Z'],
+  ])
+})
+
+test('findActiveBlackout resumes after overlapping and back-to-back windows', () => {
+  const at = iso => new Date(iso)
+  const list = [
+    { reason: 'CPI', startsAt: at('2026-10-14T12:00:00Z'), endsAt: at('2026-10-14T14:00:00Z') },
+    { reason: 'Fed speech', startsAt: at('2026-10-14T14:00:00Z'), endsAt: at('2026-10-14T15:00:00Z') },
+    { reason: 'Later', startsAt: at('2026-10-14T18:00:00Z'), endsAt: at('2026-10-14T19:00:00Z') },
+  ]
+
+  assert.equal(findActiveBlackout(list, at('2026-10-14T11:59:00Z')), null)
+  assert.deepEqual(findActiveBlackout(list, at('2026-10-14T13:00:00Z')), {
+    reason: 'CPI',
+    resumesAt: at('2026-10-14T15:00:00Z'),
+  })
+  assert.equal(findActiveBlackout(list, at('2026-10-14T15:00:00Z')), null)
+})
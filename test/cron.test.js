@@ -0,0 +1,68 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCron, getNextCronTime } from '../src/utils/cron.js'
+import { zonedTimeToUtc } from '../src/utils/time.js'
+
+const TIMEZONE = 'America/Chicago'
+
+function nextRuns(expression, fromIso, count) {
+  const cron = parseCron(expression)
+  const runs = []
+  let after = new Date(fromIso)
+  for (let i = 0; i < count; i += 1) {
+    after = getNextCronTime(cron, after, TIMEZONE)
+    runs.push(after.toISOString())
+  }
+  return runs
+}
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const cron = parseCron('*/20 9-11,15 * jan-mar mon,FRI,7')
+  assert.deepEqual([...cron.minutes], [0, 20, 40])
+  assert.deepEqual([...cron.hours], [9, 10, 11, 15])
+  assert.deepEqual([...cron.months], [1, 2, 3])
+  assert.deepEqual([...cron.daysOfWeek].sort(), [0, 1, 5, 7])
+})
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 9 * *'), /5 fields/)
+  assert.throws(() => parseCron('60 9 * * *'), /minute/)
+  assert.throws(() => parseCron('0 9 * * funday'), /day of week/)
+  assert.throws(() => parseCron('0 12-9 * * *'), /range/)
+})
+
+test('getNextCronTime follows local time across the spring-forward change', () => {
+  assert.deepEqual(nextRuns('0 9 * * *', '2026-03-07T12:00:00Z', 3), [
+    '2026-03-07T15:00:00.000Z',
+    '2026-03-08T14:00:00.000Z',
+    '2026-03-09T14:00:00.000Z',
+  ])
+})
+
+test('getNextCronTime skips a time that does not exist on spring-forward day', () => {
+  assert.deepEqual(nextRuns('30 2 * * *', '2026-03-07T12:00:00Z', 2), [
+    '2026-03-09T07:30:00.000Z',
+    '2026-03-10T07:30:00.000Z',
+  ])
+})
+
+test('getNextCronTime fires a repeated fall-back time once', () => {
+  assert.deepEqual(nextRuns('30 1 * * *', '2026-10-31T12:00:00Z', 2), [
+    '2026-11-01T06:30:00.000Z',
+    '2026-11-02T07:30:00.000Z',
+  ])
+})
+
+test('getNextCronTime matches either day field when both are restricted', () => {
+  // 1st of the month or any Friday, at noon
+  assert.deepEqual(nextRuns('0 12 1 * fri', '2026-10-28T12:00:00Z', 3), [
+    '2026-10-30T17:00:00.000Z',
+    '2026-11-01T18:00:00.000Z',
+    '2026-11-06T18:00:00.000Z',
+  ])
+})
+
+test('zonedTimeToUtc converts wall-clock time in both DST offsets', () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 18 }, TIMEZONE).toISOString(), '2026-01-16T00:00:00.000Z')
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 18 }, TIMEZONE).toISOString(), '2026-07-15T23:00:00.000Z')
+})
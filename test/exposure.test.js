@@ -0,0 +1,126 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-exposure-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb, trades } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { applyNotionalLimits, getNotionalLimits, applyExposureCap } = await import('../src/services/exposure.js')
+
+const originalMaxExposurePct = CONFIG.trading.max_exposure_pct
+
+after(() => {
+  CONFIG.trading.max_exposure_pct = originalMaxExposurePct
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM trade_events; DELETE FROM trades;')
+  CONFIG.scheduling.timezone = 'America/Chicago'
+  CONFIG.trading.limits = { max_trade_usd: 250, max_asset_daily_usd: 500, max_daily_notional_usd: 1000 }
+  CONFIG.trading.max_exposure_pct = 0.5
+})
+
+function insertExecuted(asset, cost, executedAt, paper = false) {
+  getDb().prepare(`
+    INSERT INTO trades (asset, polymarket_market_id, voting_ends_at, status, is_paper, total_cost, executed_at)
+    VALUES (?, 'market', ?, 'resolved', ?, ?, ?)
+  `).run(asset, executedAt, paper ? 1 : 0, cost, executedAt)
+}
+
+// 10:00 Chicago (CST, UTC-6) on Jan 5
+const NOW = new Date('2026-01-05T16:00:00.000Z')
+const context = { asset: 'BTC', paper: false, now: NOW }
+
+test('sizes within every limit pass through', () => {
+  assert.deepEqual(applyNotionalLimits(100, context), { size: 100, capped: false, reason: null })
+})
+
+test('the per-trade limit scales a large position down', () => {
+  assert.deepEqual(applyNotionalLimits(400, context), { size: 250, capped: true, reason: '$250.00 per-trade limit' })
+})
+
+test('daily limits count spend since local midnight and name the tightest limit', () => {
+  insertExecuted('BTC', 200, '2026-01-05T05:00:00.000Z') // 23:00 the day before
+  insertExecuted('BTC', 380, '2026-01-05T14:00:00.000Z')
+  insertExecuted('ETH', 300, '2026-01-05T15:00:00.000Z')
+  insertExecuted('SOL', 900, '2026-01-05T15:00:00.000Z', true)
+
+  const btc = applyNotionalLimits(200, context)
+  assert.equal(btc.size, 120)
+  assert.equal(btc.reason, 'BTC daily limit ($380.00 of $500.00 used today)')
+
+  insertExecuted('SOL', 250, '2026-01-05T15:30:00.000Z')
+  const eth = applyNotionalLimits(200, { ...context, asset: 'ETH' })
+  assert.equal(eth.size, 70)
+  assert.equal(eth.reason, 'daily notional limit ($930.00 of $1000.00 used today)')
+})
+
+test('a spent limit leaves nothing and a missing limit is not enforced', () => {
+  insertExecuted('BTC', 500, '2026-01-05T14:00:00.000Z')
+  assert.equal(applyNotionalLimits(50, context).size, 0)
+
+  CONFIG.trading.limits = { max_trade_usd: 250 }
+  assert.equal(applyNotionalLimits(50, context).capped, false)
+
+  CONFIG.trading.limits = { max_trade_usd: -5 }
+  assert.throws(() => getNotionalLimits(), /trading.limits.max_trade_usd must be a positive number/)
+})
+
+function createRound(asset, maxOpenRounds = 2) {
+  return trades.createIfNoActive({
+    asset,
+    polymarket_market_id: `m-${asset}`,
+    voting_ends_at: new Date('2026-01-05T16:02:00.000Z'),
+    max_open_rounds: maxOpenRounds,
+  })
+}
+
+test('rounds run concurrently on different assets, one per asset, up to max_open_rounds', () => {
+  const btc = createRound('BTC')
+  assert.ok(btc)
+  assert.equal(createRound('BTC'), null, 'BTC already has an open round')
+
+  const eth = createRound('ETH')
+  assert.ok(eth)
+  assert.equal(createRound('SOL'), null, 'two rounds are open')
+  assert.ok(createRound('SOL', 3), 'a higher limit makes room')
+
+  // Resolving a round frees its asset and its slot
+  trades.resolve(btc.id, 5)
+  assert.ok(createRound('BTC', 3))
+})
+
+test('the exposure cap leaves room for open positions and grows with the pool', () => {
+  insertExecuted('BTC', 300, '2026-01-05T15:00:00.000Z')
+  getDb().prepare("UPDATE trades SET status = 'executed'").run()
+
+  // $700 cash + $300 open = $1000 equity; half of it is $500, so $200 is left
+  assert.deepEqual(applyExposureCap(400, 700), { size: 200, capped: true, openExposure: 300, maxExposure: 500 })
+  // A bigger pool moves the cap with it
+  assert.deepEqual(applyExposureCap(400, 1700), { size: 400, capped: false, openExposure: 300, maxExposure: 1000 })
+  // Paper positions are capped separately
+  assert.deepEqual(applyExposureCap(400, 700, true), { size: 350, capped: true, openExposure: 0, maxExposure: 350 })
+})
+
+test('a spent exposure cap leaves nothing', () => {
+  insertExecuted('BTC', 600, '2026-01-05T15:00:00.000Z')
+  getDb().prepare("UPDATE trades SET status = 'executed'").run()
+
+  assert.equal(applyExposureCap(100, 400).size, 0)
+})
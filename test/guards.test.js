@@ -0,0 +1,79 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const { getGuardConfig, checkEntryGuards, fitToDepth } = await import('../src/services/guards.js')
+
+const config = {
+  maxEntryPrice: { UP: 0.65, DOWN: 0.6 },
+  maxSpread: 0.05,
+  minDepthUsd: 10,
+  minLiquidityUsd: 500,
+}
+
+const market = { liquidity: 2000 }
+const book = { bestBid: 0.52, bestAsk: 0.55, spread: 0.55 - 0.52, limitPrice: 0.56, depthUsd: 80 }
+
+test('a healthy book passes every guard', () => {
+  assert.equal(checkEntryGuards({ market, position: 'UP', book }, config), null)
+})
+
+test('each guard reports why the round was stopped', () => {
+  assert.equal(
+    checkEntryGuards({ market: { liquidity: 120 }, position: 'UP', book }, config),
+    'market liquidity $120 is below the $500 minimum',
+  )
+  assert.equal(
+    checkEntryGuards({ market, position: 'DOWN', book: { ...book, bestAsk: 0.62, spread: 0.1 } }, config),
+    'DOWN best ask $0.62 is above the $0.60 entry limit',
+  )
+  assert.equal(
+    checkEntryGuards({ market, position: 'UP', book: { ...book, bestBid: 0.45, spread: 0.55 - 0.45 } }, config),
+    'UP spread $0.10 is wider than the $0.05 maximum',
+  )
+  assert.equal(
+    checkEntryGuards({ market, position: 'UP', book: { ...book, bestBid: null, spread: null } }, config),
+    'no bids in the UP orderbook to measure the spread',
+  )
+  assert.equal(
+    checkEntryGuards({ market, position: 'UP', book: { ...book, depthUsd: 4.5 } }, config),
+    'only $4.50 of asks within the $0.56 limit price (need $10.00)',
+  )
+  assert.equal(
+    checkEntryGuards({ market, position: 'UP', book: { ...book, bestAsk: null } }, config),
+    'no asks in the UP orderbook',
+  )
+})
+
+test('a spread exactly at the maximum passes despite float noise', () => {
+  const tight = { ...book, bestBid: 0.5, bestAsk: 0.55, spread: 0.55 - 0.5 }
+  assert.equal(checkEntryGuards({ market, position: 'UP', book: tight }, config), null)
+})
+
+test('positions larger than the book are resized to its depth', () => {
+  assert.deepEqual(fitToDepth(50, book), { size: 50, resized: false, reason: null })
+  assert.deepEqual(fitToDepth(120, book), {
+    size: 80,
+    resized: true,
+    reason: 'ask depth within the $0.56 limit price ($80.00)',
+  })
+})
+
+test('guard config accepts one entry price or one per side', () => {
+  const original = CONFIG.trading.guards
+  try {
+    CONFIG.trading.guards = { max_entry_price: 0.7 }
+    assert.deepEqual(getGuardConfig().maxEntryPrice, { UP: 0.7, DOWN: 0.7 })
+
+    CONFIG.trading.guards = { max_entry_price: { up: 0.7 } }
+    assert.deepEqual(getGuardConfig().maxEntryPrice, { UP: 0.7, DOWN: null })
+
+    CONFIG.trading.guards = { max_entry_price: 1.5 }
+    assert.throws(() => getGuardConfig(), /max_entry_price must be a positive number up to 1/)
+  } finally {
+    CONFIG.trading.guards = original
+  }
+})
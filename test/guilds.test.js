@@ -0,0 +1,314 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-guilds-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb, trades, users, guilds, settlements, runtimeState } = await import('../src/database/index.js')
+initializeDatabase()
+
+const {
+  getPoolGuildId,
+  getHolderRoleId,
+  getGuildScheduleEntries,
+  parseGuildSchedule,
+  seedConfiguredGuild,
+  getAllowedGuilds,
+  isGuildAllowed,
+  isOwnerGuild,
+  getGuildAllocation,
+} = await import('../src/services/guilds.js')
+const { applyExposureCap } = await import('../src/services/exposure.js')
+const { configureScheduler, tick, canStartTrade, isEmergencyStopped, setEmergencyStop } = await import('../src/services/scheduler.js')
+const { handleEmergencyStop, handleResume } = await import('../src/bot/commands/admin.js')
+const { PermissionFlagsBits } = await import('discord.js')
+
+const originalDiscord = { ...CONFIG.discord }
+const originalTimezone = CONFIG.scheduling.timezone
+
+let currentTime = null
+let started = []
+
+function makeChannel(id, guildId) {
+  return { id, guildId, name: id, send: async () => {} }
+}
+
+function makeClient(...channels) {
+  return { channels: { cache: new Map(channels.map(channel => [channel.id, channel])) } }
+}
+
+configureScheduler({
+  clock: { now: () => new Date(currentTime), setInterval: () => null },
+  random: () => 0.5,
+  channel: null,
+  actions: {
+    startTrade: async (channel, triggeredBy, options) => {
+      started.push({ channel: channel.id, guildId: options.guildId, schedule: options.scheduleName })
+    },
+    runPayouts: async () => {},
+  },
+})
+
+after(() => {
+  Object.assign(CONFIG.discord, originalDiscord)
+  CONFIG.scheduling.timezone = originalTimezone
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec(`
+    DELETE FROM predictions;
+    DELETE FROM trade_events;
+    DELETE FROM trades;
+    DELETE FROM settlements;
+    DELETE FROM users;
+    DELETE FROM guilds;
+    DELETE FROM schedule_state;
+    DELETE FROM jobs;
+  `)
+  Object.assign(CONFIG.discord, originalDiscord)
+  CONFIG.scheduling.timezone = 'UTC'
+  started = []
+})
+
+function createTrade(guildId, asset = 'BTC', extra = {}) {
+  return trades.createIfNoActive({
+    guild_id: guildId,
+    asset,
+    polymarket_market_id: `m-${guildId}-${asset}`,
+    voting_ends_at: new Date(Date.now() + 60000),
+    max_open_rounds: 1,
+    ...extra,
+  })
+}
+
+test('rounds, open-round limits and settlements are scoped per guild', () => {
+  const first = createTrade('g1')
+  assert.ok(first)
+  assert.equal(createTrade('g1', 'ETH'), null, 'g1 is at its open-round limit')
+
+  assert.equal(createTrade('g2'), null, 'g1 holds BTC on the shared wallet')
+  const second = createTrade('g2', 'ETH')
+  assert.ok(second)
+
+  assert.deepEqual(trades.getOpen('g1').map(t => t.id), [first.id])
+  assert.deepEqual(trades.getOpen().map(t => t.id), [first.id, second.id])
+
+  settlements.create('g1')
+  assert.equal(settlements.getIncomplete('g1').length, 1)
+  assert.equal(settlements.getIncomplete('g2').length, 0)
+
+  trades.updateStatus(first.id, 'cancelled')
+  assert.equal(createTrade('g1', 'SOL'), null, 'g1 waits for its own settlement')
+
+  trades.updateStatus(second.id, 'cancelled')
+  assert.ok(createTrade('g2', 'SOL'), 'g2 is not held up by g1\'s settlement')
+})
+
+test('leaderboards and stats only count the guild\'s own rounds', () => {
+  users.create('u1', 'alice')
+  users.create('u2', 'bob')
+  const db = getDb()
+  const insert = db.prepare(`
+    INSERT INTO trades (guild_id, asset, polymarket_market_id, voting_ends_at, status)
+    VALUES (?, 'BTC', 'm', '2026-01-01T00:00:00Z', 'resolved')
+    RETURNING id
+  `)
+  const vote = db.prepare(`
+    INSERT INTO predictions (user_id, trade_id, prediction, was_correct, snapshot_at)
+    VALUES (?, ?, 'UP', ?, '2026-01-01T00:00:00Z')
+  `)
+
+  const g1Trade = insert.get('g1').id
+  const g2Trade = insert.get('g2').id
+  vote.run('u1', g1Trade, 1)
+  vote.run('u2', g2Trade, 1)
+  vote.run('u1', g2Trade, 0)
+
+  assert.deepEqual(users.getTopPredictors(10, 'g1').map(u => u.discord_id), ['u1'])
+  assert.deepEqual(users.getTopPredictors(10, 'g2').map(u => u.discord_id).sort(), ['u1', 'u2'])
+  assert.equal(users.getTopPredictors(10).length, 2)
+
+  const g2Stats = users.getStats('u1', 'g2')
+  assert.equal(g2Stats.totalPredictions, 1)
+  assert.equal(g2Stats.correctPredictions, 0)
+  assert.equal(users.getStats('u1').totalPredictions, 2)
+})
+
+test('the configured trading channel seeds its guild and takes over earlier rounds', () => {
+  CONFIG.discord.trading_channel_id = 'c1'
+  CONFIG.discord.holder_role_id = 'holders'
+  const legacy = createTrade(null)
+  const client = makeClient(makeChannel('c1', 'g1'))
+
+  assert.equal(getPoolGuildId('g1'), null, 'no guild is set up yet')
+
+  const row = seedConfiguredGuild(client)
+  assert.equal(row.trading_channel_id, 'c1')
+  assert.equal(row.holder_role_id, 'holders')
+  assert.equal(trades.getById(legacy.id).guild_id, 'g1')
+  assert.equal(getPoolGuildId('g1'), 'g1')
+
+  // Later changes from /guild-setup survive a restart
+  guilds.upsert('g1', { holder_role_id: null })
+  seedConfiguredGuild(client)
+  assert.equal(getHolderRoleId('g1'), null)
+  assert.equal(getHolderRoleId(null), 'holders')
+})
+
+test('a missing configured channel fails startup only when no guild is set up', () => {
+  CONFIG.discord.trading_channel_id = 'gone'
+  assert.throws(() => seedConfiguredGuild(makeClient()), /Trading channel not found/)
+
+  guilds.upsert('g1', { trading_channel_id: 'c1' })
+  assert.equal(seedConfiguredGuild(makeClient()), null)
+})
+
+test('guild schedules are validated and fall back to the config schedule', () => {
+  assert.equal(parseGuildSchedule('default'), null)
+  assert.throws(() => parseGuildSchedule('not json'), /JSON list/)
+  assert.throws(() => parseGuildSchedule('[{"name": "a", "time": "25:00"}]'), /Invalid time/)
+  assert.throws(() => parseGuildSchedule('[{"name": "a", "time": "09:00"}, {"name": "a", "time": "10:00"}]'), /Duplicate/)
+
+  const stored = parseGuildSchedule('[{"name": "open", "time": "13:30", "assets": ["btc"]}]')
+  const [entry] = getGuildScheduleEntries({ schedule: stored })
+  assert.equal(entry.name, 'open')
+  assert.equal(entry.cron.expression, '30 13 * * *')
+  assert.deepEqual(entry.assets, ['BTC'])
+
+  assert.ok(getGuildScheduleEntries({ schedule: null }).length > 0)
+})
+
+test('each guild runs its own schedule in its own channel', async () => {
+  CONFIG.discord.allowed_guilds = [{ id: 'g1', allocation_pct: 0.5 }, { id: 'g2', allocation_pct: 0.5 }]
+  guilds.upsert('g1', { trading_channel_id: 'c1', schedule: parseGuildSchedule('[{"name": "open", "time": "09:00"}]') })
+  guilds.upsert('g2', { trading_channel_id: 'c2', schedule: parseGuildSchedule('[{"name": "open", "time": "10:00"}]') })
+  configureScheduler({ client: makeClient(makeChannel('c1', 'g1'), makeChannel('c2', 'g2')) })
+
+  currentTime = '2026-03-02T08:00:00Z'
+  await tick()
+  assert.ok(getDb().prepare("SELECT 1 FROM schedule_state WHERE name = 'g1:open'").get())
+  assert.ok(getDb().prepare("SELECT 1 FROM schedule_state WHERE name = 'g2:open'").get())
+
+  currentTime = '2026-03-02T09:00:30Z'
+  await tick()
+  currentTime = '2026-03-02T10:00:30Z'
+  await tick()
+
+  assert.deepEqual(started, [
+    { channel: 'c1', guildId: 'g1', schedule: 'open' },
+    { channel: 'c2', guildId: 'g2', schedule: 'open' },
+  ])
+})
+
+test('an open round in one guild does not block another guild', () => {
+  const originalMaxOpenRounds = CONFIG.trading.max_open_rounds
+  CONFIG.trading.max_open_rounds = 1
+  CONFIG.discord.allowed_guilds = [{ id: 'g1', allocation_pct: 0.5 }, { id: 'g2', allocation_pct: 0.5 }]
+  try {
+    createTrade('g1')
+    assert.equal(canStartTrade(false, 'g1').reason, 'A trade is already in progress.')
+    assert.equal(canStartTrade(false, 'g2').allowed, true)
+  } finally {
+    CONFIG.trading.max_open_rounds = originalMaxOpenRounds
+  }
+})
+
+test('only the primary guild and listed guilds can run a pool, each on its share of the wallet', async () => {
+  CONFIG.discord.trading_channel_id = 'c1'
+  CONFIG.discord.allowed_guilds = [{ id: 'g2', allocation_pct: 0.25 }]
+  seedConfiguredGuild(makeClient(makeChannel('c1', 'g1')))
+  guilds.upsert('g3', { trading_channel_id: 'c3' })
+
+  assert.equal(isGuildAllowed('g1'), true)
+  assert.equal(isGuildAllowed('g2'), true)
+  assert.equal(isGuildAllowed('g3'), false)
+  assert.equal(getGuildAllocation('g1'), 0.75)
+  assert.equal(getGuildAllocation('g2'), 0.25)
+  assert.equal(getGuildAllocation('g3'), 0)
+  assert.equal(getGuildAllocation(null), 1)
+  assert.equal(canStartTrade(true, 'g3').reason, 'This server is not allowed to run a pool.')
+
+  // A guild that is no longer allowed keeps its row but its schedule stops running
+  guilds.upsert('g3', { schedule: parseGuildSchedule('[{"name": "open", "time": "09:00"}]') })
+  configureScheduler({ client: makeClient(makeChannel('c1', 'g1'), makeChannel('c3', 'g3')) })
+  currentTime = '2026-03-02T08:00:00Z'
+  await tick()
+  assert.equal(getDb().prepare("SELECT 1 FROM schedule_state WHERE name = 'g3:open'").get(), undefined)
+})
+
+test('guild allocations are validated', () => {
+  CONFIG.discord.allowed_guilds = [{ id: 'g2', allocation_pct: 0 }]
+  assert.throws(() => getAllowedGuilds(), /between 0 and 1/)
+  CONFIG.discord.allowed_guilds = [{ id: 'g2', allocation_pct: 0.6 }, { id: 'g3', allocation_pct: 0.6 }]
+  assert.throws(() => getAllowedGuilds(), /at most 1/)
+  CONFIG.discord.allowed_guilds = [{ id: 'g2', allocation_pct: 0.2 }, { id: 'g2', allocation_pct: 0.2 }]
+  assert.throws(() => getAllowedGuilds(), /Duplicate/)
+  CONFIG.discord.allowed_guilds = [{ allocation_pct: 0.2 }]
+  assert.throws(() => getAllowedGuilds(), /need an id/)
+})
+
+test('the exposure cap only counts the guild\'s own open positions', () => {
+  const originalMaxExposurePct = CONFIG.trading.max_exposure_pct
+  CONFIG.trading.max_exposure_pct = 0.5
+  try {
+    const g1Trade = createTrade('g1')
+    getDb().prepare("UPDATE trades SET status = 'executed', total_cost = 300 WHERE id = ?").run(g1Trade.id)
+
+    assert.equal(applyExposureCap(100, 200, false, 'g2').capped, false)
+    assert.deepEqual(applyExposureCap(100, 200, false, 'g1'), { size: 0, capped: true, openExposure: 300, maxExposure: 250 })
+  } finally {
+    CONFIG.trading.max_exposure_pct = originalMaxExposurePct
+  }
+})
+
+test('only administrators of the primary guild can use the wallet-wide controls', async () => {
+  assert.equal(isOwnerGuild('g2'), true, 'any server until a guild is set up')
+
+  CONFIG.discord.trading_channel_id = 'c1'
+  CONFIG.discord.allowed_guilds = [{ id: 'g2', allocation_pct: 0.5 }]
+  seedConfiguredGuild(makeClient(makeChannel('c1', 'g1')))
+  assert.equal(isOwnerGuild('g1'), true)
+  assert.equal(isOwnerGuild('g2'), false)
+
+  const replies = []
+  const adminIn = guildId => ({
+    guildId,
+    user: { id: 'u1' },
+    memberPermissions: { has: permission => permission === PermissionFlagsBits.Administrator },
+    reply: async reply => replies.push(reply),
+  })
+
+  try {
+    await handleEmergencyStop(adminIn('g2'))
+    assert.equal(isEmergencyStopped(), false)
+    assert.match(replies[0].content, /Access denied/)
+
+    await handleEmergencyStop(adminIn('g1'))
+    assert.equal(isEmergencyStopped(), true)
+
+    // /resume lifts the circuit breaker as of the scheduler's clock
+    currentTime = '2026-01-05T15:30:00.000Z'
+    runtimeState.setRiskPause(false, 'daily loss limit reached', new Date('2026-01-05T15:00:00.000Z'), null)
+    await handleResume(adminIn('g1'))
+    assert.equal(isEmergencyStopped(), false)
+    const state = runtimeState.getRiskState()
+    assert.equal(state.risk_pause_reason, null)
+    assert.equal(new Date(state.risk_resumed_at).toISOString(), currentTime)
+  } finally {
+    setEmergencyStop(false)
+  }
+})
@@ -0,0 +1,53 @@
+import { after, beforeEach } from 'node:test'
+import { rmSync } from 'node:fs'
+
+let database = null
+
+/**
+ * Point this test file at a throwaway database, emptied before each test and deleted afterwards.
+ * Await it before importing anything else from src/, since the database path is read on first import.
+ * @param {string} name file name part, e.g. 'buttons' → data/test-buttons-<timestamp>.db
+ * @returns {Promise<object>} the database module, initialized
+ */
+export async function setupTestDatabase(name) {
+  process.env.NODE_ENV = 'test'
+  process.env.TEST_MODE = 'true'
+
+  const dbPath = `./data/test-${name}-${Date.now()}.db`
+  process.env.DATABASE_PATH = dbPath
+
+  database = await import('../src/database/index.js')
+  database.initializeDatabase()
+
+  after(() => {
+    try {
+      database.getDb().close()
+    } catch {
+      // ignore
+    }
+
+    rmSync(dbPath, { force: true })
+    rmSync(`${dbPath}-wal`, { force: true })
+    rmSync(`${dbPath}-shm`, { force: true })
+  })
+
+  beforeEach(() => {
+    database.getDb().exec('DELETE FROM predictions; DELETE FROM trade_events; DELETE FROM trades; DELETE FROM users;')
+  })
+
+  return database
+}
+
+/**
+ * A voting round on BTC with room for every asset to run at once; fields override the defaults
+ */
+export function createTrade(fields = {}) {
+  return database.trades.createIfNoActive({
+    asset: 'BTC',
+    polymarket_market_id: 'market',
+    resolution_time: '2026-01-05T15:15:00.000Z',
+    voting_ends_at: '2026-01-05T15:02:00.000Z',
+    max_open_rounds: 4,
+    ...fields,
+  })
+}
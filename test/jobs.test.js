@@ -0,0 +1,108 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-jobs-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { initializeDatabase, getDb, jobs } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { registerJobHandler, enqueueJob, drainJobs, requeueInterruptedJobs, getRetryDelayMs } = await import('../src/services/jobs.js')
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM jobs')
+})
+
+const T0 = new Date('2026-01-05T12:00:00.000Z')
+const at = minutes => new Date(T0.getTime() + minutes * 60 * 1000)
+
+test('jobs run once they are due and dedupe while active', async () => {
+  const runs = []
+  registerJobHandler('test_echo', async payload => { runs.push(payload.value) })
+
+  assert.ok(enqueueJob('test_echo', { value: 1 }, { runAt: at(5), dedupeKey: 'echo' }))
+  assert.equal(enqueueJob('test_echo', { value: 2 }, { runAt: at(5), dedupeKey: 'echo' }), undefined)
+
+  await drainJobs(at(4))
+  assert.deepEqual(runs, [])
+
+  await drainJobs(at(5))
+  assert.deepEqual(runs, [1])
+
+  // Finished jobs free their dedupe key
+  assert.ok(enqueueJob('test_echo', { value: 3 }, { runAt: at(6), dedupeKey: 'echo' }))
+})
+
+test('failing jobs back off and fail after maxAttempts', async () => {
+  let calls = 0
+  registerJobHandler('test_flaky', async () => {
+    calls += 1
+    throw new Error(`boom ${calls}`)
+  }, { maxAttempts: 2 })
+
+  const job = enqueueJob('test_flaky', {}, { runAt: T0 })
+
+  await drainJobs(T0)
+  let row = jobs.getById(job.id)
+  assert.equal(row.status, 'pending')
+  assert.equal(row.attempts, 1)
+  assert.equal(row.last_error, 'boom 1')
+  assert.equal(row.run_at, new Date(T0.getTime() + getRetryDelayMs(1)).toISOString())
+
+  await drainJobs(new Date(row.run_at))
+  row = jobs.getById(job.id)
+  assert.equal(row.status, 'failed')
+  assert.equal(row.attempts, 2)
+  assert.equal(calls, 2)
+})
+
+test('handlers can reschedule without counting a failure', async () => {
+  let polls = 0
+  registerJobHandler('test_poll', async () => {
+    polls += 1
+    if (polls < 3) return { retryAt: at(polls) }
+  })
+
+  const job = enqueueJob('test_poll', {}, { runAt: T0 })
+  await drainJobs(T0)
+  await drainJobs(at(1))
+  await drainJobs(at(2))
+
+  const row = jobs.getById(job.id)
+  assert.equal(row.status, 'done')
+  assert.equal(row.attempts, 0)
+})
+
+test('cancelled jobs never run and interrupted jobs are requeued', async () => {
+  const runs = []
+  registerJobHandler('test_cancel', async payload => { runs.push(payload.name) })
+
+  const cancelled = enqueueJob('test_cancel', { name: 'cancelled' }, { runAt: T0 })
+  const interrupted = enqueueJob('test_cancel', { name: 'interrupted' }, { runAt: T0 })
+  assert.equal(jobs.cancel(cancelled.id), true)
+  assert.equal(jobs.cancel(cancelled.id), false)
+
+  getDb().prepare(`UPDATE jobs SET status = 'running' WHERE id = ?`).run(interrupted.id)
+  await drainJobs(T0)
+  assert.deepEqual(runs, [])
+
+  requeueInterruptedJobs()
+  await drainJobs(T0)
+  assert.deepEqual(runs, ['interrupted'])
+})
@@ -0,0 +1,170 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+import { MockAgent, setGlobalDispatcher } from 'undici'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-paper-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb, trades } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { simulateTrade } = await import('../src/services/polymarket.js')
+const { configureScheduler, checkExits, resolveRound } = await import('../src/services/scheduler.js')
+const { getPaperBalance } = await import('../src/services/payouts.js')
+const { sizePosition } = await import('../src/services/sizing.js')
+
+const originalPaperTrading = CONFIG.paper_trading
+const originalExits = CONFIG.trading.exits
+
+// Gamma answers every market lookup as resolved DOWN
+const mockAgent = new MockAgent()
+mockAgent.disableNetConnect()
+setGlobalDispatcher(mockAgent)
+mockAgent.get('https://gamma-api.polymarket.com')
+  .intercept({ path: /^\/markets\// })
+  .reply(200, {
+    closed: true,
+    resolutionSource: 'chainlink',
+    outcomePrices: '["0", "1"]',
+    conditionId: '0xcondition',
+    clobTokenIds: '["1", "2"]',
+  })
+  .persist()
+
+function mockAsks(asks) {
+  mockAgent.get('https://clob.polymarket.com')
+    .intercept({ path: '/book?token_id=1' })
+    .reply(200, { bids: [], asks })
+}
+
+// Serve the held token's book for the exit check and the simulated sell
+function mockBids(bids) {
+  mockAgent.get('https://clob.polymarket.com')
+    .intercept({ path: '/book?token_id=1' })
+    .reply(200, { bids, asks: [] })
+    .times(2)
+}
+
+after(async () => {
+  CONFIG.paper_trading = originalPaperTrading
+  CONFIG.trading.exits = originalExits
+  await mockAgent.close()
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+const channel = { send: async () => {} }
+configureScheduler({ channel })
+
+beforeEach(() => {
+  getDb().exec(`
+    DELETE FROM predictions;
+    DELETE FROM trade_events;
+    DELETE FROM trades;
+  `)
+  CONFIG.paper_trading = { enabled: true, starting_balance_usd: 1000 }
+  CONFIG.trading.exits = { enabled: true, take_profit_pct: 0.5, stop_loss_pct: 0.5 }
+})
+
+const market = { asset: 'BTC', tokenIds: { yes: '1', no: '2' } }
+
+function insertTrade({ status, isPaper, pnl = null, position = 'UP', shares = 20, cost = 10 }) {
+  return getDb().prepare(`
+    INSERT INTO trades (
+      asset, polymarket_market_id, voting_ends_at, resolution_time, status, is_paper, executed_position, token_id,
+      shares_filled, total_cost, avg_fill_price, pnl, resolved_at
+    )
+    VALUES ('BTC', 'market', '2026-01-05T14:00:00.000Z', '2026-01-05T14:15:00.000Z', ?, ?, ?, '1', ?, ?, ?, ?, ?)
+    RETURNING *
+  `).get(status, isPaper ? 1 : 0, position, shares, cost, cost / shares, pnl, status === 'resolved' ? '2026-01-05T14:15:00.000Z' : null)
+}
+
+test('a paper buy walks the asks up to the limit price', async () => {
+  // Limit is 1% over the $0.50 best ask, so the $0.52 level is out of reach
+  mockAsks([{ price: '0.52', size: '100' }, { price: '0.50', size: '10' }, { price: '0.505', size: '10' }])
+
+  const result = await simulateTrade(market, 'UP', 20)
+
+  assert.equal(result.success, true)
+  assert.equal(result.partial, true)
+  assert.equal(result.sharesFilled, 20)
+  assert.ok(Math.abs(result.totalCost - 10.05) < 1e-9)
+  assert.ok(Math.abs(result.avgFillPrice - 0.5025) < 1e-9)
+  assert.match(result.orderID, /^paper-/)
+})
+
+test('a paper buy fails without asks or below the minimum size', async () => {
+  mockAsks([])
+  assert.deepEqual(await simulateTrade(market, 'UP', 20), { success: false, reason: 'No asks in orderbook' })
+  assert.equal((await simulateTrade(market, 'UP', 0.5)).success, false)
+})
+
+test('a paper buy fails loudly when the book cannot be fetched', async () => {
+  mockAgent.get('https://clob.polymarket.com')
+    .intercept({ path: '/book?token_id=1' })
+    .reply(503, 'Service Unavailable')
+
+  await assert.rejects(simulateTrade(market, 'UP', 20), /CLOB orderbook error: 503/)
+})
+
+test('paper rounds settle on their simulated fills', async () => {
+  const winner = insertTrade({ status: 'executed', isPaper: true, position: 'DOWN' })
+  const loser = insertTrade({ status: 'executed', isPaper: true, position: 'UP' })
+
+  await resolveRound(winner.id, channel)
+  await resolveRound(loser.id, channel)
+
+  // 20 winning shares pay $20 on $10; the losing side pays nothing
+  assert.equal(trades.getById(winner.id).pnl, 10)
+  assert.equal(trades.getById(loser.id).pnl, -10)
+})
+
+test('the paper balance is the starting balance plus paper P&L, less open paper positions', () => {
+  insertTrade({ status: 'resolved', isPaper: true, pnl: 25 })
+  insertTrade({ status: 'executed', isPaper: true, cost: 40 })
+  insertTrade({ status: 'resolved', isPaper: false, pnl: 500 })
+  insertTrade({ status: 'executed', isPaper: false, cost: 300 })
+
+  assert.equal(getPaperBalance(), 985)
+})
+
+test('an early exit\'s profit is back in the paper balance before the market resolves', async () => {
+  insertTrade({ status: 'executed', isPaper: true })
+  mockBids([{ price: '0.8', size: '12' }])
+
+  await checkExits(new Date('2026-01-05T14:05:00.000Z'))
+
+  // 12 of 20 shares sold for $9.60 against their $6 cost; the 8 still held cost $4
+  assert.ok(Math.abs(getPaperBalance() - 999.6) < 1e-9)
+
+  // The next round sizes off that balance: 40% of the pool at full conviction
+  const sizing = sizePosition({ balance: getPaperBalance(), conviction: 1 }, {
+    strategy: 'linear', minPct: 0.2, maxPct: 0.4, maxPositionUsd: null,
+  })
+  assert.ok(Math.abs(sizing.size - 399.84) < 1e-9)
+})
+
+test('paper and live results are kept apart', () => {
+  const paper = insertTrade({ status: 'resolved', isPaper: true, pnl: 25 })
+  const live = insertTrade({ status: 'resolved', isPaper: false, pnl: -5 })
+
+  assert.deepEqual(trades.getRecentResolved(10, true).map(t => t.id), [paper.id])
+  assert.deepEqual(trades.getRecentResolved(10, false).map(t => t.id), [live.id])
+  assert.equal(trades.getTotalPnl(true), 25)
+  assert.equal(trades.getTotalPnl(false), -5)
+  // Paper profit never pays out
+  assert.deepEqual(trades.getUnsettledTrades().map(t => t.id), [live.id])
+  assert.equal(trades.getUnsettledPnl(), -5)
+})
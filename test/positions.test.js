@@ -0,0 +1,50 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const { getExitConfig, getExitSignal } = await import('../src/services/positions.js')
+const { getExitLimitPrice } = await import('../src/services/polymarket.js')
+
+const config = { enabled: true, takeProfitPct: 0.5, stopLossPct: 0.4 }
+const trade = { avg_fill_price: 0.4 }
+
+test('bids between the thresholds keep holding', () => {
+  assert.equal(getExitSignal(trade, 0.45, config), null)
+  assert.equal(getExitSignal(trade, 0.25, config), null)
+})
+
+test('a bid at or past a threshold signals the exit', () => {
+  const profit = getExitSignal(trade, 0.6, config)
+  assert.equal(profit.reason, 'take_profit')
+  assert.ok(Math.abs(profit.threshold - 0.6) < 1e-9)
+
+  assert.equal(getExitSignal(trade, 0.2, config).reason, 'stop_loss')
+})
+
+test('no exit when disabled, without a bid or without a threshold', () => {
+  assert.equal(getExitSignal(trade, 0.9, { ...config, enabled: false }), null)
+  assert.equal(getExitSignal(trade, null, config), null)
+  assert.equal(getExitSignal(trade, 0.05, { ...config, stopLossPct: null }), null)
+  assert.equal(getExitSignal({ avg_fill_price: null }, 0.9, config), null)
+})
+
+test('the sell limit sits just under the best bid', () => {
+  assert.equal(getExitLimitPrice(0.62), 0.61)
+  assert.equal(getExitLimitPrice(0.01), 0.01)
+})
+
+test('exit config is off by default and rejects out-of-range thresholds', () => {
+  const original = CONFIG.trading.exits
+  try {
+    CONFIG.trading.exits = undefined
+    assert.deepEqual(getExitConfig(), { enabled: false, takeProfitPct: null, stopLossPct: null })
+
+    CONFIG.trading.exits = { enabled: true, stop_loss_pct: 1.5 }
+    assert.throws(() => getExitConfig(), /trading.exits.stop_loss_pct must be greater than 0 and at most 1/)
+  } finally {
+    CONFIG.trading.exits = original
+  }
+})
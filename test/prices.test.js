@@ -0,0 +1,127 @@
+import test, { afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const {
+  registerPriceProvider,
+  getPriceConfig,
+  getCurrentPrice,
+  getRecentCandles,
+  getProviderHealth,
+  formatProviderHealth,
+  checkPriceConsistency,
+  setPriceFixture,
+} = await import('../src/services/prices.js')
+
+const originalPrices = CONFIG.prices
+
+afterEach(() => {
+  CONFIG.prices = originalPrices
+})
+
+// A provider whose answers the test controls; symbols are recorded to check the lookup
+function createProvider(prices) {
+  const provider = {
+    calls: [],
+    defaultSymbol: asset => `${asset.symbol}/USD`,
+    async getPrice(symbol) {
+      provider.calls.push(symbol)
+      const price = prices.shift()
+      if (price instanceof Error) throw price
+      return price
+    },
+    async getCandles() {
+      return []
+    },
+  }
+  return provider
+}
+
+test('the next provider answers when the first one fails', async () => {
+  const down = createProvider([new Error('HTTP 503')])
+  const up = createProvider([65000])
+  registerPriceProvider('test-down', down)
+  registerPriceProvider('test-up', up)
+  CONFIG.prices = { providers: ['test-down', 'test-up'] }
+
+  assert.equal(await getCurrentPrice('BTC'), 65000)
+  assert.deepEqual(down.calls, ['BTC/USD'])
+  assert.equal(getProviderHealth().find(p => p.name === 'test-down').lastError, 'HTTP 503')
+  assert.equal(formatProviderHealth(getProviderHealth()), '📈 **Price feeds:** test-down 1 failed (HTTP 503) · test-up ok')
+})
+
+test('a provider is benched after repeated failures and tried last', async () => {
+  const flaky = createProvider([new Error('timeout'), new Error('timeout'), 1])
+  const steady = createProvider([2, 3, 4])
+  registerPriceProvider('test-flaky', flaky)
+  registerPriceProvider('test-steady', steady)
+  CONFIG.prices = { providers: ['test-flaky', 'test-steady'], failure_threshold: 2, cooldown_seconds: 60 }
+
+  await getCurrentPrice('ETH')
+  await getCurrentPrice('ETH')
+  assert.deepEqual(getProviderHealth().map(p => [p.name, p.healthy]), [['test-steady', true], ['test-flaky', false]])
+
+  assert.equal(await getCurrentPrice('ETH'), 4)
+  assert.equal(flaky.calls.length, 2)
+  assert.equal(formatProviderHealth(getProviderHealth()), '📈 **Price feeds:** test-steady ok · test-flaky benched 1m (timeout)')
+})
+
+test('failures surface as errors instead of zero prices or empty candles', async () => {
+  registerPriceProvider('test-broken', createProvider([new Error('HTTP 500')]))
+  CONFIG.prices = { providers: ['test-broken'] }
+
+  await assert.rejects(getCurrentPrice('SOL'), /SOL price unavailable from every price provider \(test-broken: HTTP 500\)/)
+  await assert.rejects(getRecentCandles('SOL'), /test-broken: no candles returned/)
+  await assert.rejects(getCurrentPrice('ADA'), /Unknown asset ADA/)
+})
+
+test('sources that disagree beyond the limit fail the consistency check', async () => {
+  registerPriceProvider('test-a', createProvider([100, 100]))
+  registerPriceProvider('test-b', createProvider([100.4, 102]))
+  CONFIG.prices = { providers: ['test-a', 'test-b'], max_divergence_pct: 0.005 }
+
+  const close = await checkPriceConsistency('XRP')
+  assert.equal(close.consistent, true)
+  assert.ok(Math.abs(close.divergencePct - 0.004) < 1e-9)
+
+  const apart = await checkPriceConsistency('XRP')
+  assert.equal(apart.consistent, false)
+  assert.equal(apart.reason, 'XRP price sources disagree by 2.00% (test-a $100 · test-b $102)')
+})
+
+test('the consistency check is skipped without a limit or a second source', async () => {
+  registerPriceProvider('test-solo', createProvider([100]))
+  CONFIG.prices = { providers: ['test-solo'], max_divergence_pct: 0.005 }
+  assert.equal((await checkPriceConsistency('BTC')).consistent, true)
+
+  CONFIG.prices = { providers: ['test-solo'] }
+  assert.deepEqual(await checkPriceConsistency('BTC'), { consistent: true, prices: {}, divergencePct: null, reason: null })
+})
+
+test('Kraken refuses history older than the 720 candles it serves', async () => {
+  CONFIG.prices = { providers: ['kraken'] }
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000
+
+  await assert.rejects(
+    getRecentCandles('BTC', '1m', 100, dayAgo),
+    /kraken: Kraken only serves the last 720 1m candles/,
+  )
+})
+
+test('the fixture provider serves local prices and candles', async () => {
+  const candles = [1, 2, 3].map(i => ({ openTime: i * 60000, open: i, high: i, low: i, close: i, volume: 1, closeTime: i * 60000 + 59999 }))
+  setPriceFixture({ BTC: { price: 64000, candles } })
+  CONFIG.prices = { providers: ['fixture'] }
+
+  assert.equal(await getCurrentPrice('BTC'), 64000)
+  assert.deepEqual((await getRecentCandles('BTC', '1m', 2)).map(c => c.close), [2, 3])
+  assert.deepEqual((await getRecentCandles('BTC', '1m', 5, 120000)).map(c => c.close), [2, 3])
+})
+
+test('price config rejects unknown providers', () => {
+  CONFIG.prices = { providers: ['bloomberg'] }
+  assert.throws(() => getPriceConfig(), /Unknown price provider "bloomberg"/)
+})
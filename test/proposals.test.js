@@ -0,0 +1,143 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-proposals-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb } = await import('../src/database/index.js')
+initializeDatabase()
+
+const {
+  getProposalUpdateConfig,
+  projectPositionSize,
+  formatProposalStatus,
+} = await import('../src/services/proposals.js')
+
+const originalTrading = { ...CONFIG.trading }
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM trade_events; DELETE FROM trades;')
+  CONFIG.trading = {
+    ...originalTrading,
+    min_votes: 3,
+    min_position_pct: 0.2,
+    max_position_pct: 0.4,
+    max_exposure_pct: 1,
+    sizing: { strategy: 'linear' },
+    limits: { max_trade_usd: 250 },
+    proposal_updates: { refresh_seconds: 15 },
+  }
+})
+
+const NOW = new Date('2026-01-05T16:00:00.000Z')
+const trade = { id: 1, asset: 'BTC', status: 'voting', is_paper: 0, analysis_direction: 'UP', analysis_confidence: 0.6 }
+
+function makeTally(up, down) {
+  const total = up + down
+  const upShare = total > 0 ? up / total : 0.5
+  return {
+    weighted: false,
+    up,
+    down,
+    total,
+    upWeight: up,
+    downWeight: down,
+    upShare,
+    downShare: 1 - upShare,
+    conviction: Math.abs(2 * upShare - 1),
+  }
+}
+
+const book = { bestBid: 0.49, bestAsk: 0.5, spread: 0.01, limitPrice: 0.52, depthUsd: 400 }
+
+test('the projection sizes the leading side like the close would', () => {
+  // 3-1 is 50% conviction: halfway between 20% and 40% of $500
+  assert.deepEqual(
+    projectPositionSize({ trade, tally: makeTally(1, 3), balance: 500, book, now: NOW }),
+    { position: 'DOWN', size: 150, reason: null },
+  )
+
+  // Unanimous on $1000 is $400, scaled down by the per-trade limit
+  assert.deepEqual(
+    projectPositionSize({ trade, tally: makeTally(2, 0), balance: 1000, book, now: NOW }),
+    { position: 'UP', size: 250, reason: '$250.00 per-trade limit' },
+  )
+
+  assert.deepEqual(
+    projectPositionSize({ trade, tally: makeTally(2, 0), balance: 1000, book: { ...book, depthUsd: 120 }, now: NOW }),
+    { position: 'UP', size: 120, reason: 'fitted to the ask depth within the $0.52 limit price ($120.00)' },
+  )
+})
+
+test('the projection waits for a side, a balance and, for Kelly, a book', () => {
+  assert.equal(projectPositionSize({ trade, tally: makeTally(0, 0), balance: 500, book, now: NOW }).reason, 'waiting for votes')
+  assert.equal(projectPositionSize({ trade, tally: makeTally(2, 2), balance: 500, book, now: NOW }).position, null)
+  assert.deepEqual(
+    projectPositionSize({ trade, tally: makeTally(1, 0), balance: null, book, now: NOW }),
+    { position: 'UP', size: null, reason: 'pool balance unavailable' },
+  )
+
+  CONFIG.trading.sizing = { strategy: 'kelly', kelly_fraction: 0.25, vote_weight: 0.5 }
+  assert.equal(projectPositionSize({ trade, tally: makeTally(1, 0), balance: 500, book: null, now: NOW }).reason, 'waiting for the UP order book')
+  // Votes (100%) and model (60%) blend to 80% against a $0.90 ask: no edge
+  assert.deepEqual(
+    projectPositionSize({ trade, tally: makeTally(1, 0), balance: 500, book: { ...book, bestAsk: 0.9 }, now: NOW }),
+    { position: 'UP', size: 0, reason: 'no edge at this price' },
+  )
+})
+
+test('the open status shows the split, votes still needed, time left and the projection', () => {
+  const status = formatProposalStatus({
+    trade,
+    tally: makeTally(2, 0),
+    timeLeft: '1m 30s',
+    projection: { position: 'UP', size: 250, reason: '$250.00 per-trade limit' },
+  })
+
+  assert.equal(status.description, [
+    '🟢 UP: 2 (100%) · 🔴 DOWN: 0 (0%)',
+    '🗳️ 1 more vote needed to execute',
+    '⏰ Voting closes in 1m 30s',
+    '💵 Projected position: $250.00 on UP ($250.00 per-trade limit)',
+  ].join('\n'))
+  assert.deepEqual(status.footer, { text: 'Live tally · updates every 15s' })
+})
+
+test('the closed status replaces the countdown with the outcome', () => {
+  const executed = formatProposalStatus({
+    trade: { ...trade, status: 'executed', executed_position: 'DOWN', total_cost: 42.5 },
+    tally: makeTally(1, 3),
+  })
+  assert.equal(executed.description, '🟢 UP: 1 (25%) · 🔴 DOWN: 3 (75%)\n🔒 Voting closed · 🎯 DOWN for $42.50')
+  assert.equal(executed.footer, undefined)
+
+  const cancelled = formatProposalStatus({
+    trade: { ...trade, status: 'cancelled', cancel_reason: 'Not enough votes (0 of 3)' },
+    tally: makeTally(0, 0),
+  })
+  assert.equal(cancelled.description, '🟢 UP: 0 (0%) · 🔴 DOWN: 0 (0%)\n🔒 Voting closed · ❌ Not enough votes (0 of 3)')
+})
+
+test('refreshes faster than Discord allows are rejected', () => {
+  assert.deepEqual(getProposalUpdateConfig(), { enabled: true, refreshMs: 15000 })
+
+  CONFIG.trading.proposal_updates = { refresh_seconds: 2 }
+  assert.throws(() => getProposalUpdateConfig(), /refresh_seconds must be a number of at least 5/)
+})
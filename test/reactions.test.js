@@ -0,0 +1,120 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-reactions-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { initializeDatabase, getDb, trades, predictions, users } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { handleReaction, handleReactionsCleared, compareReactionVotes } = await import('../src/bot/reactions.js')
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM predictions; DELETE FROM trade_events; DELETE FROM trades; DELETE FROM users;')
+})
+
+function createTrade(voteMode = 'reactions') {
+  const trade = trades.createIfNoActive({
+    asset: 'BTC',
+    polymarket_market_id: 'market',
+    vote_mode: voteMode,
+    resolution_time: '2026-01-05T15:15:00.000Z',
+    voting_ends_at: '2026-01-05T15:02:00.000Z',
+    max_open_rounds: 4,
+  })
+  trades.updateMessageId(trade.id, `message-${trade.id}`)
+  return trade
+}
+
+function vote(tradeId, userId, prediction) {
+  users.getOrCreate(userId, userId)
+  predictions.upsert(userId, tradeId, prediction)
+}
+
+// A proposal whose cached reactions hold these users per emoji
+function removal(tradeId, emoji, holders = {}) {
+  const reactions = Object.entries(holders).map(([name, ids]) => ({ emoji: { name }, users: { cache: new Set(ids) } }))
+  return {
+    emoji: { name: emoji },
+    message: { id: `message-${tradeId}`, reactions: { cache: reactions } },
+  }
+}
+
+test('removing a reaction withdraws the vote it cast', async () => {
+  const trade = createTrade()
+  vote(trade.id, 'alice', 'UP')
+
+  await handleReaction(removal(trade.id, '🟢'), { id: 'alice', username: 'alice' }, 'remove')
+  assert.equal(predictions.get('alice', trade.id), undefined)
+})
+
+test('removing one of two reactions switches to the one still held', async () => {
+  const trade = createTrade()
+  vote(trade.id, 'alice', 'UP')
+
+  await handleReaction(removal(trade.id, '🟢', { '🔴': ['alice'] }), { id: 'alice', username: 'alice' }, 'remove')
+  assert.equal(predictions.get('alice', trade.id).prediction, 'DOWN')
+})
+
+test('the removal that follows a switch leaves the new vote alone', async () => {
+  const trade = createTrade()
+  vote(trade.id, 'alice', 'DOWN')
+
+  await handleReaction(removal(trade.id, '🟢'), { id: 'alice', username: 'alice' }, 'remove')
+  assert.equal(predictions.get('alice', trade.id).prediction, 'DOWN')
+})
+
+test('reaction events on button rounds and snapshotted votes are ignored', async () => {
+  const buttonTrade = createTrade('buttons')
+  vote(buttonTrade.id, 'alice', 'UP')
+  await handleReaction(removal(buttonTrade.id, '🟢'), { id: 'alice', username: 'alice' }, 'remove')
+  handleReactionsCleared({ id: `message-${buttonTrade.id}` })
+  assert.equal(predictions.get('alice', buttonTrade.id).prediction, 'UP')
+
+  getDb().exec('DELETE FROM predictions; DELETE FROM trades;')
+  const trade = createTrade()
+  users.getOrCreate('bob', 'bob')
+  predictions.upsertWithSnapshot('bob', trade.id, 'UP', '2026-01-05T15:02:00.000Z')
+  await handleReaction(removal(trade.id, '🟢'), { id: 'bob', username: 'bob' }, 'remove')
+  assert.equal(predictions.get('bob', trade.id).prediction, 'UP')
+})
+
+test('clearing reactions withdraws the votes for the cleared emoji or all of them', () => {
+  const trade = createTrade()
+  vote(trade.id, 'alice', 'UP')
+  vote(trade.id, 'bob', 'DOWN')
+  vote(trade.id, 'carol', 'DOWN')
+
+  handleReactionsCleared({ id: `message-${trade.id}` }, '🔴')
+  assert.deepEqual(predictions.getByTrade(trade.id).map(p => p.user_id), ['alice'])
+
+  handleReactionsCleared({ id: `message-${trade.id}` })
+  assert.deepEqual(predictions.getByTrade(trade.id), [])
+})
+
+test('reconciliation reports votes missing, stale and switched against the reactions', () => {
+  const recorded = new Map([['alice', 'UP'], ['bob', 'DOWN'], ['carol', 'UP']])
+  const reacted = new Map([['alice', 'UP'], ['bob', 'UP'], ['dave', 'DOWN']])
+
+  assert.deepEqual(compareReactionVotes(recorded, reacted), {
+    missing: ['dave'],
+    stale: ['carol'],
+    switched: ['bob'],
+  })
+})
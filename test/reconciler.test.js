@@ -0,0 +1,116 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+// No wallet: any CLOB lookup fails, which must flag the round rather than guess
+delete process.env.WALLET_PRIVATE_KEY
+
+const dbPath = `./data/test-reconciler-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { initializeDatabase, getDb, trades, tradeEvents } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { reconcileOpenTrades, formatRecoveryReport } = await import('../src/services/reconciler.js')
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM predictions; DELETE FROM trade_events; DELETE FROM trades;')
+})
+
+const NOW = new Date('2026-01-05T15:00:00.000Z')
+
+function insertTrade({ asset, status, votingEndsAt, isPaper = false, orderId = null, tokenId = null }) {
+  return getDb().prepare(`
+    INSERT INTO trades (asset, polymarket_market_id, voting_ends_at, status, is_paper, executed_position, clob_order_id, token_id)
+    VALUES (?, 'market', ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).get(asset, votingEndsAt, status, isPaper ? 1 : 0, status === 'voting' ? null : 'UP', orderId, tokenId)
+}
+
+test('stale voting rounds are cancelled and fresh ones left for the tick', async () => {
+  const stale = insertTrade({ asset: 'BTC', status: 'voting', votingEndsAt: '2026-01-05T14:50:00.000Z' })
+  const fresh = insertTrade({ asset: 'ETH', status: 'voting', votingEndsAt: '2026-01-05T14:59:30.000Z' })
+
+  const outcomes = await reconcileOpenTrades(NOW)
+
+  assert.deepEqual(outcomes.map(o => [o.trade.id, o.action]), [[stale.id, 'cancelled']])
+  assert.equal(trades.getById(stale.id).status, 'cancelled')
+  assert.equal(trades.getById(fresh.id).status, 'voting')
+})
+
+test('interrupted paper executions are cancelled', async () => {
+  const paper = insertTrade({ asset: 'SOL', status: 'executing', votingEndsAt: '2026-01-05T14:55:00.000Z', isPaper: true })
+
+  const outcomes = await reconcileOpenTrades(NOW)
+
+  assert.deepEqual(outcomes.map(o => o.action), ['cancelled'])
+  assert.equal(trades.getById(paper.id).status, 'cancelled')
+})
+
+test('real executions that cannot be checked against the CLOB are flagged, not dropped', async () => {
+  const noToken = insertTrade({ asset: 'BTC', status: 'executing', votingEndsAt: '2026-01-05T14:55:00.000Z' })
+  const unreachable = insertTrade({
+    asset: 'ETH',
+    status: 'executing',
+    votingEndsAt: '2026-01-05T14:55:00.000Z',
+    orderId: '0xorder',
+    tokenId: '123',
+  })
+
+  const outcomes = await reconcileOpenTrades(NOW)
+
+  assert.deepEqual(outcomes.map(o => o.action), ['flagged', 'flagged'])
+  assert.equal(trades.getById(noToken.id).status, 'review')
+  assert.match(trades.getById(unreachable.id).review_reason, /could not query the CLOB/)
+
+  // Flagged rounds still hold their asset slot
+  assert.deepEqual(trades.getOpen().map(t => t.id), [noToken.id, unreachable.id])
+
+  const report = formatRecoveryReport(outcomes)
+  assert.match(report, new RegExp(`Round #${unreachable.id} · ETH: flagged for admin review`))
+})
+
+test('executed rounds are left for resolution', async () => {
+  insertTrade({ asset: 'XRP', status: 'executed', votingEndsAt: '2026-01-05T14:40:00.000Z', orderId: '0xabc', tokenId: '9' })
+  assert.deepEqual(await reconcileOpenTrades(NOW), [])
+})
+
+test('an interrupted early-exit sell goes back to holding the position', async () => {
+  const exiting = insertTrade({ asset: 'SOL', status: 'exiting', votingEndsAt: '2026-01-05T14:40:00.000Z', isPaper: true, tokenId: '7' })
+
+  const outcomes = await reconcileOpenTrades(NOW)
+
+  assert.deepEqual(outcomes.map(o => o.action), ['held'])
+  assert.equal(trades.getById(exiting.id).status, 'executed')
+  assert.match(formatRecoveryReport(outcomes), /simulated sell was interrupted, holding to resolution/)
+})
+
+test('an interrupted live sell only cancels the orders the round placed', async () => {
+  const unrecorded = insertTrade({ asset: 'SOL', status: 'exiting', votingEndsAt: '2026-01-05T14:40:00.000Z', tokenId: '7' })
+  const recorded = insertTrade({ asset: 'ETH', status: 'exiting', votingEndsAt: '2026-01-05T14:40:00.000Z', tokenId: '8' })
+  tradeEvents.record(recorded.id, 'order_placed', { order_id: '0xbuy', token_id: '8' })
+  tradeEvents.record(recorded.id, 'order_placed', { order_id: '0xsell', side: 'SELL', token_id: '8' })
+
+  const outcomes = await reconcileOpenTrades(NOW)
+
+  // With no sell of its own on record, the round never touches the CLOB and other orders on the token stay put
+  assert.equal(outcomes[0].detail, 'early-exit sell was interrupted, holding to resolution')
+  // The recorded sell has to be cancelled, which fails here without a wallet
+  assert.match(outcomes[1].detail, /could not be cancelled/)
+  assert.equal(trades.getById(unrecorded.id).status, 'executed')
+  assert.equal(trades.getById(recorded.id).status, 'executed')
+})
@@ -0,0 +1,199 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+import { MockAgent, setGlobalDispatcher } from 'undici'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+// No wallet: redemption fails, as it does when the RPC is down
+delete process.env.WALLET_PRIVATE_KEY
+
+const dbPath = `./data/test-resolution-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb, trades, jobs } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { configureScheduler, checkExits, resolveRound } = await import('../src/services/scheduler.js')
+const { getProfitSinceLastPayout } = await import('../src/services/payouts.js')
+
+const originalExits = CONFIG.trading.exits
+
+// Gamma answers every market lookup as resolved UP
+const mockAgent = new MockAgent()
+mockAgent.disableNetConnect()
+setGlobalDispatcher(mockAgent)
+mockAgent.get('https://gamma-api.polymarket.com')
+  .intercept({ path: /^\/markets\// })
+  .reply(200, {
+    closed: true,
+    resolutionSource: 'chainlink',
+    outcomePrices: '["1", "0"]',
+    conditionId: '0xcondition',
+    clobTokenIds: '["1", "2"]',
+  })
+  .persist()
+
+// Serve the held token's book for the exit check and the simulated sell
+function mockBook(bids) {
+  mockAgent.get('https://clob.polymarket.com')
+    .intercept({ path: '/book?token_id=1' })
+    .reply(200, { bids, asks: [] })
+    .times(2)
+}
+
+after(async () => {
+  CONFIG.trading.exits = originalExits
+  await mockAgent.close()
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+let sent = []
+const channel = { send: async content => { sent.push(typeof content === 'string' ? content : content.content) } }
+configureScheduler({ channel })
+
+const NOW = new Date('2026-01-05T14:05:00.000Z')
+
+beforeEach(() => {
+  getDb().exec(`
+    DELETE FROM predictions;
+    DELETE FROM trade_events;
+    DELETE FROM jobs;
+    DELETE FROM trades;
+  `)
+  sent = []
+  CONFIG.trading.exits = { enabled: true, take_profit_pct: 0.5, stop_loss_pct: 0.5 }
+})
+
+function insertHeldTrade({ isPaper = false, exitShares = null, exitProceeds = null } = {}) {
+  return getDb().prepare(`
+    INSERT INTO trades (
+      asset, polymarket_market_id, voting_ends_at, status, is_paper, executed_position, token_id,
+      shares_filled, total_cost, avg_fill_price, exit_reason, exit_shares, exit_price, exit_proceeds, resolution_time
+    )
+    VALUES ('BTC', 'market', '2026-01-05T14:00:00.000Z', ?, ?, 'UP', '1', 20, 10, 0.5, ?, ?, ?, ?, '2026-01-05T14:15:00.000Z')
+    RETURNING *
+  `).get(
+    exitShares === null ? 'executed' : 'exited',
+    isPaper ? 1 : 0,
+    exitShares === null ? null : 'take_profit',
+    exitShares,
+    exitShares === null ? null : exitProceeds / exitShares,
+    exitProceeds
+  )
+}
+
+test('rounds are ready for resolution by the given clock, not the system one', () => {
+  const trade = insertHeldTrade()
+
+  assert.deepEqual(trades.getReadyForResolution(new Date('2026-01-05T14:14:59.000Z')), [])
+  assert.deepEqual(trades.getReadyForResolution(new Date('2026-01-05T14:15:00.000Z')).map(t => t.id), [trade.id])
+})
+
+test('winnings that fail to redeem are held out of payouts until the redeem job lands', async () => {
+  // Sold 5 shares for $4 and held 15 winning shares: $19 back on $10
+  const trade = insertHeldTrade({ exitShares: 5, exitProceeds: 4 })
+
+  assert.equal(await resolveRound(trade.id, channel), true)
+
+  const resolved = trades.getById(trade.id)
+  assert.equal(resolved.status, 'resolved')
+  assert.equal(resolved.pnl, 9)
+  assert.equal(resolved.redemption_pending, 1)
+  assert.equal(getProfitSinceLastPayout(), 0)
+  assert.deepEqual(trades.getUnsettledTrades(), [])
+  assert.match(sent.at(-1), /profit is left out of payouts/)
+
+  const [job] = jobs.getOutstanding()
+  assert.equal(job.kind, 'redeem')
+  assert.equal(job.dedupe_key, `redeem:${trade.id}`)
+
+  trades.setRedemptionPending(trade.id, false)
+  assert.equal(getProfitSinceLastPayout(), 9)
+})
+
+test('a losing round waiting on redemption still counts against unpaid profit', () => {
+  const trade = insertHeldTrade()
+  trades.resolve(trade.id, -10)
+  trades.setRedemptionPending(trade.id, true)
+
+  assert.equal(getProfitSinceLastPayout(), -10)
+  assert.deepEqual(trades.getUnsettledTrades().map(t => t.id), [trade.id])
+})
+
+test('a take-profit that sells part of the position holds the rest to resolution', async () => {
+  const trade = insertHeldTrade({ isPaper: true })
+  mockBook([{ price: '0.8', size: '12' }])
+
+  await checkExits(NOW)
+
+  const exited = trades.getById(trade.id)
+  assert.equal(exited.status, 'exited')
+  assert.equal(exited.exit_reason, 'take_profit')
+  assert.equal(exited.exit_shares, 12)
+  assert.ok(Math.abs(exited.exit_proceeds - 9.6) < 1e-9)
+  assert.match(sent.at(-1), /8\.00 shares still held to resolution/)
+  // $10 bought 20 shares; the 8 still held cost $4
+  assert.ok(Math.abs(trades.getOpenExposure(true) - 4) < 1e-9)
+
+  // 12 sold for $9.60 plus 8 winning shares at $1, on $10
+  assert.equal(await resolveRound(trade.id, channel), true)
+  const resolved = trades.getById(trade.id)
+  assert.ok(Math.abs(resolved.pnl - 7.6) < 1e-9)
+  assert.equal(resolved.redemption_pending, 0)
+  assert.equal(trades.getOpenExposure(true), 0)
+})
+
+test('a stop-loss that sells everything resolves on the sale alone', async () => {
+  const trade = insertHeldTrade({ isPaper: true })
+  mockBook([{ price: '0.2', size: '50' }])
+
+  await checkExits(NOW)
+
+  const exited = trades.getById(trade.id)
+  assert.equal(exited.exit_reason, 'stop_loss')
+  assert.equal(exited.exit_shares, 20)
+  assert.equal(trades.getOpenExposure(true), 0)
+
+  // Sold at $0.20 and the market went UP anyway: the sale is all that counts
+  await resolveRound(trade.id, channel)
+  assert.ok(Math.abs(trades.getById(trade.id).pnl - -6) < 1e-9)
+})
+
+test('a sell with no bids inside the limit keeps holding', async () => {
+  const trade = insertHeldTrade({ isPaper: true })
+  mockBook([{ price: '0.8', size: '0' }])
+
+  await checkExits(NOW)
+
+  assert.equal(trades.getById(trade.id).status, 'executed')
+  assert.equal(trades.getOpenExposure(true), 10)
+})
+
+test('an unreachable book is not read as a position with no bids', async () => {
+  const trade = insertHeldTrade({ isPaper: true })
+  mockAgent.get('https://clob.polymarket.com')
+    .intercept({ path: '/book?token_id=1' })
+    .reply(503, 'Service Unavailable')
+
+  await checkExits(NOW)
+
+  // The check is skipped, not turned into a stop-loss against an empty book
+  assert.equal(trades.getById(trade.id).status, 'executed')
+  assert.deepEqual(sent, [])
+})
+
+test('positions mid-sell count toward exposure in full', () => {
+  const trade = insertHeldTrade()
+  assert.equal(trades.markExiting(trade.id), true)
+  assert.equal(trades.getOpenExposure(false), 10)
+})
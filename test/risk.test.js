@@ -0,0 +1,141 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-risk-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb } = await import('../src/database/index.js')
+initializeDatabase()
+
+const {
+  evaluateRisk,
+  checkRiskResume,
+  clearRiskPause,
+  getRiskPause,
+  getDailyRealizedPnl,
+  formatRiskPauseReason,
+} = await import('../src/services/risk.js')
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec(`
+    DELETE FROM trade_events;
+    DELETE FROM trades;
+    UPDATE runtime_state SET risk_pause_reason = NULL, risk_paused_at = NULL, risk_resume_at = NULL,
+      risk_resumed_at = NULL, risk_peak_equity = NULL, risk_paper_pause_reason = NULL, risk_paper_paused_at = NULL,
+      risk_paper_resume_at = NULL, risk_paper_resumed_at = NULL, risk_paper_peak_equity = NULL WHERE id = 1;
+  `)
+  CONFIG.scheduling.timezone = 'America/Chicago'
+  CONFIG.risk = { max_daily_loss_usd: 100, max_drawdown_pct: 0.25, resume: 'next_day' }
+})
+
+function insertResolved(pnl, resolvedAt, paper = false) {
+  getDb().prepare(`
+    INSERT INTO trades (asset, polymarket_market_id, voting_ends_at, status, is_paper, pnl, resolved_at)
+    VALUES ('BTC', 'market', ?, 'resolved', ?, ?, ?)
+  `).run(resolvedAt, paper ? 1 : 0, pnl, resolvedAt)
+}
+
+// 10:00 Chicago (CST, UTC-6) on Jan 5
+const NOW = new Date('2026-01-05T16:00:00.000Z')
+
+test('daily loss counts from local midnight and pauses until the next one', () => {
+  insertResolved(-500, '2026-01-05T05:30:00.000Z') // 23:30 the day before
+  insertResolved(-60, '2026-01-05T07:00:00.000Z')
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 1000 }), null)
+
+  insertResolved(-45, '2026-01-05T15:00:00.000Z')
+  assert.equal(getDailyRealizedPnl(NOW), -105)
+
+  const trip = evaluateRisk(NOW, { paper: false, equity: 1000 })
+  assert.match(trip.reason, /^daily loss \$105\.00 reached the \$100\.00 limit$/)
+  assert.equal(trip.resumesAt.toISOString(), '2026-01-06T06:00:00.000Z')
+  assert.match(formatRiskPauseReason(getRiskPause()), /Trading resumes at Jan 6, 12:00 AM\.$/)
+
+  // Already paused: nothing trips twice
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 1000 }), null)
+
+  assert.equal(checkRiskResume(new Date('2026-01-06T05:59:00.000Z')), null)
+  assert.ok(checkRiskResume(new Date('2026-01-06T06:00:00.000Z')))
+  assert.equal(getRiskPause(), null)
+})
+
+test('drawdown is measured from the peak and manual pauses wait for an admin', () => {
+  CONFIG.risk.resume = 'manual'
+
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 1000 }), null)
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 1200 }), null)
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 950 }), null)
+
+  const trip = evaluateRisk(NOW, { paper: false, equity: 900 })
+  assert.match(trip.reason, /^pool drawdown 25\.0% reached the 25% limit$/)
+  assert.equal(trip.resumesAt, null)
+  assert.equal(checkRiskResume(new Date('2026-02-01T00:00:00.000Z')), null)
+
+  // A failed balance lookup is skipped rather than read as a loss
+  assert.equal(evaluateRisk(NOW, { paper: true, equity: null }), null)
+
+  // Admin resume restarts the peak from the next measurement
+  assert.ok(clearRiskPause(NOW))
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 900 }), null)
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 800 }), null)
+})
+
+test('an admin resume restarts the daily loss count', () => {
+  insertResolved(-120, '2026-01-05T15:00:00.000Z')
+  assert.ok(evaluateRisk(NOW, { paper: false, equity: 1000 }))
+
+  clearRiskPause(new Date('2026-01-05T15:30:00.000Z'))
+  assert.equal(getDailyRealizedPnl(NOW), 0)
+
+  insertResolved(-30, '2026-01-05T15:45:00.000Z')
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 1000 }), null)
+})
+
+test('paper rounds are measured against paper results only', () => {
+  insertResolved(-150, '2026-01-05T15:00:00.000Z', true)
+  assert.equal(evaluateRisk(NOW, { paper: false, equity: 1000 }), null)
+
+  const trip = evaluateRisk(NOW, { paper: true, equity: 850 })
+  assert.match(trip.reason, /^Paper daily loss \$150\.00/)
+})
+
+test('a paper pause only holds paper trading and lifts on its own schedule', () => {
+  insertResolved(-150, '2026-01-05T15:00:00.000Z', true)
+  assert.ok(evaluateRisk(NOW, { paper: true, equity: 850 }))
+
+  // Live trading is untouched and can still trip on its own
+  assert.equal(getRiskPause(false), null)
+  assert.match(getRiskPause(true).reason, /^Paper daily loss/)
+  insertResolved(-120, '2026-01-05T15:30:00.000Z')
+  assert.match(evaluateRisk(NOW, { paper: false, equity: 1000 }).reason, /^daily loss \$120\.00/)
+
+  assert.equal(checkRiskResume(new Date('2026-01-06T06:00:00.000Z')).paper, false)
+  assert.equal(checkRiskResume(new Date('2026-01-06T06:00:00.000Z')).paper, true)
+  assert.equal(getRiskPause(true), null)
+})
+
+test('an admin resume lifts both the live and the paper pause', () => {
+  insertResolved(-150, '2026-01-05T15:00:00.000Z', true)
+  assert.ok(evaluateRisk(NOW, { paper: true, equity: 850 }))
+
+  assert.match(clearRiskPause(NOW).reason, /^Paper daily loss/)
+  assert.equal(getRiskPause(true), null)
+  assert.equal(getDailyRealizedPnl(NOW, true), 0)
+})
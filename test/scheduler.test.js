@@ -0,0 +1,301 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { copyFileSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { parseDocument } from 'yaml'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-scheduler-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const configPath = `./data/test-scheduler-config-${Date.now()}.yaml`
+process.env.CONFIG_PATH = configPath
+copyFileSync('./config.yaml', configPath)
+
+const doc = parseDocument(readFileSync(configPath, 'utf-8'))
+doc.setIn(['scheduling', 'timezone'], 'America/Chicago')
+doc.setIn(['scheduling', 'misfire_grace_minutes'], 30)
+doc.setIn(['scheduling', 'entries'], [
+  { name: 'morning', time: '09:00', blackout_minutes: 30 },
+  { name: 'hourly', cron: '0 10-20 * * *', variance_minutes: 15 },
+  { name: 'late', cron: '30 1 * * *', assets: ['BTC'] },
+])
+doc.setIn(['payouts', 'schedule'], { cadence: 'weekly', weekday: 'sun', time: '18:00' })
+doc.deleteIn(['calendar'])
+writeFileSync(configPath, doc.toString())
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { configureScheduler, tick, canStartTrade } = await import('../src/services/scheduler.js')
+const { getPayoutSchedule } = await import('../src/services/schedule.js')
+const { getZonedParts } = await import('../src/utils/time.js')
+
+const MINUTE_MS = 60 * 1000
+const TIMEZONE = 'America/Chicago'
+
+let currentTime = null
+let fired = []
+
+const clock = {
+  now: () => new Date(currentTime),
+  setInterval: () => null,
+}
+
+configureScheduler({
+  clock,
+  // No variance: every run lands exactly on its cron slot
+  random: () => 0.5,
+  channel: { send: async () => {} },
+  actions: {
+    startTrade: async (channel, triggeredBy, options) => {
+      fired.push(`trade ${options.scheduleName} ${localTime(clock.now())}`)
+    },
+    runPayouts: async () => {
+      fired.push(`payout ${localTime(clock.now())}`)
+    },
+  },
+})
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+  rmSync(configPath, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec(`
+    DELETE FROM schedule_state;
+    DELETE FROM jobs;
+    DELETE FROM trade_events;
+    DELETE FROM trades;
+    UPDATE runtime_state SET emergency_stopped = 0, last_weekly_payout_date = '1970-01-01' WHERE id = 1;
+  `)
+  fired = []
+})
+
+// e.g. "2026-03-08 09:00 CDT"
+function localTime(date) {
+  const { year, month, day, hour, minute } = getZonedParts(date, TIMEZONE)
+  const pad = value => String(value).padStart(2, '0')
+  const zone = date.toLocaleString('en-US', { timeZone: TIMEZONE, timeZoneName: 'short' }).split(' ').pop()
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)} ${zone}`
+}
+
+// Tick once a minute (or every stepMs) from `fromIso` up to (not including) `toIso`
+async function runUntil(fromIso, toIso, stepMs = MINUTE_MS) {
+  currentTime = fromIso ? new Date(fromIso).getTime() : currentTime
+  const end = new Date(toIso).getTime()
+
+  while (currentTime < end) {
+    await tick()
+    currentTime += stepMs
+  }
+}
+
+function payoutsFired() {
+  return fired.filter(event => event.startsWith('payout'))
+}
+
+// Run a test against another payouts.schedule, restoring the configured one afterwards
+async function withPayoutSchedule(schedule, fn) {
+  const original = CONFIG.payouts.schedule
+  CONFIG.payouts.schedule = schedule
+  try {
+    await fn()
+  } finally {
+    CONFIG.payouts.schedule = original
+  }
+}
+
+function trades(name) {
+  return fired.filter(event => event.startsWith(`trade ${name} `))
+}
+
+test('scheduled trades follow local time through the spring-forward week', async () => {
+  // Friday Mar 6 through Monday Mar 9, 2026; clocks move forward early Sunday Mar 8
+  await runUntil('2026-03-06T06:00:00Z', '2026-03-10T05:00:00Z')
+
+  assert.deepEqual(trades('morning'), [
+    'trade morning 2026-03-06 09:00 CST',
+    'trade morning 2026-03-07 09:00 CST',
+    'trade morning 2026-03-08 09:00 CDT',
+    'trade morning 2026-03-09 09:00 CDT',
+  ])
+
+  // 11 hourly slots (10:00-20:00) every day, on the hour in both offsets
+  const hourly = trades('hourly')
+  assert.equal(hourly.length, 44)
+  assert.ok(hourly.every(event => / \d{2}:00 C[SD]T$/.test(event)))
+  assert.equal(hourly[22], 'trade hourly 2026-03-08 10:00 CDT')
+
+  // 01:30 exists every night that week
+  assert.deepEqual(trades('late'), [
+    'trade late 2026-03-06 01:30 CST',
+    'trade late 2026-03-07 01:30 CST',
+    'trade late 2026-03-08 01:30 CST',
+    'trade late 2026-03-09 01:30 CDT',
+  ])
+
+  // The fresh database starts counting from the Mar 1 period, so only Mar 8 pays out
+  assert.deepEqual(fired.filter(event => event.startsWith('payout')), ['payout 2026-03-08 18:00 CDT'])
+})
+
+test('a wall-clock time repeated by the fall-back change fires once', async () => {
+  await runUntil('2026-10-31T05:00:00Z', '2026-11-03T06:00:00Z')
+
+  assert.deepEqual(trades('late'), [
+    'trade late 2026-10-31 01:30 CDT',
+    'trade late 2026-11-01 01:30 CDT',
+    'trade late 2026-11-02 01:30 CST',
+  ])
+  assert.deepEqual(trades('morning'), [
+    'trade morning 2026-10-31 09:00 CDT',
+    'trade morning 2026-11-01 09:00 CST',
+    'trade morning 2026-11-02 09:00 CST',
+  ])
+  assert.equal(trades('hourly').length, 33)
+  assert.deepEqual(fired.filter(event => event.startsWith('payout')), ['payout 2026-11-01 18:00 CST'])
+})
+
+test('simulated weeks pay out once per week and never twice after a restart', async () => {
+  await runUntil('2026-01-05T06:00:00Z', '2026-01-26T06:00:00Z')
+  assert.deepEqual(fired.filter(event => event.startsWith('payout')), [
+    'payout 2026-01-11 18:00 CST',
+    'payout 2026-01-18 18:00 CST',
+    'payout 2026-01-25 18:00 CST',
+  ])
+
+  // Down from Jan 26 until 20:00 on payout day: the missed payout runs once on startup
+  fired = []
+  await runUntil('2026-02-02T02:00:00Z', '2026-02-02T02:30:00Z')
+  assert.deepEqual(fired.filter(event => event.startsWith('payout')), ['payout 2026-02-01 20:00 CST'])
+})
+
+test('biweekly payouts land on the anchor\'s weeks and never twice after a restart', async () => {
+  await withPayoutSchedule({ cadence: 'biweekly', weekday: 'sun', time: '18:00', anchor_date: '2026-01-04' }, async () => {
+    // Hourly ticks over four weeks; the fresh database starts from the Jan 4 period
+    await runUntil('2026-01-05T06:00:00Z', '2026-02-02T06:00:00Z', 60 * MINUTE_MS)
+    assert.deepEqual(payoutsFired(), ['payout 2026-01-18 18:00 CST', 'payout 2026-02-01 18:00 CST'])
+
+    // Back up later on Feb 1: that period is already paid
+    fired = []
+    await runUntil('2026-02-02T03:00:00Z', '2026-02-02T03:10:00Z')
+    assert.deepEqual(payoutsFired(), [])
+  })
+
+  await withPayoutSchedule({ cadence: 'biweekly', weekday: 'sun', time: '18:00', anchor_date: '2026-01-05' }, async () => {
+    assert.throws(() => getPayoutSchedule(), /is not a sun/)
+  })
+  await withPayoutSchedule({ cadence: 'biweekly', weekday: 'sun', time: '18:00' }, async () => {
+    assert.throws(() => getPayoutSchedule(), /anchor_date \(YYYY-MM-DD\) is required/)
+  })
+})
+
+test('monthly payouts on day 31 fall on the last day of shorter months', async () => {
+  await withPayoutSchedule({ cadence: 'monthly', day_of_month: 31, time: '18:00' }, async () => {
+    await runUntil('2026-01-01T06:00:00Z', '2026-05-02T05:00:00Z', 60 * MINUTE_MS)
+    assert.deepEqual(payoutsFired(), [
+      'payout 2026-01-31 18:00 CST',
+      'payout 2026-02-28 18:00 CST',
+      'payout 2026-03-31 18:00 CDT',
+      'payout 2026-04-30 18:00 CDT',
+    ])
+
+    // Down from May 2 until the end of June: only the latest missed period (June 30) pays, once
+    fired = []
+    await runUntil('2026-07-01T01:00:00Z', '2026-07-01T02:00:00Z')
+    await runUntil('2026-07-01T05:00:00Z', '2026-07-01T05:10:00Z')
+    assert.deepEqual(payoutsFired(), ['payout 2026-06-30 20:00 CDT'])
+  })
+})
+
+test('trades missed by more than the grace period are skipped, not replayed', async () => {
+  await runUntil('2026-01-05T15:30:00Z', '2026-01-05T15:31:00Z')
+
+  // Process down 09:31-12:10; the 10:00 and 11:00 slots are long gone, 12:00 is within grace
+  fired = []
+  await runUntil('2026-01-05T18:10:00Z', '2026-01-05T19:01:00Z')
+  assert.deepEqual(trades('hourly'), [
+    'trade hourly 2026-01-05 12:11 CST',
+    'trade hourly 2026-01-05 13:00 CST',
+  ])
+})
+
+test('morning blackout blocks /propose until the run time, then lifts', async () => {
+  await runUntil('2026-01-06T14:00:00Z', '2026-01-06T14:40:00Z')
+
+  const blocked = canStartTrade(true)
+  assert.equal(blocked.allowed, false)
+  assert.equal(blocked.reason, 'Morning trade blackout. /propose available again at 9:00 AM.')
+  assert.equal(canStartTrade(false).allowed, true)
+
+  await runUntil(null, '2026-01-06T15:01:00Z')
+  assert.equal(canStartTrade(true).allowed, true)
+})
+
+test('gap enforcement delays a scheduled trade through the job queue', async () => {
+  const resolvedAt = new Date('2026-01-07T15:59:00Z').toISOString()
+  getDb().prepare(`
+    INSERT INTO trades (asset, polymarket_market_id, voting_ends_at, status, resolved_at)
+    VALUES ('BTC', 'm1', ?, 'resolved', ?)
+  `).run(resolvedAt, resolvedAt)
+
+  await runUntil('2026-01-07T15:50:00Z', '2026-01-07T16:05:00Z')
+  assert.deepEqual(trades('hourly'), ['trade hourly 2026-01-07 10:01 CST'])
+
+  const job = getDb().prepare(`SELECT * FROM jobs WHERE kind = 'scheduled_trade'`).get()
+  assert.equal(job.status, 'done')
+  assert.equal(job.run_at, '2026-01-07T16:01:00.000Z')
+})
+
+test('a new round needs a free slot under max_open_rounds and an asset without an open round', () => {
+  const originalMaxOpenRounds = CONFIG.trading.max_open_rounds
+  const insert = getDb().prepare(`
+    INSERT INTO trades (asset, polymarket_market_id, voting_ends_at, status)
+    VALUES (?, 'm', '2026-01-07T16:00:00Z', 'executed')
+  `)
+  currentTime = '2026-01-07T18:00:00Z'
+
+  try {
+    CONFIG.trading.max_open_rounds = 1
+    insert.run('BTC')
+    assert.equal(canStartTrade(false).reason, 'A trade is already in progress.')
+
+    CONFIG.trading.max_open_rounds = 2
+    assert.equal(canStartTrade(false).allowed, true)
+    insert.run('ETH')
+    assert.equal(canStartTrade(false).reason, 'Maximum of 2 open rounds reached.')
+
+    CONFIG.trading.max_open_rounds = 10
+    insert.run('SOL')
+    insert.run('XRP')
+    assert.equal(canStartTrade(false).reason, 'Every asset already has an open round.')
+  } finally {
+    CONFIG.trading.max_open_rounds = originalMaxOpenRounds
+  }
+})
+
+test('an entry whose schedule changed catches up within grace but never repeats its last run', async () => {
+  const markChanged = () => getDb().prepare("UPDATE schedule_state SET cron = 'old' WHERE name = 'morning'").run()
+
+  // Ran at 09:00, then the bot restarted on an edited schedule at 09:05
+  await runUntil('2026-01-05T14:59:00Z', '2026-01-05T15:01:00Z')
+  markChanged()
+  await runUntil('2026-01-05T15:05:00Z', '2026-01-05T16:00:00Z')
+  assert.deepEqual(trades('morning'), ['trade morning 2026-01-05 09:00 CST'])
+
+  // Down through the next 09:00 and back at 09:10 on an edited schedule: replanned, then run within the 30m grace
+  markChanged()
+  await runUntil('2026-01-06T15:10:00Z', '2026-01-06T15:12:00Z')
+  assert.deepEqual(trades('morning'), ['trade morning 2026-01-05 09:00 CST', 'trade morning 2026-01-06 09:11 CST'])
+})
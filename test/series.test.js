@@ -0,0 +1,106 @@
+import test, { afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const {
+  getMarketSeriesList,
+  getAvailableSeries,
+  getMarketSeries,
+  getRoundSeries,
+  formatSeriesDuration,
+} = await import('../src/services/series.js')
+
+const originalMarkets = CONFIG.markets
+const originalAssets = CONFIG.assets
+
+afterEach(() => {
+  CONFIG.markets = originalMarkets
+  CONFIG.assets = originalAssets
+})
+
+test('series fill unset windows from the trading and TA defaults', () => {
+  CONFIG.assets = { BTC: { price_symbol: 'BTCUSDT', series_ids: { '15m': 1, '1h': 2 } } }
+  CONFIG.markets = {
+    default_series: '1h',
+    series: {
+      '15m': { duration_minutes: 15 },
+      '1h': { duration_minutes: 60, voting_window_seconds: 300, lookback_minutes: 240 },
+    },
+  }
+
+  const [quarter, hourly] = getMarketSeriesList()
+  assert.deepEqual(quarter, {
+    key: '15m',
+    durationMinutes: 15,
+    horizonMinutes: 20,
+    votingWindowSeconds: Number(CONFIG.trading.voting_window_seconds),
+    lookbackMinutes: Number(CONFIG.agents.ta.lookback_minutes),
+    seriesIds: { BTC: 1 },
+  })
+  assert.equal(hourly.votingWindowSeconds, 300)
+  assert.equal(getMarketSeries().key, '1h')
+  assert.equal(getMarketSeries('15m').key, '15m')
+})
+
+test('series without Gamma IDs on an enabled asset are listed but cannot be traded', () => {
+  CONFIG.assets = {
+    BTC: { price_symbol: 'BTCUSDT', series_ids: { '15m': 1 } },
+    ETH: { price_symbol: 'ETHUSDT', series_ids: { '15m': 3, daily: 4 }, enabled: false },
+  }
+  CONFIG.markets = {
+    series: {
+      '15m': { duration_minutes: 15 },
+      daily: { duration_minutes: 1440 },
+    },
+  }
+
+  assert.deepEqual(getAvailableSeries().map(series => series.key), ['15m'])
+  assert.deepEqual(getMarketSeries('15m').seriesIds, { BTC: 1 })
+  assert.throws(() => getMarketSeries('daily'), /"daily" has no enabled asset with series_ids.daily configured/)
+  assert.throws(() => getMarketSeries('2h'), /Unknown market series "2h" \(configured: 15m, daily\)/)
+})
+
+test('open rounds resolve their series against disabled assets too', () => {
+  CONFIG.assets = {
+    BTC: { price_symbol: 'BTCUSDT', series_ids: { '15m': 1 } },
+    ETH: { price_symbol: 'ETHUSDT', series_ids: { '15m': 3, daily: 4 }, enabled: false },
+  }
+  CONFIG.markets = {
+    default_series: '15m',
+    series: {
+      '15m': { duration_minutes: 15 },
+      daily: { duration_minutes: 1440 },
+    },
+  }
+
+  // ETH was disabled while its round was voting
+  assert.deepEqual(getRoundSeries('15m').seriesIds, { BTC: 1, ETH: 3 })
+  assert.deepEqual(getRoundSeries('daily').seriesIds, { ETH: 4 })
+  assert.equal(getRoundSeries(null).key, '15m')
+  assert.throws(() => getRoundSeries('2h'), /Unknown market series "2h"/)
+})
+
+test('invalid series settings fail with the offending key', () => {
+  CONFIG.markets = { series: { '1h': {} } }
+  assert.throws(() => getMarketSeriesList(), /markets.series.1h.duration_minutes is required/)
+
+  CONFIG.markets = { series: { '1h': { duration_minutes: 60, lookback_minutes: 1440 } } }
+  assert.throws(() => getMarketSeriesList(), /lookback_minutes must be a positive number up to 999/)
+})
+
+test('without markets or assets blocks the original 15-minute markets are configured', () => {
+  CONFIG.markets = undefined
+  CONFIG.assets = undefined
+  assert.deepEqual(getAvailableSeries().map(series => series.key), ['15m'])
+  assert.deepEqual(Object.keys(getMarketSeries().seriesIds), ['BTC', 'ETH', 'SOL', 'XRP'])
+})
+
+test('durations read as whole units', () => {
+  assert.equal(formatSeriesDuration({ durationMinutes: 15 }), '15 minutes')
+  assert.equal(formatSeriesDuration({ durationMinutes: 60 }), '1 hour')
+  assert.equal(formatSeriesDuration({ durationMinutes: 240 }), '4 hours')
+  assert.equal(formatSeriesDuration({ durationMinutes: 1440 }), '1 day')
+})
@@ -0,0 +1,76 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const {
+  calculateKellySize,
+  estimateWinProbability,
+  getSizingConfig,
+  sizePosition,
+  describeSizing,
+} = await import('../src/services/sizing.js')
+
+const baseConfig = {
+  strategy: 'linear',
+  minPct: 0.2,
+  maxPct: 0.4,
+  kellyFraction: 0.5,
+  voteWeight: 0.5,
+  fixedUsd: 10,
+  maxPositionUsd: null,
+}
+
+function approx(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`)
+}
+
+test('win probability blends votes with model confidence for the chosen side', () => {
+  approx(estimateWinProbability({ voteShare: 0.8, confidence: 0.7, aligned: true, voteWeight: 0.5 }), 0.75)
+  approx(estimateWinProbability({ voteShare: 0.8, confidence: 0.7, aligned: false, voteWeight: 0.5 }), 0.55)
+  // Without a model call the vote share stands alone
+  approx(estimateWinProbability({ voteShare: 0.8, confidence: null, aligned: false, voteWeight: 0.5 }), 0.8)
+})
+
+test('kelly stakes the edge over the ask and nothing without one', () => {
+  // p=0.75 at 0.5: full Kelly 50% of bankroll, half Kelly 25%
+  approx(calculateKellySize(1000, 0.75, 0.5, { fraction: 0.5 }), 250)
+  assert.equal(calculateKellySize(1000, 0.5, 0.6, { fraction: 0.5 }), 0)
+  assert.equal(calculateKellySize(1000, 0.9, 1, { fraction: 0.5 }), 0)
+})
+
+test('every strategy is held to the hard caps', () => {
+  const inputs = { balance: 1000, conviction: 1, voteShare: 1, confidence: 0.95, aligned: true, price: 0.4 }
+
+  const linear = sizePosition(inputs, baseConfig)
+  approx(linear.size, 400)
+  assert.equal(linear.cappedBy, null)
+
+  const kelly = sizePosition(inputs, { ...baseConfig, strategy: 'kelly' })
+  assert.ok(kelly.rawSize > 400)
+  approx(kelly.size, 400)
+  assert.equal(kelly.cappedBy, 'max_position_pct')
+  assert.match(describeSizing(kelly), /^Kelly ×0\.5: win 98% \(votes 100%, model 95%\) vs ask \$0\.40 .* capped to \$400\.00 by max_position_pct$/)
+
+  const fixed = sizePosition(inputs, { ...baseConfig, strategy: 'fixed', fixedUsd: 75, maxPositionUsd: 50 })
+  assert.equal(fixed.size, 50)
+  assert.equal(fixed.cappedBy, 'max_position_usd')
+})
+
+test('sizing config rejects unknown strategies and a fixed strategy without an amount', () => {
+  const original = CONFIG.trading.sizing
+  try {
+    CONFIG.trading.sizing = { strategy: 'martingale' }
+    assert.throws(() => getSizingConfig(), /Invalid trading.sizing.strategy "martingale"/)
+
+    CONFIG.trading.sizing = { strategy: 'fixed' }
+    assert.throws(() => getSizingConfig(), /fixed_usd must be a positive number/)
+
+    CONFIG.trading.sizing = undefined
+    assert.equal(getSizingConfig().strategy, 'linear')
+  } finally {
+    CONFIG.trading.sizing = original
+  }
+})
@@ -0,0 +1,189 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-snapshot-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb, trades, predictions, users } = await import('../src/database/index.js')
+initializeDatabase()
+
+const {
+  fetchAllReactionUsers,
+  fetchMembers,
+  snapshotPredictionsFromReactions,
+  formatSnapshotReport,
+} = await import('../src/services/snapshot.js')
+
+const HOLDER_ROLE = 'holder-role'
+const originalHolderRole = CONFIG.discord.holder_role_id
+
+after(() => {
+  CONFIG.discord.holder_role_id = originalHolderRole
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM predictions; DELETE FROM trade_events; DELETE FROM trades; DELETE FROM users;')
+  CONFIG.discord.holder_role_id = HOLDER_ROLE
+})
+
+// Numeric ids, like Discord's snowflakes
+const userId = n => String(1000 + n)
+const BOT_ID = '9999'
+
+// A reaction whose users endpoint pages like Discord: ascending ids, at most `limit` after `after`
+function fakeReaction(emoji, ids, calls = []) {
+  return {
+    emoji: { name: emoji },
+    users: {
+      fetch: async ({ limit, after }) => {
+        calls.push(after ?? null)
+        const page = ids.filter(id => after === undefined || BigInt(id) > BigInt(after)).slice(0, limit)
+        return new Map(page.map(id => [id, { id, username: `user${id}`, bot: id === BOT_ID }]))
+      },
+    },
+  }
+}
+
+// Batch requests fail while failBatches > 0; single fetches throw Unknown Member for non-holders
+// and a server error for ids in broken
+function fakeGuild(holderIds, { cached = [], batches = [], failBatches = 0, broken = new Set() } = {}) {
+  const member = () => ({ roles: { cache: new Map([[HOLDER_ROLE, {}]]) } })
+  return {
+    members: {
+      cache: new Map(cached.map(id => [id, member()])),
+      fetch: async options => {
+        if (typeof options === 'string') {
+          if (broken.has(options)) throw Object.assign(new Error('Internal Server Error'), { code: 0 })
+          if (!holderIds.has(options)) throw Object.assign(new Error('Unknown Member'), { code: 10007 })
+          return member()
+        }
+
+        batches.push(options.user.length)
+        if (failBatches > 0) {
+          failBatches--
+          throw new Error('Members didn\'t arrive in time.')
+        }
+        return new Map(options.user.filter(id => holderIds.has(id)).map(id => [id, member()]))
+      },
+    },
+  }
+}
+
+test('reaction users are paged past the 100-user limit', async () => {
+  const ids = Array.from({ length: 250 }, (_, i) => userId(i))
+  const calls = []
+  const all = await fetchAllReactionUsers(fakeReaction('🟢', ids, calls))
+
+  assert.equal(all.size, 250)
+  assert.deepEqual(calls, [null, userId(99), userId(199)])
+})
+
+test('members come from the cache first, then in batches of 100', async () => {
+  const ids = Array.from({ length: 230 }, (_, i) => userId(i))
+  const batches = []
+  const guild = fakeGuild(new Set(ids.slice(0, 200)), { cached: ids.slice(0, 20), batches })
+
+  const { members, failed } = await fetchMembers(guild, ids)
+  assert.equal(members.size, 200)
+  assert.equal(failed.size, 0)
+  assert.deepEqual(batches, [100, 100, 10])
+})
+
+test('a failed member batch is retried, then fetched one user at a time', async () => {
+  const ids = Array.from({ length: 5 }, (_, i) => userId(i))
+  const holders = new Set(ids.slice(0, 3))
+
+  // One failure: the retry succeeds
+  let batches = []
+  let result = await fetchMembers(fakeGuild(holders, { batches, failBatches: 1 }), ids)
+  assert.deepEqual(batches, [5, 5])
+  assert.equal(result.members.size, 3)
+  assert.equal(result.failed.size, 0)
+
+  // Both attempts fail: users are fetched singly, and only real errors are reported as failed
+  batches = []
+  result = await fetchMembers(fakeGuild(holders, { batches, failBatches: 2, broken: new Set([userId(0)]) }), ids)
+  assert.deepEqual(batches, [5, 5])
+  assert.deepEqual([...result.members.keys()], [userId(1), userId(2)])
+  assert.deepEqual([...result.failed], [userId(0)])
+})
+
+test('a large snapshot counts every eligible voter and reports who was skipped', async () => {
+  const upIds = Array.from({ length: 150 }, (_, i) => userId(i))
+  const downIds = Array.from({ length: 60 }, (_, i) => userId(150 + i))
+  const holders = new Set([...upIds, ...downIds].slice(0, 200))
+
+  for (const id of [...upIds, ...downIds]) {
+    users.getOrCreate(id, `user${id}`)
+    // Every tenth voter never registered a wallet
+    if (Number(id) % 10 !== 0) users.updateWalletAddress(id, `0x${id.padStart(40, '0')}`)
+  }
+
+  const trade = trades.createIfNoActive({
+    asset: 'BTC',
+    polymarket_market_id: 'market',
+    resolution_time: '2026-01-05T15:15:00.000Z',
+    voting_ends_at: '2026-01-05T15:02:00.000Z',
+    max_open_rounds: 4,
+  })
+
+  const message = {
+    guild: fakeGuild(holders),
+    reactions: { cache: [fakeReaction('🟢', [...upIds, BOT_ID]), fakeReaction('🔴', downIds)] },
+  }
+
+  const { report } = await snapshotPredictionsFromReactions(trade.id, message, {
+    upEmoji: '🟢',
+    downEmoji: '🔴',
+    snapshotAt: '2026-01-05T15:02:00.000Z',
+  })
+
+  // 210 reactors: the last 10 aren't holders, and 20 of the first 200 have no wallet
+  assert.deepEqual(report, { reactors: 210, counted: 180, no_wallet: 20, non_holder: 10, fetch_failed: 0 })
+  assert.equal(predictions.getSnapshottedByTrade(trade.id).length, 180)
+  assert.equal(formatSnapshotReport(report), '180 of 210 counted · 20 without a wallet · 10 not holders')
+})
+
+test('voters whose membership could not be fetched are reported apart from non-holders', async () => {
+  const ids = Array.from({ length: 4 }, (_, i) => userId(i))
+  for (const id of ids) {
+    users.getOrCreate(id, `user${id}`)
+    users.updateWalletAddress(id, `0x${id.padStart(40, '0')}`)
+  }
+
+  const trade = trades.createIfNoActive({
+    asset: 'BTC',
+    polymarket_market_id: 'market',
+    resolution_time: '2026-01-05T15:15:00.000Z',
+    voting_ends_at: '2026-01-05T15:02:00.000Z',
+    max_open_rounds: 4,
+  })
+
+  const message = {
+    guild: fakeGuild(new Set(ids.slice(0, 3)), { failBatches: 2, broken: new Set([userId(0)]) }),
+    reactions: { cache: [fakeReaction('🟢', ids)] },
+  }
+
+  const { report } = await snapshotPredictionsFromReactions(trade.id, message, {
+    upEmoji: '🟢',
+    downEmoji: '🔴',
+    snapshotAt: '2026-01-05T15:02:00.000Z',
+  })
+
+  assert.deepEqual(report, { reactors: 4, counted: 2, no_wallet: 0, non_holder: 1, fetch_failed: 1 })
+  assert.equal(formatSnapshotReport(report), '2 of 4 counted · 0 without a wallet · 1 not holders · 1 not checked (member fetch failed)')
+})
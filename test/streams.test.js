@@ -0,0 +1,110 @@
+import test, { afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const { CONFIG } = await import('../src/config/index.js')
+const {
+  handleBinanceMessage,
+  handleMarketMessage,
+  getLiveCandles,
+  getLivePrice,
+  getLiveBook,
+  setWatchedTokens,
+  getStreamingConfig,
+  getStreamStatus,
+  formatStreamStatus,
+} = await import('../src/services/streams.js')
+const { getCurrentPrice } = await import('../src/services/prices.js')
+
+const originalStreaming = CONFIG.streaming
+
+afterEach(() => {
+  CONFIG.streaming = originalStreaming
+  setWatchedTokens([])
+})
+
+function kline(symbol, openTime, close) {
+  return JSON.stringify({
+    stream: `${symbol.toLowerCase()}@kline_1m`,
+    data: {
+      e: 'kline',
+      s: symbol,
+      k: { t: openTime, T: openTime + 59999, o: '1', h: String(close), l: '1', c: String(close), v: '2', x: false },
+    },
+  })
+}
+
+test('kline updates keep the live price current without REST', async () => {
+  handleBinanceMessage(kline('BTCUSDT', 60000, 64000))
+  handleBinanceMessage(kline('BTCUSDT', 60000, 64100))
+  handleBinanceMessage(kline('BTCUSDT', 120000, 64250.5))
+
+  assert.equal(getLivePrice('BTC'), 64250.5)
+  assert.equal(await getCurrentPrice('BTC'), 64250.5)
+  assert.equal(getLivePrice('ETH'), null)
+})
+
+test('candles stay on REST until the buffer has been seeded', () => {
+  handleBinanceMessage(kline('SOLUSDT', 60000, 150))
+  assert.equal(getLiveCandles('SOL', 1), null)
+})
+
+test('books follow the snapshot and price changes for watched tokens only', () => {
+  setWatchedTokens(['yes-token'])
+  handleMarketMessage(JSON.stringify([
+    { event_type: 'book', asset_id: 'yes-token', bids: [{ price: '0.48', size: '100' }], asks: [{ price: '0.52', size: '50' }] },
+    { event_type: 'book', asset_id: 'other-token', bids: [], asks: [{ price: '0.3', size: '10' }] },
+  ]))
+  handleMarketMessage(JSON.stringify({
+    event_type: 'price_change',
+    price_changes: [
+      { asset_id: 'yes-token', price: '0.50', size: '20', side: 'BUY' },
+      { asset_id: 'yes-token', price: '0.52', size: '0', side: 'SELL' },
+      { asset_id: 'yes-token', price: '0.53', size: '40', side: 'SELL' },
+    ],
+  }))
+
+  assert.deepEqual(getLiveBook('yes-token'), {
+    asset_id: 'yes-token',
+    bids: [{ price: '0.50', size: '20' }, { price: '0.48', size: '100' }],
+    asks: [{ price: '0.53', size: '40' }],
+  })
+  assert.equal(getLiveBook('other-token'), null)
+
+  setWatchedTokens([])
+  assert.equal(getLiveBook('yes-token'), null)
+})
+
+test('a quiet channel falls back to REST', t => {
+  setWatchedTokens(['no-token'])
+  handleMarketMessage(JSON.stringify({ event_type: 'book', asset_id: 'no-token', bids: [], asks: [{ price: '0.6', size: '5' }] }))
+  assert.ok(getLiveBook('no-token'))
+
+  const start = Date.now()
+  t.mock.method(Date, 'now', () => start + getStreamingConfig().staleMs + 1)
+  assert.equal(getLiveBook('no-token'), null)
+  assert.equal(getLivePrice('BTC'), null)
+})
+
+test('streaming config validates its limits', () => {
+  CONFIG.streaming = { enabled: true, candle_buffer: 5000 }
+  assert.throws(() => getStreamingConfig(), /streaming.candle_buffer must be a positive number up to 1000/)
+})
+
+test('stream status reads down until the sockets open', () => {
+  setWatchedTokens(['tok-1', 'tok-2'])
+  const status = getStreamStatus()
+  assert.equal(status.binance.open, false)
+  assert.deepEqual(status.market, { open: false, watchedTokens: 2, liveBooks: 0 })
+  assert.equal(formatStreamStatus(status), '📡 **Streams:** Binance down, using REST · CLOB down, using REST')
+
+  assert.equal(
+    formatStreamStatus({
+      binance: { open: true, liveAssets: ['BTC', 'ETH'] },
+      market: { open: true, watchedTokens: 2, liveBooks: 1 },
+    }),
+    '📡 **Streams:** Binance up (BTC, ETH) · CLOB up (1 of 2 books live)'
+  )
+})
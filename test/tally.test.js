@@ -0,0 +1,119 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-tally-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { CONFIG } = await import('../src/config/index.js')
+const { initializeDatabase, getDb, trades, predictions, users } = await import('../src/database/index.js')
+initializeDatabase()
+
+const { tallyVotes, getTallyMode } = await import('../src/services/tally.js')
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM predictions; DELETE FROM trade_events; DELETE FROM trades; DELETE FROM users;')
+  CONFIG.trading.tally_mode = 'count'
+  CONFIG.trading.tally_recent_rounds = 0
+})
+
+function createTrade(asset = 'BTC') {
+  return trades.createIfNoActive({
+    asset,
+    polymarket_market_id: 'market',
+    resolution_time: '2026-01-05T15:15:00.000Z',
+    voting_ends_at: '2026-01-05T15:02:00.000Z',
+    max_open_rounds: 4,
+  })
+}
+
+function vote(tradeId, userId, prediction, weight = 0.1) {
+  users.getOrCreate(userId, userId)
+  getDb().prepare('UPDATE users SET reputation_weight = ? WHERE discord_id = ?').run(weight, userId)
+  predictions.upsertWithSnapshot(userId, tradeId, prediction, '2026-01-05T15:02:00.000Z')
+}
+
+test('count mode weighs every vote equally', () => {
+  const trade = createTrade()
+  vote(trade.id, 'a', 'UP', 1)
+  vote(trade.id, 'b', 'DOWN', 0.1)
+  vote(trade.id, 'c', 'DOWN', 0.1)
+
+  const tally = tallyVotes(trade.id)
+  assert.equal(tally.weighted, false)
+  assert.deepEqual([tally.up, tally.down, tally.total], [1, 2, 3])
+  assert.ok(tally.downWeight > tally.upWeight)
+  assert.ok(Math.abs(tally.conviction - 1 / 3) < 1e-9)
+})
+
+test('reputation mode lets a trusted minority win and sets conviction from weights', () => {
+  CONFIG.trading.tally_mode = 'reputation'
+  const trade = createTrade()
+  vote(trade.id, 'a', 'UP', 1)
+  vote(trade.id, 'b', 'DOWN', 0.1)
+  vote(trade.id, 'c', 'DOWN', 0.1)
+
+  const tally = tallyVotes(trade.id)
+  assert.equal(tally.weighted, true)
+  assert.deepEqual([tally.up, tally.down], [1, 2])
+  assert.ok(Math.abs(tally.upShare - 1 / 1.2) < 1e-9)
+  assert.ok(Math.abs(tally.conviction - (1 - 0.2 / 1.2 * 2)) < 1e-9)
+})
+
+test('recent accuracy scales reputation weights', () => {
+  CONFIG.trading.tally_mode = 'reputation'
+  CONFIG.trading.tally_recent_rounds = 5
+
+  // a was right on the last two rounds, b wrong on both
+  for (const asset of ['ETH', 'SOL']) {
+    const past = createTrade(asset)
+    vote(past.id, 'a', 'UP', 0.5)
+    vote(past.id, 'b', 'DOWN', 0.5)
+    trades.execute(past.id, 'UP', { orderID: 'o', sharesFilled: 1, avgFillPrice: 0.5, totalCost: 0.5 })
+    trades.resolve(past.id, 0.5)
+    predictions.markCorrectness(past.id, 'UP')
+  }
+
+  const trade = createTrade()
+  vote(trade.id, 'a', 'UP', 0.5)
+  vote(trade.id, 'b', 'DOWN', 0.5)
+
+  // Smoothed accuracy: a (2+1)/(2+2), b (0+1)/(2+2)
+  const tally = tallyVotes(trade.id)
+  assert.ok(Math.abs(tally.upWeight - 0.5 * 0.75) < 1e-9)
+  assert.ok(Math.abs(tally.downWeight - 0.5 * 0.25) < 1e-9)
+})
+
+test('unknown tally modes are rejected', () => {
+  CONFIG.trading.tally_mode = 'quadratic'
+  assert.throws(() => getTallyMode(), /Invalid trading.tally_mode "quadratic"/)
+})
+
+test('the live tally counts votes before they are snapshotted', () => {
+  const trade = createTrade()
+  vote(trade.id, 'a', 'UP')
+  users.getOrCreate('b', 'b')
+  predictions.upsert('b', trade.id, 'DOWN')
+  users.getOrCreate('c', 'c')
+  predictions.upsert('c', trade.id, 'DOWN')
+
+  assert.deepEqual([tallyVotes(trade.id).up, tallyVotes(trade.id).down], [1, 0])
+
+  const live = tallyVotes(trade.id, { live: true })
+  assert.deepEqual([live.up, live.down, live.total], [1, 2, 3])
+})
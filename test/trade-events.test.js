@@ -0,0 +1,95 @@
+import test, { after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'node:fs'
+
+process.env.NODE_ENV = 'test'
+process.env.TEST_MODE = 'true'
+
+const dbPath = `./data/test-trade-events-${Date.now()}.db`
+process.env.DATABASE_PATH = dbPath
+
+const { initializeDatabase, getDb, trades, predictions, users, tradeEvents } = await import('../src/database/index.js')
+initializeDatabase()
+
+after(() => {
+  try {
+    getDb().close()
+  } catch {
+    // ignore
+  }
+
+  rmSync(dbPath, { force: true })
+  rmSync(`${dbPath}-wal`, { force: true })
+  rmSync(`${dbPath}-shm`, { force: true })
+})
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM predictions; DELETE FROM trade_events; DELETE FROM trades; DELETE FROM users;')
+})
+
+function createTrade(asset = 'BTC') {
+  return trades.createIfNoActive({
+    asset,
+    polymarket_market_id: 'market',
+    resolution_time: '2026-01-05T15:15:00.000Z',
+    voting_ends_at: '2026-01-05T15:02:00.000Z',
+    max_open_rounds: 4,
+  })
+}
+
+test('cancelling keeps the trade and its votes and logs the reason', () => {
+  const trade = createTrade()
+  users.getOrCreate('u1', 'alice')
+  predictions.upsertWithSnapshot('u1', trade.id, 'UP', '2026-01-05T15:02:00.000Z')
+
+  assert.equal(trades.cancel(trade.id, 'Not enough votes (1 of 2)'), true)
+
+  const cancelled = trades.getById(trade.id)
+  assert.equal(cancelled.status, 'cancelled')
+  assert.equal(cancelled.cancel_reason, 'Not enough votes (1 of 2)')
+  assert.ok(cancelled.cancelled_at)
+  assert.equal(predictions.getSnapshottedByTrade(trade.id).length, 1)
+  assert.deepEqual(
+    tradeEvents.getByTrade(trade.id).map(e => [e.event, e.data]),
+    [['cancelled', { reason: 'Not enough votes (1 of 2)' }]],
+  )
+
+  // A cancelled round frees its asset and is not cancelled twice
+  assert.equal(trades.cancel(trade.id, 'again'), false)
+  assert.equal(tradeEvents.getByTrade(trade.id).length, 1)
+  assert.ok(createTrade())
+})
+
+test('cancelled rounds do not count toward prediction stats', () => {
+  const trade = createTrade()
+  users.getOrCreate('u1', 'alice')
+  predictions.upsertWithSnapshot('u1', trade.id, 'UP', '2026-01-05T15:02:00.000Z')
+  trades.cancel(trade.id, 'No active market')
+
+  assert.equal(users.getStats('u1').totalPredictions, 0)
+  assert.deepEqual(users.getTopPredictors(3), [])
+})
+
+test('timeline is returned in order and recent events can be filtered', () => {
+  const first = createTrade('BTC')
+  const second = createTrade('ETH')
+
+  tradeEvents.record(first.id, 'proposed', { asset: 'BTC' })
+  tradeEvents.record(first.id, 'vote_snapshot', { up: 2, down: 1, total: 3 })
+  tradeEvents.record(second.id, 'proposed', { asset: 'ETH' })
+  trades.cancel(second.id, 'Proposal message could not be posted')
+  tradeEvents.record(first.id, 'executed', { position: 'UP' })
+
+  assert.deepEqual(
+    tradeEvents.getByTrade(first.id).map(e => e.event),
+    ['proposed', 'vote_snapshot', 'executed'],
+  )
+  assert.deepEqual(
+    tradeEvents.getRecent({ event: 'cancelled' }).map(e => [e.trade_id, e.data.reason]),
+    [[second.id, 'Proposal message could not be posted']],
+  )
+  assert.deepEqual(
+    tradeEvents.getRecent({ limit: 2 }).map(e => e.event),
+    ['executed', 'cancelled'],
+  )
+})